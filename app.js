@@ -5,27 +5,43 @@
 const express = require("express");
 const cors = require("cors");
 
-const { NotFoundError } = require("./expressError");
+const { ExpressError, NotFoundError, codeForStatus } = require("./expressError");
 
 const { authenticateJWT } = require("./middleware/auth");
+const { requestLogger, inLogContext } = require("./middleware/logging");
+const { requestMetrics } = require("./middleware/metrics");
+const { auditContext } = require("./middleware/audit");
+const logger = require("./helpers/logger");
+const { TRUST_PROXY_HOPS } = require("./config");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobRoutes = require("./routes/jobs")
-
-const morgan = require("morgan");
+const streamRoutes = require("./routes/stream");
+const healthRoutes = require("./routes/health");
+const metricsRoutes = require("./routes/metrics");
+const auditRoutes = require("./routes/audit");
 
 const app = express();
 
+// so req.ip is the client's, not the load balancer's
+app.set("trust proxy", TRUST_PROXY_HOPS);
+
 app.use(cors());
-app.use(express.json());
-app.use(morgan("tiny"));
+app.use(healthRoutes);
+app.use(requestLogger);
+app.use(requestMetrics);
+app.use(inLogContext(express.json()));
 app.use(authenticateJWT);
+app.use(auditContext);
 
 app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobRoutes);
+app.use("/stream", streamRoutes);
+app.use("/metrics", metricsRoutes);
+app.use("/audit", auditRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -33,14 +49,22 @@ app.use(function (req, res, next) {
   return next(new NotFoundError());
 });
 
-/** Generic error handler; anything unhandled goes here. */
+/** Generic error handler; anything unhandled goes here.
+ *
+ * Responds with { error: { status, code, message, details } }; details is a
+ * list of { path, message } (empty unless specific fields were wrong).
+ */
 app.use(function (err, req, res, next) {
-  if (process.env.NODE_ENV !== "test") console.error(err.stack);
   const status = err.status || 500;
+  if (status >= 500) logger.error("Request failed", { err });
+  const code = err instanceof ExpressError ? err.code : codeForStatus(status);
   const message = err.message;
+  const details = err.details || [];
+
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
 
   return res.status(status).json({
-    error: { message, status },
+    error: { status, code, message, details },
   });
 });
 
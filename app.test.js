@@ -19,3 +19,19 @@ test("not found for site 404 (test stack print)", async function () {
 afterAll(function () {
   db.end();
 });
+
+test("errors have a status, code, message and details", async function () {
+  const resp = await request(app).get("/no-such-path");
+  expect(resp.body).toEqual({
+    error: { status: 404, code: "not_found", message: "Not Found", details: [] },
+  });
+});
+
+test("malformed JSON is a bad request", async function () {
+  const resp = await request(app)
+      .post("/auth/token")
+      .set("content-type", "application/json")
+      .send("{ nope");
+  expect(resp.statusCode).toEqual(400);
+  expect(resp.body.error.code).toEqual("bad_request");
+});
@@ -3,12 +3,18 @@
 /** Shared config for application; can be required many places. */
 
 require("dotenv").config();
-require("colors");
 
 const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = process.env.PORT || 3001;
 
+// Access tokens (JWTs) are short-lived; clients trade a refresh token for a new
+// one. Any value jsonwebtoken's expiresIn accepts works, e.g. "15m" or "1h".
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+// How long a refresh token stays usable, in days
+const REFRESH_TOKEN_TTL_DAYS = +process.env.REFRESH_TOKEN_TTL_DAYS || 30;
+
 // Use dev database, testing database, or via env var, production database
 function getDatabaseUri() {
   return (process.env.NODE_ENV === "test")
@@ -16,21 +22,127 @@ function getDatabaseUri() {
       : process.env.DATABASE_URL || "jobly";
 }
 
+// Most connections the app opens to the database at once. The tests use one,
+// so the transaction each test runs in covers every query it makes.
+const DB_POOL_SIZE = +process.env.DB_POOL_SIZE
+    || (process.env.NODE_ENV === "test" ? 1 : 10);
+
+// On SIGTERM, how long to wait for requests in progress before exiting anyway,
+// in seconds
+const SHUTDOWN_TIMEOUT_SECONDS = +process.env.SHUTDOWN_TIMEOUT_SECONDS || 10;
+
+// Where the app can be reached, for links in emails
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
+
+// How long an email verification link stays usable, in hours, and whether
+// users must have verified their email address to apply to jobs
+const EMAIL_VERIFICATION_TTL_HOURS = +process.env.EMAIL_VERIFICATION_TTL_HOURS || 24;
+const REQUIRE_VERIFIED_EMAIL_TO_APPLY = process.env.REQUIRE_VERIFIED_EMAIL_TO_APPLY !== "false";
+
+// POST /auth/token lets each IP address, and each username, try
+// AUTH_RATE_LIMIT times per AUTH_RATE_WINDOW_SECONDS
+const AUTH_RATE_LIMIT = +process.env.AUTH_RATE_LIMIT || 10;
+const AUTH_RATE_WINDOW_SECONDS = +process.env.AUTH_RATE_WINDOW_SECONDS || 60;
+
+// After LOGIN_LOCKOUT_THRESHOLD wrong passwords in a row, an account can't
+// log in for LOGIN_LOCKOUT_MINUTES (or until an admin unlocks it)
+const LOGIN_LOCKOUT_THRESHOLD = +process.env.LOGIN_LOCKOUT_THRESHOLD || 5;
+const LOGIN_LOCKOUT_MINUTES = +process.env.LOGIN_LOCKOUT_MINUTES || 15;
+
+// How many proxies (load balancers) sit in front of the app, whose
+// X-Forwarded-For entries to trust for the client's IP address
+const TRUST_PROXY_HOPS = +process.env.TRUST_PROXY_HOPS || 0;
+
+// Two-factor login: how long the challenge token from POST /auth/token
+// stays usable, in minutes, and how many wrong codes it takes before it stops
+// working; and the issuer name authenticator apps show
+const TWO_FACTOR_CHALLENGE_TTL_MINUTES = +process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES || 5;
+const TWO_FACTOR_MAX_ATTEMPTS = +process.env.TWO_FACTOR_MAX_ATTEMPTS || 5;
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "Jobly";
+
+// The key TOTP secrets are encrypted with in the database; set it to a long
+// random string, and keep it apart from the database's backups. If it
+// changes, users with 2FA on can only log in with a recovery code.
+const TWO_FACTOR_ENCRYPTION_KEY = process.env.TWO_FACTOR_ENCRYPTION_KEY || "two-factor-dev";
+
+// How long a password reset token stays usable, in minutes
+const PASSWORD_RESET_TTL_MINUTES = +process.env.PASSWORD_RESET_TTL_MINUTES || 60;
+
+// How mail gets sent: "console" only logs who it's to and its subject (see
+// helpers/logger), "file" appends it to MAIL_FILE as JSON lines, "memory"
+// keeps it in helpers/mail's outbox (used by the tests).
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === "test" ? "memory" : "console");
+const MAIL_FILE = process.env.MAIL_FILE || "mail.log";
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@jobly.local>";
+
+// How often GET /stream sends a comment to keep idle connections open, in seconds
+const STREAM_HEARTBEAT_SECONDS = +process.env.STREAM_HEARTBEAT_SECONDS || 25;
+
+// Outgoing webhooks: how often the worker looks for due deliveries and how
+// long it waits for a receiver, in seconds. A failed delivery is retried after
+// WEBHOOK_RETRY_BASE_SECONDS, doubling each time, until it has been tried
+// WEBHOOK_MAX_ATTEMPTS times.
+const WEBHOOK_POLL_SECONDS = +process.env.WEBHOOK_POLL_SECONDS || 5;
+const WEBHOOK_TIMEOUT_SECONDS = +process.env.WEBHOOK_TIMEOUT_SECONDS || 10;
+const WEBHOOK_RETRY_BASE_SECONDS = +process.env.WEBHOOK_RETRY_BASE_SECONDS || 30;
+const WEBHOOK_MAX_ATTEMPTS = +process.env.WEBHOOK_MAX_ATTEMPTS || 8;
+
+// Webhooks can't be sent to loopback, link-local or private network addresses
+// (see helpers/webhooks.js), except on these hosts (comma separated); the
+// tests' receivers are on localhost
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS
+    || (process.env.NODE_ENV === "test" ? "localhost" : ""))
+    .split(",").map(h => h.trim()).filter(h => h);
+
+// A token Prometheus can scrape GET /metrics with (as "Authorization: Bearer
+// <token>"), since an admin's access token expires; unset, only admins can
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+// Logging (see helpers/logger.js): the least severe level written -- "debug",
+// "info", "warn" or "error" -- and where to: "stdout", or "memory" (used by
+// the tests)
+const LOG_LEVEL = process.env.LOG_LEVEL || "info";
+const LOG_OUTPUT = process.env.LOG_OUTPUT
+    || (process.env.NODE_ENV === "test" ? "memory" : "stdout");
+
 // Speed up bcrypt during tests, since the algorithm safety isn't being tested
 //
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
-console.log("Jobly Config:".green);
-console.log("SECRET_KEY:".yellow, SECRET_KEY);
-console.log("PORT:".yellow, PORT.toString());
-console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
-console.log("Database:".yellow, getDatabaseUri());
-console.log("---");
-
 module.exports = {
   SECRET_KEY,
   PORT,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  PASSWORD_RESET_TTL_MINUTES,
+  PUBLIC_URL,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  REQUIRE_VERIFIED_EMAIL_TO_APPLY,
+  AUTH_RATE_LIMIT,
+  AUTH_RATE_WINDOW_SECONDS,
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_MINUTES,
+  TRUST_PROXY_HOPS,
+  TWO_FACTOR_CHALLENGE_TTL_MINUTES,
+  TWO_FACTOR_MAX_ATTEMPTS,
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_ENCRYPTION_KEY,
+  MAIL_TRANSPORT,
+  MAIL_FILE,
+  MAIL_FROM,
+  STREAM_HEARTBEAT_SECONDS,
+  WEBHOOK_POLL_SECONDS,
+  WEBHOOK_TIMEOUT_SECONDS,
+  WEBHOOK_RETRY_BASE_SECONDS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_ALLOWED_HOSTS,
+  METRICS_TOKEN,
+  LOG_LEVEL,
+  LOG_OUTPUT,
   BCRYPT_WORK_FACTOR,
+  DB_POOL_SIZE,
+  SHUTDOWN_TIMEOUT_SECONDS,
   getDatabaseUri,
 };
@@ -1,42 +1,178 @@
 "use strict";
-/** Database setup for jobly. */
-const { Client } = require("pg");
-// const {Pool} = require("pg");
-const { getDatabaseUri } = require("./config");
 
-let db;
+/** Database setup for jobly.
+ *
+ * Queries go through a pool of connections, so one slow query only ties up
+ * its own connection. A connection that breaks is dropped from the pool and
+ * the next query opens a fresh one, so losing the database for a moment
+ * fails the requests made meanwhile rather than the whole app.
+ *
+ *   db.query(text, values)   run one query, on any free connection
+ *   db.withTransaction(fn)   run fn's queries together in a transaction
+ *   db.afterCommit(fn)       run fn once the current transaction commits
+ *   db.connect()             check out a connection of your own, for things
+ *                            tied to one (cursors, advisory locks); call its
+ *                            release() when done
+ *   db.stats()               how many connections are open, idle, waited for
+ *   db.end()                 close every connection, e.g. on shutdown
+ *
+ * Queries made with db.query, and in withTransaction, are logged at debug
+ * level with how long they took (see helpers/logger.js), and timed in the
+ * db_query_duration_seconds metric.
+ */
 
-const createConnection = () => {
-  if (process.env.NODE_ENV === "production") {
-    console.log('production')
-    db = new Client({
+const { AsyncLocalStorage } = require("async_hooks");
+const { Pool } = require("pg");
+const { getDatabaseUri, DB_POOL_SIZE } = require("./config");
+const logger = require("./helpers/logger");
+const metrics = require("./helpers/metrics");
+
+const pool = new Pool(process.env.NODE_ENV === "production"
+    ? {
       connectionString: getDatabaseUri(),
       ssl: {
-        rejectUnauthorized: false
-      }, 
-      idle_in_transaction_session_timeout : 60000
+        rejectUnauthorized: false,
+      },
+      idle_in_transaction_session_timeout: 60000,
+      max: DB_POOL_SIZE,
+    }
+    : {
+      connectionString: getDatabaseUri(),
+      max: DB_POOL_SIZE,
     });
-  } else {
-    db = new Client({
-      connectionString: getDatabaseUri()
+
+// An idle connection that fails (say, the server restarted) is already out of
+// the pool by the time this runs; without a listener it'd crash the process.
+pool.on("error", function (err) {
+  logger.error("Idle database connection failed", { err });
+});
+
+/** Most of a query's SQL that's logged. */
+
+const SQL_LOG_LENGTH = 200;
+
+/** The transaction, if any, that the running code is inside:
+ * { client, depth, afterCommit }, where afterCommit is the functions to run
+ * once it's committed (see db.afterCommit). */
+
+const transactions = new AsyncLocalStorage();
+
+/** Run a query, inside the current transaction if there is one. */
+
+function query(text, values) {
+  const transaction = transactions.getStore();
+  return timedQuery(transaction ? transaction.client : pool, text, values);
+}
+
+/** Run a query on queryable (the pool or a client), logging how it went. */
+
+async function timedQuery(queryable, text, values) {
+  const elapsed = logger.startTimer();
+  let result;
+  let error;
+
+  try {
+    result = await queryable.query(text, values);
+    return result;
+  } catch (err) {
+    error = err.code || err.message;
+    throw err;
+  } finally {
+    const durationMs = elapsed();
+    metrics.dbQueryDuration.observe({ outcome: error ? "error" : "ok" }, durationMs / 1000);
+    logger.debug("query", {
+      sql: text.replace(/\s+/g, " ").trim().slice(0, SQL_LOG_LENGTH),
+      rowCount: result ? result.rowCount : undefined,
+      error,
+      durationMs,
     });
   }
-  db.connect();
 }
 
+/** Run async fn(client) in a transaction: committed if fn resolves, rolled
+ * back if it throws. Returns (or throws) what fn did. client has just a
+ * query(text, values) method, like db's.
+ *
+ * Every db.query made while fn runs -- including from other models it calls,
+ * and event handlers -- goes to the transaction's connection, so models don't
+ * have to pass client around.
+ *
+ * Nested calls, and calls on a connection that's already in a transaction
+ * (like the tests', which each run in one), use a savepoint instead, so the
+ * inner fn's changes are undone on error but committed with the outer
+ * transaction.
+ */
 
-// Initail Connection
-createConnection();
+async function withTransaction(fn) {
+  const outer = transactions.getStore();
+  const client = outer ? outer.client : await pool.connect();
+  let broken = false;
 
-// CHECKS IS CONNECTION TO DB IS ACTIVE
-setInterval(()=>{
   try {
-    db.query('SELECT NOW();')
-    console.log('CHECKING CONNECTION')
-  } catch (error) {
-    console.log(error)
+    const depth = outer ? outer.depth + 1 : await alreadyInTransaction(client) ? 1 : 0;
+    const savepoint = `jobly_savepoint_${depth}`;
+    const afterCommit = [];
+
+    await client.query(depth ? `SAVEPOINT ${savepoint}` : "BEGIN");
+    try {
+      const result = await transactions.run({ client, depth, afterCommit }, () => fn({ query }));
+      await client.query(depth ? `RELEASE SAVEPOINT ${savepoint}` : "COMMIT");
+
+      // a nested call's are run when the outermost one is done
+      if (outer) outer.afterCommit.push(...afterCommit);
+      else for (let fn of afterCommit) await fn();
+
+      return result;
+    } catch (err) {
+      await client.query(depth ? `ROLLBACK TO SAVEPOINT ${savepoint}` : "ROLLBACK")
+          .catch(() => { broken = true; });
+      throw err;
+    }
+  } finally {
+    // a connection that couldn't roll back is closed rather than reused
+    if (!outer) client.release(broken);
   }
-}, 270000)
+}
+
+/** Run async fn once the current transaction (the outermost withTransaction)
+ * has committed, or straight away outside of one; nothing is run if it rolls
+ * back. For telling the world about changes only once they're saved. */
+
+async function afterCommit(fn) {
+  const transaction = transactions.getStore();
+  if (transaction) transaction.afterCommit.push(fn);
+  else await fn();
+}
+
+/** Whether client is in a transaction it didn't start with withTransaction.
+ * Inside one, the transaction started before the current statement did. */
+
+async function alreadyInTransaction(client) {
+  const result = await client.query(
+        `SELECT transaction_timestamp() <> statement_timestamp() AS "inTransaction"`);
+  return result.rows[0].inTransaction;
+}
+
+/** The pool's connections: { total, idle, waiting, max }, where waiting is
+ * how many queries are waiting for one to be free. */
+
+function stats() {
+  return {
+    total: pool.totalCount,
+    idle: pool.idleCount,
+    waiting: pool.waitingCount,
+    max: pool.options.max,
+  };
+}
 
+const db = {
+  query,
+  withTransaction,
+  afterCommit,
+  connect: () => pool.connect(),
+  stats,
+  end: () => pool.end(),
+  pool,
+};
 
-module.exports = db;
\ No newline at end of file
+module.exports = db;
@@ -0,0 +1,106 @@
+"use strict";
+
+const db = require("./db");
+
+async function numbers() {
+  const result = await db.query(`SELECT n FROM db_test_numbers ORDER BY n`);
+  return result.rows.map(r => r.n);
+}
+
+beforeAll(async function () {
+  await db.query(`CREATE TEMPORARY TABLE db_test_numbers (n INTEGER)`);
+});
+
+beforeEach(async function () {
+  await db.query(`DELETE FROM db_test_numbers`);
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+/************************************** withTransaction */
+
+describe("withTransaction", function () {
+  test("commits, and returns what fn returns", async function () {
+    const result = await db.withTransaction(async client => {
+      await client.query(`INSERT INTO db_test_numbers VALUES (1)`);
+      return "done";
+    });
+    expect(result).toEqual("done");
+    expect(await numbers()).toEqual([1]);
+  });
+
+  test("rolls back, and rethrows, if fn throws", async function () {
+    await expect(db.withTransaction(async client => {
+      await client.query(`INSERT INTO db_test_numbers VALUES (1)`);
+      throw new Error("nope");
+    })).rejects.toThrow("nope");
+    expect(await numbers()).toEqual([]);
+  });
+
+  test("db.query inside fn is part of the transaction", async function () {
+    await expect(db.withTransaction(async () => {
+      await db.query(`INSERT INTO db_test_numbers VALUES (1)`);
+      throw new Error("nope");
+    })).rejects.toThrow("nope");
+    expect(await numbers()).toEqual([]);
+  });
+
+  test("a nested call that throws only undoes its own changes", async function () {
+    await db.withTransaction(async () => {
+      await db.query(`INSERT INTO db_test_numbers VALUES (1)`);
+      await expect(db.withTransaction(async () => {
+        await db.query(`INSERT INTO db_test_numbers VALUES (2)`);
+        throw new Error("nope");
+      })).rejects.toThrow("nope");
+      await db.withTransaction(() => db.query(`INSERT INTO db_test_numbers VALUES (3)`));
+    });
+    expect(await numbers()).toEqual([1, 3]);
+  });
+
+  test("leaves a transaction that was already open to its owner", async function () {
+    await db.query("BEGIN");
+    await db.withTransaction(() => db.query(`INSERT INTO db_test_numbers VALUES (1)`));
+    expect(await numbers()).toEqual([1]);
+    await db.query("ROLLBACK");
+    expect(await numbers()).toEqual([]);
+  });
+});
+
+/************************************** afterCommit */
+
+describe("afterCommit", function () {
+  test("runs straight away outside of a transaction", async function () {
+    const fn = jest.fn();
+    await db.afterCommit(fn);
+    expect(fn).toHaveBeenCalled();
+  });
+
+  test("waits for the outermost transaction to commit", async function () {
+    const fn = jest.fn();
+    await db.withTransaction(async () => {
+      await db.withTransaction(() => db.afterCommit(fn));
+      expect(fn).not.toHaveBeenCalled();
+    });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test("isn't run if the transaction rolls back", async function () {
+    const fn = jest.fn();
+    const inner = jest.fn();
+    await db.withTransaction(async () => {
+      await db.withTransaction(async () => {
+        await db.afterCommit(inner);
+        throw new Error("undo");
+      }).catch(() => null);
+      await db.afterCommit(fn);
+    });
+    await expect(db.withTransaction(async () => {
+      await db.afterCommit(fn);
+      throw new Error("undo");
+    })).rejects.toThrow("undo");
+    expect(inner).not.toHaveBeenCalled();
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
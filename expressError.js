@@ -1,14 +1,28 @@
+const http = require("http");
+
+/** The machine-readable code for an HTTP status: 404 -> "not_found". */
+
+function codeForStatus(status) {
+  return (http.STATUS_CODES[status] || "Error").toLowerCase().replace(/[^a-z]+/g, "_");
+}
+
 /** ExpressError extends normal JS error so we can
  *  add a status when we make an instance of it.
  *
+ *  code is a short, stable name for the kind of error that clients can
+ *  check, and details is an optional list of { path, message } saying which
+ *  parts of the request were wrong.
+ *
  *  The error-handling middleware will return this.
  */
 
 class ExpressError extends Error {
-  constructor(message, status) {
+  constructor(message, status, details) {
     super();
     this.message = message;
     this.status = status;
+    this.code = codeForStatus(status);
+    this.details = details;
   }
 }
 
@@ -31,23 +45,57 @@ class UnauthorizedError extends ExpressError {
 /** 400 BAD REQUEST error. */
 
 class BadRequestError extends ExpressError {
-  constructor(message = "Bad Request") {
-    super(message, 400);
+  constructor(message = "Bad Request", details) {
+    super(message, 400, details);
+  }
+}
+
+/** 400 error for a request that doesn't match its schema; details lists each
+ *  problem as { path, message }. */
+
+class ValidationError extends BadRequestError {
+  constructor(details, message = "Request is invalid") {
+    super(message, details);
+    this.code = "validation_failed";
   }
 }
 
-/** 403 BAD REQUEST error. */
+/** 403 FORBIDDEN error. */
 
 class ForbiddenError extends ExpressError {
-  constructor(message = "Bad Request") {
+  constructor(message = "Forbidden") {
     super(message, 403);
   }
 }
 
+/** 429 TOO MANY REQUESTS error; retryAfter is how many seconds to wait, sent
+ *  as the Retry-After header. */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** 429 error for logging in to an account locked by too many wrong
+ *  passwords. */
+
+class AccountLockedError extends TooManyRequestsError {
+  constructor(retryAfter, message = "Account is locked after too many failed logins") {
+    super(message, retryAfter);
+    this.code = "account_locked";
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
+  ValidationError,
   ForbiddenError,
+  TooManyRequestsError,
+  AccountLockedError,
+  codeForStatus,
 };
\ No newline at end of file
@@ -0,0 +1,63 @@
+"use strict";
+
+/** Helpers for the audit log (see models/audit.js).
+ *
+ * Models record changes without being handed the request, so who made them
+ * -- the actor, their API key if they used one, IP address and request id --
+ * is kept for the code handling the request with withAuditContext (see
+ * middleware/audit.js), like the log context (see helpers/logger.js). Outside
+ * a request, as in scripts, there's no actor.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+/** Fields whose values never go in the audit log, just that they changed. */
+
+const REDACTED_FIELDS = ["password", "secret"];
+const REDACTED = "[redacted]";
+
+const context = new AsyncLocalStorage();
+
+/** Run fn with fields ({ actor, apiKeyId, ip, requestId }) as the audit
+ * context of everything it does; returns what fn returns. */
+
+function withAuditContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/** The audit context of the code that's running ({} if none). */
+
+function auditContext() {
+  return context.getStore() || {};
+}
+
+/** A copy of row with redacted fields' values hidden; null stays null. */
+
+function redact(row) {
+  if (!row) return null;
+  const copy = { ...row };
+  for (let field of REDACTED_FIELDS) {
+    if (field in copy) copy[field] = REDACTED;
+  }
+  return copy;
+}
+
+/** What changed between two versions of an entity: { before, after }, each
+ * with just the fields that differ. Something created (before null) or
+ * deleted (after null) keeps all its fields. */
+
+function diff(before, after) {
+  if (!before || !after) return { before: redact(before), after: redact(after) };
+
+  const changedBefore = {};
+  const changedAfter = {};
+  for (let field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changedBefore[field] = before[field];
+      changedAfter[field] = after[field];
+    }
+  }
+  return { before: redact(changedBefore), after: redact(changedAfter) };
+}
+
+module.exports = { withAuditContext, auditContext, diff, REDACTED };
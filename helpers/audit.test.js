@@ -0,0 +1,32 @@
+"use strict";
+
+const { withAuditContext, auditContext, diff, REDACTED } = require("./audit");
+
+describe("withAuditContext", function () {
+  test("works, through awaits", async function () {
+    expect(auditContext()).toEqual({});
+    await withAuditContext({ actor: "u1", ip: "::1" }, async function () {
+      await Promise.resolve();
+      expect(auditContext()).toEqual({ actor: "u1", ip: "::1" });
+    });
+    expect(auditContext()).toEqual({});
+  });
+});
+
+describe("diff", function () {
+  test("only the fields that changed", function () {
+    expect(diff({ a: 1, b: [1, 2], c: "x" }, { a: 1, b: [1, 3], c: "y" }))
+        .toEqual({ before: { b: [1, 2], c: "x" }, after: { b: [1, 3], c: "y" } });
+  });
+
+  test("everything when created or deleted", function () {
+    expect(diff(null, { a: 1 })).toEqual({ before: null, after: { a: 1 } });
+    expect(diff({ a: 1 }, null)).toEqual({ before: { a: 1 }, after: null });
+  });
+
+  test("hides secrets", function () {
+    expect(diff({ password: "old", a: 1 }, { password: "new", a: 1 }))
+        .toEqual({ before: { password: REDACTED }, after: { password: REDACTED } });
+    expect(diff(null, { secret: "s" })).toEqual({ before: null, after: { secret: REDACTED } });
+  });
+});
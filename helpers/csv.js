@@ -0,0 +1,70 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/** Parse CSV text (RFC 4180) into records.
+ *
+ * Fields are separated by commas and records by newlines (\n or \r\n).
+ * A field in double quotes may contain commas, newlines and doubled quotes
+ * ("" for one "). A leading byte order mark and blank lines are skipped.
+ *
+ * Returns [{ line, fields: [string, ...] }, ...], where line is the line the
+ * record starts on (from 1), for error messages.
+ *
+ * Throws BadRequestError if a quoted field is never closed.
+ */
+
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== "") records.push({ line: recordLine, fields });
+    fields = [];
+  };
+
+  text = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      endField();
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) throw new BadRequestError(`Unclosed quote in CSV record on line ${recordLine}`);
+  endRecord();
+
+  return records;
+}
+
+module.exports = { parseCsv };
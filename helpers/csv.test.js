@@ -0,0 +1,33 @@
+"use strict";
+
+const { parseCsv } = require("./csv");
+const { BadRequestError } = require("../expressError");
+
+describe("parseCsv", function () {
+  test("works", function () {
+    expect(parseCsv("a,b\n1,2\n")).toEqual([
+      { line: 1, fields: ["a", "b"] },
+      { line: 2, fields: ["1", "2"] },
+    ]);
+  });
+
+  test("handles quotes, CRLF, blank lines and a byte order mark", function () {
+    const text = '\uFEFFname,description\r\n\r\n"C, Inc.","Says ""hi""\nover two lines"\r\nD,\r\n';
+    expect(parseCsv(text)).toEqual([
+      { line: 1, fields: ["name", "description"] },
+      { line: 3, fields: ["C, Inc.", 'Says "hi"\nover two lines'] },
+      { line: 5, fields: ["D", ""] },
+    ]);
+  });
+
+  test("no trailing newline needed", function () {
+    expect(parseCsv("a\n1")).toEqual([
+      { line: 1, fields: ["a"] },
+      { line: 2, fields: ["1"] },
+    ]);
+  });
+
+  test("bad request for an unclosed quote", function () {
+    expect(() => parseCsv('a\n"oops\n')).toThrow(BadRequestError);
+  });
+});
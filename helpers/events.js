@@ -0,0 +1,56 @@
+"use strict";
+
+/** A small in-process publish/subscribe bus for things that happened.
+ *
+ * Models publish events after they change something, e.g.
+ *
+ *   await events.publish("job.updated", { job, changes });
+ *
+ * and anything that wants to react (notifications, and so on) subscribes to
+ * the event type, or to "*" for every event. Handlers may be async; publish
+ * waits for all of them, so by the time a model method returns, its effects
+ * (like notifications) are saved.
+ *
+ * A handler that throws is logged and skipped; it doesn't undo the change
+ * that was published or stop the other handlers.
+ *
+ * Event types:
+ *   application.created  { username, jobId, state }
+ *   application.updated  { username, jobId, from, to }
+ *   job.created          { job }
+ *   job.updated          { job, changes }
+ *   job.removed          { job, applicants }
+ *   notification.created { username, notification }
+ *   eventLog.appended    { id, type, payload, username } (see models/eventLog.js)
+ */
+
+const logger = require("./logger");
+
+const handlers = new Map();
+
+/** Call handler(payload, type) for every event of type ("*" for all).
+ *
+ * Returns a function that unsubscribes it again.
+ */
+
+function subscribe(type, handler) {
+  if (!handlers.has(type)) handlers.set(type, new Set());
+  handlers.get(type).add(handler);
+  return () => handlers.get(type).delete(handler);
+}
+
+/** Publish an event; resolves once every handler has finished. */
+
+async function publish(type, payload) {
+  const toCall = [...(handlers.get(type) || []), ...(handlers.get("*") || [])];
+
+  for (let handler of toCall) {
+    try {
+      await handler(payload, type);
+    } catch (err) {
+      logger.error("Event handler failed", { err, event: type });
+    }
+  }
+}
+
+module.exports = { subscribe, publish };
@@ -0,0 +1,48 @@
+const { subscribe, publish } = require("./events");
+
+describe("events", function () {
+  test("handlers get the payload and type, and can unsubscribe", async function () {
+    const seen = [];
+    const unsubscribe = subscribe("test.thing", (payload, type) => seen.push([type, payload]));
+
+    await publish("test.thing", { n: 1 });
+    unsubscribe();
+    await publish("test.thing", { n: 2 });
+
+    expect(seen).toEqual([["test.thing", { n: 1 }]]);
+  });
+
+  test("* gets every event", async function () {
+    const seen = [];
+    const unsubscribe = subscribe("*", (payload, type) => seen.push(type));
+    await publish("test.a", {});
+    await publish("test.b", {});
+    unsubscribe();
+    expect(seen).toEqual(["test.a", "test.b"]);
+  });
+
+  test("publish waits for async handlers", async function () {
+    let done = false;
+    const unsubscribe = subscribe("test.slow", async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      done = true;
+    });
+    await publish("test.slow", {});
+    unsubscribe();
+    expect(done).toBe(true);
+  });
+
+  test("a failing handler doesn't stop the others", async function () {
+    const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+    const seen = [];
+    const off1 = subscribe("test.fail", () => { throw new Error("boom"); });
+    const off2 = subscribe("test.fail", () => seen.push("ok"));
+
+    await publish("test.fail", {});
+    off1();
+    off2();
+    spy.mockRestore();
+
+    expect(seen).toEqual(["ok"]);
+  });
+});
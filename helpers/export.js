@@ -0,0 +1,117 @@
+"use strict";
+
+/** Streaming exports: sending every row of a query as CSV or JSON lines.
+ *
+ * Rows are read through a Postgres cursor a batch at a time and written out
+ * as they come, so however big the export, only one batch is ever held in
+ * memory here -- and a slow client slows the reading down rather than rows
+ * piling up.
+ *
+ * The cursor lives on a connection checked out of the pool for the export.
+ * It's declared WITH HOLD, so it doesn't need a transaction held open (and
+ * timed out) while a slow client reads.
+ */
+
+const crypto = require("crypto");
+const { once } = require("events");
+const db = require("../db");
+const logger = require("./logger");
+const { ExpressError } = require("../expressError");
+
+/** Rows fetched from the cursor at a time. */
+
+const EXPORT_BATCH_SIZE = 500;
+
+/** The formats an export can be in, by the name used in ?format=. */
+
+const EXPORT_FORMATS = {
+  csv: "text/csv",
+  ndjson: "application/x-ndjson",
+};
+
+/** Which format the client wants: format (from ?format=) if given, else the
+ * best match for the Accept header (CSV if either is fine).
+ *
+ * Throws a 406 error if the Accept header allows neither.
+ */
+
+function exportFormat(format, req) {
+  if (format) return format;
+
+  const type = req.accepts(Object.values(EXPORT_FORMATS));
+  if (!type) {
+    throw new ExpressError(
+        `Exports are ${Object.values(EXPORT_FORMATS).join(" or ")}; use Accept or ?format=`, 406);
+  }
+  return Object.keys(EXPORT_FORMATS).find(f => EXPORT_FORMATS[f] === type);
+}
+
+/** One CSV field: quoted if it has to be, with nulls left empty. */
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") value = JSON.stringify(value);
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvField).join(",") + "\r\n";
+}
+
+/** Stream the rows of query { text, values } to res in format ("csv" or
+ * "ndjson"), as a download named filename (with no extension).
+ *
+ * CSV starts with a header row of the query's column names.
+ *
+ * Stops early, and frees the cursor, if the client goes away. An error before
+ * anything is sent is thrown; after that, the response is cut off, since the
+ * status has already gone out.
+ */
+
+async function streamExport(res, { format, filename, query }) {
+  const cursor = `export_${crypto.randomBytes(8).toString("hex")}`;
+  const client = await db.connect();
+  let declared = false;
+
+  try {
+    await client.query(`DECLARE ${cursor} NO SCROLL CURSOR WITH HOLD FOR ${query.text}`, query.values);
+    declared = true;
+
+    res.set({
+      "Content-Type": EXPORT_FORMATS[format],
+      "Content-Disposition": `attachment; filename="${filename}.${format === "csv" ? "csv" : "ndjson"}"`,
+    });
+
+    let first = true;
+    while (!res.destroyed) {
+      const batch = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM ${cursor}`);
+
+      let chunk = "";
+      if (first && format === "csv") chunk += csvLine(batch.fields.map(f => f.name));
+      first = false;
+
+      for (let row of batch.rows) {
+        chunk += format === "csv" ? csvLine(Object.values(row)) : JSON.stringify(row) + "\n";
+      }
+
+      if (chunk && !res.write(chunk) && !res.destroyed) {
+        await Promise.race([once(res, "drain"), once(res, "close")]);
+      }
+      if (batch.rows.length < EXPORT_BATCH_SIZE) break;
+    }
+
+    res.end();
+  } catch (err) {
+    if (!res.headersSent) throw err;
+    logger.error("Export failed", { err, filename });
+    res.destroy(err);
+  } finally {
+    if (declared) await client.query(`CLOSE ${cursor}`).catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = { EXPORT_FORMATS, exportFormat, csvField, streamExport };
@@ -0,0 +1,35 @@
+"use strict";
+
+const { exportFormat, csvField } = require("./export");
+
+describe("csvField", function () {
+  test("works", function () {
+    expect(csvField("plain")).toEqual("plain");
+    expect(csvField(12)).toEqual("12");
+    expect(csvField(null)).toEqual("");
+    expect(csvField('a "b", c')).toEqual('"a ""b"", c"');
+    expect(csvField("two\nlines")).toEqual('"two\nlines"');
+    expect(csvField(new Date("2020-01-02T03:04:05Z"))).toEqual("2020-01-02T03:04:05.000Z");
+    expect(csvField({ a: 1 })).toEqual('"{""a"":1}"');
+  });
+});
+
+describe("exportFormat", function () {
+  function req(accept) {
+    return { accepts: types => (accept === "*/*" ? types[0] : types.find(t => t === accept) || false) };
+  }
+
+  test("format param wins", function () {
+    expect(exportFormat("ndjson", req("text/csv"))).toEqual("ndjson");
+  });
+
+  test("else from Accept", function () {
+    expect(exportFormat(undefined, req("application/x-ndjson"))).toEqual("ndjson");
+    expect(exportFormat(undefined, req("*/*"))).toEqual("csv");
+  });
+
+  test("406 if neither is acceptable", function () {
+    expect(() => exportFormat(undefined, req("text/html"))).toThrow(
+        expect.objectContaining({ status: 406 }));
+  });
+});
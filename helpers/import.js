@@ -0,0 +1,178 @@
+"use strict";
+
+/** Bulk imports: reading many records from one request and adding them all
+ * or none of them.
+ *
+ * The request body is either CSV (Content-Type: text/csv) with a header row
+ * naming the fields, or JSON lines (application/x-ndjson or
+ * application/jsonl), one object per line. Each record is checked against
+ * the schema the single-record route uses, then by the model for conflicts
+ * with the database (see runImport).
+ *
+ * The result is a per-record report:
+ *
+ *   { dryRun, total, valid, invalid, imported,
+ *     rows: [{ line, status, errors }, ...] }
+ *
+ * where status is "valid" (dry run), "imported" or "invalid", and errors
+ * (invalid only) is [{ path, message }, ...] like a ValidationError's details.
+ */
+
+const express = require("express");
+const jsonschema = require("jsonschema");
+const { ExpressError, BadRequestError, ValidationError } = require("../expressError");
+const { coerceStrings, describeError } = require("../middleware/validate");
+const { inLogContext } = require("../middleware/logging");
+const { parseCsv } = require("./csv");
+
+const CSV_TYPE = "text/csv";
+const JSON_LINES_TYPES = ["application/x-ndjson", "application/jsonl"];
+
+/** Most a single import may be. */
+
+const IMPORT_SIZE_LIMIT = "5mb";
+
+/** Middleware: read an import body as text (express.json() skips it). */
+
+const importBody = inLogContext(
+    express.text({ type: [CSV_TYPE, ...JSON_LINES_TYPES], limit: IMPORT_SIZE_LIMIT }));
+
+/** CSV records as objects, keyed by the header row.
+ *
+ * Empty cells are left out, and the rest are converted to the type schema
+ * gives them, as query strings are (see middleware/validate.js).
+ */
+
+function csvRecords(text, schema) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) return [];
+
+  const names = header.fields.map(name => name.trim());
+
+  return records.map(({ line, fields }) => {
+    if (fields.length !== names.length) {
+      return {
+        line,
+        errors: [{ path: "", message: `has ${fields.length} fields; the header has ${names.length}` }],
+      };
+    }
+
+    const data = {};
+    names.forEach((name, i) => {
+      if (fields[i] !== "") data[name] = fields[i];
+    });
+    return { line, data: coerceStrings(data, schema) };
+  });
+}
+
+/** JSON lines records; blank lines are skipped. */
+
+function jsonLinesRecords(text) {
+  const records = [];
+
+  text.split(/\r?\n/).forEach((json, i) => {
+    if (json.trim() === "") return;
+
+    const line = i + 1;
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (err) {
+      records.push({ line, errors: [{ path: "", message: "is not valid JSON" }] });
+      return;
+    }
+
+    if (data === null || typeof data !== "object" || Array.isArray(data)) {
+      records.push({ line, errors: [{ path: "", message: "is not an object" }] });
+    } else {
+      records.push({ line, data });
+    }
+  });
+
+  return records;
+}
+
+/** Read the records of an import request and check each against schema.
+ *
+ * Returns [{ line, data, errors }, ...]; errors is empty for valid records.
+ *
+ * Throws a 415 error for any other Content-Type, and BadRequestError if there
+ * are no records.
+ */
+
+function readImport(req, schema) {
+  let records;
+  if (req.is(CSV_TYPE)) {
+    records = csvRecords(req.body, schema);
+  } else if (req.is(JSON_LINES_TYPES)) {
+    records = jsonLinesRecords(req.body);
+  } else {
+    throw new ExpressError(
+        `Imports must be ${[CSV_TYPE, ...JSON_LINES_TYPES].join(" or ")}`, 415);
+  }
+
+  if (!records.length) throw new BadRequestError("Nothing to import");
+
+  return records.map(({ line, data, errors = [] }) => {
+    if (data && !errors.length) {
+      const result = jsonschema.validate(data, schema);
+      errors = result.errors.map(e => {
+        const { path, message } = describeError(e, "");
+        return { path: path.replace(/^\./, ""), message };
+      });
+    }
+    return { line, data, errors };
+  });
+}
+
+/** Add the valid records of an import, if they all are.
+ *
+ * records is from readImport. The model supplies:
+ *   check(datas) -> for each record, a list of conflicts with the database or
+ *     with the other records ([{ path, message }, ...], empty if none)
+ *   insert(datas) -> adds every record in one statement, so it's all or none
+ *
+ * Unless dryRun, nothing is added if any record is invalid; that throws a
+ * ValidationError whose details are each problem as { line, path, message }.
+ *
+ * Returns the report (see top of file).
+ */
+
+async function runImport(records, { dryRun = false, check, insert }) {
+  const valid = records.filter(r => !r.errors.length);
+  const conflicts = await check(valid.map(r => r.data));
+  valid.forEach((r, i) => r.errors.push(...conflicts[i]));
+
+  const invalid = records.filter(r => r.errors.length);
+
+  if (invalid.length && !dryRun) {
+    throw new ValidationError(
+        invalid.flatMap(r => r.errors.map(e => ({ line: r.line, ...e }))),
+        `${invalid.length} of ${records.length} records are invalid; nothing was imported`);
+  }
+
+  if (!dryRun) {
+    try {
+      await insert(records.map(r => r.data));
+    } catch (err) {
+      // another request added or removed a conflicting record since check()
+      if (err.code === "23505" || err.code === "23503") {
+        throw new BadRequestError("Import conflicts with a concurrent change; nothing was imported");
+      }
+      throw err;
+    }
+  }
+
+  return {
+    dryRun,
+    total: records.length,
+    valid: records.length - invalid.length,
+    invalid: invalid.length,
+    imported: dryRun ? 0 : records.length,
+    rows: records.map(({ line, errors }) => errors.length
+        ? { line, status: "invalid", errors }
+        : { line, status: dryRun ? "valid" : "imported" }),
+  };
+}
+
+module.exports = { importBody, readImport, runImport };
@@ -0,0 +1,67 @@
+"use strict";
+
+const { runImport } = require("./import");
+const { BadRequestError, ValidationError } = require("../expressError");
+
+function records() {
+  return [
+    { line: 2, data: { n: 1 }, errors: [] },
+    { line: 3, data: { n: 2 }, errors: [] },
+    { line: 4, data: { n: 3 }, errors: [{ path: "n", message: "is too big" }] },
+  ];
+}
+
+describe("runImport", function () {
+  test("only checks records valid so far", async function () {
+    const check = jest.fn(async datas => datas.map(() => []));
+    await runImport(records(), { dryRun: true, check, insert: jest.fn() });
+    expect(check).toHaveBeenCalledWith([{ n: 1 }, { n: 2 }]);
+  });
+
+  test("dry run reports conflicts without inserting", async function () {
+    const insert = jest.fn();
+    const report = await runImport(records(), {
+      dryRun: true,
+      check: async () => [[], [{ path: "n", message: "is taken" }]],
+      insert,
+    });
+    expect(insert).not.toHaveBeenCalled();
+    expect(report).toEqual({
+      dryRun: true,
+      total: 3,
+      valid: 1,
+      invalid: 2,
+      imported: 0,
+      rows: [
+        { line: 2, status: "valid" },
+        { line: 3, status: "invalid", errors: [{ path: "n", message: "is taken" }] },
+        { line: 4, status: "invalid", errors: [{ path: "n", message: "is too big" }] },
+      ],
+    });
+  });
+
+  test("invalid records stop the import", async function () {
+    const insert = jest.fn();
+    const run = runImport(records(), { check: async datas => datas.map(() => []), insert });
+    await expect(run).rejects.toThrow(ValidationError);
+    await expect(run).rejects.toHaveProperty("details", [{ line: 4, path: "n", message: "is too big" }]);
+    expect(insert).not.toHaveBeenCalled();
+  });
+
+  test("inserts everything when all are valid", async function () {
+    const insert = jest.fn();
+    const report = await runImport(records().slice(0, 2), { check: async datas => datas.map(() => []), insert });
+    expect(insert).toHaveBeenCalledWith([{ n: 1 }, { n: 2 }]);
+    expect(report.imported).toEqual(2);
+    expect(report.rows).toEqual([{ line: 2, status: "imported" }, { line: 3, status: "imported" }]);
+  });
+
+  test("a conflict found by the database is a bad request", async function () {
+    const err = Object.assign(new Error("duplicate key"), { code: "23505" });
+    const run = runImport(records().slice(0, 1), {
+      check: async () => [[]],
+      insert: async () => { throw err; },
+    });
+    await expect(run).rejects.toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,101 @@
+"use strict";
+
+/** Logging, as JSON lines.
+ *
+ * Each entry is one object on a line of its own:
+ *
+ *   {"level":"info","time":"2024-01-01T00:00:00.000Z","msg":"request",
+ *    "requestId":"...","method":"GET","route":"/jobs/:id","status":200,...}
+ *
+ * logger.debug/info/warn/error(msg, fields) write one; fields are merged in,
+ * and so is the context of the code that's running (see withLogContext) --
+ * for a request, its requestId, so every entry it causes can be found.
+ * An Error passed as fields.err is written as { message, code, stack }.
+ *
+ * Entries below LOG_LEVEL are dropped ("debug" includes every database
+ * query). Where they go is picked by LOG_OUTPUT in config.js: "stdout", or
+ * "memory", which keeps them in logger.logged (used by the tests).
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { LOG_LEVEL, LOG_OUTPUT } = require("../config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/** Entries written with the "memory" output, oldest first. */
+
+const logged = [];
+
+const outputs = {
+  stdout: function (entry) {
+    process.stdout.write(JSON.stringify(entry) + "\n");
+  },
+
+  memory: function (entry) {
+    logged.push(entry);
+  },
+};
+
+let output = outputs[LOG_OUTPUT] || outputs.stdout;
+let threshold = LEVELS[LOG_LEVEL] || LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+/** Use a different output: the name of a built-in one, or a function given
+ * each entry. */
+
+function setOutput(nameOrFn) {
+  if (typeof nameOrFn === "function") {
+    output = nameOrFn;
+  } else if (outputs[nameOrFn]) {
+    output = outputs[nameOrFn];
+  } else {
+    throw new Error(`Unknown log output: ${nameOrFn}`);
+  }
+}
+
+/** Only write entries of level or above from now on. */
+
+function setLevel(level) {
+  if (!LEVELS[level]) throw new Error(`Unknown log level: ${level}`);
+  threshold = LEVELS[level];
+}
+
+/** Run fn with fields added to every entry written while it runs (including
+ * from anything async it starts); returns what fn does. */
+
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function log(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+
+  const entry = { level, time: new Date().toISOString(), msg, ...context.getStore(), ...fields };
+  if (entry.err instanceof Error) {
+    const { message, code, stack } = entry.err;
+    entry.err = { message, code, stack };
+  }
+
+  output(entry);
+}
+
+/** Start timing something; returns a function giving the milliseconds since. */
+
+function startTimer() {
+  const start = process.hrtime.bigint();
+  return () => Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+module.exports = {
+  debug: (msg, fields) => log("debug", msg, fields),
+  info: (msg, fields) => log("info", msg, fields),
+  warn: (msg, fields) => log("warn", msg, fields),
+  error: (msg, fields) => log("error", msg, fields),
+  withLogContext,
+  setOutput,
+  setLevel,
+  startTimer,
+  logged,
+  LEVELS,
+};
@@ -0,0 +1,72 @@
+"use strict";
+
+const logger = require("./logger");
+
+afterEach(function () {
+  logger.setOutput("memory");
+  logger.setLevel("info");
+  logger.logged.length = 0;
+});
+
+describe("logging", function () {
+  test("works: memory output is used in tests", function () {
+    logger.info("hello", { n: 1 });
+    expect(logger.logged).toEqual([
+      { level: "info", time: expect.any(String), msg: "hello", n: 1 },
+    ]);
+  });
+
+  test("drops entries below the level", function () {
+    logger.debug("hidden");
+    logger.setLevel("debug");
+    logger.debug("shown");
+    logger.setLevel("error");
+    logger.warn("hidden");
+    expect(logger.logged.map(e => e.msg)).toEqual(["shown"]);
+  });
+
+  test("errors are written with their message and stack", function () {
+    const err = new Error("oops");
+    err.code = "E1";
+    logger.error("failed", { err });
+    expect(logger.logged[0].err).toEqual({ message: "oops", code: "E1", stack: err.stack });
+  });
+
+  test("custom output", function () {
+    const lines = [];
+    logger.setOutput(entry => lines.push(entry));
+    logger.warn("careful");
+    expect(lines.length).toEqual(1);
+    expect(logger.logged.length).toEqual(0);
+  });
+
+  test("unknown output or level throws", function () {
+    expect(() => logger.setOutput("carrier pigeon")).toThrow();
+    expect(() => logger.setLevel("loud")).toThrow();
+  });
+});
+
+describe("withLogContext", function () {
+  test("adds fields to everything logged inside, even after awaiting", async function () {
+    await logger.withLogContext({ requestId: "r1" }, async function () {
+      logger.info("before");
+      await new Promise(resolve => setTimeout(resolve, 1));
+      await logger.withLogContext({ step: 2 }, async () => logger.info("nested"));
+    });
+    logger.info("outside");
+
+    expect(logger.logged.map(({ msg, requestId, step }) => ({ msg, requestId, step }))).toEqual([
+      { msg: "before", requestId: "r1", step: undefined },
+      { msg: "nested", requestId: "r1", step: 2 },
+      { msg: "outside", requestId: undefined, step: undefined },
+    ]);
+  });
+});
+
+describe("startTimer", function () {
+  test("works", async function () {
+    const elapsed = logger.startTimer();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(elapsed()).toBeGreaterThanOrEqual(4);
+  });
+});
@@ -0,0 +1,55 @@
+"use strict";
+
+/** Sending email.
+ *
+ * Mail goes through a transport: an async function given the message
+ * { from, to, subject, text }. The built-in ones are picked by MAIL_TRANSPORT
+ * in config.js; a real provider can be plugged in with setTransport().
+ */
+
+const fs = require("fs");
+const logger = require("./logger");
+const { MAIL_TRANSPORT, MAIL_FILE, MAIL_FROM } = require("../config");
+
+/** Messages sent with the "memory" transport, oldest first. */
+
+const outbox = [];
+
+const transports = {
+  // logs that a message was sent, but not its text, which can have reset
+  // and verification tokens in it
+  console: async function ({ to, subject }) {
+    logger.info("mail", { to, subject });
+  },
+
+  file: async function (message) {
+    await fs.promises.appendFile(
+        MAIL_FILE, JSON.stringify({ ...message, sentAt: new Date() }) + "\n");
+  },
+
+  memory: async function (message) {
+    outbox.push(message);
+  },
+};
+
+let transport = transports[MAIL_TRANSPORT] || transports.console;
+
+/** Use a different transport: the name of a built-in one, or a function. */
+
+function setTransport(nameOrFn) {
+  if (typeof nameOrFn === "function") {
+    transport = nameOrFn;
+  } else if (transports[nameOrFn]) {
+    transport = transports[nameOrFn];
+  } else {
+    throw new Error(`Unknown mail transport: ${nameOrFn}`);
+  }
+}
+
+/** Send { to, subject, text }; resolves once the transport has taken it. */
+
+async function sendMail({ to, subject, text }) {
+  await transport({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = { sendMail, setTransport, outbox };
@@ -0,0 +1,41 @@
+const { sendMail, setTransport, outbox } = require("./mail");
+const logger = require("./logger");
+
+afterEach(function () {
+  setTransport("memory");
+  outbox.length = 0;
+});
+
+describe("sendMail", function () {
+  test("works: memory transport is used in tests", async function () {
+    await sendMail({ to: "a@b.com", subject: "Hi", text: "Hello" });
+    expect(outbox).toEqual([{
+      from: expect.any(String),
+      to: "a@b.com",
+      subject: "Hi",
+      text: "Hello",
+    }]);
+  });
+
+  test("works: custom transport", async function () {
+    const sent = [];
+    setTransport(async message => sent.push(message));
+    await sendMail({ to: "a@b.com", subject: "Hi", text: "Hello" });
+    expect(sent.length).toEqual(1);
+    expect(outbox.length).toEqual(0);
+  });
+
+  test("works: console transport logs without the text", async function () {
+    logger.logged.length = 0;
+    setTransport("console");
+    await sendMail({ to: "a@b.com", subject: "Hi", text: "Your token: secret" });
+    expect(logger.logged).toEqual([
+      expect.objectContaining({ level: "info", msg: "mail", to: "a@b.com", subject: "Hi" }),
+    ]);
+    expect(JSON.stringify(logger.logged)).not.toContain("secret");
+  });
+
+  test("unknown transport name throws", function () {
+    expect(() => setTransport("pigeon")).toThrow();
+  });
+});
@@ -0,0 +1,182 @@
+"use strict";
+
+/** Metrics, for Prometheus to scrape from GET /metrics.
+ *
+ * A metric is a Counter (only goes up), Gauge (set to the current value) or
+ * Histogram (counts observations into buckets), with a fixed list of label
+ * names; each combination of label values seen is a series of its own. So
+ * labels must only take a few values each: a route pattern like
+ * /companies/:handle, never the path itself.
+ *
+ * render() gives every metric in Prometheus's text format (version 0.0.4).
+ *
+ * The app's metrics are made here, at the bottom, and updated by the code
+ * they're about.
+ */
+
+const events = require("./events");
+
+/** Every metric made, in the order they're rendered. */
+
+const registry = [];
+
+/** Default histogram buckets, in seconds. */
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+/** '{a="1",b="2"}' for names and values; "" if there are none. */
+
+function labelText(names, values) {
+  if (!names.length) return "";
+  return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(",")}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    registry.push(this);
+  }
+
+  /** The series for labels ({ name: value }), made with create() if new. */
+
+  seriesFor(labels, create) {
+    const values = this.labelNames.map(name => labels[name] === undefined ? "" : String(labels[name]));
+    const key = values.join("\u0000");
+    if (!this.series.has(key)) this.series.set(key, { values, ...create() });
+    return this.series.get(key);
+  }
+
+  /** Forget every series (used by the tests). */
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    // an unlabelled counter or gauge is 0 until something happens
+    if (!this.series.size && !this.labelNames.length && this.type !== "histogram") {
+      lines.push(`${this.name} 0`);
+    }
+    for (let series of this.series.values()) lines.push(...this.renderSeries(series));
+    return lines.join("\n");
+  }
+
+  renderSeries({ values, value }) {
+    return [`${this.name}${labelText(this.labelNames, values)} ${value}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () =>
+      ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries({ values, counts, sum, count }) {
+    const names = [...this.labelNames, "le"];
+    return [
+      ...this.buckets.map((le, i) =>
+        `${this.name}_bucket${labelText(names, [...values, le])} ${counts[i]}`),
+      `${this.name}_bucket${labelText(names, [...values, "+Inf"])} ${count}`,
+      `${this.name}_sum${labelText(this.labelNames, values)} ${sum}`,
+      `${this.name}_count${labelText(this.labelNames, values)} ${count}`,
+    ];
+  }
+}
+
+/** Every metric, in Prometheus's text format. */
+
+function render() {
+  return registry.map(metric => metric.render()).join("\n\n") + "\n";
+}
+
+
+/* The app's metrics */
+
+const httpRequests = new Counter(
+    "http_requests_total", "Requests answered, by route and status.",
+    ["method", "route", "status"]);
+
+const httpRequestDuration = new Histogram(
+    "http_request_duration_seconds", "How long requests took to answer, by route and status.",
+    ["method", "route", "status"]);
+
+const dbQueryDuration = new Histogram(
+    "db_query_duration_seconds", "How long database queries took, by whether they failed.",
+    ["outcome"]);
+
+const dbPoolConnections = new Gauge(
+    "db_pool_connections", "Database connections: total and idle open, and queries waiting for one.",
+    ["state"]);
+
+const dbPoolMax = new Gauge(
+    "db_pool_max_connections", "Most database connections the pool will open.");
+
+const jobsCreated = new Counter(
+    "jobly_jobs_created_total", "Jobs posted.");
+
+const applicationsSubmitted = new Counter(
+    "jobly_applications_submitted_total", "Applications made to jobs.");
+
+const logins = new Counter(
+    "jobly_logins_total", "Username and password checks, by outcome: succeeded, failed or locked.",
+    ["outcome"]);
+
+events.subscribe("job.created", () => jobsCreated.inc());
+events.subscribe("application.created", () => applicationsSubmitted.inc());
+
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  render,
+  registry,
+  httpRequests,
+  httpRequestDuration,
+  dbQueryDuration,
+  dbPoolConnections,
+  dbPoolMax,
+  jobsCreated,
+  applicationsSubmitted,
+  logins,
+};
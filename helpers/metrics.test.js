@@ -0,0 +1,68 @@
+"use strict";
+
+const { Counter, Gauge, Histogram, registry } = require("./metrics");
+
+/* Metrics made here are taken back out of the registry afterwards */
+
+const made = [];
+
+function make(Metric, ...args) {
+  const metric = new Metric(...args);
+  made.push(metric);
+  return metric;
+}
+
+afterEach(function () {
+  for (let metric of made.splice(0)) registry.splice(registry.indexOf(metric), 1);
+});
+
+describe("Counter", function () {
+  test("works", function () {
+    const counter = make(Counter, "test_things_total", "Things.", ["kind"]);
+    counter.inc({ kind: "a" });
+    counter.inc({ kind: "a" }, 2);
+    counter.inc({ kind: "b" });
+    expect(counter.render()).toEqual([
+      "# HELP test_things_total Things.",
+      "# TYPE test_things_total counter",
+      'test_things_total{kind="a"} 3',
+      'test_things_total{kind="b"} 1',
+    ].join("\n"));
+  });
+
+  test("without labels, starts at 0", function () {
+    const counter = make(Counter, "test_others_total", "Others.");
+    expect(counter.render()).toContain("\ntest_others_total 0");
+  });
+
+  test("escapes label values", function () {
+    const counter = make(Counter, "test_escaped_total", "Escaped.", ["v"]);
+    counter.inc({ v: 'a"b\\c\nd' });
+    expect(counter.render()).toContain('test_escaped_total{v="a\\"b\\\\c\\nd"} 1');
+  });
+});
+
+describe("Gauge", function () {
+  test("works", function () {
+    const gauge = make(Gauge, "test_level", "Level.", ["tank"]);
+    gauge.set({ tank: "1" }, 5);
+    gauge.set({ tank: "1" }, 3);
+    expect(gauge.render()).toContain('test_level{tank="1"} 3');
+  });
+});
+
+describe("Histogram", function () {
+  test("works", function () {
+    const histogram = make(Histogram, "test_seconds", "Seconds.", ["op"], [0.1, 1]);
+    histogram.observe({ op: "x" }, 0.05);
+    histogram.observe({ op: "x" }, 0.5);
+    histogram.observe({ op: "x" }, 2);
+    expect(histogram.render().split("\n").slice(2)).toEqual([
+      'test_seconds_bucket{op="x",le="0.1"} 1',
+      'test_seconds_bucket{op="x",le="1"} 2',
+      'test_seconds_bucket{op="x",le="+Inf"} 3',
+      'test_seconds_sum{op="x"} 2.55',
+      'test_seconds_count{op="x"} 3',
+    ]);
+  });
+});
@@ -0,0 +1,266 @@
+"use strict";
+
+/** Versioned schema migrations.
+ *
+ * The schema is built up by the SQL files in migrations/, in version order:
+ *
+ *   0001_initial.up.sql     -> makes the change
+ *   0001_initial.down.sql   -> undoes it
+ *
+ * Which ones a database has had is kept in its schema_migrations table, with
+ * a checksum of each up file so an edited, already-applied migration shows up
+ * in status. To change the schema, add the next numbered pair of files;
+ * never edit one that has been applied somewhere.
+ *
+ * Each migration runs in its own transaction, so a failing one leaves the
+ * database as it was before it. A Postgres advisory lock keeps two runners
+ * from migrating the same database at once.
+ *
+ * Since the lock and the transactions belong to a connection, the functions
+ * here take one connection (a pg Client, e.g. from db.connect()), not the
+ * pool.
+ *
+ * See migrate.js for the command line (npm run migrate, migrate:down and
+ * migrate:status).
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const MIGRATIONS_TABLE = "schema_migrations";
+
+const FILE_PATTERN = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+/** Key for pg_advisory_lock, held while migrating. */
+
+const LOCK_KEY = 5610516;
+
+/** Read the migrations in dir, oldest first.
+ *
+ * Returns [{ version, name, up, down, checksum }, ...], where up and down are
+ * SQL (down is null if there's no down file) and version is the number in the
+ * file name, as a string.
+ *
+ * Throws if a version is used twice or has no up file.
+ */
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (let file of fs.readdirSync(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(Number(version)) || { version, name, up: null, down: null };
+
+    if (migration.name !== name || migration[direction] !== null) {
+      throw new Error(`Migration ${version} is defined twice (${file})`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), "utf8");
+    byVersion.set(Number(version), migration);
+  }
+
+  return [...byVersion.keys()].sort((a, b) => a - b).map(key => {
+    const migration = byVersion.get(key);
+    if (migration.up === null) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+    }
+    return { ...migration, checksum: checksum(migration.up) };
+  });
+}
+
+function checksum(sql) {
+  return crypto.createHash("sha256").update(sql).digest("hex");
+}
+
+async function ensureTable(db, table) {
+  await db.query(
+        `CREATE TABLE IF NOT EXISTS ${table} (
+           version TEXT PRIMARY KEY,
+           name TEXT NOT NULL,
+           checksum TEXT NOT NULL,
+           applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+         )`);
+}
+
+/** The migrations db has had, as a Map of
+ * Number(version) -> { version, name, checksum, appliedAt }. */
+
+async function appliedMigrations(db, table) {
+  const result = await db.query(
+        `SELECT version, name, checksum, applied_at AS "appliedAt"
+         FROM ${table}`);
+  return new Map(result.rows.map(row => [Number(row.version), row]));
+}
+
+function checkTableName(table) {
+  if (!/^\w+$/.test(table)) throw new Error(`Bad migrations table name: ${table}`);
+}
+
+/** Run fn holding the migration lock, with the tracking table in place. */
+
+async function withLock(db, table, fn) {
+  checkTableName(table);
+
+  await db.query(`SELECT pg_advisory_lock($1)`, [LOCK_KEY]);
+  try {
+    await ensureTable(db, table);
+    return await fn();
+  } finally {
+    await db.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]);
+  }
+}
+
+/** Run one migration's SQL in a transaction, recording it with record(). */
+
+async function runMigration(db, migration, sql, record) {
+  await db.query("BEGIN");
+  try {
+    await db.query(sql);
+    await record();
+    await db.query("COMMIT");
+  } catch (err) {
+    await db.query("ROLLBACK");
+    err.message = `Migration ${migration.version}_${migration.name} failed: ${err.message}`;
+    throw err;
+  }
+}
+
+/** Where each migration stands.
+ *
+ * Returns [{ version, name, state, appliedAt }, ...] by version, where state
+ * is "applied", "pending", "changed" (applied, but the up file has been
+ * edited since) or "missing" (applied, but its files are gone).
+ **/
+
+async function migrationStatus(db, { dir = MIGRATIONS_DIR, table = MIGRATIONS_TABLE } = {}) {
+  return withLock(db, table, async () =>
+    statusOf(loadMigrations(dir), await appliedMigrations(db, table)));
+}
+
+/** Like migrationStatus, but read without taking the lock (or creating the
+ * table), so it's quick even while a migration runs, and db can be the pool.
+ * A migration still running shows as pending. Used by GET /ready.
+ **/
+
+async function readMigrationStatus(db, { dir = MIGRATIONS_DIR, table = MIGRATIONS_TABLE } = {}) {
+  checkTableName(table);
+
+  // a database that's never been migrated has no table yet
+  const exists = await db.query(`SELECT to_regclass($1) IS NOT NULL AS "exists"`, [table]);
+  const applied = exists.rows[0].exists ? await appliedMigrations(db, table) : new Map();
+
+  return statusOf(loadMigrations(dir), applied);
+}
+
+/** Each migration's status, given the applied ones (which it empties). */
+
+function statusOf(migrations, applied) {
+  const statuses = migrations.map(({ version, name, checksum }) => {
+    const row = applied.get(Number(version));
+    if (!row) return { version, name, state: "pending", appliedAt: null };
+
+    applied.delete(Number(version));
+    const state = row.checksum === checksum ? "applied" : "changed";
+    return { version, name, state, appliedAt: row.appliedAt };
+  });
+
+  for (let { version, name, appliedAt } of applied.values()) {
+    statuses.push({ version, name, state: "missing", appliedAt });
+  }
+
+  return statuses.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/** Apply every pending migration, oldest first -- or only those up to and
+ * including version to.
+ *
+ * Returns the migrations applied, [{ version, name }, ...].
+ **/
+
+async function migrateUp(db, { dir = MIGRATIONS_DIR, table = MIGRATIONS_TABLE, to } = {}) {
+  return withLock(db, table, async () => {
+    const applied = await appliedMigrations(db, table);
+    const pending = loadMigrations(dir).filter(m =>
+        !applied.has(Number(m.version)) && (to === undefined || Number(m.version) <= Number(to)));
+
+    for (let migration of pending) {
+      await runMigration(db, migration, migration.up, () => db.query(
+            `INSERT INTO ${table} (version, name, checksum)
+             VALUES ($1, $2, $3)`,
+          [migration.version, migration.name, migration.checksum]));
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/** Record every pending migration up to and including version to as
+ * applied, without running it: for a database whose schema was made before
+ * there were migrations (from jobly-schema.sql, which is 0001_initial).
+ *
+ * Returns the migrations recorded, [{ version, name }, ...].
+ **/
+
+async function markApplied(db, { dir = MIGRATIONS_DIR, table = MIGRATIONS_TABLE, to }) {
+  return withLock(db, table, async () => {
+    const applied = await appliedMigrations(db, table);
+    const pending = loadMigrations(dir).filter(m =>
+        !applied.has(Number(m.version)) && Number(m.version) <= Number(to));
+
+    for (let migration of pending) {
+      await db.query(
+            `INSERT INTO ${table} (version, name, checksum)
+             VALUES ($1, $2, $3)`,
+          [migration.version, migration.name, migration.checksum]);
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/** Undo the newest steps applied migrations, newest first.
+ *
+ * Returns the migrations undone, [{ version, name }, ...].
+ *
+ * Throws, before undoing anything, if one of them has no down file (or no
+ * files at all any more).
+ **/
+
+async function migrateDown(db, { dir = MIGRATIONS_DIR, table = MIGRATIONS_TABLE, steps = 1 } = {}) {
+  return withLock(db, table, async () => {
+    const migrations = new Map(loadMigrations(dir).map(m => [Number(m.version), m]));
+    const applied = await appliedMigrations(db, table);
+    const versions = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+    const toUndo = versions.map(version => {
+      const migration = migrations.get(version);
+      if (!migration || migration.down === null) {
+        const row = applied.get(version);
+        throw new Error(`Migration ${row.version}_${row.name} can't be undone: no .down.sql file`);
+      }
+      return migration;
+    });
+
+    for (let migration of toUndo) {
+      await runMigration(db, migration, migration.down, () => db.query(
+            `DELETE FROM ${table} WHERE version = $1`,
+          [migration.version]));
+    }
+
+    return toUndo.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationStatus,
+  readMigrationStatus,
+  migrateUp,
+  migrateDown,
+  markApplied,
+};
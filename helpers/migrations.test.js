@@ -0,0 +1,178 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const db = require("../db");
+const {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationStatus,
+  readMigrationStatus,
+  migrateUp,
+  migrateDown,
+  markApplied,
+} = require("./migrations");
+
+/* Test migrations go in a temporary directory and are tracked in their own
+   table, so the test database's real schema is left alone. */
+
+const table = "migration_test_versions";
+let dir;
+let client;
+
+function writeMigrations(files) {
+  for (let [file, sql] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), sql);
+  }
+}
+
+async function tableColumns(name) {
+  const result = await client.query(
+        `SELECT column_name FROM information_schema.columns
+         WHERE table_name = $1 ORDER BY ordinal_position`,
+      [name]);
+  return result.rows.map(r => r.column_name);
+}
+
+async function dropTestTables() {
+  await client.query(`DROP TABLE IF EXISTS migration_test_things, migration_test_broken, ${table}`);
+}
+
+beforeAll(async function () {
+  client = await db.connect();
+});
+
+beforeEach(async function () {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-migrations-"));
+  writeMigrations({
+    "0001_things.up.sql": "CREATE TABLE migration_test_things (id INTEGER);",
+    "0001_things.down.sql": "DROP TABLE migration_test_things;",
+    "0002_thing_names.up.sql": "ALTER TABLE migration_test_things ADD COLUMN name TEXT;",
+    "0002_thing_names.down.sql": "ALTER TABLE migration_test_things DROP COLUMN name;",
+    "notes.txt": "not a migration",
+  });
+  await dropTestTables();
+});
+
+afterEach(function () {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+afterAll(async function () {
+  await dropTestTables();
+  client.release();
+  await db.end();
+});
+
+/************************************** loadMigrations */
+
+describe("loadMigrations", function () {
+  test("works", function () {
+    expect(loadMigrations(dir)).toEqual([
+      {
+        version: "0001",
+        name: "things",
+        up: "CREATE TABLE migration_test_things (id INTEGER);",
+        down: "DROP TABLE migration_test_things;",
+        checksum: expect.any(String),
+      },
+      expect.objectContaining({ version: "0002", name: "thing_names" }),
+    ]);
+  });
+
+  test("the app's own migrations load", function () {
+    const migrations = loadMigrations(MIGRATIONS_DIR);
+    expect(migrations[0]).toEqual(expect.objectContaining({ version: "0001", name: "initial" }));
+    expect(migrations.every(m => m.down !== null)).toBe(true);
+  });
+
+  test("fails for a version used twice", function () {
+    writeMigrations({ "0002_other.up.sql": "SELECT 1;" });
+    expect(() => loadMigrations(dir)).toThrow("Migration 0002 is defined twice");
+  });
+
+  test("fails for a down without an up", function () {
+    writeMigrations({ "0003_lonely.down.sql": "SELECT 1;" });
+    expect(() => loadMigrations(dir)).toThrow("0003_lonely has no .up.sql file");
+  });
+});
+
+/************************************** migrateUp / migrateDown / migrationStatus */
+
+describe("migrating", function () {
+  test("up, status and down", async function () {
+    expect(await migrateUp(client, { dir, table })).toEqual([
+      { version: "0001", name: "things" },
+      { version: "0002", name: "thing_names" },
+    ]);
+    expect(await tableColumns("migration_test_things")).toEqual(["id", "name"]);
+    expect(await migrateUp(client, { dir, table })).toEqual([]);
+
+    expect(await migrationStatus(client, { dir, table })).toEqual([
+      { version: "0001", name: "things", state: "applied", appliedAt: expect.any(Date) },
+      { version: "0002", name: "thing_names", state: "applied", appliedAt: expect.any(Date) },
+    ]);
+
+    expect(await migrateDown(client, { dir, table })).toEqual([{ version: "0002", name: "thing_names" }]);
+    expect(await tableColumns("migration_test_things")).toEqual(["id"]);
+
+    expect(await migrateDown(client, { dir, table, steps: 5 })).toEqual([{ version: "0001", name: "things" }]);
+    expect(await tableColumns("migration_test_things")).toEqual([]);
+    expect(await migrateDown(client, { dir, table })).toEqual([]);
+  });
+
+  test("up to a version", async function () {
+    expect(await migrateUp(client, { dir, table, to: "1" })).toEqual([{ version: "0001", name: "things" }]);
+    expect((await migrationStatus(client, { dir, table })).map(m => m.state)).toEqual(["applied", "pending"]);
+  });
+
+  test("read status, without the lock or the table", async function () {
+    expect((await readMigrationStatus(client, { dir, table })).map(m => m.state))
+        .toEqual(["pending", "pending"]);
+    expect(await tableColumns(table)).toEqual([]);
+
+    await migrateUp(client, { dir, table, to: "1" });
+    expect(await readMigrationStatus(client, { dir, table }))
+        .toEqual(await migrationStatus(client, { dir, table }));
+  });
+
+  test("status shows changed and missing migrations", async function () {
+    await migrateUp(client, { dir, table });
+    writeMigrations({ "0002_thing_names.up.sql": "-- edited\nALTER TABLE migration_test_things ADD COLUMN name TEXT;" });
+    fs.unlinkSync(path.join(dir, "0001_things.up.sql"));
+    fs.unlinkSync(path.join(dir, "0001_things.down.sql"));
+
+    expect((await migrationStatus(client, { dir, table })).map(m => [m.version, m.state])).toEqual([
+      ["0001", "missing"],
+      ["0002", "changed"],
+    ]);
+  });
+
+  test("a failing migration is rolled back, keeping the ones before it", async function () {
+    writeMigrations({
+      "0003_broken.up.sql": "CREATE TABLE migration_test_broken (id INTEGER); SELECT nope;",
+    });
+
+    await expect(migrateUp(client, { dir, table })).rejects.toThrow("Migration 0003_broken failed");
+    expect(await tableColumns("migration_test_broken")).toEqual([]);
+    expect((await migrationStatus(client, { dir, table })).map(m => m.state))
+        .toEqual(["applied", "applied", "pending"]);
+  });
+
+  test("marking applied, for a database made without migrations", async function () {
+    await client.query("CREATE TABLE migration_test_things (id INTEGER)");
+
+    expect(await markApplied(client, { dir, table, to: "1" })).toEqual([{ version: "0001", name: "things" }]);
+    expect(await migrateUp(client, { dir, table })).toEqual([{ version: "0002", name: "thing_names" }]);
+    expect(await tableColumns("migration_test_things")).toEqual(["id", "name"]);
+  });
+
+  test("down fails, undoing nothing, without a down file", async function () {
+    await migrateUp(client, { dir, table });
+    fs.unlinkSync(path.join(dir, "0001_things.down.sql"));
+
+    await expect(migrateDown(client, { dir, table, steps: 2 })).rejects.toThrow("0001_things can't be undone");
+    expect(await tableColumns("migration_test_things")).toEqual(["id", "name"]);
+  });
+});
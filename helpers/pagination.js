@@ -0,0 +1,225 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/* Page size used when the client doesn't ask for one, and the most they may ask for */
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/* This file builds the SQL for paging through a sorted list, either with
+  limit/offset or with a cursor.
+
+  Each resource describes how it may be sorted with a "spec":
+
+    {
+      sortable: { title: "title", companyHandle: "company_handle", ... },
+      defaultSort: "companyHandle",
+      tiebreaker: "id",
+      types: { id: "integer", salary: "integer", equity: "numeric" },
+    }
+
+  sortable maps the names clients use in ?sort= (which are also the keys of the
+  returned rows) to SQL columns. The tiebreaker is a unique field that is
+  always sorted on last, so the order is total and cursors never skip or repeat
+  rows. types gives the type of each field that isn't text (see CURSOR_TYPES),
+  so cursors from clients can be checked before they reach the database.
+
+  A cursor is the sort values of the last row of a page, base64 encoded. The
+  next page is every row that sorts after it, which stays correct even when
+  rows are added or removed in between -- unlike an offset.
+*/
+
+/* How to tell that a value from a cursor fits each type in spec.types. Any of
+  them may also be null. Postgres NUMERIC comes back from pg as a string. */
+
+const CURSOR_TYPES = {
+  text: v => typeof v === "string",
+  integer: v => Number.isSafeInteger(v),
+  number: v => Number.isFinite(v),
+  numeric: v => Number.isFinite(v) || (typeof v === "string" && /^-?\d+(\.\d+)?$/.test(v)),
+  timestamp: v => typeof v === "string" && !isNaN(Date.parse(v)),
+};
+
+/** Turn ?sort= (like "-salary,title") into [{ field, column, desc, type }, ...].
+ *
+ * A leading "-" sorts that field descending. Throws BadRequestError for fields
+ * that aren't in spec.sortable.
+ */
+
+function parseSort(sort, spec) {
+  const typeOf = name => (spec.types && spec.types[name]) || "text";
+  const fields = (sort || spec.defaultSort).split(",").map(f => f.trim()).filter(f => f);
+  const sortKeys = [];
+
+  for (let field of fields) {
+    const desc = field.startsWith("-");
+    const name = desc ? field.slice(1) : field;
+
+    if (!spec.sortable[name]) {
+      throw new BadRequestError(
+          `Cannot sort by ${name}; allowed: ${Object.keys(spec.sortable).join(", ")}`);
+    }
+    if (!sortKeys.some(k => k.field === name)) {
+      sortKeys.push({ field: name, column: spec.sortable[name], desc, type: typeOf(name) });
+    }
+  }
+
+  if (!sortKeys.some(k => k.field === spec.tiebreaker)) {
+    sortKeys.push({
+      field: spec.tiebreaker,
+      column: spec.sortable[spec.tiebreaker],
+      desc: false,
+      type: typeOf(spec.tiebreaker),
+    });
+  }
+
+  return sortKeys;
+}
+
+/** Make the cursor pointing just past row. */
+
+function encodeCursor(row, sortKeys) {
+  const values = sortKeys.map(k => row[k.field] === undefined ? null : row[k.field]);
+  return Buffer.from(JSON.stringify(values)).toString("base64");
+}
+
+/** Read a cursor back into its sort values; throws BadRequestError if it
+ * wasn't made for this sort order, or a value isn't of its sort key's type. */
+
+function decodeCursor(cursor, sortKeys) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, "base64").toString());
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  if (!Array.isArray(values) || values.length !== sortKeys.length
+      || values.some((v, i) => v !== null && !CURSOR_TYPES[sortKeys[i].type](v))) {
+    throw new BadRequestError("Invalid cursor for this sort order");
+  }
+
+  return values;
+}
+
+/** Read a whole number query param; throws BadRequestError if it isn't one
+ * between min and max. */
+
+function parseIntParam(name, value, min, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new BadRequestError(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return n;
+}
+
+/* Builds the SQL for one page. Takes the paging params from the query string
+  ({ limit, offset, cursor, sort }), the resource's spec, and how many
+  sanitized values the query already uses (so placeholders carry on from there).
+
+  Returns:
+    cursorSql -> a condition selecting the rows after the cursor ("" if no cursor)
+    orderBySql -> "ORDER BY ..."
+    limitSql -> "LIMIT $n OFFSET $m"; one extra row is fetched to tell if there is a next page
+    values -> the sanitized values for the placeholders above, in order
+    sortKeys, limit -> needed again by pageOf()
+*/
+
+function paginationSql({ limit, offset, cursor, sort } = {}, spec, valuesSoFar = 0) {
+  const sortKeys = parseSort(sort, spec);
+  const pageLimit = limit === undefined ? DEFAULT_LIMIT : parseIntParam("limit", limit, 1, MAX_LIMIT);
+  const pageOffset = offset === undefined ? 0 : parseIntParam("offset", offset, 0, Number.MAX_SAFE_INTEGER);
+
+  if (cursor !== undefined && offset !== undefined) {
+    throw new BadRequestError("Use either cursor or offset, not both");
+  }
+
+  const values = [];
+  const param = value => {
+    values.push(value);
+    return `$${valuesSoFar + values.length}`;
+  };
+
+  let cursorSql = "";
+  if (cursor !== undefined) {
+    const cursorValues = decodeCursor(cursor, sortKeys);
+
+    /* A row is after the cursor if it ties on the first i - 1 keys and is after it on key i,
+       for some i. Postgres sorts NULLs last ascending and first descending. */
+    const alternatives = sortKeys.map((key, i) => {
+      const ties = sortKeys.slice(0, i).map((k, j) =>
+          cursorValues[j] === null ? `${k.column} IS NULL` : `${k.column} = ${param(cursorValues[j])}`);
+
+      const value = cursorValues[i];
+      let after;
+      if (key.desc) {
+        after = value === null ? `${key.column} IS NOT NULL` : `${key.column} < ${param(value)}`;
+      } else {
+        after = value === null ? "FALSE" : `(${key.column} > ${param(value)} OR ${key.column} IS NULL)`;
+      }
+
+      return `(${[...ties, after].join(" AND ")})`;
+    });
+
+    cursorSql = `(${alternatives.join(" OR ")})`;
+  }
+
+  const limitSql = `LIMIT ${param(pageLimit + 1)} OFFSET ${param(pageOffset)}`;
+
+  return { cursorSql, orderBySql: orderBySql(sortKeys), limitSql, values, sortKeys, limit: pageLimit };
+}
+
+/** "ORDER BY ..." for sort keys from parseSort. */
+
+function orderBySql(sortKeys) {
+  return "ORDER BY " + sortKeys.map(k => `${k.column}${k.desc ? " DESC" : ""}`).join(", ");
+}
+
+/** Add condition to a "WHERE ..." string (which may be empty). */
+
+function combineWhere(whereSql, condition) {
+  if (!condition) return whereSql || "";
+  return whereSql ? `${whereSql} AND ${condition}` : `WHERE ${condition}`;
+}
+
+/** Trim the extra row paginationSql asked for.
+ *
+ * Returns { rows, nextCursor }, where nextCursor is null on the last page.
+ */
+
+function pageOf(rows, { sortKeys, limit }) {
+  if (rows.length <= limit) return { rows, nextCursor: null };
+
+  const pageRows = rows.slice(0, limit);
+  return { rows: pageRows, nextCursor: encodeCursor(pageRows[pageRows.length - 1], sortKeys) };
+}
+
+/** Links for a list response: this page, and the next one (null on the last
+ * page), keeping the rest of the query string. */
+
+function pageLinks(req, nextCursor) {
+  const [path, queryString] = req.originalUrl.split("?");
+  let next = null;
+
+  if (nextCursor) {
+    const params = new URLSearchParams(queryString || "");
+    params.delete("offset");
+    params.set("cursor", nextCursor);
+    next = `${path}?${params}`;
+  }
+
+  return { self: req.originalUrl, next };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  paginationSql,
+  orderBySql,
+  combineWhere,
+  pageOf,
+  pageLinks,
+};
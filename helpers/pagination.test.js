@@ -0,0 +1,132 @@
+const { BadRequestError } = require("../expressError");
+const {
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  paginationSql,
+  combineWhere,
+  pageOf,
+  pageLinks,
+} = require("./pagination");
+
+const spec = {
+  sortable: { id: "id", title: "title", salary: "salary" },
+  defaultSort: "title",
+  tiebreaker: "id",
+  types: { id: "integer", salary: "integer" },
+};
+
+describe("parseSort", function () {
+  test("default sort plus tiebreaker", function () {
+    expect(parseSort(undefined, spec)).toEqual([
+      { field: "title", column: "title", desc: false, type: "text" },
+      { field: "id", column: "id", desc: false, type: "integer" },
+    ]);
+  });
+
+  test("descending fields", function () {
+    expect(parseSort("-salary,title", spec)).toEqual([
+      { field: "salary", column: "salary", desc: true, type: "integer" },
+      { field: "title", column: "title", desc: false, type: "text" },
+      { field: "id", column: "id", desc: false, type: "integer" },
+    ]);
+  });
+
+  test("bad request for unknown field", function () {
+    expect(() => parseSort("nope", spec)).toThrow(BadRequestError);
+  });
+});
+
+describe("cursors", function () {
+  test("round trip", function () {
+    const sortKeys = parseSort("-salary", spec);
+    const cursor = encodeCursor({ id: 3, salary: null, title: "t" }, sortKeys);
+    expect(decodeCursor(cursor, sortKeys)).toEqual([null, 3]);
+  });
+
+  test("bad request for garbage or mismatched cursor", function () {
+    const sortKeys = parseSort("title", spec);
+    expect(() => decodeCursor("not a cursor", sortKeys)).toThrow(BadRequestError);
+    const other = encodeCursor({ id: 1 }, parseSort("id", spec));
+    expect(() => decodeCursor(other, sortKeys)).toThrow(BadRequestError);
+  });
+
+  test("bad request for values that don't fit the sort keys", function () {
+    const sortKeys = parseSort("title", spec);
+    const cursor = values => Buffer.from(JSON.stringify(values)).toString("base64");
+    expect(decodeCursor(cursor(["t", 1]), sortKeys)).toEqual(["t", 1]);
+    expect(() => decodeCursor(cursor({ 0: "t", 1: 1 }), sortKeys)).toThrow(BadRequestError);
+    expect(() => decodeCursor(cursor(["t", "1"]), sortKeys)).toThrow(BadRequestError);
+    expect(() => decodeCursor(cursor(["t", 1.5]), sortKeys)).toThrow(BadRequestError);
+    expect(() => decodeCursor(cursor([{ a: 1 }, 1]), sortKeys)).toThrow(BadRequestError);
+    expect(() => decodeCursor(cursor([["t"], 1]), sortKeys)).toThrow(BadRequestError);
+  });
+
+  test("checks numeric and timestamp values", function () {
+    const typed = { ...spec, types: { ...spec.types, title: "numeric", salary: "timestamp" } };
+    const sortKeys = parseSort("title,salary", typed);
+    const cursor = values => Buffer.from(JSON.stringify(values)).toString("base64");
+    expect(decodeCursor(cursor(["0.5", "2021-01-01T00:00:00.000Z", 1]), sortKeys))
+        .toEqual(["0.5", "2021-01-01T00:00:00.000Z", 1]);
+    expect(decodeCursor(cursor([0.5, null, 1]), sortKeys)).toEqual([0.5, null, 1]);
+    expect(() => decodeCursor(cursor(["lots", null, 1]), sortKeys)).toThrow(BadRequestError);
+    expect(() => decodeCursor(cursor([null, "yesterday", 1]), sortKeys)).toThrow(BadRequestError);
+  });
+});
+
+describe("paginationSql", function () {
+  test("defaults", function () {
+    const result = paginationSql({}, spec, 2);
+    expect(result.cursorSql).toEqual("");
+    expect(result.orderBySql).toEqual("ORDER BY title, id");
+    expect(result.limitSql).toEqual("LIMIT $3 OFFSET $4");
+    expect(result.values).toEqual([21, 0]);
+  });
+
+  test("cursor condition", function () {
+    const sortKeys = parseSort("-salary", spec);
+    const cursor = encodeCursor({ id: 3, salary: 100 }, sortKeys);
+    const result = paginationSql({ cursor, sort: "-salary", limit: "5" }, spec);
+    expect(result.cursorSql).toEqual(
+        "((salary < $1) OR (salary = $2 AND (id > $3 OR id IS NULL)))");
+    expect(result.values).toEqual([100, 100, 3, 6, 0]);
+  });
+
+  test("bad request for bad limit or cursor with offset", function () {
+    expect(() => paginationSql({ limit: "0" }, spec)).toThrow(BadRequestError);
+    expect(() => paginationSql({ limit: "101" }, spec)).toThrow(BadRequestError);
+    expect(() => paginationSql({ limit: "abc" }, spec)).toThrow(BadRequestError);
+    expect(() => paginationSql({ offset: "1", cursor: "x" }, spec)).toThrow(BadRequestError);
+  });
+});
+
+describe("combineWhere", function () {
+  test("works", function () {
+    expect(combineWhere("", "")).toEqual("");
+    expect(combineWhere("", "a = 1")).toEqual("WHERE a = 1");
+    expect(combineWhere("WHERE b = 2", "a = 1")).toEqual("WHERE b = 2 AND a = 1");
+  });
+});
+
+describe("pageOf / pageLinks", function () {
+  test("last page has no cursor", function () {
+    const sortKeys = parseSort("id", spec);
+    expect(pageOf([{ id: 1 }], { sortKeys, limit: 1 })).toEqual({ rows: [{ id: 1 }], nextCursor: null });
+  });
+
+  test("extra row means a next page", function () {
+    const sortKeys = parseSort("id", spec);
+    const page = pageOf([{ id: 1 }, { id: 2 }], { sortKeys, limit: 1 });
+    expect(page.rows).toEqual([{ id: 1 }]);
+    expect(decodeCursor(page.nextCursor, sortKeys)).toEqual([1]);
+  });
+
+  test("links keep the query and drop offset", function () {
+    const req = { originalUrl: "/jobs?title=a&offset=2" };
+    expect(pageLinks(req, "abc")).toEqual({
+      self: "/jobs?title=a&offset=2",
+      next: "/jobs?title=a&cursor=abc",
+    });
+    expect(pageLinks(req, null).next).toBeNull();
+  });
+});
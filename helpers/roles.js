@@ -0,0 +1,69 @@
+"use strict";
+
+/** Roles and the permissions they grant.
+ *
+ * The role names themselves live in the roles table (and users get them via
+ * user_roles); what each role is allowed to do lives here, so checking a
+ * permission never needs a trip to the database -- the roles are already in
+ * the JWT.
+ *
+ * A user authenticated with an API key (see models/apiKey.js) also has
+ * scopes: a list of permissions, past which the key can't go whatever roles
+ * its owner holds.
+ *
+ * users:manage covers other users' accounts and roles, so whoever holds it
+ * can make themselves an admin.
+ */
+
+const PERMISSIONS = {
+  COMPANIES_WRITE: "companies:write",
+  JOBS_WRITE: "jobs:write",
+  JOBS_APPLY: "jobs:apply",
+  APPLICATIONS_REVIEW: "applications:review",
+  USERS_MANAGE: "users:manage",
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  recruiter: [
+    PERMISSIONS.JOBS_WRITE,
+    PERMISSIONS.APPLICATIONS_REVIEW,
+  ],
+  candidate: [
+    PERMISSIONS.JOBS_APPLY,
+  ],
+};
+
+/** Do user's scopes, if it has any, allow permission? */
+
+function inScope(user, permission) {
+  return !Array.isArray(user.scopes) || user.scopes.includes(permission);
+}
+
+/** Does this user (a token payload, e.g. res.locals.user) have role?
+ *
+ * With scopes, only if they allow everything the role grants: an admin's API
+ * key doesn't count as an admin unless it has every permission.
+ */
+
+function hasRole(user, role) {
+  if (!user || !Array.isArray(user.roles) || !user.roles.includes(role)) return false;
+  return (ROLE_PERMISSIONS[role] || []).every(permission => inScope(user, permission));
+}
+
+/** Does this user (a token payload) have permission through any of its
+ * roles (and its scopes, if it has any)? */
+
+function hasPermission(user, permission) {
+  if (!user || !Array.isArray(user.roles) || !inScope(user, permission)) return false;
+  return user.roles.some(role =>
+      (ROLE_PERMISSIONS[role] || []).includes(permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  inScope,
+  hasRole,
+  hasPermission,
+};
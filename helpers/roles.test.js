@@ -0,0 +1,55 @@
+const { hasRole, hasPermission, PERMISSIONS } = require("./roles");
+
+describe("hasRole", function () {
+  test("works", function () {
+    expect(hasRole({ username: "test", roles: ["admin"] }, "admin")).toEqual(true);
+    expect(hasRole({ username: "test", roles: ["candidate"] }, "admin")).toEqual(false);
+  });
+
+  test("false for no user or no roles", function () {
+    expect(hasRole(undefined, "admin")).toEqual(false);
+    expect(hasRole({ username: "test", isAdmin: true }, "admin")).toEqual(false);
+  });
+
+  test("with scopes, only if they cover the role", function () {
+    const allScopes = Object.values(PERMISSIONS);
+    expect(hasRole({ username: "test", roles: ["admin"], scopes: allScopes }, "admin")).toEqual(true);
+    expect(hasRole({ username: "test", roles: ["admin"], scopes: ["jobs:write"] }, "admin")).toEqual(false);
+  });
+});
+
+describe("hasPermission", function () {
+  test("admin has every permission", function () {
+    const admin = { username: "test", roles: ["admin"] };
+    for (let permission of Object.values(PERMISSIONS)) {
+      expect(hasPermission(admin, permission)).toEqual(true);
+    }
+  });
+
+  test("recruiter can write jobs but not companies", function () {
+    const recruiter = { username: "test", roles: ["recruiter"] };
+    expect(hasPermission(recruiter, PERMISSIONS.JOBS_WRITE)).toEqual(true);
+    expect(hasPermission(recruiter, PERMISSIONS.COMPANIES_WRITE)).toEqual(false);
+  });
+
+  test("permissions from several roles combine", function () {
+    const user = { username: "test", roles: ["candidate", "recruiter"] };
+    expect(hasPermission(user, PERMISSIONS.JOBS_APPLY)).toEqual(true);
+    expect(hasPermission(user, PERMISSIONS.JOBS_WRITE)).toEqual(true);
+  });
+
+  test("scopes limit the permissions", function () {
+    const key = { username: "test", roles: ["admin"], scopes: [PERMISSIONS.JOBS_WRITE] };
+    expect(hasPermission(key, PERMISSIONS.JOBS_WRITE)).toEqual(true);
+    expect(hasPermission(key, PERMISSIONS.COMPANIES_WRITE)).toEqual(false);
+  });
+
+  test("scopes don't add permissions", function () {
+    const key = { username: "test", roles: ["candidate"], scopes: [PERMISSIONS.JOBS_WRITE] };
+    expect(hasPermission(key, PERMISSIONS.JOBS_WRITE)).toEqual(false);
+  });
+
+  test("false for no user", function () {
+    expect(hasPermission(undefined, PERMISSIONS.JOBS_WRITE)).toEqual(false);
+  });
+});
@@ -1,18 +1,50 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_TTL } = require("../config");
 
-/** return signed JWT from user data. */
+/** return signed JWT from user data.
+ *
+ * user should include roles (see User.getRoles); isAdmin is kept in the
+ * payload for clients that still read it, but is derived from the roles.
+ *
+ * The token expires after ACCESS_TOKEN_TTL and carries a random id (jti) so
+ * it can be revoked before then.
+ */
 
 function createToken(user) {
-  console.assert(user.isAdmin !== undefined,
-      "createToken passed user without isAdmin property");
+  console.assert(Array.isArray(user.roles),
+      "createToken passed user without roles property");
+
+  const roles = user.roles || [];
 
   let payload = {
     username: user.username,
-    isAdmin: user.isAdmin || false,
+    isAdmin: roles.includes("admin"),
+    roles,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: generateOpaqueToken(16),
+  });
+}
+
+/** return a random, URL-safe (hex) string for tokens we store server-side,
+ * like refresh tokens. */
+
+function generateOpaqueToken(bytes = 48) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+/** return the SHA-256 hash of an opaque token.
+ *
+ * Only the hash goes in the database, so a leaked table can't be replayed.
+ * Opaque tokens are long and random, so a fast hash is fine here (unlike
+ * passwords, which use bcrypt).
+ */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
 }
 
-module.exports = { createToken };
+module.exports = { createToken, generateOpaqueToken, hashToken };
@@ -1,36 +1,73 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const { createToken, generateOpaqueToken, hashToken } = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
   test("works: not admin", function () {
-    const token = createToken({ username: "test", is_admin: false });
+    const token = createToken({ username: "test", roles: ["candidate"] });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      roles: ["candidate"],
     });
   });
 
   test("works: admin", function () {
-    const token = createToken({ username: "test", isAdmin: true });
+    const token = createToken({ username: "test", roles: ["admin", "candidate"] });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: true,
+      roles: ["admin", "candidate"],
     });
   });
 
-  test("works: default no admin", function () {
+  test("works: isAdmin alone does not make an admin", function () {
     // given the security risk if this didn't work, checking this specifically
-    const token = createToken({ username: "test" });
+    const token = createToken({ username: "test", isAdmin: true });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      roles: [],
     });
   });
 });
+
+describe("createToken expiry", function () {
+  test("expires after ACCESS_TOKEN_TTL", function () {
+    const token = createToken({ username: "test", roles: [] });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.exp).toBeGreaterThan(payload.iat);
+  });
+
+  test("each token gets its own id", function () {
+    const p1 = jwt.decode(createToken({ username: "test", roles: [] }));
+    const p2 = jwt.decode(createToken({ username: "test", roles: [] }));
+    expect(p1.jti).not.toEqual(p2.jti);
+  });
+});
+
+describe("generateOpaqueToken / hashToken", function () {
+  test("tokens are random hex", function () {
+    const t1 = generateOpaqueToken();
+    expect(t1).toMatch(/^[0-9a-f]{96}$/);
+    expect(generateOpaqueToken()).not.toEqual(t1);
+  });
+
+  test("hash is stable and not the token", function () {
+    const token = generateOpaqueToken();
+    expect(hashToken(token)).toEqual(hashToken(token));
+    expect(hashToken(token)).not.toEqual(token);
+  });
+});
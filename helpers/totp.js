@@ -0,0 +1,117 @@
+"use strict";
+
+/** Time-based one-time passwords (RFC 6238), as made by authenticator apps.
+ *
+ * A code is the HMAC-SHA1 of the number of 30 second steps since the epoch,
+ * keyed with a shared secret and cut down to 6 digits (RFC 4226). Secrets are
+ * passed around base32 encoded, as authenticator apps expect.
+ */
+
+const crypto = require("crypto");
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/** base32 (RFC 4648, without padding) of a buffer. */
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (let byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let out = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return out;
+}
+
+/** The buffer a base32 string encodes; case, spaces and padding are ignored. */
+
+function base32Decode(text) {
+  let bits = "";
+  for (let char of text.toUpperCase().replace(/[\s=]/g, "")) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) throw new Error(`Not base32: ${text}`);
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+/** A new random secret, base32 encoded (160 bits, as RFC 4226 recommends). */
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/** The time step a moment (ms since the epoch) falls in. */
+
+function stepAt(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/** The code for a secret at a time step. */
+
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/** The code for a secret at a time (ms since the epoch), default now. */
+
+function totp(secret, time = Date.now()) {
+  return codeAt(secret, stepAt(time));
+}
+
+/** Check a code for a secret, allowing window steps either side of now for
+ * clock drift.
+ *
+ * Returns the time step the code is for, or null if it doesn't match. Callers
+ * should remember the step and refuse codes at or before it, so a code can't
+ * be used twice.
+ */
+
+function verifyTotp(secret, code, { window = 1, time = Date.now() } = {}) {
+  code = String(code).replace(/\s/g, "");
+  if (!/^\d+$/.test(code) || code.length !== DIGITS) return null;
+
+  const now = stepAt(time);
+  for (let step = now - window; step <= now + window; step++) {
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step;
+  }
+  return null;
+}
+
+/** The otpauth:// URI authenticator apps read (usually from a QR code) to
+ * set up a secret for an account. */
+
+function provisioningUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  totp,
+  verifyTotp,
+  provisioningUri,
+  STEP_SECONDS,
+};
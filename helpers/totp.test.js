@@ -0,0 +1,76 @@
+"use strict";
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  totp,
+  verifyTotp,
+  provisioningUri,
+  STEP_SECONDS,
+} = require("./totp");
+
+// The SHA-1 secret from RFC 6238's test vectors: "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", function () {
+  test("round trips", function () {
+    const buffer = Buffer.from("hello, world");
+    expect(base32Encode(buffer)).toEqual("NBSWY3DPFQQHO33SNRSA");
+    expect(base32Decode("nbsw y3dp fqqh o33s nrsa====")).toEqual(buffer);
+  });
+
+  test("rejects other characters", function () {
+    expect(() => base32Decode("ABC1")).toThrow();
+  });
+});
+
+describe("generateSecret", function () {
+  test("is 160 random bits", function () {
+    const secret = generateSecret();
+    expect(base32Decode(secret).length).toEqual(20);
+    expect(generateSecret()).not.toEqual(secret);
+  });
+});
+
+describe("totp", function () {
+  test("matches RFC 6238's test vectors", function () {
+    // the RFC gives 8 digit codes; ours are their last 6
+    expect(totp(RFC_SECRET, 59 * 1000)).toEqual("287082");
+    expect(totp(RFC_SECRET, 1111111109 * 1000)).toEqual("081804");
+    expect(totp(RFC_SECRET, 1234567890 * 1000)).toEqual("005924");
+    expect(totp(RFC_SECRET, 20000000000 * 1000)).toEqual("353130");
+  });
+});
+
+describe("verifyTotp", function () {
+  const time = 1234567890 * 1000;
+  const step = Math.floor(1234567890 / STEP_SECONDS);
+
+  test("gives the step of a matching code", function () {
+    expect(verifyTotp(RFC_SECRET, "005924", { time })).toEqual(step);
+    expect(verifyTotp(RFC_SECRET, "005 924", { time })).toEqual(step);
+  });
+
+  test("allows a step of drift either way", function () {
+    const before = totp(RFC_SECRET, time - STEP_SECONDS * 1000);
+    const after = totp(RFC_SECRET, time + STEP_SECONDS * 1000);
+    expect(verifyTotp(RFC_SECRET, before, { time })).toEqual(step - 1);
+    expect(verifyTotp(RFC_SECRET, after, { time })).toEqual(step + 1);
+  });
+
+  test("null for other codes", function () {
+    const stale = totp(RFC_SECRET, time - 2 * STEP_SECONDS * 1000);
+    expect(verifyTotp(RFC_SECRET, stale, { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, "000000", { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, "5924", { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, "abcdef", { time })).toBeNull();
+  });
+});
+
+describe("provisioningUri", function () {
+  test("works", function () {
+    expect(provisioningUri({ secret: "ABCD", account: "u1", issuer: "Jobly" })).toEqual(
+        "otpauth://totp/Jobly%3Au1?secret=ABCD&issuer=Jobly&algorithm=SHA1&digits=6&period=30");
+  });
+});
@@ -0,0 +1,195 @@
+"use strict";
+
+/** Signing and sending webhook requests (see models/webhook.js).
+ *
+ * Each delivery is POSTed as JSON with these headers, so receivers can check
+ * it came from us and wasn't changed or replayed:
+ *
+ *   X-Jobly-Event      the event, like "application.created"
+ *   X-Jobly-Delivery   the delivery id; the same on every retry
+ *   X-Jobly-Timestamp  when it was sent, in seconds since the epoch
+ *   X-Jobly-Signature  "sha256=" + hex HMAC-SHA256, keyed with the webhook's
+ *                      secret, of `${timestamp}.${body}`
+ *
+ * Receivers must be on the public internet: requests are never sent to
+ * loopback, link-local (like the cloud metadata service at 169.254.169.254)
+ * or private network addresses, however the URL's host resolves, unless the
+ * host is in the allowedHosts given.
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+
+/** The most of a receiver's response that is read; only its status is used. */
+
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+/* Addresses that aren't on the public internet. IPv4-mapped IPv6 addresses
+  (::ffff:10.0.0.1) are checked against the IPv4 ranges. */
+
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (let [address, prefix] of [
+  ["0.0.0.0", 8], // "this network"
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, and broadcast
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, "ipv4");
+}
+for (let [address, prefix] of [
+  ["::", 128], // unspecified
+  ["::1", 128], // loopback
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
+
+/** True if address (an IP address string) isn't on the public internet. */
+
+function isPublicAddress(address) {
+  return !NON_PUBLIC_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+/** A URL's host without the brackets around an IPv6 address. */
+
+function hostOf(url) {
+  return new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+}
+
+/** An Error saying host (which is, or resolves to, address) can't be sent to. */
+
+function notPublicError(host, address) {
+  return new Error(host === address
+      ? `${address} is not a public address`
+      : `${host} resolves to ${address}, which is not a public address`);
+}
+
+/* A dns.lookup for http.request that fails if the host resolves to any
+  address that isn't public. The connection is made to the addresses checked
+  here, so the host can't switch to a private one in between. */
+
+function publicLookup(host, options, callback) {
+  dns.lookup(host, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const bad = addresses.find(a => !isPublicAddress(a.address));
+    if (bad) return callback(notPublicError(host, bad.address));
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/** Check a webhook URL's host when it's saved: rejects if the host is, or
+ * resolves to, an address that isn't public (see send).
+ *
+ * A host that doesn't resolve (yet) is let through; delivery will fail and be
+ * retried until it does, and is checked again then.
+ */
+
+async function checkUrl(url, allowedHosts = []) {
+  const host = hostOf(url);
+  if (allowedHosts.includes(host)) return;
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch (err) {
+      return;
+    }
+  }
+
+  const bad = addresses.find(a => !isPublicAddress(a.address));
+  if (bad) throw notPublicError(host, bad.address);
+}
+
+/** return the signature of a request body sent at timestamp. */
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/** Check a signature header for body; true if it matches. */
+
+function verify(secret, timestamp, body, signatureHeader) {
+  const expected = Buffer.from(`sha256=${sign(secret, timestamp, body)}`);
+  const given = Buffer.from(String(signatureHeader || ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/** POST a delivery to url.
+ *
+ * delivery is { id, event, secret, body } where body is the JSON to send.
+ * options is { timeoutSeconds, allowedHosts }: the whole request, from
+ * looking up the host to reading the response, must be done within
+ * timeoutSeconds, and hosts in allowedHosts may be private addresses.
+ *
+ * Resolves to the response's status code; rejects if the receiver can't be
+ * reached, isn't at a public address, takes too long, or sends back more than
+ * MAX_RESPONSE_BYTES.
+ */
+
+function send(url, { id, event, secret, body }, { timeoutSeconds, allowedHosts = [] }) {
+  const json = JSON.stringify(body);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const client = url.startsWith("https:") ? https : http;
+  const host = hostOf(url);
+  const checked = !allowedHosts.includes(host);
+
+  return new Promise((resolve, reject) => {
+    /* An IP address in the URL is connected to without a lookup */
+    if (checked && net.isIP(host) && !isPublicAddress(host)) {
+      return reject(notPublicError(host, host));
+    }
+
+    const req = client.request(url, {
+      method: "POST",
+      signal: AbortSignal.timeout(timeoutSeconds * 1000),
+      lookup: checked ? publicLookup : undefined,
+      agent: false, // a new connection each time, so each is checked
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(json),
+        "User-Agent": "Jobly-Webhooks",
+        "X-Jobly-Event": event,
+        "X-Jobly-Delivery": String(id),
+        "X-Jobly-Timestamp": String(timestamp),
+        "X-Jobly-Signature": `sha256=${sign(secret, timestamp, json)}`,
+      },
+    }, res => {
+      let size = 0;
+      res.on("data", chunk => {
+        size += chunk.length;
+        if (size > MAX_RESPONSE_BYTES) {
+          req.destroy(new Error(`Response was over ${MAX_RESPONSE_BYTES} bytes`));
+        }
+      });
+      res.on("end", () => resolve(res.statusCode));
+      res.on("close", () => {
+        if (!res.complete) reject(new Error("Connection closed before the response was finished"));
+      });
+    });
+
+    req.on("error", err => {
+      reject(err.name === "AbortError" ? new Error(`Timed out after ${timeoutSeconds}s`) : err);
+    });
+    req.end(json);
+  });
+}
+
+module.exports = { MAX_RESPONSE_BYTES, sign, verify, isPublicAddress, checkUrl, send };
@@ -0,0 +1,130 @@
+"use strict";
+
+const http = require("http");
+const { MAX_RESPONSE_BYTES, sign, verify, isPublicAddress, checkUrl, send } = require("./webhooks");
+
+describe("sign and verify", function () {
+  test("works", function () {
+    const signature = `sha256=${sign("s3cret", 1000, '{"a":1}')}`;
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verify("s3cret", 1000, '{"a":1}', signature)).toBe(true);
+  });
+
+  test("rejects a changed body, timestamp or secret", function () {
+    const signature = `sha256=${sign("s3cret", 1000, '{"a":1}')}`;
+    expect(verify("s3cret", 1000, '{"a":2}', signature)).toBe(false);
+    expect(verify("s3cret", 1001, '{"a":1}', signature)).toBe(false);
+    expect(verify("other", 1000, '{"a":1}', signature)).toBe(false);
+    expect(verify("s3cret", 1000, '{"a":1}', undefined)).toBe(false);
+  });
+});
+
+describe("isPublicAddress", function () {
+  test("works", function () {
+    expect(isPublicAddress("8.8.8.8")).toBe(true);
+    expect(isPublicAddress("2606:4700::1111")).toBe(true);
+    expect(isPublicAddress("::ffff:8.8.8.8")).toBe(true);
+  });
+
+  test("false for loopback, link-local and private addresses", function () {
+    for (let address of [
+      "127.0.0.1", "0.0.0.0", "10.0.0.1", "172.16.5.4", "192.168.1.1", "169.254.169.254",
+      "100.64.0.1", "::1", "::", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "::ffff:10.0.0.1",
+    ]) {
+      expect(isPublicAddress(address)).toBe(false);
+    }
+  });
+});
+
+describe("checkUrl", function () {
+  test("rejects hosts that are or resolve to private addresses", async function () {
+    await expect(checkUrl("http://localhost/hook")).rejects.toThrow("localhost resolves to");
+    await expect(checkUrl("http://169.254.169.254/latest")).rejects.toThrow("not a public address");
+    await expect(checkUrl("https://[::1]:8443/hook")).rejects.toThrow("not a public address");
+  });
+
+  test("lets through public addresses, allowed hosts and hosts that don't resolve", async function () {
+    await checkUrl("https://8.8.8.8/hook");
+    await checkUrl("http://localhost/hook", ["localhost"]);
+    await checkUrl("https://no-such-host.invalid/hook");
+  });
+});
+
+describe("send", function () {
+  let server;
+  let url;
+  let received;
+  let statusCode;
+  const options = { timeoutSeconds: 5, allowedHosts: ["localhost"] };
+
+  beforeAll(function (done) {
+    server = http.createServer(function (req, res) {
+      let body = "";
+      req.on("data", chunk => body += chunk);
+      req.on("end", function () {
+        received.push({ headers: req.headers, body });
+        if (req.url === "/slow") return res.writeHead(200).write("still going");
+        res.writeHead(statusCode).end(req.url === "/big" ? "x".repeat(MAX_RESPONSE_BYTES + 1) : "");
+      });
+    });
+    server.listen(0, function () {
+      url = `http://localhost:${server.address().port}/hook`;
+      done();
+    });
+  });
+
+  beforeEach(function () {
+    received = [];
+    statusCode = 200;
+  });
+
+  afterAll(function (done) {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  test("posts signed JSON", async function () {
+    const status = await send(url, { id: 7, event: "test.event", secret: "s3cret", body: { a: 1 } }, options);
+    expect(status).toEqual(200);
+
+    const [{ headers, body }] = received;
+    expect(JSON.parse(body)).toEqual({ a: 1 });
+    expect(headers["content-type"]).toEqual("application/json");
+    expect(headers["x-jobly-event"]).toEqual("test.event");
+    expect(headers["x-jobly-delivery"]).toEqual("7");
+    expect(verify("s3cret", headers["x-jobly-timestamp"], body, headers["x-jobly-signature"]))
+        .toBe(true);
+  });
+
+  test("resolves to error statuses too", async function () {
+    statusCode = 503;
+    expect(await send(url, { id: 1, event: "e", secret: "s", body: {} }, options)).toEqual(503);
+  });
+
+  test("rejects if the receiver can't be reached", async function () {
+    await expect(send("http://localhost:1/hook", { id: 1, event: "e", secret: "s", body: {} }, options))
+        .rejects.toThrow();
+  });
+
+  test("refuses hosts that aren't public unless allowed", async function () {
+    const delivery = { id: 1, event: "e", secret: "s", body: {} };
+    await expect(send(url, delivery, { timeoutSeconds: 5 }))
+        .rejects.toThrow("localhost resolves to");
+    await expect(send(url.replace("localhost", "127.0.0.1"), delivery, options))
+        .rejects.toThrow("127.0.0.1 is not a public address");
+    await expect(send("http://169.254.169.254/latest", delivery, options))
+        .rejects.toThrow("169.254.169.254 is not a public address");
+    expect(received).toEqual([]);
+  });
+
+  test("rejects once the whole request takes longer than the timeout", async function () {
+    await expect(send(url.replace("/hook", "/slow"), { id: 1, event: "e", secret: "s", body: {} },
+        { ...options, timeoutSeconds: 0.2 }))
+        .rejects.toThrow("Timed out after 0.2s");
+  });
+
+  test("rejects responses over MAX_RESPONSE_BYTES", async function () {
+    await expect(send(url.replace("/hook", "/big"), { id: 1, event: "e", secret: "s", body: {} }, options))
+        .rejects.toThrow(`Response was over ${MAX_RESPONSE_BYTES} bytes`);
+  });
+});
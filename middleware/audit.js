@@ -0,0 +1,24 @@
+"use strict";
+
+/** Middleware for the audit log (see models/audit.js). */
+
+const { withAuditContext } = require("../helpers/audit");
+
+/** Middleware: note who's making the request -- the logged in user, if any,
+ * their API key, if they used one, their IP address and the request id -- as
+ * the audit context of the code handling it (see helpers/audit.js).
+ *
+ * Goes after authenticateJWT, which works out who they are.
+ */
+
+function auditContext(req, res, next) {
+  const user = res.locals.user;
+  return withAuditContext({
+    actor: user ? user.username : null,
+    apiKeyId: (user && user.apiKeyId) || null,
+    ip: req.ip,
+    requestId: req.id,
+  }, next);
+}
+
+module.exports = { auditContext };
@@ -4,25 +4,41 @@
 
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const { inScope, hasRole, hasPermission } = require("../helpers/roles");
+const Token = require("../models/token");
+const ApiKey = require("../models/apiKey");
 
 
 /** Middleware: Authenticate user.
  *
  * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * on res.locals (this will include the username and roles fields.)
+ *
+ * Integrations can send an API key in an X-Api-Key header instead; a valid
+ * key stores who it authenticates as (see ApiKey.authenticate), which also
+ * has the key's scopes, on res.locals the same way.
  *
  * It's not an error if no token was provided or if the token is not valid.
+ * Expired tokens and tokens revoked by logging out count as not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   
   try {
     const authHeader = req.headers && req.headers.authorization;
+    const apiKeyHeader = req.headers && req.headers["x-api-key"];
 
     if (authHeader) {
       const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      const payload = jwt.verify(token, SECRET_KEY);
+      if (payload.jti && await Token.isAccessTokenRevoked(payload.jti)) {
+        return next();
+      }
+      res.locals.user = payload;
+    } else if (apiKeyHeader) {
+      const user = await ApiKey.authenticate(apiKeyHeader.trim());
+      if (user) res.locals.user = user;
     }
     return next();
   } catch (err) {
@@ -33,22 +49,69 @@ function authenticateJWT(req, res, next) {
 /** Middleware to use when they must be logged in.
  *
  * If not, raises Unauthorized.
- * 
- * If the user is not logged in, and they are not an admin and trying to look at all users, or another user thats not them, they will be denied.
- * 
- * However, If the local user thats logged in is the same as the user in the request query params, then they are granted access since they are
- * trying to view their own information.
  */
 
 function ensureLoggedIn(req, res, next) {
   try {
-    if (!res.locals.user || !res.locals.user.isAdmin){
-      if(res.locals.user && req.params && res.locals.user.username === req.params.username){
-        return next()
-      }
-      throw new UnauthorizedError();
-    }  
+    if (!res.locals.user) throw new UnauthorizedError();
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+
+/** Middleware to use when they must be logged in as an admin.
+ *
+ * If not logged in, raises Unauthorized; if logged in without the admin role,
+ * raises Forbidden.
+ */
+
+function ensureAdmin(req, res, next) {
+  try {
+    if (!res.locals.user) throw new UnauthorizedError();
+    if (!hasRole(res.locals.user, "admin")) throw new ForbiddenError();
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+
+/** Middleware to use when they must be the user named in the route
+ * (req.params.username) or an admin.
+ *
+ * If not logged in, raises Unauthorized; if logged in as someone else,
+ * raises Forbidden.
+ */
+
+function ensureCorrectUserOrAdmin(req, res, next) {
+  try {
+    const user = res.locals.user;
+    if (!user) throw new UnauthorizedError();
+
+    const isSameUser = req.params && user.username === req.params.username;
+    if (!isSameUser && !hasRole(user, "admin")) throw new ForbiddenError();
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+
+/** Middleware to use when they must be the user named in the route
+ * (req.params.username) themselves; not even an admin will do. For things
+ * only the user should see, like a new 2FA secret.
+ *
+ * If not logged in, raises Unauthorized; if logged in as someone else,
+ * raises Forbidden.
+ */
 
+function ensureCorrectUser(req, res, next) {
+  try {
+    const user = res.locals.user;
+    if (!user) throw new UnauthorizedError();
+    if (!req.params || user.username !== req.params.username) throw new ForbiddenError();
     return next();
   } catch (err) {
     return next(err);
@@ -56,7 +119,79 @@ function ensureLoggedIn(req, res, next) {
 }
 
 
+/** Middleware for routes that manage the account itself (its API keys, 2FA,
+ * password): only a login will do, not an API key, so a leaked key can't be
+ * used to take the account over.
+ *
+ * If authenticated with an API key, raises Forbidden.
+ */
+
+function ensureNotApiKey(req, res, next) {
+  try {
+    if (res.locals.user && res.locals.user.apiKeyId) {
+      throw new ForbiddenError("API keys can't be used here; log in instead");
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+
+/** Middleware factory: an API key must have permission in its scopes (see
+ * helpers/roles.js); a login needn't. For a user's own things, which they
+ * don't need a role to see, like their applications.
+ *
+ *   router.get("/:username/applications", ensureScope(PERMISSIONS.JOBS_APPLY), ...)
+ *
+ * If the key's scopes don't include permission, raises Forbidden.
+ */
+
+function ensureScope(permission) {
+  return function (req, res, next) {
+    try {
+      if (res.locals.user && !inScope(res.locals.user, permission)) {
+        throw new ForbiddenError(`Missing permission: ${permission}`);
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+
+/** Middleware factory: the logged in user must hold permission through one
+ * of their roles (see helpers/roles.js).
+ *
+ *   router.post("/", ensurePermission(PERMISSIONS.JOBS_WRITE), ...)
+ *
+ * If not logged in, raises Unauthorized; if missing the permission, raises
+ * Forbidden.
+ */
+
+function ensurePermission(permission) {
+  return function (req, res, next) {
+    try {
+      if (!res.locals.user) throw new UnauthorizedError();
+      if (!hasPermission(res.locals.user, permission)) {
+        throw new ForbiddenError(`Missing permission: ${permission}`);
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
+  ensureAdmin,
+  ensureCorrectUserOrAdmin,
+  ensureCorrectUser,
+  ensureNotApiKey,
+  ensureScope,
+  ensurePermission,
 };
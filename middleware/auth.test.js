@@ -1,16 +1,30 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
 const {
   authenticateJWT,
   ensureLoggedIn,
+  ensureAdmin,
+  ensureCorrectUserOrAdmin,
+  ensureCorrectUser,
+  ensureScope,
+  ensurePermission,
 } = require("./auth");
 
 
+const db = require("../db");
+const Token = require("../models/token");
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
-const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const testJwt = jwt.sign({ username: "test", isAdmin: false, roles: ["candidate"] }, SECRET_KEY);
+const badJwt = jwt.sign({ username: "test", isAdmin: false, roles: ["candidate"] }, "wrong");
+const expiredJwt = jwt.sign(
+    { username: "test", roles: ["candidate"], exp: Math.floor(Date.now() / 1000) - 60 },
+    SECRET_KEY);
+
+afterAll(function () {
+  db.end();
+});
 
 
 describe("authenticateJWT", function () {
@@ -29,6 +43,7 @@ describe("authenticateJWT", function () {
         iat: expect.any(Number),
         username: "test",
         isAdmin: false,
+        roles: ["candidate"],
       },
     });
   });
@@ -57,38 +72,100 @@ describe("authenticateJWT", function () {
 });
 
 
+describe("authenticateJWT: expiry and revocation", function () {
+  test("expired token is not valid", async function () {
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, function (err) {
+      expect(err).toBeFalsy();
+    });
+    expect(res.locals).toEqual({});
+  });
+
+  test("revoked token is not valid", async function () {
+    const jti = "revoked-test-jti";
+    const exp = Math.floor(Date.now() / 1000) + 60;
+    const revokedJwt = jwt.sign(
+        { username: "test", roles: ["candidate"], jti, exp }, SECRET_KEY);
+    await db.query("BEGIN");
+    try {
+      await Token.revokeAccessToken(jti, exp);
+      const req = { headers: { authorization: `Bearer ${revokedJwt}` } };
+      const res = { locals: {} };
+      await authenticateJWT(req, res, function (err) {
+        expect(err).toBeFalsy();
+      });
+      expect(res.locals).toEqual({});
+    } finally {
+      await db.query("ROLLBACK");
+    }
+  });
+});
+
+
 describe("ensureLoggedIn", function () {
   test("works", function () {
     expect.assertions(1);
     const req = {};
-    const res = { locals: { user: { username: "test", isAdmin: true } } };
+    const res = { locals: { user: { username: "test", roles: ["admin"] } } };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
     ensureLoggedIn(req, res, next);
   });
 
-  test("ensure if not Admin, denied", function () {
+  test("works for non-admin", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", roles: ["candidate"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureLoggedIn(req, res, next);
+  });
+
+  test("unauth if no login", function () {
     expect.assertions(1);
     const req = {};
-    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const res = { locals: {} };
     const next = function (err) {
-      expect(err).toBeTruthy();
+      expect(err instanceof UnauthorizedError).toBeTruthy();
     };
     ensureLoggedIn(req, res, next);
   });
+});
 
 
-  test("ensure if not admin but accessing your own information works", function () {
+describe("ensureAdmin", function () {
+  test("works", function () {
     expect.assertions(1);
-    const req = {params:{username: "test"}};
-    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const req = {};
+    const res = { locals: { user: { username: "test", roles: ["admin"] } } };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    ensureLoggedIn(req, res, next);
+    ensureAdmin(req, res, next);
+  });
+
+  test("ensure if not Admin, denied", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", roles: ["candidate"] } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    ensureAdmin(req, res, next);
   });
 
+  test("ensure isAdmin in the token alone is not enough", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: true, roles: [] } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    ensureAdmin(req, res, next);
+  });
 
   test("unauth if no login", function () {
     expect.assertions(1);
@@ -97,9 +174,148 @@ describe("ensureLoggedIn", function () {
     const next = function (err) {
       expect(err instanceof UnauthorizedError).toBeTruthy();
     };
-    ensureLoggedIn(req, res, next);
+    ensureAdmin(req, res, next);
+  });
+});
+
+
+describe("ensureCorrectUserOrAdmin", function () {
+  test("works for admin", function () {
+    expect.assertions(1);
+    const req = { params: { username: "other" } };
+    const res = { locals: { user: { username: "test", roles: ["admin"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+
+  test("ensure if not admin but accessing your own information works", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", roles: ["candidate"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
   });
 
-  // test("ensure")
+  test("forbidden for another user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "other" } };
+    const res = { locals: { user: { username: "test", roles: ["candidate"] } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
 
+  test("unauth if no login", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+});
+
+
+describe("ensureCorrectUser", function () {
+  test("works for the same user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", roles: ["candidate"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUser(req, res, next);
+  });
+
+  test("forbidden for admin", function () {
+    expect.assertions(1);
+    const req = { params: { username: "other" } };
+    const res = { locals: { user: { username: "test", roles: ["admin"] } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    ensureCorrectUser(req, res, next);
+  });
+
+  test("unauth if no login", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUser(req, res, next);
+  });
+});
+
+
+describe("ensureScope", function () {
+  test("works for a login", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", roles: [] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureScope("jobs:apply")(req, res, next);
+  });
+
+  test("works for an API key with it in scope", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", roles: ["candidate"], scopes: ["jobs:apply"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureScope("jobs:apply")(req, res, next);
+  });
+
+  test("forbidden for an API key without it in scope", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", roles: ["candidate"], scopes: ["jobs:write"] } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    ensureScope("jobs:apply")(req, res, next);
+  });
+});
+
+
+describe("ensurePermission", function () {
+  test("works when a role grants it", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", roles: ["recruiter"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensurePermission("jobs:write")(req, res, next);
+  });
+
+  test("forbidden when no role grants it", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", roles: ["candidate"] } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    ensurePermission("jobs:write")(req, res, next);
+  });
+
+  test("unauth if no login", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensurePermission("jobs:write")(req, res, next);
+  });
 });
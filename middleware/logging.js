@@ -0,0 +1,80 @@
+"use strict";
+
+/** Middleware for logging requests (see helpers/logger.js). */
+
+const crypto = require("crypto");
+const { AsyncResource } = require("async_hooks");
+const logger = require("../helpers/logger");
+
+/** What a request id from the client may look like; others are replaced. */
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/** Middleware: give the request an id and log it once it's answered.
+ *
+ * The id is the client's X-Request-Id header, if it sent a usable one, or a
+ * new UUID. It's sent back as X-Request-Id, kept as req.id, and is the
+ * requestId of everything logged while handling the request. The route
+ * pattern matched is kept as req.routePattern.
+ *
+ * The entry ("request") has method, route (the pattern matched, like
+ * /companies/:handle), path, status, latencyMs and -- if logged in --
+ * username; and aborted: true if the client left first. path leaves out the
+ * query string, since tokens are sometimes passed in it (as ?token=).
+ */
+
+function requestLogger(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  // Express sets req.route when a route matches, while req.baseUrl is still
+  // its router's mount path; by the time an error reaches the error handler
+  // it has been reset, so note the full pattern then.
+  let matched;
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => matched,
+    set: value => {
+      matched = value;
+      req.routePattern = req.baseUrl + value.path;
+    },
+  });
+
+  const elapsed = logger.startTimer();
+
+  let done = false;
+  function logRequest() {
+    if (done) return;
+    done = true;
+
+    const user = res.locals.user;
+    logger.info("request", {
+      requestId: req.id,
+      method: req.method,
+      route: req.routePattern,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      latencyMs: elapsed(),
+      username: user && user.username,
+      aborted: res.writableFinished ? undefined : true,
+    });
+  }
+  res.once("finish", logRequest);
+  res.once("close", logRequest);
+
+  return logger.withLogContext({ requestId: req.id }, next);
+}
+
+/** Wrap a body-parsing middleware so what runs after it is still logged with
+ * the request's id: parsers call next from the request stream's events,
+ * which don't carry the context along on their own. */
+
+function inLogContext(middleware) {
+  return function (req, res, next) {
+    return middleware(req, res, AsyncResource.bind(next));
+  };
+}
+
+module.exports = { requestLogger, inLogContext };
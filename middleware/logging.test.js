@@ -0,0 +1,100 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const logger = require("../helpers/logger");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+} = require("../routes/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(function () {
+  logger.logged.length = 0;
+  return commonBeforeEach();
+});
+afterEach(function () {
+  logger.setLevel("info");
+  return commonAfterEach();
+});
+afterAll(commonAfterAll);
+
+function requestEntries() {
+  return logger.logged.filter(e => e.msg === "request");
+}
+
+/************************************** requestLogger */
+
+describe("requestLogger", function () {
+  test("logs each request with its route, status and user", async function () {
+    const resp = await request(app)
+        .get("/companies/c1")
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(requestEntries()).toEqual([{
+      level: "info",
+      time: expect.any(String),
+      msg: "request",
+      requestId: resp.headers["x-request-id"],
+      method: "GET",
+      route: "/companies/:handle",
+      path: "/companies/c1",
+      status: resp.statusCode,
+      latencyMs: expect.any(Number),
+      username: "u1",
+    }]);
+  });
+
+  test("leaves tokens in the query string out", async function () {
+    await request(app).get("/auth/verify-email?token=secret-token");
+    expect(requestEntries()[0].path).toEqual("/auth/verify-email");
+    expect(JSON.stringify(logger.logged)).not.toContain("secret-token");
+  });
+
+  test("notes the route of a request that fails", async function () {
+    await request(app).patch("/companies/c1").send({ name: "New" });
+    expect(requestEntries()[0]).toEqual(expect.objectContaining({
+      route: "/companies/:handle",
+      status: 401,
+    }));
+  });
+
+  test("makes up a request id", async function () {
+    const resp = await request(app).get("/jobs");
+    expect(resp.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test("keeps the client's request id", async function () {
+    const resp = await request(app).get("/jobs").set("X-Request-Id", "abc-123");
+    expect(resp.headers["x-request-id"]).toEqual("abc-123");
+    expect(requestEntries()[0].requestId).toEqual("abc-123");
+  });
+
+  test("replaces a request id that isn't usable", async function () {
+    const resp = await request(app).get("/jobs").set("X-Request-Id", "no spaces <please>");
+    expect(resp.headers["x-request-id"]).not.toEqual("no spaces <please>");
+  });
+
+  test("queries are logged with the request id, after reading a body", async function () {
+    logger.setLevel("debug");
+    await request(app)
+        .post("/companies")
+        .set("X-Request-Id", "with-body")
+        .set("authorization", `Bearer ${u1Token}`)
+        .send({ handle: "new", name: "New", description: "d", numEmployees: 1, logoUrl: "http://new.img" });
+
+    const queries = logger.logged.filter(e => e.msg === "query");
+    expect(queries.length).toBeGreaterThan(0);
+    expect(queries.every(e => e.requestId === "with-body")).toBe(true);
+    expect(queries[0]).toEqual(expect.objectContaining({
+      level: "debug",
+      sql: expect.any(String),
+      durationMs: expect.any(Number),
+    }));
+  });
+});
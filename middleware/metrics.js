@@ -0,0 +1,28 @@
+"use strict";
+
+/** Middleware for request metrics (see helpers/metrics.js). */
+
+const metrics = require("../helpers/metrics");
+const logger = require("../helpers/logger");
+
+/** Middleware: count and time each request once it's answered, by method,
+ * route pattern (from requestLogger, which must come first) and status.
+ * Requests that match no route are all labelled "unmatched". */
+
+function requestMetrics(req, res, next) {
+  const elapsed = logger.startTimer();
+
+  res.once("finish", function () {
+    const labels = {
+      method: req.method,
+      route: req.routePattern || "unmatched",
+      status: res.statusCode,
+    };
+    metrics.httpRequests.inc(labels);
+    metrics.httpRequestDuration.observe(labels, elapsed() / 1000);
+  });
+
+  return next();
+}
+
+module.exports = { requestMetrics };
@@ -0,0 +1,37 @@
+"use strict";
+
+/** Middleware for rate limiting routes (see models/rateLimit.js). */
+
+const RateLimit = require("../models/rateLimit");
+const { TooManyRequestsError } = require("../expressError");
+
+/** Middleware factory: limit requests to limit per windowSeconds, for each
+ * of the keys keys(req, res) returns (falsy ones are skipped), e.g.
+ *
+ *   rateLimit("auth-token", {
+ *     limit: 10,
+ *     windowSeconds: 60,
+ *     keys: req => [`ip:${req.ip}`, `username:${req.body.username}`],
+ *   })
+ *
+ * A request over the limit for any of its keys gets a 429 error, with a
+ * Retry-After header of the seconds until it would be let through.
+ */
+
+function rateLimit(limiter, { limit, windowSeconds, keys }) {
+  return async function (req, res, next) {
+    try {
+      for (let key of keys(req, res).filter(Boolean)) {
+        const { allowed, retryAfter } = await RateLimit.hit(limiter, key, { limit, windowSeconds });
+        if (!allowed) {
+          throw new TooManyRequestsError("Too many requests; try again later", retryAfter);
+        }
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+module.exports = { rateLimit };
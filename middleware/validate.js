@@ -0,0 +1,112 @@
+"use strict";
+
+/** Middleware to validate requests against JSON schemas. */
+
+const fs = require("fs");
+const path = require("path");
+const jsonschema = require("jsonschema");
+const { ValidationError } = require("../expressError");
+
+
+/* Every schema in schemas/ is registered by its $id, so schemas can share
+  parts with a $ref, like the job filters in jobFilters.json. */
+
+const SCHEMA_DIR = path.join(__dirname, "../schemas");
+const validator = new jsonschema.Validator();
+
+for (let file of fs.readdirSync(SCHEMA_DIR).filter(f => f.endsWith(".json"))) {
+  const schema = require(path.join(SCHEMA_DIR, file));
+  validator.addSchema(schema, schema.$id);
+}
+
+
+/* Query string and route parameter values always arrive as strings (or
+  arrays of strings, for a repeated query parameter). These turn them into
+  the type the schema asks for; anything that doesn't convert cleanly is left
+  alone, so the schema rejects it. */
+
+function coerceValue(value, type) {
+  if (typeof value !== "string") return value;
+
+  if (type === "integer" || type === "number") {
+    return value.trim() !== "" && !isNaN(value) ? Number(value) : value;
+  }
+  if (type === "boolean") {
+    if (value === "true") return true;
+    if (value === "false") return false;
+  }
+  return value;
+}
+
+function coerceStrings(values, schema) {
+  const coerced = { ...values };
+
+  for (let [name, propOrRef] of Object.entries(schema.properties || {})) {
+    if (coerced[name] === undefined) continue;
+    const prop = propOrRef.$ref ? validator.schemas[propOrRef.$ref] : propOrRef;
+
+    if (prop.type === "array") {
+      const itemType = prop.items && prop.items.type;
+      coerced[name] = [].concat(coerced[name]).map(v => coerceValue(v, itemType));
+    } else if (!Array.isArray(coerced[name])) {
+      coerced[name] = coerceValue(coerced[name], prop.type);
+    }
+  }
+
+  return coerced;
+}
+
+/** Turn a jsonschema error into { path, message }, where path says where in
+ * the request it is, like "body.salary" or "query.companyHandle[1]". */
+
+function describeError(err, location) {
+  if (err.name === "required" || err.name === "additionalProperties") {
+    const parent = err.property.replace(/^instance/, "");
+    const message = err.name === "required" ? "is required" : "is not allowed";
+    return { path: `${location}${parent}.${err.argument}`, message };
+  }
+  return { path: err.property.replace(/^instance/, location), message: err.message };
+}
+
+/** Middleware factory: validate parts of the request against schemas.
+ *
+ * Takes { body, query, params }, each an optional JSON schema. Query and
+ * params values are converted to the types their schema gives (numbers,
+ * booleans and arrays) and replace req.query / req.params.
+ *
+ * If not valid, raises ValidationError, with details listing every problem
+ * found: [{ path, message }, ...]
+ */
+
+function validate({ body, query, params } = {}) {
+  return function (req, res, next) {
+    try {
+      const details = [];
+      const checked = {};
+
+      for (let [location, schema] of Object.entries({ body, query, params })) {
+        if (!schema) continue;
+
+        const value = location === "body" ? req.body : coerceStrings(req[location], schema);
+        const result = validator.validate(value, schema);
+        details.push(...result.errors.map(e => describeError(e, location)));
+        checked[location] = value;
+      }
+
+      if (details.length) throw new ValidationError(details);
+
+      if (checked.query) req.query = checked.query;
+      if (checked.params) req.params = checked.params;
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+
+module.exports = {
+  validate,
+  coerceStrings,
+  describeError,
+};
@@ -0,0 +1,106 @@
+"use strict";
+
+const { ValidationError } = require("../expressError");
+const { validate, coerceStrings } = require("./validate");
+
+const querySchema = {
+  type: "object",
+  properties: {
+    n: { type: "integer" },
+    x: { type: "number" },
+    flag: { type: "boolean" },
+    tags: { type: "array", items: { type: "integer" } },
+    s: { type: "string" },
+  },
+  additionalProperties: false,
+};
+
+const bodySchema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    address: {
+      type: "object",
+      properties: { zip: { type: "string" } },
+      required: ["zip"],
+    },
+  },
+  required: ["name"],
+  additionalProperties: false,
+};
+
+
+describe("coerceStrings", function () {
+  test("works", function () {
+    expect(coerceStrings({ n: "10", x: "0.5", flag: "false", tags: "3", s: "10" }, querySchema))
+        .toEqual({ n: 10, x: 0.5, flag: false, tags: [3], s: "10" });
+  });
+
+  test("leaves values that don't convert", function () {
+    expect(coerceStrings({ n: "ten", x: "", flag: "yes", tags: ["1", "b"] }, querySchema))
+        .toEqual({ n: "ten", x: "", flag: "yes", tags: [1, "b"] });
+  });
+
+  test("follows a $ref to a schema in schemas/", function () {
+    const schema = {
+      type: "object",
+      properties: { minSalary: { $ref: "http://example.com/jobFilters.json#/properties/minSalary" } },
+    };
+    expect(coerceStrings({ minSalary: "10" }, schema)).toEqual({ minSalary: 10 });
+  });
+});
+
+
+describe("validate", function () {
+  test("works", function () {
+    expect.assertions(3);
+    const req = { query: { n: "9", flag: "true" }, params: { n: "1" }, body: { name: "a" } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    validate({ query: querySchema, params: querySchema, body: bodySchema })(req, {}, next);
+    expect(req.query).toEqual({ n: 9, flag: true });
+    expect(req.params).toEqual({ n: 1 });
+  });
+
+  test("lists every problem with its path", function () {
+    expect.assertions(3);
+    const req = {
+      query: { n: "nine", other: "1" },
+      body: { address: {}, extra: true },
+    };
+    const next = function (err) {
+      expect(err instanceof ValidationError).toBeTruthy();
+      expect(err.code).toEqual("validation_failed");
+      expect(err.details).toEqual([
+        { path: "body.address.zip", message: "is required" },
+        { path: "body.name", message: "is required" },
+        { path: "body.extra", message: "is not allowed" },
+        { path: "query.n", message: "is not of a type(s) integer" },
+        { path: "query.other", message: "is not allowed" },
+      ]);
+    };
+    validate({ body: bodySchema, query: querySchema })(req, {}, next);
+  });
+
+  test("checks parts shared by $ref", function () {
+    expect.assertions(1);
+    const schema = {
+      type: "object",
+      properties: { filters: { $ref: "http://example.com/jobFilters.json" } },
+    };
+    const req = { body: { filters: { minSalary: -1, limit: 5 } } };
+    validate({ body: schema })(req, {}, function (err) {
+      expect(err.details).toEqual([
+        { path: "body.filters.minSalary", message: "must have a minimum value of 0" },
+        { path: "body.filters.limit", message: "is not allowed" },
+      ]);
+    });
+  });
+
+  test("doesn't touch the request when invalid", function () {
+    const req = { query: { n: "nine", flag: "true" } };
+    validate({ query: querySchema })(req, {}, function () {});
+    expect(req.query).toEqual({ n: "nine", flag: "true" });
+  });
+});
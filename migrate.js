@@ -0,0 +1,88 @@
+"use strict";
+
+/** Command line for schema migrations (see helpers/migrations.js).
+ *
+ *   npm run migrate [-- version]   apply pending migrations (up to version)
+ *   npm run migrate:down [-- n]    undo the last n migrations (default 1)
+ *   npm run migrate:status         list migrations and whether each is applied
+ *   npm run migrate:baseline -- version
+ *                                  record migrations up to version as applied
+ *                                  without running them, for a database made
+ *                                  from the old jobly-schema.sql (0001)
+ *
+ * Migrates the database the app uses (db.js, so getDatabaseUri in config.js);
+ * run with NODE_ENV=test for the test database.
+ */
+
+require("colors");
+const db = require("./db");
+const {
+  loadMigrations,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  markApplied,
+} = require("./helpers/migrations");
+
+const USAGE = "Usage: node migrate.js up [version] | down [steps] | status | baseline version";
+
+/** arg, checked to be the version of a migration; throws if not. */
+
+function checkVersion(arg) {
+  if (!/^\d+$/.test(arg || "")) throw new Error(USAGE);
+  if (!loadMigrations().some(m => Number(m.version) === Number(arg))) {
+    throw new Error(`No migration ${arg}`);
+  }
+  return arg;
+}
+
+async function main(command, arg) {
+  const client = await db.connect();
+  try {
+    await run(client, command, arg);
+  } finally {
+    client.release();
+  }
+}
+
+async function run(client, command, arg) {
+  if (command === "up") {
+    const to = arg === undefined ? undefined : checkVersion(arg);
+    const applied = await migrateUp(client, { to });
+    if (!applied.length) console.log("Nothing to migrate.");
+    for (let { version, name } of applied) console.log("applied".green, `${version}_${name}`);
+
+  } else if (command === "down") {
+    if (arg !== undefined && !/^\d+$/.test(arg)) throw new Error(USAGE);
+    const steps = arg === undefined ? 1 : Number(arg);
+    if (steps < 1) throw new Error(USAGE);
+
+    const undone = await migrateDown(client, { steps });
+    if (!undone.length) console.log("Nothing to undo.");
+    for (let { version, name } of undone) console.log("undone".yellow, `${version}_${name}`);
+
+  } else if (command === "status") {
+    for (let { version, name, state, appliedAt } of await migrationStatus(client)) {
+      const when = appliedAt ? appliedAt.toISOString() : "";
+      console.log(`${state.padEnd(8)} ${version}_${name} ${when}`.trim());
+    }
+
+  } else if (command === "baseline") {
+    const marked = await markApplied(client, { to: checkVersion(arg) });
+    if (!marked.length) console.log("Nothing to mark.");
+    for (let { version, name } of marked) console.log("marked applied".green, `${version}_${name}`);
+
+  } else {
+    throw new Error(USAGE);
+  }
+}
+
+main(process.argv[2], process.argv[3])
+    .then(() => 0, err => {
+      console.error(err.message.red);
+      return 1;
+    })
+    .then(async code => {
+      await db.end();
+      process.exit(code);
+    });
@@ -0,0 +1,6 @@
+-- Where each application is in the hiring process (see
+-- User.updateApplicationState); applications made before this were applied
+ALTER TABLE applications
+  ADD COLUMN state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('interested', 'applied', 'interviewing',
+                     'offered', 'rejected', 'withdrawn'));
@@ -0,0 +1,29 @@
+-- Roles replace users.is_admin; what each role may do lives in
+-- helpers/roles.js
+CREATE TABLE roles (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+INSERT INTO roles (name, description)
+VALUES ('admin', 'Full access to every company, job and user'),
+       ('recruiter', 'Posts jobs and reviews applicants for their companies'),
+       ('candidate', 'Applies to jobs');
+
+CREATE TABLE user_roles (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL
+    REFERENCES roles ON DELETE CASCADE,
+  PRIMARY KEY (username, role)
+);
+
+-- everyone could apply to jobs before, and admins keep their access
+INSERT INTO user_roles (username, role)
+SELECT username, 'candidate' FROM users;
+
+INSERT INTO user_roles (username, role)
+SELECT username, 'admin' FROM users WHERE is_admin;
+
+ALTER TABLE users
+  DROP COLUMN is_admin;
@@ -0,0 +1,8 @@
+-- Recruiters who post jobs for a company (see Company.checkMemberOrAdmin)
+CREATE TABLE company_members (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  PRIMARY KEY (username, company_handle)
+);
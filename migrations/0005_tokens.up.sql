@@ -0,0 +1,19 @@
+-- Refresh tokens, which are rotated on use: replaced_by is the token that
+-- took over, so reusing an old one can be spotted (see models/token.js)
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMPTZ,
+  replaced_by INTEGER
+    REFERENCES refresh_tokens ON DELETE SET NULL
+);
+
+-- Access tokens logged out before they expire, by their jti
+CREATE TABLE revoked_tokens (
+  jti TEXT PRIMARY KEY,
+  expires_at TIMESTAMPTZ NOT NULL
+);
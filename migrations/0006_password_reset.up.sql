@@ -0,0 +1,11 @@
+-- Single-use tokens emailed to reset a password (see
+-- models/passwordReset.js); only their hashes are stored
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMPTZ
+);
@@ -0,0 +1,13 @@
+-- Full-text search of jobs (?q= on GET /jobs): a job's title counts for
+-- more than its company's description
+ALTER TABLE companies
+  ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS
+    (setweight(to_tsvector('english', description), 'B')) STORED;
+
+CREATE INDEX companies_search_idx ON companies USING GIN (search_vector);
+
+ALTER TABLE jobs
+  ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS
+    (setweight(to_tsvector('english', title), 'A')) STORED;
+
+CREATE INDEX jobs_search_idx ON jobs USING GIN (search_vector);
@@ -0,0 +1,5 @@
+DROP INDEX notifications_username_idx;
+CREATE INDEX notifications_username_idx ON notifications (username, created_at);
+
+ALTER TABLE notifications
+  DROP COLUMN read_at;
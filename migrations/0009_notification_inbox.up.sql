@@ -0,0 +1,7 @@
+-- Notifications can be marked read (see models/notification.js), and are
+-- paged through by id
+ALTER TABLE notifications
+  ADD COLUMN read_at TIMESTAMPTZ;
+
+DROP INDEX notifications_username_idx;
+CREATE INDEX notifications_username_idx ON notifications (username, id);
@@ -0,0 +1,11 @@
+-- Events streamed at GET /stream, kept so clients can catch up on what they
+-- missed (see models/eventLog.js)
+CREATE TABLE event_log (
+  id BIGSERIAL PRIMARY KEY,
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  -- who may see the event; NULL means everyone
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,35 @@
+-- Companies' webhooks, and the queue of deliveries to them, retried until
+-- they succeed or run out of attempts (see models/webhook.js)
+CREATE TABLE webhooks (
+  id SERIAL PRIMARY KEY,
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  -- signs each delivery (HMAC-SHA256), so it's kept as given, not hashed
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL DEFAULT '{application.created}',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX webhooks_company_handle_idx ON webhooks (company_handle);
+
+CREATE TABLE webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  webhook_id INTEGER NOT NULL
+    REFERENCES webhooks ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_attempt_at TIMESTAMPTZ,
+  response_status INTEGER,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX webhook_deliveries_webhook_id_idx ON webhook_deliveries (webhook_id, id);
+CREATE INDEX webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at)
+  WHERE status = 'pending';
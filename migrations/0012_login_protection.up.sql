@@ -0,0 +1,15 @@
+-- Rate limiting: one row per request let through, kept for the limiter's
+-- window (see models/rateLimit.js)
+CREATE TABLE rate_limit_hits (
+  limiter TEXT NOT NULL,
+  key TEXT NOT NULL,
+  hit_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX rate_limit_hits_key_idx ON rate_limit_hits (limiter, key, hit_at);
+CREATE INDEX rate_limit_hits_hit_at_idx ON rate_limit_hits (limiter, hit_at);
+
+-- Lockout after too many wrong passwords in a row (see User.authenticate)
+ALTER TABLE users
+  ADD COLUMN failed_logins INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN locked_until TIMESTAMPTZ;
@@ -0,0 +1,19 @@
+ALTER TABLE users
+  ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT false;
+
+-- accounts made before verification existed keep working as they did
+UPDATE users SET email_verified = true;
+
+-- Single-use tokens emailed to check an address (see
+-- models/emailVerification.js); a token only verifies the address it was
+-- sent to
+CREATE TABLE email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMPTZ
+);
@@ -0,0 +1,36 @@
+-- A user's TOTP secret (see models/twoFactor.js). 2FA is on once enabled_at
+-- is set, after they've proved their authenticator app works; last_step is
+-- the time step of the last code used, so a code can't be used twice
+CREATE TABLE user_two_factor (
+  username VARCHAR(25) PRIMARY KEY
+    REFERENCES users ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  enabled_at TIMESTAMPTZ,
+  last_step BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Single-use codes to log in with when the authenticator app is lost; only
+-- their hashes are stored
+CREATE TABLE two_factor_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX ON two_factor_recovery_codes (username);
+
+-- The second step of logging in with 2FA: POST /auth/token hands out a
+-- challenge token once the password checks out, to be traded for access
+-- tokens with a code
+CREATE TABLE two_factor_challenges (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  used_at TIMESTAMPTZ
+);
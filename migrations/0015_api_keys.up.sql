@@ -0,0 +1,21 @@
+-- Keys for server-to-server integrations to authenticate with, as their
+-- owner, in an X-Api-Key header (see models/apiKey.js). A key only has the
+-- permissions in its scopes, and, if company_handle is set, only acts for
+-- that company. Only the hash is stored; prefix is the start of the key, so
+-- people can tell their keys apart
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL,
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX ON api_keys (username);
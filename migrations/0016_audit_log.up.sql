@@ -0,0 +1,32 @@
+-- Who changed what (see models/audit.js). Rows are written in the same
+-- transaction as the change, and are never updated or deleted; actor is a
+-- plain username, not a reference, so entries outlive the users they name.
+-- before and after hold only the fields that changed (all of them for
+-- something created or deleted), with secrets like passwords left out
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  actor VARCHAR(25),
+  api_key_id INTEGER,
+  action TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  ip TEXT,
+  request_id TEXT
+);
+
+CREATE INDEX ON audit_log (entity_type, entity_id);
+CREATE INDEX ON audit_log (actor);
+CREATE INDEX ON audit_log (created_at);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
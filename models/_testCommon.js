@@ -13,6 +13,11 @@ async function commonBeforeAll() {
 
   await db.query("DELETE FROM jobs");
 
+  await db.query("DELETE FROM event_log");
+
+  // append-only, so DELETE isn't allowed
+  await db.query("TRUNCATE audit_log");
+
   await db.query(`
     INSERT INTO companies(handle, name, num_employees, description, logo_url)
     VALUES ('c1', 'C1', 1, 'Desc1', 'http://c1.img'),
@@ -24,16 +29,22 @@ async function commonBeforeAll() {
                           password,
                           first_name,
                           last_name,
-                          email, 
-                          is_admin)
-        VALUES ('u1', $1, 'U1F', 'U1L', 'u1@email.com', 'TRUE'),
-               ('u2', $2, 'U2F', 'U2L', 'u2@email.com', 'FALSE')
+                          email,
+                          email_verified)
+        VALUES ('u1', $1, 'U1F', 'U1L', 'u1@email.com', true),
+               ('u2', $2, 'U2F', 'U2L', 'u2@email.com', true)
         RETURNING username`,
       [
         await bcrypt.hash("password1", BCRYPT_WORK_FACTOR),
         await bcrypt.hash("password2", BCRYPT_WORK_FACTOR),
       ]);
 
+  await db.query(`
+        INSERT INTO user_roles(username, role)
+        VALUES ('u1', 'candidate'),
+               ('u1', 'admin'),
+               ('u2', 'candidate')`);
+
 
   await db.query(`
       INSERT INTO jobs(title, 
@@ -0,0 +1,250 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { generateOpaqueToken, hashToken } = require("../helpers/tokens");
+const { hasRole, hasPermission } = require("../helpers/roles");
+const User = require("./user");
+const Company = require("./company");
+const Audit = require("./audit");
+
+/** Columns returned for an API key; never the key or its hash. */
+
+const API_KEY_FIELDS = `id,
+                        name,
+                        prefix,
+                        scopes,
+                        company_handle AS "companyHandle",
+                        expires_at AS "expiresAt",
+                        last_used_at AS "lastUsedAt",
+                        created_at AS "createdAt"`;
+
+/** Related functions for API keys.
+ *
+ * An API key lets a server-to-server integration authenticate as the user
+ * who made it, with an X-Api-Key header (see middleware/auth.js), without
+ * logging in. A key has scopes: the permissions it may use (see
+ * helpers/roles.js), which must be ones its owner has. It can be made for a
+ * company, and then only acts for that company; and it can expire.
+ *
+ * The key itself is only shown when it's made; only its hash is stored, with
+ * its first few characters (prefix) so people can tell their keys apart.
+ */
+
+class ApiKey {
+  /** Check that username, with roles, may give a key these scopes and
+   * companyHandle. Throws BadRequestError / ForbiddenError / NotFoundError if
+   * not. */
+
+  static async checkGrant(username, roles, { scopes, companyHandle }) {
+    const owner = { username, roles };
+
+    for (let scope of scopes || []) {
+      if (!hasPermission(owner, scope)) {
+        throw new BadRequestError(`Can't give an API key a permission you don't have: ${scope}`);
+      }
+    }
+
+    if (companyHandle) {
+      await Company.checkExists(companyHandle);
+      await Company.checkMemberOrAdmin(companyHandle, owner);
+    }
+  }
+
+  /** Make an API key for username.
+   *
+   * data should be { name, scopes, companyHandle, expiresAt }; companyHandle
+   * and expiresAt are optional (no expiresAt means it never expires).
+   *
+   * Returns { apiKey: { id, name, prefix, scopes, companyHandle, expiresAt,
+   *   lastUsedAt, createdAt }, key }
+   *
+   * Throws NotFoundError if the user or company doesn't exist,
+   * BadRequestError if a scope isn't one of the user's permissions or
+   * expiresAt has passed, ForbiddenError if they can't act for the company.
+   **/
+
+  static async create(username, { name, scopes, companyHandle = null, expiresAt = null }) {
+    const roles = await User.getRoles(username);
+    await this.checkGrant(username, roles, { scopes, companyHandle });
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw new BadRequestError("expiresAt must be in the future");
+    }
+
+    const key = `jobly_${generateOpaqueToken(24)}`;
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `INSERT INTO api_keys
+               (username, company_handle, name, prefix, key_hash, scopes, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING ${API_KEY_FIELDS}`,
+          [username, companyHandle, name, key.slice(0, 14), hashToken(key), scopes, expiresAt],
+      );
+      const apiKey = result.rows[0];
+
+      await Audit.record("apiKey.created", "apiKey", apiKey.id, { after: { ...apiKey, username } });
+
+      return { apiKey, key };
+    });
+  }
+
+  /** Given a username, return their API keys, oldest first (expired ones
+   * too).
+   *
+   * Returns [{ id, name, prefix, scopes, companyHandle, expiresAt,
+   *   lastUsedAt, createdAt }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+          `SELECT ${API_KEY_FIELDS}
+           FROM api_keys
+           WHERE username = $1
+           ORDER BY id`,
+        [username],
+    );
+
+    return result.rows;
+  }
+
+  /** Given a username and key id, return the key.
+   *
+   * Returns { id, name, prefix, scopes, companyHandle, expiresAt,
+   *   lastUsedAt, createdAt }
+   *
+   * Throws NotFoundError if the user has no such key.
+   **/
+
+  static async get(username, id) {
+    const result = await db.query(
+          `SELECT ${API_KEY_FIELDS}
+           FROM api_keys
+           WHERE username = $1 AND id = $2`,
+        [username, id],
+    );
+    const apiKey = result.rows[0];
+
+    if (!apiKey) throw new NotFoundError(`No API key: ${id}`);
+
+    return apiKey;
+  }
+
+  /** Rename a key and/or replace its scopes.
+   *
+   * data can include { name, scopes }
+   *
+   * Returns { id, name, prefix, scopes, companyHandle, expiresAt,
+   *   lastUsedAt, createdAt }
+   *
+   * Throws NotFoundError if the user has no such key, BadRequestError for no
+   * data or a scope that isn't one of the user's permissions.
+   **/
+
+  static async update(username, id, { name, scopes }) {
+    if (name === undefined && scopes === undefined) throw new BadRequestError("No data");
+    if (scopes !== undefined) {
+      await this.checkGrant(username, await User.getRoles(username), { scopes });
+    }
+
+    return db.withTransaction(async client => {
+      const beforeRes = await client.query(
+            `SELECT ${API_KEY_FIELDS}
+             FROM api_keys
+             WHERE username = $1 AND id = $2
+             FOR UPDATE`,
+          [username, id],
+      );
+      const before = beforeRes.rows[0];
+
+      if (!before) throw new NotFoundError(`No API key: ${id}`);
+
+      const result = await client.query(
+            `UPDATE api_keys
+             SET name = COALESCE($3, name),
+                 scopes = COALESCE($4, scopes)
+             WHERE username = $1 AND id = $2
+             RETURNING ${API_KEY_FIELDS}`,
+          [username, id, name, scopes],
+      );
+      const apiKey = result.rows[0];
+
+      await Audit.record("apiKey.updated", "apiKey", id, { before, after: apiKey });
+
+      return apiKey;
+    });
+  }
+
+  /** Delete a key, so it stops working; returns undefined.
+   *
+   * Throws NotFoundError if the user has no such key.
+   **/
+
+  static async remove(username, id) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `DELETE
+             FROM api_keys
+             WHERE username = $1 AND id = $2
+             RETURNING ${API_KEY_FIELDS}`,
+          [username, id],
+      );
+      const apiKey = result.rows[0];
+
+      if (!apiKey) throw new NotFoundError(`No API key: ${id}`);
+
+      await Audit.record("apiKey.removed", "apiKey", id, { before: { ...apiKey, username } });
+    });
+  }
+
+  /** Given a key, return who it authenticates as, to use in place of a token
+   * payload (res.locals.user):
+   *
+   *   { username, roles, isAdmin, scopes, companyHandle, apiKeyId }
+   *
+   * roles are the owner's roles now, so taking a role away from them takes
+   * it away from their keys too.
+   *
+   * Records when the key was used, to the minute.
+   *
+   * Returns null if the key is unknown or expired.
+   **/
+
+  static async authenticate(key) {
+    const result = await db.query(
+          `SELECT k.id,
+                  k.username,
+                  k.scopes,
+                  k.company_handle AS "companyHandle",
+                  ARRAY(SELECT ur.role
+                        FROM user_roles AS ur
+                        WHERE ur.username = k.username
+                        ORDER BY ur.role) AS "roles",
+                  k.last_used_at IS NULL
+                    OR k.last_used_at < NOW() - INTERVAL '1 minute' AS "stale"
+           FROM api_keys AS k
+           WHERE k.key_hash = $1
+             AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+        [hashToken(key)],
+    );
+    const apiKey = result.rows[0];
+
+    if (!apiKey) return null;
+
+    if (apiKey.stale) {
+      await db.query(`UPDATE api_keys SET last_used_at = NOW() WHERE id = $1`, [apiKey.id]);
+    }
+
+    const user = {
+      username: apiKey.username,
+      roles: apiKey.roles,
+      scopes: apiKey.scopes,
+      companyHandle: apiKey.companyHandle,
+      apiKeyId: apiKey.id,
+    };
+    return { ...user, isAdmin: hasRole(user, "admin") };
+  }
+}
+
+
+module.exports = ApiKey;
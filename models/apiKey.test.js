@@ -0,0 +1,160 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, ForbiddenError, NotFoundError } = require("../expressError");
+const { hashToken } = require("../helpers/tokens");
+const ApiKey = require("./apiKey.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const newKey = { name: "ATS", scopes: ["jobs:write"] };
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: stores only the hash", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", newKey);
+    expect(key).toMatch(/^jobly_[0-9a-f]{48}$/);
+    expect(apiKey).toEqual({
+      id: expect.any(Number),
+      name: "ATS",
+      prefix: key.slice(0, 14),
+      scopes: ["jobs:write"],
+      companyHandle: null,
+      expiresAt: null,
+      lastUsedAt: null,
+      createdAt: expect.any(Date),
+    });
+
+    const found = await db.query(`SELECT key_hash FROM api_keys WHERE id = $1`, [apiKey.id]);
+    expect(found.rows).toEqual([{ key_hash: hashToken(key) }]);
+  });
+
+  test("works: for a company, expiring", async function () {
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const { apiKey } = await ApiKey.create("u1", { ...newKey, companyHandle: "c1", expiresAt });
+    expect(apiKey.companyHandle).toEqual("c1");
+    expect(apiKey.expiresAt).toEqual(expiresAt);
+  });
+
+  test("bad request for a scope the user doesn't have", async function () {
+    await expect(ApiKey.create("u2", newKey)).rejects.toThrow(BadRequestError);
+  });
+
+  test("forbidden for a company the user isn't a member of", async function () {
+    await expect(ApiKey.create("u2", { name: "ATS", scopes: [], companyHandle: "c1" }))
+        .rejects.toThrow(ForbiddenError);
+  });
+
+  test("not found if no such company", async function () {
+    await expect(ApiKey.create("u1", { ...newKey, companyHandle: "nope" }))
+        .rejects.toThrow(NotFoundError);
+  });
+
+  test("bad request if already expired", async function () {
+    await expect(ApiKey.create("u1", { ...newKey, expiresAt: "2000-01-01T00:00:00Z" }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(ApiKey.create("nope", newKey)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** findAll, get */
+
+describe("findAll and get", function () {
+  test("works", async function () {
+    const { apiKey } = await ApiKey.create("u1", newKey);
+    expect(await ApiKey.findAll("u1")).toEqual([apiKey]);
+    expect(await ApiKey.findAll("u2")).toEqual([]);
+    expect(await ApiKey.get("u1", apiKey.id)).toEqual(apiKey);
+  });
+
+  test("not found for someone else's key", async function () {
+    const { apiKey } = await ApiKey.create("u1", newKey);
+    await expect(ApiKey.get("u2", apiKey.id)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    const { apiKey } = await ApiKey.create("u1", newKey);
+    const updated = await ApiKey.update("u1", apiKey.id, { scopes: ["jobs:write", "companies:write"] });
+    expect(updated).toEqual({ ...apiKey, scopes: ["jobs:write", "companies:write"] });
+  });
+
+  test("bad request for a scope the user doesn't have", async function () {
+    const { apiKey } = await ApiKey.create("u2", { name: "ATS", scopes: ["jobs:apply"] });
+    await expect(ApiKey.update("u2", apiKey.id, { scopes: ["jobs:write"] }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request with no data", async function () {
+    const { apiKey } = await ApiKey.create("u1", newKey);
+    await expect(ApiKey.update("u1", apiKey.id, {})).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found for someone else's key", async function () {
+    const { apiKey } = await ApiKey.create("u1", newKey);
+    await expect(ApiKey.update("u2", apiKey.id, { name: "Mine" })).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", newKey);
+    await ApiKey.remove("u1", apiKey.id);
+    expect(await ApiKey.authenticate(key)).toBeNull();
+  });
+
+  test("not found if no such key", async function () {
+    await expect(ApiKey.remove("u1", 0)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** authenticate */
+
+describe("authenticate", function () {
+  test("works: the owner's current roles, the key's scopes", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", { ...newKey, companyHandle: "c1" });
+    expect(await ApiKey.authenticate(key)).toEqual({
+      username: "u1",
+      roles: ["admin", "candidate"],
+      isAdmin: false,
+      scopes: ["jobs:write"],
+      companyHandle: "c1",
+      apiKeyId: apiKey.id,
+    });
+  });
+
+  test("records when it was used", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", newKey);
+    await ApiKey.authenticate(key);
+    expect((await ApiKey.get("u1", apiKey.id)).lastUsedAt).toEqual(expect.any(Date));
+  });
+
+  test("null if expired", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", newKey);
+    await db.query(`UPDATE api_keys SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1`,
+        [apiKey.id]);
+    expect(await ApiKey.authenticate(key)).toBeNull();
+  });
+
+  test("null for an unknown key", async function () {
+    expect(await ApiKey.authenticate("jobly_nope")).toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+"use strict";
+
+const db = require("../db");
+const { paginationSql, combineWhere, pageOf } = require("../helpers/pagination");
+const { auditContext, diff } = require("../helpers/audit");
+
+/** How audit entries may be sorted and paged through (see helpers/pagination.js). */
+
+const PAGING = {
+  sortable: {
+    id: "id",
+    createdAt: "created_at",
+  },
+  defaultSort: "-id",
+  tiebreaker: "id",
+  types: { id: "integer", createdAt: "timestamp" },
+};
+
+const AUDIT_COLUMNS = `id,
+                       created_at AS "createdAt",
+                       actor,
+                       api_key_id AS "apiKeyId",
+                       action,
+                       entity_type AS "entityType",
+                       entity_id AS "entityId",
+                       before,
+                       after,
+                       ip,
+                       request_id AS "requestId"`;
+
+/** Filters findAll takes, and the column each matches. */
+
+const FILTER_COLUMNS = {
+  actor: "actor",
+  action: "action",
+  entityType: "entity_type",
+  entityId: "entity_id",
+};
+
+/** Related functions for the audit log: who changed what, and when.
+ *
+ * An entry is { id, createdAt, actor, apiKeyId, action, entityType,
+ * entityId, before, after, ip, requestId }. action is like "company.removed"
+ * (named like the events in helpers/events.js); before and after are the
+ * fields that changed (see helpers/audit.js).
+ *
+ * The models record their changes here, inside the transaction making them,
+ * so a change is never saved without its entry. The table is append-only.
+ * Logins and tokens, and users' own saved searches and notifications, aren't
+ * recorded.
+ */
+
+class Audit {
+  /** Record that action was done to an entity, with its versions before and
+   * after (null for one created or deleted); returns undefined.
+   *
+   * Who did it comes from the audit context (see helpers/audit.js). Run in a
+   * transaction (see db.withTransaction), the entry is part of it.
+   **/
+
+  static async record(action, entityType, entityId, { before = null, after = null } = {}) {
+    const { actor = null, apiKeyId = null, ip = null, requestId = null } = auditContext();
+    const changes = diff(before, after);
+
+    await db.query(
+          `INSERT INTO audit_log
+             (actor, api_key_id, action, entity_type, entity_id, before, after, ip, request_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [actor, apiKeyId, action, entityType, String(entityId),
+          changes.before, changes.after, ip, requestId],
+    );
+  }
+
+  /** Find audit entries, newest first, a page at a time.
+   *
+   * filters can include { actor, action, entityType, entityId } to match
+   * exactly, and { since, until } (date-times) for when.
+   *
+   * page is { limit, offset, cursor, sort } (sort: id or createdAt).
+   *
+   * Returns {
+   *   entries: [{ id, createdAt, actor, apiKeyId, action, entityType,
+   *               entityId, before, after, ip, requestId }, ...],
+   *   total, -> how many match the filters, across all pages
+   *   nextCursor -> pass as cursor to get the next page; null on the last page
+   * }
+   **/
+
+  static async findAll(filters = {}, page = {}) {
+    const values = [];
+    const conditions = [];
+    for (let [filter, column] of Object.entries(FILTER_COLUMNS)) {
+      if (filters[filter] !== undefined) {
+        values.push(filters[filter]);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    }
+    if (filters.since !== undefined) {
+      values.push(filters.since);
+      conditions.push(`created_at >= $${values.length}`);
+    }
+    if (filters.until !== undefined) {
+      values.push(filters.until);
+      conditions.push(`created_at < $${values.length}`);
+    }
+    const whereSql = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const paging = paginationSql(page, PAGING, values.length);
+
+    const result = await db.query(
+          `SELECT ${AUDIT_COLUMNS}
+           FROM audit_log
+           ${combineWhere(whereSql, paging.cursorSql)}
+           ${paging.orderBySql}
+           ${paging.limitSql}`,
+        [...values, ...paging.values],
+    );
+
+    const countRes = await db.query(
+          `SELECT COUNT(*)::integer AS total
+           FROM audit_log
+           ${whereSql}`,
+        values,
+    );
+
+    const { rows, nextCursor } = pageOf(result.rows, paging);
+    return { entries: rows, total: countRes.rows[0].total, nextCursor };
+  }
+}
+
+
+module.exports = Audit;
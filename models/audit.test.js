@@ -0,0 +1,159 @@
+"use strict";
+
+const db = require("../db.js");
+const { withAuditContext } = require("../helpers/audit");
+const Audit = require("./audit.js");
+const Company = require("./company.js");
+const Job = require("./job.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const context = { actor: "u1", apiKeyId: null, ip: "10.0.0.1", requestId: "req-1" };
+
+/** Entries made while this test ran, oldest first. */
+
+async function newEntries() {
+  const { entries } = await Audit.findAll({ since: startedAt.toISOString() }, { sort: "id" });
+  return entries;
+}
+
+let startedAt;
+beforeEach(async function () {
+  const now = await db.query(`SELECT NOW() AS now`);
+  startedAt = now.rows[0].now;
+});
+
+/************************************** record */
+
+describe("record", function () {
+  test("works, with who did it", async function () {
+    await withAuditContext(context, () =>
+      Audit.record("company.updated", "company", "c1", {
+        before: { name: "C1", description: "Desc1" },
+        after: { name: "New", description: "Desc1" },
+      }));
+
+    expect(await newEntries()).toEqual([{
+      id: expect.any(Number),
+      createdAt: expect.any(Date),
+      actor: "u1",
+      apiKeyId: null,
+      action: "company.updated",
+      entityType: "company",
+      entityId: "c1",
+      before: { name: "C1" },
+      after: { name: "New" },
+      ip: "10.0.0.1",
+      requestId: "req-1",
+    }]);
+  });
+
+  test("no actor outside a request", async function () {
+    await Audit.record("user.unlocked", "user", "u2");
+    const [entry] = await newEntries();
+    expect(entry).toEqual(expect.objectContaining({ actor: null, ip: null, requestId: null }));
+  });
+
+  test("entries can't be changed or deleted", async function () {
+    await Audit.record("user.unlocked", "user", "u2");
+    await expect(db.withTransaction(client => client.query(`UPDATE audit_log SET actor = 'someone'`)))
+        .rejects.toThrow(/append-only/);
+    await expect(db.withTransaction(client => client.query(`DELETE FROM audit_log`)))
+        .rejects.toThrow(/append-only/);
+  });
+});
+
+/************************************** what's recorded */
+
+describe("changes recorded by the models", function () {
+  test("Company.remove", async function () {
+    await withAuditContext(context, () => Company.remove("c1"));
+    expect(await newEntries()).toEqual([expect.objectContaining({
+      actor: "u1",
+      action: "company.removed",
+      entityType: "company",
+      entityId: "c1",
+      before: { handle: "c1", name: "C1", description: "Desc1", numEmployees: 1, logoUrl: "http://c1.img" },
+      after: null,
+    })]);
+  });
+
+  test("Job.remove", async function () {
+    const job = (await db.query(`SELECT id FROM jobs WHERE title = 'test1'`)).rows[0];
+    await Job.remove(job.id);
+    expect(await newEntries()).toEqual([expect.objectContaining({
+      action: "job.removed",
+      entityType: "job",
+      entityId: String(job.id),
+      before: { id: job.id, title: "test1", salary: 126000, equity: null, companyHandle: "c1" },
+    })]);
+  });
+
+  test("User.update, with isAdmin and a new password", async function () {
+    await User.update("u2", { firstName: "New", password: "new-password", isAdmin: true });
+    const entries = await newEntries();
+    expect(entries.map(e => e.action)).toEqual(["user.roleGranted", "user.updated"]);
+    expect(entries[1]).toEqual(expect.objectContaining({
+      entityId: "u2",
+      before: { firstName: "U2F", password: "[redacted]", isAdmin: false },
+      after: { firstName: "New", password: "[redacted]", isAdmin: true },
+    }));
+  });
+
+  test("nothing is recorded if the change fails", async function () {
+    await expect(Company.remove("nope")).rejects.toThrow();
+    await expect(User.update("nope", { firstName: "New" })).rejects.toThrow();
+    expect(await newEntries()).toEqual([]);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    await withAuditContext(context, async () => {
+      await Audit.record("company.removed", "company", "c1");
+      await Audit.record("company.removed", "company", "c2");
+    });
+    await Audit.record("user.unlocked", "user", "u2");
+  });
+
+  test("works: newest first", async function () {
+    const { entries, total, nextCursor } = await Audit.findAll();
+    expect(entries.map(e => e.entityId)).toEqual(["u2", "c2", "c1"]);
+    expect(total).toEqual(3);
+    expect(nextCursor).toBeNull();
+  });
+
+  test("works: filters", async function () {
+    const byActor = await Audit.findAll({ actor: "u1" });
+    expect(byActor.entries.map(e => e.entityId)).toEqual(["c2", "c1"]);
+
+    const byEntity = await Audit.findAll({ entityType: "company", entityId: "c1" });
+    expect(byEntity.entries.map(e => e.entityId)).toEqual(["c1"]);
+    expect(byEntity.total).toEqual(1);
+
+    const byAction = await Audit.findAll({ action: "user.unlocked" });
+    expect(byAction.entries.map(e => e.entityId)).toEqual(["u2"]);
+
+    const byTime = await Audit.findAll({ until: "2000-01-01T00:00:00Z" });
+    expect(byTime.entries).toEqual([]);
+  });
+
+  test("works: pages", async function () {
+    const first = await Audit.findAll({}, { limit: 2 });
+    expect(first.entries.map(e => e.entityId)).toEqual(["u2", "c2"]);
+    const second = await Audit.findAll({}, { limit: 2, cursor: first.nextCursor });
+    expect(second.entries.map(e => e.entityId)).toEqual(["c1"]);
+  });
+});
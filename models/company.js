@@ -1,11 +1,39 @@
 "use strict";
 
 const db = require("../db");
-const { BadRequestError, NotFoundError } = require("../expressError");
+const { BadRequestError, NotFoundError, ForbiddenError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
 const {createToken} = require('../helpers/tokens')
+const { hasRole } = require("../helpers/roles");
+const { paginationSql, combineWhere, pageOf, parseSort, orderBySql } = require("../helpers/pagination");
+const User = require("./user");
+const Audit = require("./audit");
 
-/** Related functions for companies. */
+/** How companies may be sorted and paged through (see helpers/pagination.js). */
+
+const PAGING = {
+  sortable: {
+    handle: "handle",
+    name: "name",
+    numEmployees: "num_employees",
+  },
+  defaultSort: "name",
+  tiebreaker: "handle",
+  types: { numEmployees: "integer" },
+};
+
+/** Columns returned for a company. */
+
+const COMPANY_COLUMNS = `handle,
+                         name,
+                         description,
+                         num_employees AS "numEmployees",
+                         logo_url AS "logoUrl"`;
+
+/** Related functions for companies.
+ *
+ * Changes are recorded in the audit log (see models/audit.js).
+ */
 
 class Company {
   /** Create a company (from data), update db, return new company data.
@@ -18,42 +46,129 @@ class Company {
    * */
 
   static async create({ handle, name, description, numEmployees, logoUrl }) {
-    const duplicateCheck = await db.query(
-          `SELECT handle
-           FROM companies
-           WHERE handle = $1`,
-        [handle]);
+    return db.withTransaction(async client => {
+      // two requests for the same handle wait for each other here, so the
+      // second sees the first's company
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('companies'), hashtext($1))`, [handle]);
+
+      const duplicateCheck = await client.query(
+            `SELECT handle
+             FROM companies
+             WHERE handle = $1`,
+          [handle]);
+
+      if (duplicateCheck.rows[0])
+        throw new BadRequestError(`Duplicate company: ${handle}`);
 
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate company: ${handle}`);
+      const result = await client.query(
+            `INSERT INTO companies
+             (handle, name, description, num_employees, logo_url)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
+          [
+            handle,
+            name,
+            description,
+            numEmployees,
+            logoUrl,
+          ],
+      );
+      const company = result.rows[0];
 
+      await Audit.record("company.created", "company", handle, { after: company });
+
+      return company;
+    });
+  }
+
+  /** Check companies about to be imported for conflicts (see helpers/import.js).
+   *
+   * companies is [{ handle, name, description, numEmployees, logoUrl }, ...],
+   * already valid for companyNew.json.
+   *
+   * Returns, for each company, [{ path, message }, ...]: a handle or name
+   * that's taken, or used by an earlier company in the list.
+   **/
+
+  static async checkImport(companies) {
     const result = await db.query(
-          `INSERT INTO companies
-           (handle, name, description, num_employees, logo_url)
-           VALUES ($1, $2, $3, $4, $5)
-           RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
-        [
-          handle,
-          name,
-          description,
-          numEmployees,
-          logoUrl,
-        ],
-    );
-    const company = result.rows[0];
-
-    return company;
+          `SELECT handle, name
+           FROM companies
+           WHERE handle = ANY($1) OR name = ANY($2)`,
+        [companies.map(c => c.handle), companies.map(c => c.name)]);
+
+    const takenHandles = new Set(result.rows.map(r => r.handle));
+    const takenNames = new Set(result.rows.map(r => r.name));
+    const seenHandles = new Set();
+    const seenNames = new Set();
+
+    return companies.map(({ handle, name }) => {
+      const errors = [];
+
+      if (handle !== handle.toLowerCase()) {
+        errors.push({ path: "handle", message: "must be lowercase" });
+      } else if (takenHandles.has(handle)) {
+        errors.push({ path: "handle", message: `is taken: ${handle}` });
+      } else if (seenHandles.has(handle)) {
+        errors.push({ path: "handle", message: `is repeated: ${handle}` });
+      }
+      if (takenNames.has(name)) {
+        errors.push({ path: "name", message: `is taken: ${name}` });
+      } else if (seenNames.has(name)) {
+        errors.push({ path: "name", message: `is repeated: ${name}` });
+      }
+
+      seenHandles.add(handle);
+      seenNames.add(name);
+      return errors;
+    });
   }
 
-  /** Find all companies.
+  /** Add many companies in one statement, so either all are added or none.
+   *
+   * companies is as for checkImport, which should be run first.
    *
    * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   **/
+
+  static async insertMany(companies) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `INSERT INTO companies
+             (handle, name, description, num_employees, logo_url)
+             SELECT handle, name, description, "numEmployees", "logoUrl"
+             FROM jsonb_to_recordset($1::jsonb)
+               AS c(handle TEXT, name TEXT, description TEXT, "numEmployees" INTEGER, "logoUrl" TEXT)
+             RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
+          [JSON.stringify(companies)]);
+
+      for (let company of result.rows) {
+        await Audit.record("company.created", "company", company.handle, { after: company });
+      }
+
+      return result.rows;
+    });
+  }
+
+  /** Find all companies, a page at a time.
+   *
+   * page is { limit, offset, cursor, sort } from the query string; sort is a
+   * comma separated list of handle, name and numEmployees, each optionally
+   * prefixed with "-" for descending (default: name).
+   *
+   * Returns {
+   *   companies: [{ handle, name, description, numEmployees, logoUrl }, ...],
+   *   total, -> how many companies match the filters, across all pages
+   *   nextCursor -> pass as cursor to get the next page; null on the last page
+   * }
    * 
    * If there are no sqlStatments to filter then they will just be ignored
    * */
 
-  static async findAll(name, minEmployees, maxEmployees) {
-    const {sqlStatments, sanatizedStatments} = await this.createFilterSql(name, minEmployees, maxEmployees);
+  static async findAll(name, minEmployees, maxEmployees, page = {}) {
+    const {sqlStatments, sanatizedStatments = []} = await this.createFilterSql(name, minEmployees, maxEmployees);
+    const paging = paginationSql(page, PAGING, sanatizedStatments.length);
+
     const companiesRes = await db.query(
           `SELECT handle,
                   name,
@@ -61,9 +176,40 @@ class Company {
                   num_employees AS "numEmployees",
                   logo_url AS "logoUrl"
            FROM companies
-           ${sqlStatments ? sqlStatments : ''}
-           ORDER BY name`, sanatizedStatments ? sanatizedStatments : '');
-    return companiesRes.rows;
+           ${combineWhere(sqlStatments, paging.cursorSql)}
+           ${paging.orderBySql}
+           ${paging.limitSql}`, [...sanatizedStatments, ...paging.values]);
+
+    const countRes = await db.query(
+          `SELECT COUNT(*)::integer AS total
+           FROM companies
+           ${sqlStatments ? sqlStatments : ''}`, sanatizedStatments);
+
+    const { rows, nextCursor } = pageOf(companiesRes.rows, paging);
+    return { companies: rows, total: countRes.rows[0].total, nextCursor };
+  }
+
+  /** The query for exporting every company that matches the filters (as for
+   * findAll), in sort order (see helpers/export.js).
+   *
+   * Returns { text, values }; its rows are { handle, name, description,
+   * numEmployees, logoUrl }.
+   **/
+
+  static async exportQuery(name, minEmployees, maxEmployees, sort) {
+    const {sqlStatments, sanatizedStatments = []} = await this.createFilterSql(name, minEmployees, maxEmployees);
+
+    return {
+      text: `SELECT handle,
+                    name,
+                    description,
+                    num_employees AS "numEmployees",
+                    logo_url AS "logoUrl"
+             FROM companies
+             ${sqlStatments || ''}
+             ${orderBySql(parseSort(sort, PAGING))}`,
+      values: sanatizedStatments,
+    };
   }
 
   /* This function will take the query params and parse them to create an SQL statment
@@ -81,11 +227,11 @@ class Company {
     const sanatizedStatments = [];
     /* If these statements exist then it will be added to the array of sql statments and the sanitized arg will also be added to an array*/
     name ? sqlStatments.push(`name ILIKE $${sqlStatments.length + 1}`) && sanatizedStatments.push(`${name}%`) : null;
-    minEmployees ? sqlStatments.push(`num_employees > $${sqlStatments.length + 1}`) && sanatizedStatments.push(`${minEmployees}`) : null;
-    maxEmployees ? sqlStatments.push(`num_employees < $${sqlStatments.length + 1}`) && sanatizedStatments.push(`${maxEmployees}`) : null;
+    minEmployees !== undefined ? sqlStatments.push(`num_employees > $${sqlStatments.length + 1}`) && sanatizedStatments.push(`${minEmployees}`) : null;
+    maxEmployees !== undefined ? sqlStatments.push(`num_employees < $${sqlStatments.length + 1}`) && sanatizedStatments.push(`${maxEmployees}`) : null;
 
-    /* If maxEmployees is greater than mixEmployees than an error will be thrown */
-    if(maxEmployees < minEmployees){
+    /* If maxEmployees is greater than mixEmployees than an error will be thrown (compared as numbers, so "9" < "10") */
+    if(maxEmployees !== undefined && minEmployees !== undefined && Number(maxEmployees) < Number(minEmployees)){
        throw new BadRequestError('minEmployees connot be greater than maxEmployees')
     }
 
@@ -118,7 +264,11 @@ class Company {
                   c.description,
                   c.num_employees AS "numEmployees",
                   c.logo_url AS "logoUrl",
-                  to_json(j) "jobs"
+                  json_build_object('id', j.id,
+                                    'title', j.title,
+                                    'salary', j.salary,
+                                    'equity', j.equity,
+                                    'company_handle', j.company_handle) "jobs"
                   FROM companies c
                   INNER JOIN jobs j
                   ON c.handle = j.company_handle
@@ -153,20 +303,32 @@ class Company {
         });
     const handleVarIdx = "$" + (values.length + 1);
 
-    const querySql = `UPDATE companies 
-                      SET ${setCols} 
-                      WHERE handle = ${handleVarIdx} 
-                      RETURNING handle, 
-                                name, 
-                                description, 
-                                num_employees AS "numEmployees", 
-                                logo_url AS "logoUrl"`;
-    const result = await db.query(querySql, [...values, handle]);
-    const company = result.rows[0];
+    return db.withTransaction(async client => {
+      const beforeRes = await client.query(
+            `SELECT ${COMPANY_COLUMNS}
+             FROM companies
+             WHERE handle = $1
+             FOR UPDATE`,
+          [handle]);
+      const before = beforeRes.rows[0];
+
+      if (!before) throw new NotFoundError(`No company: ${handle}`);
+
+      const querySql = `UPDATE companies 
+                        SET ${setCols} 
+                        WHERE handle = ${handleVarIdx} 
+                        RETURNING handle, 
+                                  name, 
+                                  description, 
+                                  num_employees AS "numEmployees", 
+                                  logo_url AS "logoUrl"`;
+      const result = await client.query(querySql, [...values, handle]);
+      const company = result.rows[0];
 
-    if (!company) throw new NotFoundError(`No company: ${handle}`);
+      await Audit.record("company.updated", "company", handle, { before, after: company });
 
-    return company;
+      return company;
+    });
   }
 
   /** Delete given company from database; returns undefined.
@@ -175,15 +337,148 @@ class Company {
    **/
 
   static async remove(handle) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `DELETE
+             FROM companies
+             WHERE handle = $1
+             RETURNING ${COMPANY_COLUMNS}`,
+          [handle]);
+      const company = result.rows[0];
+
+      if (!company) throw new NotFoundError(`No company: ${handle}`);
+
+      await Audit.record("company.removed", "company", handle, { before: company });
+    });
+  }
+
+  /** Given a company handle, return its members (the recruiters who manage
+   * its jobs).
+   *
+   * Returns [{ username, firstName, lastName, email }, ...]
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async getMembers(handle) {
+    await this.checkExists(handle);
+
+    const result = await db.query(
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email
+           FROM company_members cm
+           JOIN users u ON u.username = cm.username
+           WHERE cm.company_handle = $1
+           ORDER BY u.username`,
+        [handle]);
+
+    return result.rows;
+  }
+
+  /** Make a user a member of a company. Members get the recruiter role, which
+   * lets them post jobs -- but only for the companies they belong to.
+   *
+   * Returns { username, companyHandle }
+   *
+   * Throws NotFoundError if company or user not found, BadRequestError if
+   * they're already a member.
+   **/
+
+  static async addMember(handle, username) {
+    await this.checkExists(handle);
+
+    return db.withTransaction(async client => {
+      const duplicateCheck = await client.query(
+            `SELECT username
+             FROM company_members
+             WHERE company_handle = $1 AND username = $2`,
+          [handle, username]);
+
+      if (duplicateCheck.rows[0])
+        throw new BadRequestError(`Duplicate member: ${username}`);
+
+      await User.grantRole(username, "recruiter");
+
+      const result = await client.query(
+            `INSERT INTO company_members (username, company_handle)
+             VALUES ($1, $2)
+             RETURNING username, company_handle AS "companyHandle"`,
+          [username, handle]);
+      const member = result.rows[0];
+
+      await Audit.record("company.memberAdded", "company", handle, { after: member });
+
+      return member;
+    });
+  }
+
+  /** Remove a user from a company; returns undefined.
+   *
+   * Their recruiter role is left alone, since they may belong to other companies.
+   *
+   * Throws NotFoundError if they weren't a member.
+   **/
+
+  static async removeMember(handle, username) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `DELETE
+             FROM company_members
+             WHERE company_handle = $1 AND username = $2
+             RETURNING username, company_handle AS "companyHandle"`,
+          [handle, username]);
+      const member = result.rows[0];
+
+      if (!member)
+        throw new NotFoundError(`No member ${username} in company: ${handle}`);
+
+      await Audit.record("company.memberRemoved", "company", handle, { before: member });
+    });
+  }
+
+  /** Is this username a member of the company? Returns true/false. */
+
+  static async isMember(handle, username) {
     const result = await db.query(
-          `DELETE
+          `SELECT username
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2`,
+        [handle, username]);
+
+    return result.rows.length > 0;
+  }
+
+  /** Make sure user (a token payload, e.g. res.locals.user) may act for the
+   * company: admins may act for any company, everyone else only for the
+   * companies they are a member of. An API key made for one company (see
+   * models/apiKey.js) may only act for that company.
+   *
+   * Throws ForbiddenError if not; returns undefined otherwise.
+   **/
+
+  static async checkMemberOrAdmin(handle, user) {
+    if (user && user.companyHandle && user.companyHandle !== handle) {
+      throw new ForbiddenError(`This API key is for company: ${user.companyHandle}`);
+    }
+    if (hasRole(user, "admin")) return;
+
+    if (!user || !(await this.isMember(handle, user.username))) {
+      throw new ForbiddenError(`Not a member of company: ${handle}`);
+    }
+  }
+
+  /** Throws NotFoundError if there is no company with this handle. */
+
+  static async checkExists(handle) {
+    const result = await db.query(
+          `SELECT handle
            FROM companies
-           WHERE handle = $1
-           RETURNING handle`,
+           WHERE handle = $1`,
         [handle]);
-    const company = result.rows[0];
 
-    if (!company) throw new NotFoundError(`No company: ${handle}`);
+    if (!result.rows[0]) throw new NotFoundError(`No company: ${handle}`);
   }
 }
 
@@ -1,8 +1,9 @@
 "use strict";
 
 const db = require("../db.js");
-const { BadRequestError, NotFoundError } = require("../expressError");
+const { BadRequestError, NotFoundError, ForbiddenError } = require("../expressError");
 const Company = require("./company.js");
+const User = require("./user.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -57,11 +58,57 @@ describe("create", function () {
 
 });
 
+/************************************** checkImport / insertMany */
+
+describe("checkImport", function () {
+  test("finds taken, repeated and uppercase handles and names", async function () {
+    const errors = await Company.checkImport([
+      { handle: "new", name: "New", description: "D" },
+      { handle: "c1", name: "C2", description: "D" },
+      { handle: "new", name: "New", description: "D" },
+      { handle: "Upper", name: "Upper", description: "D" },
+    ]);
+    expect(errors).toEqual([
+      [],
+      [{ path: "handle", message: "is taken: c1" }, { path: "name", message: "is taken: C2" }],
+      [{ path: "handle", message: "is repeated: new" }, { path: "name", message: "is repeated: New" }],
+      [{ path: "handle", message: "must be lowercase" }],
+    ]);
+  });
+});
+
+describe("insertMany", function () {
+  test("works", async function () {
+    const companies = await Company.insertMany([
+      { handle: "n1", name: "N1", description: "D1", numEmployees: 5 },
+      { handle: "n2", name: "N2", description: "D2", logoUrl: "http://n2.img" },
+    ]);
+    expect(companies).toEqual([
+      { handle: "n1", name: "N1", description: "D1", numEmployees: 5, logoUrl: null },
+      { handle: "n2", name: "N2", description: "D2", numEmployees: null, logoUrl: "http://n2.img" },
+    ]);
+  });
+
+  test("adds none if one fails", async function () {
+    await expect(Company.insertMany([
+      { handle: "n1", name: "N1", description: "D1" },
+      { handle: "c1", name: "N2", description: "D2" },
+    ])).rejects.toThrow();
+
+    await db.query("ROLLBACK");
+    await db.query("BEGIN");
+    const result = await db.query(`SELECT handle FROM companies WHERE handle = 'n1'`);
+    expect(result.rows).toEqual([]);
+  });
+});
+
 /************************************** findAll */
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let companies = await Company.findAll();
+    let { companies, total, nextCursor } = await Company.findAll();
+    expect(total).toEqual(3);
+    expect(nextCursor).toBeNull();
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -86,6 +133,40 @@ describe("findAll", function () {
       },
     ]);
   });
+
+  test("works: limit and cursor", async function () {
+    const page1 = await Company.findAll(undefined, undefined, undefined, { limit: 2 });
+    expect(page1.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(page1.total).toEqual(3);
+    expect(page1.nextCursor).toEqual(expect.any(String));
+
+    const page2 = await Company.findAll(
+        undefined, undefined, undefined, { limit: 2, cursor: page1.nextCursor });
+    expect(page2.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(page2.nextCursor).toBeNull();
+  });
+
+  test("works: offset and sort", async function () {
+    const { companies } = await Company.findAll(
+        undefined, undefined, undefined, { sort: "-numEmployees", offset: 1 });
+    expect(companies.map(c => c.handle)).toEqual(["c2", "c1"]);
+  });
+
+  test("total counts filtered companies", async function () {
+    const { companies, total } = await Company.findAll("c", 1, undefined, { limit: 1 });
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+    expect(total).toEqual(2);
+  });
+
+  test("bad request for unknown sort field", async function () {
+    expect.assertions(1);
+    try {
+      await Company.findAll(undefined, undefined, undefined, { sort: "description" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
 });
 
 
@@ -237,3 +318,81 @@ describe("remove", function () {
     }
   });
 });
+
+
+/************************************** members */
+
+describe("members", function () {
+  test("addMember works and grants recruiter role", async function () {
+    const member = await Company.addMember("c1", "u2");
+    expect(member).toEqual({ username: "u2", companyHandle: "c1" });
+    expect(await Company.getMembers("c1")).toEqual([
+      { username: "u2", firstName: "U2F", lastName: "U2L", email: "u2@email.com" },
+    ]);
+    expect(await User.getRoles("u2")).toEqual(["candidate", "recruiter"]);
+  });
+
+  test("addMember bad request if already a member", async function () {
+    expect.assertions(1);
+    await Company.addMember("c1", "u2");
+    try {
+      await Company.addMember("c1", "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("addMember not found for no such company or user", async function () {
+    expect.assertions(2);
+    try {
+      await Company.addMember("nope", "u2");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+    try {
+      await Company.addMember("c1", "nope");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("removeMember works", async function () {
+    await Company.addMember("c1", "u2");
+    await Company.removeMember("c1", "u2");
+    expect(await Company.getMembers("c1")).toEqual([]);
+  });
+
+  test("removeMember not found if not a member", async function () {
+    expect.assertions(1);
+    try {
+      await Company.removeMember("c1", "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("checkMemberOrAdmin", async function () {
+    await Company.addMember("c1", "u2");
+    await Company.checkMemberOrAdmin("c1", { username: "u2", roles: ["recruiter"] });
+    await Company.checkMemberOrAdmin("c2", { username: "u1", roles: ["admin"] });
+    try {
+      await Company.checkMemberOrAdmin("c2", { username: "u2", roles: ["recruiter"] });
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("checkMemberOrAdmin: a company's API key only acts for it", async function () {
+    const key = { username: "u1", roles: ["admin"], companyHandle: "c1" };
+    await Company.checkMemberOrAdmin("c1", key);
+    try {
+      await Company.checkMemberOrAdmin("c2", key);
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,100 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { generateOpaqueToken, hashToken } = require("../helpers/tokens");
+const Audit = require("./audit");
+const { EMAIL_VERIFICATION_TTL_HOURS } = require("../config");
+
+/** Related functions for email verification tokens.
+ *
+ * A verification token is emailed to a user's address and can be used once,
+ * within EMAIL_VERIFICATION_TTL_HOURS, to mark that address verified. It
+ * only works while the user still has that address. Only its hash is stored.
+ */
+
+class EmailVerification {
+  /** Make a verification token for username's current email address.
+   *
+   * Any earlier unused tokens of theirs stop working.
+   *
+   * Returns { username, email, token }
+   *
+   * Throws NotFoundError if user not found, BadRequestError if their address
+   * is already verified.
+   **/
+
+  static async issue(username) {
+    const userRes = await db.query(
+          `SELECT username, email, email_verified AS "emailVerified"
+           FROM users
+           WHERE username = $1`,
+        [username],
+    );
+    const user = userRes.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.emailVerified) throw new BadRequestError("Email address is already verified");
+
+    await db.query(
+          `UPDATE email_verification_tokens
+           SET used_at = NOW()
+           WHERE username = $1 AND used_at IS NULL`,
+        [username],
+    );
+
+    const token = generateOpaqueToken();
+    await db.query(
+          `INSERT INTO email_verification_tokens (username, email, token_hash, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+        [username, user.email, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS],
+    );
+
+    return { username, email: user.email, token };
+  }
+
+  /** Use a verification token to mark its user's email address verified.
+   *
+   * Returns { username, email }
+   *
+   * Throws BadRequestError if the token is unknown, used or expired, or the
+   * user's address has changed since it was sent.
+   **/
+
+  static async confirm(token) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `UPDATE email_verification_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND expires_at > NOW()
+             RETURNING username, email`,
+          [hashToken(token)],
+      );
+      const verification = result.rows[0];
+
+      if (!verification) throw new BadRequestError("Invalid or expired verification token");
+
+      const userRes = await client.query(
+            `UPDATE users
+             SET email_verified = true
+             WHERE username = $1 AND email = $2
+             RETURNING username`,
+          [verification.username, verification.email],
+      );
+
+      if (!userRes.rows[0]) {
+        throw new BadRequestError("Email address has changed since this token was sent");
+      }
+
+      await Audit.record("user.emailVerified", "user", verification.username,
+          { after: { email: verification.email } });
+
+      return verification;
+    });
+  }
+}
+
+
+module.exports = EmailVerification;
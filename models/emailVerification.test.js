@@ -0,0 +1,79 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { hashToken } = require("../helpers/tokens");
+const EmailVerification = require("./emailVerification.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(async function () {
+  await commonBeforeEach();
+  await db.query(`UPDATE users SET email_verified = false WHERE username = 'u2'`);
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function isVerified(username) {
+  const result = await db.query(
+      `SELECT email_verified FROM users WHERE username = $1`, [username]);
+  return result.rows[0].email_verified;
+}
+
+/************************************** issue */
+
+describe("issue", function () {
+  test("works: stores only the hash", async function () {
+    const { username, email, token } = await EmailVerification.issue("u2");
+    expect({ username, email }).toEqual({ username: "u2", email: "u2@email.com" });
+
+    const found = await db.query(
+        `SELECT token_hash, email FROM email_verification_tokens WHERE username = 'u2'`);
+    expect(found.rows).toEqual([{ token_hash: hashToken(token), email: "u2@email.com" }]);
+  });
+
+  test("earlier tokens stop working", async function () {
+    const first = await EmailVerification.issue("u2");
+    await EmailVerification.issue("u2");
+    await expect(EmailVerification.confirm(first.token)).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if already verified", async function () {
+    await expect(EmailVerification.issue("u1")).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(EmailVerification.issue("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works, once", async function () {
+    const { token } = await EmailVerification.issue("u2");
+    expect(await EmailVerification.confirm(token)).toEqual({ username: "u2", email: "u2@email.com" });
+    expect(await isVerified("u2")).toBe(true);
+
+    await expect(EmailVerification.confirm(token)).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if expired", async function () {
+    const { token } = await EmailVerification.issue("u2");
+    await db.query(`UPDATE email_verification_tokens SET expires_at = NOW() - INTERVAL '1 minute'`);
+    await expect(EmailVerification.confirm(token)).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if the address changed since", async function () {
+    const { token } = await EmailVerification.issue("u2");
+    await User.update("u2", { email: "new@email.com" });
+    await expect(EmailVerification.confirm(token)).rejects.toThrow(BadRequestError);
+    expect(await isVerified("u2")).toBe(false);
+  });
+});
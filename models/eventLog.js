@@ -0,0 +1,74 @@
+"use strict";
+
+const db = require("../db");
+const events = require("../helpers/events");
+
+/** Most events a reconnecting client is sent at once; older ones are skipped. */
+
+const REPLAY_LIMIT = 500;
+
+/** Related functions for the event log behind GET /stream.
+ *
+ * The models append an entry in the same transaction as the change it
+ * records, so the log has every change that's saved and none that isn't:
+ *   job.created, job.updated (Job) -> seen by everyone
+ *   application.updated (User), notification.created (Notification) -> seen
+ *     by that user only
+ *
+ * Entries get an increasing id, so a client that loses its connection can ask
+ * for what it missed (the Last-Event-ID of server-sent events). Each entry is
+ * published as "eventLog.appended" for the live streams once it's committed.
+ *
+ * An entry is { id, type, payload, username }, where username is who may see
+ * it (null: everyone). ids are strings, since they are bigints.
+ */
+
+class EventLog {
+  /** Save an event, in the current transaction if there is one; returns
+   * { id, type, payload, username }. */
+
+  static async append(type, payload, username = null) {
+    const result = await db.query(
+          `INSERT INTO event_log (type, payload, username)
+           VALUES ($1, $2, $3)
+           RETURNING id, type, payload, username`,
+        [type, payload, username],
+    );
+    const entry = result.rows[0];
+
+    await db.afterCommit(() => events.publish("eventLog.appended", entry));
+
+    return entry;
+  }
+
+  /** The entries after lastId that username may see, oldest first.
+   *
+   * Returns [{ id, type, payload, username }, ...], at most REPLAY_LIMIT of
+   * the newest.
+   **/
+
+  static async since(lastId, username) {
+    const result = await db.query(
+          `SELECT id, type, payload, username
+           FROM (SELECT id, type, payload, username
+                 FROM event_log
+                 WHERE id > $1
+                   AND (username IS NULL OR username = $2)
+                 ORDER BY id DESC
+                 LIMIT $3) newest
+           ORDER BY id`,
+        [lastId, username, REPLAY_LIMIT],
+    );
+
+    return result.rows;
+  }
+
+  /** Can username see this entry? */
+
+  static isVisibleTo(entry, username) {
+    return entry.username === null || entry.username === username;
+  }
+}
+
+
+module.exports = EventLog;
@@ -0,0 +1,108 @@
+"use strict";
+
+const db = require("../db.js");
+const EventLog = require("./eventLog.js");
+const User = require("./user.js");
+const Job = require("./job.js");
+const events = require("../helpers/events");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** append / since */
+
+describe("append and since", function () {
+  test("works, with visibility", async function () {
+    const e1 = await EventLog.append("test.public", { n: 1 });
+    await EventLog.append("test.u1", { n: 2 }, "u1");
+    const e3 = await EventLog.append("test.u2", { n: 3 }, "u2");
+
+    expect(e1).toEqual({ id: expect.any(String), type: "test.public", payload: { n: 1 }, username: null });
+
+    const forU2 = await EventLog.since(0, "u2");
+    expect(forU2.map(e => e.type)).toEqual(["test.public", "test.u2"]);
+
+    expect(await EventLog.since(e1.id, "u2")).toEqual([e3]);
+  });
+
+  test("appended entries are published", async function () {
+    const seen = [];
+    const unsubscribe = events.subscribe("eventLog.appended", entry => seen.push(entry));
+    const entry = await EventLog.append("test.public", {});
+    unsubscribe();
+    expect(seen).toEqual([entry]);
+  });
+
+  test("entries are published once committed, and not if rolled back", async function () {
+    const seen = [];
+    const unsubscribe = events.subscribe("eventLog.appended", entry => seen.push(entry.type));
+    try {
+      await db.withTransaction(async () => {
+        await EventLog.append("test.committed", {});
+        expect(seen).toEqual([]);
+      });
+      await db.withTransaction(async () => {
+        await EventLog.append("test.rolledBack", {});
+        throw new Error("undo");
+      }).catch(() => null);
+    } finally {
+      unsubscribe();
+    }
+    expect(seen).toEqual(["test.committed"]);
+  });
+
+  test("isVisibleTo", function () {
+    expect(EventLog.isVisibleTo({ username: null }, "u1")).toBe(true);
+    expect(EventLog.isVisibleTo({ username: "u1" }, "u1")).toBe(true);
+    expect(EventLog.isVisibleTo({ username: "u2" }, "u1")).toBe(false);
+  });
+});
+
+/************************************** from events */
+
+describe("logging model events", function () {
+  test("application changes are logged for the applicant", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test1'`);
+    const jobId = jobRes.rows[0].id;
+    await User.applyToJob({ username: "u2", jobId });
+    await User.updateApplicationState("u2", jobId, "interviewing");
+
+    const logged = await db.query(`SELECT type, username, payload FROM event_log ORDER BY id`);
+    expect(logged.rows.length).toEqual(2);
+    expect(logged.rows).toEqual(expect.arrayContaining([
+      {
+        type: "application.updated",
+        username: "u2",
+        payload: { username: "u2", jobId, from: "applied", to: "interviewing" },
+      },
+      {
+        type: "notification.created",
+        username: "u2",
+        payload: { username: "u2", notification: expect.objectContaining({ type: "application.updated" }) },
+      },
+    ]));
+  });
+
+  test("a change isn't saved if it can't be logged", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test1'`);
+    const jobId = jobRes.rows[0].id;
+
+    const append = jest.spyOn(EventLog, "append").mockRejectedValueOnce(new Error("log down"));
+    try {
+      await expect(Job.update(jobId, { title: "New" })).rejects.toThrow("log down");
+    } finally {
+      append.mockRestore();
+    }
+
+    const job = await db.query(`SELECT title FROM jobs WHERE id = $1`, [jobId]);
+    expect(job.rows[0].title).toEqual("test1");
+  });
+});
@@ -3,99 +3,349 @@
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const Company = require("./company");
+const Audit = require("./audit");
+const EventLog = require("./eventLog");
+const events = require("../helpers/events");
+const { paginationSql, combineWhere, pageOf, parseSort, orderBySql } = require("../helpers/pagination");
 
+/** How jobs may be sorted and paged through (see helpers/pagination.js). */
 
+const PAGING = {
+  sortable: {
+    id: "j.id",
+    title: "j.title",
+    salary: "j.salary",
+    equity: "j.equity",
+    companyHandle: "j.company_handle",
+  },
+  defaultSort: "companyHandle",
+  tiebreaker: "id",
+  types: { id: "integer", salary: "integer", equity: "numeric" },
+};
+
+
+/** PAGING, plus sorting by relevance (the default) when searching with q. */
+
+function pagingFor(relevanceSql) {
+  return relevanceSql
+      ? {
+          ...PAGING,
+          sortable: { ...PAGING.sortable, relevance: relevanceSql },
+          defaultSort: "-relevance",
+          types: { ...PAGING.types, relevance: "number" },
+        }
+      : PAGING;
+}
 
 class Job {
   /** Create a job (from data), update db, return new job data.
    *
    * data should be { title, salary, equity, company_handle }
    *
+   * user is the caller (res.locals.user). When given, they must be an admin or
+   * a member of company_handle.
+   *
    * Returns { title, salary, equity, companyHandle }
    *
-   * Throws BadRequestError if job already in database.
+   * Users with a saved search matching the new job are notified (see
+   * models/savedSearch.js).
+   *
+   * Throws BadRequestError if job already in database, ForbiddenError if the
+   * user can't post for this company.
    * */
 
 
-  static async create({ title, salary, equity, company_handle }) {
-    const duplicateCheck = await db.query(
-          `SELECT title
-           FROM jobs
-           WHERE company_handle = $1 AND title = $2`,
-        [company_handle, title]);
+  static async create({ title, salary, equity, company_handle }, user) {
+    if (user) await Company.checkMemberOrAdmin(company_handle, user);
 
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate company: ${company_handle}`);
+    const job = await db.withTransaction(async client => {
+      // two requests for the same job wait for each other here, so the second
+      // sees the first's job
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('jobs'), hashtext($1 || '/' || $2))`,
+          [company_handle, title]);
 
-    const result = await db.query(
-          `INSERT INTO jobs
-           (title, salary, equity, company_handle)
-           VALUES ($1, $2, $3, $4)
-           RETURNING id, title, salary, equity, company_handle AS "companyHandle"`,
-        [title, salary, equity, company_handle],
-    );
-    const job = result.rows[0];
+      const duplicateCheck = await client.query(
+            `SELECT title
+             FROM jobs
+             WHERE company_handle = $1 AND title = $2`,
+          [company_handle, title]);
+
+      if (duplicateCheck.rows[0])
+        throw new BadRequestError(`Duplicate job: ${title} at ${company_handle}`);
+
+      const result = await client.query(
+            `INSERT INTO jobs
+             (title, salary, equity, company_handle)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id, title, salary, equity, company_handle AS "companyHandle"`,
+          [title, salary, equity, company_handle],
+      );
+      const job = result.rows[0];
+
+      await Audit.record("job.created", "job", job.id, { after: job });
+      await EventLog.append("job.created", { job });
+
+      return job;
+    });
+
+    await events.publish("job.created", { job });
 
     return job;
   }
 
-   /** Find all jobs.
+  /** Check jobs about to be imported for conflicts (see helpers/import.js).
+   *
+   * jobs is [{ title, salary, equity, company_handle }, ...], already valid
+   * for jobNew.json.
    *
-   * Returns { title, salary, equity, company_handle }
+   * Returns, for each job, [{ path, message }, ...]: a company that doesn't
+   * exist, or a title the company already has (or that an earlier job in the
+   * list gives it) -- what create would refuse.
+   **/
+
+  static async checkImport(jobs) {
+    const handles = jobs.map(j => j.company_handle);
+    const titles = jobs.map(j => j.title);
+
+    const companiesRes = await db.query(
+          `SELECT handle FROM companies WHERE handle = ANY($1)`,
+        [handles]);
+    const companies = new Set(companiesRes.rows.map(r => r.handle));
+
+    const jobsRes = await db.query(
+          `SELECT company_handle, title
+           FROM jobs
+           WHERE (company_handle, title) IN (SELECT * FROM unnest($1::text[], $2::text[]))`,
+        [handles, titles]);
+    const key = (handle, title) => JSON.stringify([handle, title]);
+    const taken = new Set(jobsRes.rows.map(r => key(r.company_handle, r.title)));
+    const seen = new Set();
+
+    return jobs.map(({ title, company_handle }) => {
+      const errors = [];
+      const jobKey = key(company_handle, title);
+
+      if (!companies.has(company_handle)) {
+        errors.push({ path: "company_handle", message: `No company: ${company_handle}` });
+      } else if (taken.has(jobKey)) {
+        errors.push({ path: "title", message: `is taken at ${company_handle}: ${title}` });
+      } else if (seen.has(jobKey)) {
+        errors.push({ path: "title", message: `is repeated for ${company_handle}: ${title}` });
+      }
+
+      seen.add(jobKey);
+      return errors;
+    });
+  }
+
+  /** Add many jobs in one statement, so either all are added or none.
+   *
+   * jobs is as for checkImport, which should be run first. Once they're in,
+   * each is published, as in create.
+   *
+   * Returns [{ id, title, salary, equity, companyHandle }, ...]
+   **/
+
+  static async insertMany(jobs) {
+    const result = await db.withTransaction(async client => {
+      const result = await client.query(
+            `INSERT INTO jobs
+             (title, salary, equity, company_handle)
+             SELECT title, salary, equity, company_handle
+             FROM jsonb_to_recordset($1::jsonb)
+               AS j(title TEXT, salary INTEGER, equity NUMERIC, company_handle TEXT)
+             RETURNING id, title, salary, equity, company_handle AS "companyHandle"`,
+          [JSON.stringify(jobs)]);
+
+      for (let job of result.rows) {
+        await Audit.record("job.created", "job", job.id, { after: job });
+        await EventLog.append("job.created", { job });
+      }
+
+      return result;
+    });
+
+    for (let job of result.rows) {
+      await events.publish("job.created", { job });
+    }
+
+    return result.rows;
+  }
+
+   /** Find all jobs, a page at a time.
+   *
+   * Returns {
+   *   jobs: [{ id, title, salary, equity, companyHandle }, ...],
+   *   total, -> how many jobs match the filters, across all pages
+   *   nextCursor -> pass as cursor to get the next page; null on the last page
+   * }
    * 
-   * Can filter on provided search filters:
-   * - title
-   * - minSalary
-   * - hasEquity
+   * filters can include (see createFilterSql):
+   * { title, minSalary, maxSalary, hasEquity, minEquity, maxEquity,
+   *   companyHandle, minEmployees, maxEmployees, q }
    * 
-   * You can pass in those filters when the function is called. Only the values that are defined will be included
+   * Only the filters that are defined will be included. When q (a full-text
+   * search) is given, each job also has a relevance score and results are
+   * sorted by it, best match first, unless another sort is asked for.
+   * 
+   * page is { limit, offset, cursor, sort } from the query string; sort is a
+   * comma separated list of id, title, salary, equity and companyHandle (and
+   * relevance, when searching with q), each optionally prefixed with "-" for
+   * descending (default: companyHandle).
    * 
    * */
 
-    static async findAll(title, minSalary, hasEquity) {
+    static async findAll(filters = {}, page = {}) {
       
-        const {sqlStatments, sanatizedStatments} = await this.createFilterSql(title, minSalary, hasEquity);
+        const {sqlStatments, sanatizedStatments, relevanceSql} = this.createFilterSql(filters);
+
+        const paging = paginationSql(page, pagingFor(relevanceSql), sanatizedStatments.length);
+
         const jobsRes = await db.query(
-              `SELECT id,
-                      title,
-                      salary,
-                      equity,
-                      company_handle AS "companyHandle"
-               FROM jobs
-               ${sqlStatments ? sqlStatments : ''}
-               ORDER BY company_handle`, sanatizedStatments ? sanatizedStatments : '');
-        return jobsRes.rows;
+              `SELECT j.id,
+                      j.title,
+                      j.salary,
+                      j.equity,
+                      j.company_handle AS "companyHandle"
+                      ${relevanceSql ? `, ${relevanceSql} AS relevance` : ''}
+               FROM jobs j
+               JOIN companies c ON c.handle = j.company_handle
+               ${combineWhere(sqlStatments, paging.cursorSql)}
+               ${paging.orderBySql}
+               ${paging.limitSql}`, [...sanatizedStatments, ...paging.values]);
+
+        const countRes = await db.query(
+              `SELECT COUNT(*)::integer AS total
+               FROM jobs j
+               JOIN companies c ON c.handle = j.company_handle
+               ${sqlStatments}`, sanatizedStatments);
+
+        const { rows, nextCursor } = pageOf(jobsRes.rows, paging);
+        return { jobs: rows, total: countRes.rows[0].total, nextCursor };
       }
 
 
-  /* This function will take the query params and parse them to create an SQL statment
+  /** The query for exporting every job that matches filters (as for findAll),
+   * in sort order (see helpers/export.js).
+   *
+   * Returns { text, values }; its rows are { id, title, salary, equity,
+   * companyHandle } (and relevance, when searching with q).
+   **/
+
+  static exportQuery(filters = {}, sort) {
+    const { sqlStatments, sanatizedStatments, relevanceSql } = this.createFilterSql(filters);
+
+    return {
+      text: `SELECT j.id,
+                    j.title,
+                    j.salary,
+                    j.equity,
+                    j.company_handle AS "companyHandle"
+                    ${relevanceSql ? `, ${relevanceSql} AS relevance` : ''}
+             FROM jobs j
+             JOIN companies c ON c.handle = j.company_handle
+             ${sqlStatments}
+             ${orderBySql(parseSort(sort, pagingFor(relevanceSql)))}`,
+      values: sanatizedStatments,
+    };
+  }
+
+
+  /* This function will take the filters and parse them to create an SQL statment
   
   Therefore : 
 
-  'ba', 20000, 50000 -> "WHERE name ILIKE $1 AND salary > $2 AND equity > 0"
+  { title: 'ba', minSalary: 20000, hasEquity: true } -> "WHERE j.title ILIKE $1 AND j.salary > $2 AND j.equity > 0"
+
+  The filters are:
+  - title -> jobs whose title starts with it (case-insensitive)
+  - minSalary / maxSalary -> salary above / below
+  - hasEquity -> only jobs with some equity
+  - minEquity / maxEquity -> equity above / below
+  - companyHandle -> a handle, or an array of them
+  - minEmployees / maxEmployees -> the company's size is above / below
+  - q -> full-text search over the title and the company's description; the
+    search syntax is Postgres' websearch_to_tsquery ("quoted phrases", or, -not)
+
+  The jobs table is "j" and companies is "c" (findAll joins them).
 
   Sanitization is used also, so every time a SQL statment is made, there is a subsequent array that holds all the items to be sanitized.
-  The function will return either an object with both the created SQL statment and sanitized arguments, or it will return false
+  Returns { sqlStatments, sanatizedStatments, relevanceSql }; sqlStatments is "" when there are no filters, and relevanceSql
+  (the SQL for ranking matches of q) is null when there is no q.
 
+  Throws BadRequestError if a min is greater than its max.
   */
-  static async createFilterSql(title, minSalary, hasEquity){
+  static createFilterSql({ title, minSalary, maxSalary, hasEquity, minEquity, maxEquity,
+                           companyHandle, minEmployees, maxEmployees, q } = {}){
     const sqlStatments = [];
     const sanatizedStatments = [];
-    /* If these statements exist then it will be added to the array of sql statments and the sanitized arg will also be added to an array*/
-    title ? sqlStatments.push(`title ILIKE $${sqlStatments.length + 1}`) && sanatizedStatments.push(`${title}%`) : null;
-    minSalary ? sqlStatments.push(`salary > $${sqlStatments.length + 1}`) && sanatizedStatments.push(`${minSalary}`) : null;
-    hasEquity ? sqlStatments.push(`equity > 0`) : null;
-
-    /* This will send an obj with the sql ready or false */
-    if(sqlStatments.length > 0){
-      return {
-        sqlStatments: `WHERE ${sqlStatments.join(' AND ')}`, 
-        sanatizedStatments
+    const param = value => {
+      sanatizedStatments.push(value);
+      return `$${sanatizedStatments.length}`;
+    };
+
+    for (let [min, max, name] of [[minSalary, maxSalary, "Salary"],
+                                  [minEquity, maxEquity, "Equity"],
+                                  [minEmployees, maxEmployees, "Employees"]]) {
+      if (min !== undefined && max !== undefined && Number(min) > Number(max)) {
+        throw new BadRequestError(`min${name} cannot be greater than max${name}`);
       }
-    } else {
-      return false
     }
 
+    /* If these statements exist then it will be added to the array of sql statments and the sanitized arg will also be added to an array*/
+    if (title) sqlStatments.push(`j.title ILIKE ${param(`${title}%`)}`);
+    if (minSalary !== undefined) sqlStatments.push(`j.salary > ${param(minSalary)}`);
+    if (maxSalary !== undefined) sqlStatments.push(`j.salary < ${param(maxSalary)}`);
+    if (hasEquity) sqlStatments.push(`j.equity > 0`);
+    if (minEquity !== undefined) sqlStatments.push(`j.equity > ${param(minEquity)}`);
+    if (maxEquity !== undefined) sqlStatments.push(`j.equity < ${param(maxEquity)}`);
+    if (companyHandle !== undefined) sqlStatments.push(`j.company_handle = ANY(${param([].concat(companyHandle))})`);
+    if (minEmployees !== undefined) sqlStatments.push(`c.num_employees > ${param(minEmployees)}`);
+    if (maxEmployees !== undefined) sqlStatments.push(`c.num_employees < ${param(maxEmployees)}`);
+
+    let relevanceSql = null;
+    if (q) {
+      const query = `websearch_to_tsquery('english', ${param(q)})`;
+      sqlStatments.push(`(j.search_vector || c.search_vector) @@ ${query}`);
+      relevanceSql = `ts_rank(j.search_vector || c.search_vector, ${query})`;
+    }
+
+    return {
+      sqlStatments: sqlStatments.length > 0 ? `WHERE ${sqlStatments.join(' AND ')}` : '',
+      sanatizedStatments,
+      relevanceSql,
+    };
+  }
+
+  /** SQL that's true when the filters stored in the JSONB column filtersSql
+   * (like "s.filters") match job j and its company c: the filters of
+   * createFilterSql, read in the database, so that many sets of filters can be
+   * checked in one query. The two must be kept in step.
+   */
+
+  static filtersMatchSql(filtersSql) {
+    const f = filtersSql;
+    const number = name => `(${f}->>'${name}')::numeric`;
+    const unless = (name, sql) => `(NOT ${f} ? '${name}' OR ${sql})`;
+    const companyHandles = `CASE jsonb_typeof(${f}->'companyHandle')
+                              WHEN 'array' THEN ${f}->'companyHandle'
+                              ELSE jsonb_build_array(${f}->'companyHandle')
+                            END`;
+
+    return [
+      `(COALESCE(${f}->>'title', '') = '' OR j.title ILIKE (${f}->>'title') || '%')`,
+      unless("minSalary", `j.salary > ${number("minSalary")}`),
+      unless("maxSalary", `j.salary < ${number("maxSalary")}`),
+      `(NOT COALESCE((${f}->>'hasEquity')::boolean, false) OR j.equity > 0)`,
+      unless("minEquity", `j.equity > ${number("minEquity")}`),
+      unless("maxEquity", `j.equity < ${number("maxEquity")}`),
+      unless("companyHandle", `j.company_handle IN (SELECT jsonb_array_elements_text(${companyHandles}))`),
+      unless("minEmployees", `c.num_employees > ${number("minEmployees")}`),
+      unless("maxEmployees", `c.num_employees < ${number("maxEmployees")}`),
+      `(COALESCE(${f}->>'q', '') = ''
+        OR (j.search_vector || c.search_vector) @@ websearch_to_tsquery('english', ${f}->>'q'))`,
+    ].join("\n AND ");
   }
 
 
@@ -108,12 +358,20 @@ class Job {
    *
    * Returns {title, salary, equity}
    *
-   * Throws NotFoundError if not found.
+   * user is the caller (res.locals.user). When given, they must be an admin or
+   * a member of the job's company.
+   *
+   * Applicants are told the job changed (see models/notification.js).
+   *
+   * Throws NotFoundError if not found, ForbiddenError if the user can't edit
+   * this company's jobs.
    * 
    * This function works by creating the udpated query and then submitting it
    */
 
-  static async update(id, data) {
+  static async update(id, data, user) {
+    if (user) await Company.checkMemberOrAdmin(await this.getCompanyHandle(id), user);
+
     const { setCols, values } = sqlForPartialUpdate(
         data,
         {
@@ -124,20 +382,36 @@ class Job {
 
     const idVarIdx = "$" + (values.length + 1);
 
-    const querySql = `UPDATE jobs 
-                      SET ${setCols} 
-                      WHERE id = ${idVarIdx} 
-                      RETURNING id, 
-                                title, 
-                                salary, 
-                                equity, 
-                                company_handle AS "companyHandle"`;
+    const job = await db.withTransaction(async client => {
+      const beforeRes = await client.query(
+            `SELECT id, title, salary, equity, company_handle AS "companyHandle"
+             FROM jobs
+             WHERE id = $1
+             FOR UPDATE`,
+          [id]);
+      const before = beforeRes.rows[0];
 
+      if (!before) throw new NotFoundError(`No job: ${id}`);
 
-    const result = await db.query(querySql, [...values, id]);
-    const job = result.rows[0];
+      const querySql = `UPDATE jobs 
+                        SET ${setCols} 
+                        WHERE id = ${idVarIdx} 
+                        RETURNING id, 
+                                  title, 
+                                  salary, 
+                                  equity, 
+                                  company_handle AS "companyHandle"`;
 
-    if (!job) throw new NotFoundError(`No job: ${id}`);
+      const result = await client.query(querySql, [...values, id]);
+      const job = result.rows[0];
+
+      await Audit.record("job.updated", "job", id, { before, after: job });
+      await EventLog.append("job.updated", { job, changes: Object.keys(data) });
+
+      return job;
+    });
+
+    await events.publish("job.updated", { job, changes: Object.keys(data) });
 
     return job;
   }
@@ -146,23 +420,99 @@ class Job {
    *
    * Throws NotFoundError if company not found.
    * 
+   * user is the caller (res.locals.user). When given, they must be an admin or
+   * a member of the job's company, or ForbiddenError is thrown.
+   * 
+   * Applicants are told the job is gone (see models/notification.js).
+   * 
    * If its succesfully deleted nothing is returned because the route will take care of that
    * 
    **/
 
-    static async remove(id) {
-        console.log(id)
-        const result = await db.query(
-              `DELETE
-               FROM jobs
-               WHERE id = $1
-               RETURNING id`,
-            [id]);
-        const job = result.rows[0];
-    
-        if (!job) throw new NotFoundError(`No company: ${id}`);
+    static async remove(id, user) {
+        if (user) await Company.checkMemberOrAdmin(await this.getCompanyHandle(id), user);
+        const { job, applicants } = await db.withTransaction(async client => {
+          /* Applications go with the job, so find out who applied first */
+          const applicantsRes = await client.query(
+                `SELECT username
+                 FROM applications
+                 WHERE job_id = $1`,
+              [id]);
+
+          const result = await client.query(
+                `DELETE
+                 FROM jobs
+                 WHERE id = $1
+                 RETURNING id, title, salary, equity, company_handle AS "companyHandle"`,
+              [id]);
+          const removed = result.rows[0];
+
+          if (!removed) throw new NotFoundError(`No company: ${id}`);
+
+          await Audit.record("job.removed", "job", id, { before: removed });
+
+          const { id: jobId, title, companyHandle } = removed;
+          return {
+            job: { id: jobId, title, companyHandle },
+            applicants: applicantsRes.rows.map(r => r.username),
+          };
+        });
+
+        await events.publish("job.removed", { job, applicants });
       }
 
+  /** Given a job id, return the users who applied to it.
+   *
+   * user is the caller (res.locals.user). When given, they must be an admin or
+   * a member of the job's company.
+   *
+   * Returns [{ username, firstName, lastName, email, state }, ...]
+   *
+   * Throws NotFoundError if job not found, ForbiddenError if the user can't
+   * see this company's applicants.
+   **/
+
+  static async getApplicants(id, user) {
+    const companyHandle = await this.getCompanyHandle(id);
+    if (user) await Company.checkMemberOrAdmin(companyHandle, user);
+
+    const result = await db.query(
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  a.state
+           FROM applications a
+           JOIN users u ON u.username = a.username
+           WHERE a.job_id = $1
+           ORDER BY u.username`,
+        [id]);
+
+    return result.rows;
+  }
+
+  /** Given a job id, return the handle of the company it belongs to.
+   *
+   * Throws NotFoundError if job not found.
+   **/
+
+  static async getCompanyHandle(id) {
+    const result = await db.query(
+          `SELECT company_handle AS "companyHandle"
+           FROM jobs
+           WHERE id = $1`,
+        [id]);
+    const job = result.rows[0];
+
+    if (!job) throw new NotFoundError(`No job: ${id}`);
+
+    return job.companyHandle;
+  }
+
 }
 
-module.exports = Job
\ No newline at end of file
+module.exports = Job
+
+/* Loaded for its event handler, which notifies users about jobs matching their
+ * saved searches. It needs Job, so it comes after the export. */
+require("./savedSearch");
@@ -1,8 +1,10 @@
 "use strict";
 
 const db = require("../db.js");
-const { BadRequestError, NotFoundError } = require("../expressError");
+const { BadRequestError, NotFoundError, ForbiddenError } = require("../expressError");
 const Job = require("./job.js");
+const Company = require("./company.js");
+const User = require("./user.js");
 const {
     commonBeforeAll,
     commonBeforeEach,
@@ -58,17 +60,61 @@ describe("create", function () {
         fail();
       } catch (err) {
         expect(err instanceof BadRequestError).toBeTruthy();
+        expect(err.message).toEqual("Duplicate job: test at c1");
       }
     });
     
   });
   
 
-  /************************************** findAll */
+  /************************************** checkImport / insertMany */
+
+describe("checkImport", function () {
+  test("finds unknown companies and taken or repeated titles", async function () {
+    const errors = await Job.checkImport([
+      { title: "new", salary: 1, company_handle: "c1" },
+      { title: "test1", salary: 1, company_handle: "c1" },
+      { title: "new", salary: 1, company_handle: "c1" },
+      { title: "new", salary: 1, company_handle: "nope" },
+      { title: "new", salary: 1, company_handle: "c2" },
+    ]);
+    expect(errors).toEqual([
+      [],
+      [{ path: "title", message: "is taken at c1: test1" }],
+      [{ path: "title", message: "is repeated for c1: new" }],
+      [{ path: "company_handle", message: "No company: nope" }],
+      [],
+    ]);
+  });
+});
+
+describe("insertMany", function () {
+  test("works, and notifies matching saved searches", async function () {
+    await db.query(
+          `INSERT INTO saved_searches (username, name, filters)
+           VALUES ('u1', 'imports', '{"title": "imported"}')`);
+
+    const jobs = await Job.insertMany([
+      { title: "imported 1", salary: 10, company_handle: "c1" },
+      { title: "other", salary: 20, equity: null, company_handle: "c2" },
+    ]);
+    expect(jobs).toEqual([
+      { id: expect.any(Number), title: "imported 1", salary: 10, equity: null, companyHandle: "c1" },
+      { id: expect.any(Number), title: "other", salary: 20, equity: null, companyHandle: "c2" },
+    ]);
+
+    const notes = await db.query(`SELECT data FROM notifications WHERE username = 'u1'`);
+    expect(notes.rows.map(r => r.data.title)).toEqual(["imported 1"]);
+  });
+});
+
+/************************************** findAll */
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let job = await Job.findAll();
+    let { jobs: job, total, nextCursor } = await Job.findAll();
+    expect(total).toEqual(3);
+    expect(nextCursor).toBeNull();
     expect(job).toEqual([
       {
         id : expect.any(Number),
@@ -93,6 +139,32 @@ describe("findAll", function () {
       },
     ]);
   });
+
+  test("works: sort on a nullable column with a cursor", async function () {
+    /* equity is null for test1 and test3; descending puts nulls first */
+    const page1 = await Job.findAll({}, { sort: "-equity,title", limit: 1 });
+    expect(page1.jobs.map(j => j.title)).toEqual(["test1"]);
+
+    const page2 = await Job.findAll(
+        {}, { sort: "-equity,title", limit: 1, cursor: page1.nextCursor });
+    expect(page2.jobs.map(j => j.title)).toEqual(["test3"]);
+
+    const page3 = await Job.findAll(
+        {}, { sort: "-equity,title", limit: 1, cursor: page2.nextCursor });
+    expect(page3.jobs.map(j => j.title)).toEqual(["test2"]);
+    expect(page3.nextCursor).toBeNull();
+  });
+
+  test("bad request for cursor and offset together", async function () {
+    expect.assertions(1);
+    const page1 = await Job.findAll({}, { limit: 1 });
+    try {
+      await Job.findAll({}, { cursor: page1.nextCursor, offset: 1 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
 });
 
 
@@ -100,20 +172,101 @@ describe("findAll", function () {
 
 describe("createFilterSql", () => {
 
-  test("works (this also makes sure it works even when hasEquity is undefined)", async () => {
-    const title = "test";
-    const minSalary = 100000;
-    const hasEquity = undefined;
-    const res = await Job.createFilterSql(title, minSalary, hasEquity);
+  test("works (this also makes sure it works even when hasEquity is undefined)", () => {
+    const res = Job.createFilterSql({ title: "test", minSalary: 100000, hasEquity: undefined });
+
+    /**This ensures that undefined from hasEquity is not included in the returned sanitized objects */
+    expect(res.sanatizedStatments).toEqual(["test%", 100000]);
+    /** This ensures that the SQL statment is formulated without hasEquity which is undefined */
+    expect(res.sqlStatments).toEqual("WHERE j.title ILIKE $1 AND j.salary > $2");
+    expect(res.relevanceSql).toBeNull();
+  })
+
+  test("no filters", () => {
+    expect(Job.createFilterSql({})).toEqual({ sqlStatments: "", sanatizedStatments: [], relevanceSql: null });
+  })
 
-    /**This ensures that undefined from maxEmployees is not included in the returned sanitized objects */
-    expect(res.sanatizedStatments).toEqual(["test%", "100000"]);
-    /** This ensures that the SQL statment is formulated without the maxEmployees which is undefined */
-    expect(res.sqlStatments).toEqual("WHERE title ILIKE $1 AND salary > $2");
+  test("placeholders stay in step when hasEquity comes first", () => {
+    const res = Job.createFilterSql({ hasEquity: true, maxSalary: 10, companyHandle: "c1" });
+    expect(res.sqlStatments).toEqual(
+        "WHERE j.salary < $1 AND j.equity > 0 AND j.company_handle = ANY($2)");
+    expect(res.sanatizedStatments).toEqual([10, ["c1"]]);
+  })
+
+  test("bad request if a min is greater than its max", () => {
+    expect(() => Job.createFilterSql({ minEquity: 0.5, maxEquity: 0.1 })).toThrow(BadRequestError);
+    expect(() => Job.createFilterSql({ minEmployees: 5, maxEmployees: 1 })).toThrow(BadRequestError);
   })
 
 })
 
+/************************************** findAll filters */
+
+describe("findAll filters", function () {
+  async function titles(filters, page) {
+    const { jobs } = await Job.findAll(filters, page);
+    return jobs.map(j => j.title);
+  }
+
+  test("salary range", async function () {
+    expect(await titles({ minSalary: 50000, maxSalary: 126000 })).toEqual(["test2"]);
+  });
+
+  test("equity range", async function () {
+    expect(await titles({ minEquity: 0.5 })).toEqual(["test2"]);
+    expect(await titles({ maxEquity: 0.5 })).toEqual([]);
+  });
+
+  test("several companies", async function () {
+    expect(await titles({ companyHandle: ["c1", "c3"] })).toEqual(["test1", "test3"]);
+    expect(await titles({ companyHandle: "c2" })).toEqual(["test2"]);
+  });
+
+  test("company size", async function () {
+    expect(await titles({ minEmployees: 1 })).toEqual(["test2", "test3"]);
+    expect(await titles({ minEmployees: 1, maxEmployees: 3 })).toEqual(["test2"]);
+  });
+
+  test("total counts only matches", async function () {
+    const { total } = await Job.findAll({ companyHandle: ["c1", "c2"] }, { limit: 1 });
+    expect(total).toEqual(2);
+  });
+
+  test("full-text search over title and company description", async function () {
+    await db.query(`UPDATE companies SET description = 'Backend platform team' WHERE handle = 'c1'`);
+    await db.query(`UPDATE jobs SET title = 'Backend engineer' WHERE title = 'test2'`);
+
+    const { jobs, total } = await Job.findAll({ q: "backend" });
+    expect(total).toEqual(2);
+    /* a title match is weighted above a description match */
+    expect(jobs.map(j => j.title)).toEqual(["Backend engineer", "test1"]);
+    expect(jobs[0].relevance).toBeGreaterThan(jobs[1].relevance);
+
+    expect(await titles({ q: "engineer platform" })).toEqual([]);
+    expect(await titles({ q: "backend -engineer" })).toEqual(["test1"]);
+  });
+
+  test("full-text search pages by relevance with a cursor", async function () {
+    await db.query(`UPDATE companies SET description = 'Backend platform team' WHERE handle = 'c1'`);
+    await db.query(`UPDATE jobs SET title = 'Backend engineer' WHERE title = 'test2'`);
+
+    const page1 = await Job.findAll({ q: "backend" }, { limit: 1 });
+    expect(page1.jobs.map(j => j.title)).toEqual(["Backend engineer"]);
+    const page2 = await Job.findAll({ q: "backend" }, { limit: 1, cursor: page1.nextCursor });
+    expect(page2.jobs.map(j => j.title)).toEqual(["test1"]);
+    expect(page2.nextCursor).toBeNull();
+  });
+
+  test("relevance can't be sorted on without q", async function () {
+    expect.assertions(1);
+    try {
+      await Job.findAll({}, { sort: "relevance" });
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
 
 /************************************** update */
 
@@ -193,4 +346,72 @@ describe("remove", function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
-});
\ No newline at end of file
+});
+
+
+/************************************** company membership */
+
+describe("company membership checks", function () {
+  const recruiter = { username: "u2", roles: ["candidate", "recruiter"] };
+
+  test("create works for a member of the company", async function () {
+    await Company.addMember("c1", "u2");
+    const job = await Job.create(
+        { title: "new", salary: 1, equity: null, company_handle: "c1" }, recruiter);
+    expect(job.companyHandle).toEqual("c1");
+  });
+
+  test("create forbidden for a non-member", async function () {
+    expect.assertions(1);
+    try {
+      await Job.create(
+          { title: "new", salary: 1, equity: null, company_handle: "c1" }, recruiter);
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("update and remove forbidden for a non-member", async function () {
+    expect.assertions(2);
+    const { rows } = await db.query(`SELECT id FROM jobs WHERE company_handle = 'c1'`);
+    try {
+      await Job.update(rows[0].id, { title: "nope" }, recruiter);
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+    try {
+      await Job.remove(rows[0].id, recruiter);
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("admins may act for any company", async function () {
+    const { rows } = await db.query(`SELECT id FROM jobs WHERE company_handle = 'c1'`);
+    const job = await Job.update(rows[0].id, { title: "new" }, { username: "u1", roles: ["admin"] });
+    expect(job.title).toEqual("new");
+  });
+
+  test("getApplicants works", async function () {
+    const { rows } = await db.query(`SELECT id FROM jobs WHERE company_handle = 'c1'`);
+    await User.applyToJob({ username: "u2", jobId: rows[0].id });
+    const applicants = await Job.getApplicants(rows[0].id);
+    expect(applicants).toEqual([{
+      username: "u2",
+      firstName: "U2F",
+      lastName: "U2L",
+      email: "u2@email.com",
+      state: "applied",
+    }]);
+  });
+
+  test("getApplicants not found for no such job", async function () {
+    expect.assertions(1);
+    try {
+      await Job.getApplicants(0);
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
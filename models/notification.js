@@ -0,0 +1,173 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { paginationSql, combineWhere, pageOf } = require("../helpers/pagination");
+const events = require("../helpers/events");
+const EventLog = require("./eventLog");
+
+/** How notifications may be sorted and paged through (see helpers/pagination.js). */
+
+const PAGING = {
+  sortable: {
+    id: "id",
+    createdAt: "created_at",
+  },
+  defaultSort: "-id",
+  tiebreaker: "id",
+  types: { id: "integer", createdAt: "timestamp" },
+};
+
+const NOTIFICATION_COLUMNS = `id,
+                              type,
+                              data,
+                              created_at AS "createdAt",
+                              read_at AS "readAt"`;
+
+/** Related functions for the in-app notification inbox.
+ *
+ * A notification is { id, type, data, createdAt, readAt }, where type says
+ * what happened (like "application.updated") and data has the details.
+ * readAt is null until the user marks it read.
+ *
+ * Most notifications are made here, from events the models publish (see
+ * helpers/events.js and the handlers at the bottom of this file).
+ */
+
+class Notification {
+  /** Give each of usernames a notification; returns undefined.
+   *
+   * Logs and publishes a "notification.created" event for each one.
+   **/
+
+  static async create(usernames, type, data) {
+    const result = await db.withTransaction(async client => {
+      const result = await client.query(
+            `INSERT INTO notifications (username, type, data)
+             SELECT username, $2, $3
+             FROM unnest($1::text[]) AS username
+             RETURNING username, ${NOTIFICATION_COLUMNS}`,
+          [[].concat(usernames), type, data],
+      );
+
+      for (let { username, ...notification } of result.rows) {
+        await EventLog.append("notification.created", { username, notification }, username);
+      }
+
+      return result;
+    });
+
+    for (let { username, ...notification } of result.rows) {
+      await events.publish("notification.created", { username, notification });
+    }
+  }
+
+  /** Find a user's notifications, newest first, a page at a time.
+   *
+   * filters can include { unread: true } for only unread ones.
+   *
+   * page is { limit, offset, cursor, sort } (sort: id or createdAt).
+   *
+   * Returns {
+   *   notifications: [{ id, type, data, createdAt, readAt }, ...],
+   *   total, -> how many match the filters, across all pages
+   *   unreadCount, -> how many of the user's notifications are unread
+   *   nextCursor -> pass as cursor to get the next page; null on the last page
+   * }
+   **/
+
+  static async findAll(username, { unread } = {}, page = {}) {
+    const whereSql = `WHERE username = $1${unread ? " AND read_at IS NULL" : ""}`;
+    const paging = paginationSql(page, PAGING, 1);
+
+    const result = await db.query(
+          `SELECT ${NOTIFICATION_COLUMNS}
+           FROM notifications
+           ${combineWhere(whereSql, paging.cursorSql)}
+           ${paging.orderBySql}
+           ${paging.limitSql}`,
+        [username, ...paging.values],
+    );
+
+    const countRes = await db.query(
+          `SELECT COUNT(*)::integer AS total,
+                  (COUNT(*) FILTER (WHERE read_at IS NULL))::integer AS "unreadCount"
+           FROM notifications
+           WHERE username = $1`,
+        [username],
+    );
+    const { unreadCount } = countRes.rows[0];
+    const total = unread ? unreadCount : countRes.rows[0].total;
+
+    const { rows, nextCursor } = pageOf(result.rows, paging);
+    return { notifications: rows, total, unreadCount, nextCursor };
+  }
+
+  /** Mark one of a user's notifications read (or unread again, with read false).
+   *
+   * Returns { id, type, data, createdAt, readAt }
+   *
+   * Throws NotFoundError if the user has no such notification.
+   **/
+
+  static async markRead(username, id, read = true) {
+    const result = await db.query(
+          `UPDATE notifications
+           SET read_at = CASE WHEN $3 THEN COALESCE(read_at, NOW()) END
+           WHERE username = $1 AND id = $2
+           RETURNING ${NOTIFICATION_COLUMNS}`,
+        [username, id, read],
+    );
+    const notification = result.rows[0];
+
+    if (!notification) throw new NotFoundError(`No notification: ${id}`);
+
+    return notification;
+  }
+
+  /** Mark all of a user's unread notifications read.
+   *
+   * Returns { marked } -- how many were unread.
+   **/
+
+  static async markAllRead(username) {
+    const result = await db.query(
+          `UPDATE notifications
+           SET read_at = NOW()
+           WHERE username = $1 AND read_at IS NULL`,
+        [username],
+    );
+
+    return { marked: result.rowCount };
+  }
+}
+
+
+/* Turning events into notifications */
+
+events.subscribe("application.updated", async function ({ username, jobId, from, to }) {
+  const jobRes = await db.query(`SELECT title FROM jobs WHERE id = $1`, [jobId]);
+  const title = jobRes.rows[0] ? jobRes.rows[0].title : null;
+  await Notification.create(username, "application.updated", { jobId, title, from, to });
+});
+
+events.subscribe("job.updated", async function ({ job, changes }) {
+  const applicantsRes = await db.query(
+        `SELECT username FROM applications WHERE job_id = $1`,
+      [job.id],
+  );
+  await Notification.create(
+      applicantsRes.rows.map(r => r.username),
+      "job.updated",
+      { jobId: job.id, title: job.title, changes });
+});
+
+events.subscribe("job.removed", async function ({ job, applicants }) {
+  await Notification.create(
+      applicants,
+      "job.removed",
+      { jobId: job.id, title: job.title, companyHandle: job.companyHandle });
+});
+
+
+module.exports = Notification;
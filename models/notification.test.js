@@ -0,0 +1,142 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const Notification = require("./notification.js");
+const User = require("./user.js");
+const Job = require("./job.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function jobId(title) {
+  const result = await db.query(`SELECT id FROM jobs WHERE title = $1`, [title]);
+  return result.rows[0].id;
+}
+
+/************************************** create / findAll */
+
+describe("create and findAll", function () {
+  test("works, newest first", async function () {
+    await Notification.create("u1", "test.first", { n: 1 });
+    await Notification.create(["u1", "u2"], "test.second", { n: 2 });
+
+    const { notifications, total, unreadCount, nextCursor } = await Notification.findAll("u1");
+    expect(notifications).toEqual([
+      { id: expect.any(Number), type: "test.second", data: { n: 2 }, createdAt: expect.any(Date), readAt: null },
+      { id: expect.any(Number), type: "test.first", data: { n: 1 }, createdAt: expect.any(Date), readAt: null },
+    ]);
+    expect(total).toEqual(2);
+    expect(unreadCount).toEqual(2);
+    expect(nextCursor).toBeNull();
+
+    expect((await Notification.findAll("u2")).total).toEqual(1);
+  });
+
+  test("no one to notify is fine", async function () {
+    await Notification.create([], "test.none", {});
+    expect((await Notification.findAll("u1")).total).toEqual(0);
+  });
+
+  test("unread only, and paging", async function () {
+    await Notification.create("u1", "test.a", {});
+    await Notification.create("u1", "test.b", {});
+    await Notification.create("u1", "test.c", {});
+    const { notifications: [newest] } = await Notification.findAll("u1");
+    await Notification.markRead("u1", newest.id);
+
+    const unread = await Notification.findAll("u1", { unread: true }, { limit: 1 });
+    expect(unread.notifications.map(n => n.type)).toEqual(["test.b"]);
+    expect(unread.total).toEqual(2);
+    expect(unread.unreadCount).toEqual(2);
+
+    const next = await Notification.findAll("u1", { unread: true }, { limit: 1, cursor: unread.nextCursor });
+    expect(next.notifications.map(n => n.type)).toEqual(["test.a"]);
+    expect(next.nextCursor).toBeNull();
+  });
+});
+
+/************************************** markRead / markAllRead */
+
+describe("markRead", function () {
+  test("works, and can mark unread again", async function () {
+    await Notification.create("u1", "test.a", {});
+    const { notifications: [n] } = await Notification.findAll("u1");
+
+    const read = await Notification.markRead("u1", n.id);
+    expect(read.readAt).toEqual(expect.any(Date));
+
+    const unread = await Notification.markRead("u1", n.id, false);
+    expect(unread.readAt).toBeNull();
+  });
+
+  test("not found for someone else's notification", async function () {
+    expect.assertions(1);
+    await Notification.create("u1", "test.a", {});
+    const { notifications: [n] } = await Notification.findAll("u1");
+    try {
+      await Notification.markRead("u2", n.id);
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+describe("markAllRead", function () {
+  test("works", async function () {
+    await Notification.create("u1", "test.a", {});
+    await Notification.create("u1", "test.b", {});
+    expect(await Notification.markAllRead("u1")).toEqual({ marked: 2 });
+    expect((await Notification.findAll("u1")).unreadCount).toEqual(0);
+    expect(await Notification.markAllRead("u1")).toEqual({ marked: 0 });
+  });
+});
+
+/************************************** from events */
+
+describe("notifications from events", function () {
+  test("application state changes notify the applicant", async function () {
+    const id = await jobId("test1");
+    await User.applyToJob({ username: "u2", jobId: id });
+    await User.updateApplicationState("u2", id, "interviewing");
+
+    const { notifications } = await Notification.findAll("u2");
+    expect(notifications.map(n => [n.type, n.data])).toEqual([
+      ["application.updated", { jobId: id, title: "test1", from: "applied", to: "interviewing" }],
+    ]);
+  });
+
+  test("job changes notify its applicants", async function () {
+    const id = await jobId("test2");
+    await User.applyToJob({ username: "u2", jobId: id });
+    await Job.update(id, { salary: 1 });
+
+    const { notifications } = await Notification.findAll("u2");
+    expect(notifications.map(n => [n.type, n.data])).toEqual([
+      ["job.updated", { jobId: id, title: "test2", changes: ["salary"] }],
+    ]);
+    expect((await Notification.findAll("u1")).total).toEqual(0);
+  });
+
+  test("removing a job notifies its applicants", async function () {
+    const id = await jobId("test3");
+    await User.applyToJob({ username: "u1", jobId: id });
+    await User.applyToJob({ username: "u2", jobId: id });
+    await Job.remove(id);
+
+    for (let username of ["u1", "u2"]) {
+      const { notifications } = await Notification.findAll(username);
+      expect(notifications.map(n => [n.type, n.data])).toEqual([
+        ["job.removed", { jobId: id, title: "test3", companyHandle: "c3" }],
+      ]);
+    }
+  });
+});
@@ -0,0 +1,88 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { generateOpaqueToken, hashToken } = require("../helpers/tokens");
+const { PASSWORD_RESET_TTL_MINUTES } = require("../config");
+const User = require("./user");
+const Token = require("./token");
+
+/** Related functions for password reset tokens.
+ *
+ * A reset token is emailed to the user and can be used once, within
+ * PASSWORD_RESET_TTL_MINUTES, to set a new password. Only its hash is stored.
+ */
+
+class PasswordReset {
+  /** Start a reset for the account(s) matching { username } or { email }.
+   *
+   * Any earlier unused tokens of those users stop working.
+   *
+   * Returns [{ username, email, token }, ...] -- empty if nothing matched, which
+   * the caller should not reveal.
+   **/
+
+  static async request({ username, email }) {
+    const usersRes = await db.query(
+          `SELECT username, email
+           FROM users
+           WHERE username = $1 OR email = $2`,
+        [username || null, email || null],
+    );
+
+    const resets = [];
+
+    for (let user of usersRes.rows) {
+      await db.query(
+            `UPDATE password_reset_tokens
+             SET used_at = NOW()
+             WHERE username = $1 AND used_at IS NULL`,
+          [user.username],
+      );
+
+      const token = generateOpaqueToken();
+      await db.query(
+            `INSERT INTO password_reset_tokens (username, token_hash, expires_at)
+             VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+          [user.username, hashToken(token), PASSWORD_RESET_TTL_MINUTES],
+      );
+
+      resets.push({ ...user, token });
+    }
+
+    return resets;
+  }
+
+  /** Use a reset token to set a new password.
+   *
+   * The token is spent even if something later fails, and all of the user's
+   * refresh tokens are revoked, so other sessions have to log in again.
+   *
+   * Returns { username }
+   *
+   * Throws BadRequestError if the token is unknown, used or expired.
+   **/
+
+  static async confirm(token, password) {
+    const result = await db.query(
+          `UPDATE password_reset_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > NOW()
+           RETURNING username`,
+        [hashToken(token)],
+    );
+    const reset = result.rows[0];
+
+    if (!reset) throw new BadRequestError("Invalid or expired reset token");
+
+    await User.update(reset.username, { password });
+    await Token.revokeAllRefreshTokens(reset.username);
+
+    return { username: reset.username };
+  }
+}
+
+
+module.exports = PasswordReset;
@@ -0,0 +1,101 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const { hashToken } = require("../helpers/tokens");
+const PasswordReset = require("./passwordReset.js");
+const Token = require("./token.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** request */
+
+describe("request", function () {
+  test("works by username", async function () {
+    const resets = await PasswordReset.request({ username: "u1" });
+    expect(resets).toEqual([{ username: "u1", email: "u1@email.com", token: expect.any(String) }]);
+    const found = await db.query(
+        "SELECT username FROM password_reset_tokens WHERE token_hash = $1",
+        [hashToken(resets[0].token)]);
+    expect(found.rows).toEqual([{ username: "u1" }]);
+  });
+
+  test("works by email", async function () {
+    const resets = await PasswordReset.request({ email: "u2@email.com" });
+    expect(resets.map(r => r.username)).toEqual(["u2"]);
+  });
+
+  test("nothing for unknown account", async function () {
+    expect(await PasswordReset.request({ username: "nope" })).toEqual([]);
+  });
+
+  test("a new request invalidates the old token", async function () {
+    expect.assertions(1);
+    const [first] = await PasswordReset.request({ username: "u1" });
+    await PasswordReset.request({ username: "u1" });
+    try {
+      await PasswordReset.confirm(first.token, "new-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works: sets the password", async function () {
+    const [{ token }] = await PasswordReset.request({ username: "u1" });
+    expect(await PasswordReset.confirm(token, "new-password")).toEqual({ username: "u1" });
+    expect(await User.authenticate("u1", "new-password")).toBeTruthy();
+  });
+
+  test("token can only be used once", async function () {
+    expect.assertions(1);
+    const [{ token }] = await PasswordReset.request({ username: "u1" });
+    await PasswordReset.confirm(token, "new-password");
+    try {
+      await PasswordReset.confirm(token, "other-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("expired token is rejected", async function () {
+    expect.assertions(1);
+    const [{ token }] = await PasswordReset.request({ username: "u1" });
+    await db.query(
+        "UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await PasswordReset.confirm(token, "new-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("revokes refresh tokens", async function () {
+    expect.assertions(1);
+    const refreshToken = await Token.issueRefreshToken("u1");
+    const [{ token }] = await PasswordReset.request({ username: "u1" });
+    await PasswordReset.confirm(token, "new-password");
+    try {
+      await Token.rotateRefreshToken(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,59 @@
+"use strict";
+
+const db = require("../db");
+
+/** Related functions for rate limits.
+ *
+ * A rate limit lets a key (like an IP address) through limit times in any
+ * windowSeconds -- a sliding window: each hit let through is saved, and
+ * counts until windowSeconds after it. Hits are kept in Postgres, so every
+ * process running the app shares the same counts.
+ *
+ * limiter names the rate limit, so each can have its own window; see
+ * middleware/rateLimit.js for limiting routes.
+ */
+
+class RateLimit {
+  /** Count a hit by key against limiter's limit, if it's under it.
+   *
+   * Returns { allowed: true, remaining } -- hits left in the window -- or, if
+   * key is at the limit, { allowed: false, retryAfter }: seconds until its
+   * oldest hit leaves the window. A hit that isn't allowed isn't counted.
+   **/
+
+  static async hit(limiter, key, { limit, windowSeconds }) {
+    return db.withTransaction(async client => {
+      // two hits for the same key wait for each other, so both can't take
+      // the last one left
+      await client.query(
+            `SELECT pg_advisory_xact_lock(hashtext('rate_limit_hits'), hashtext($1))`,
+          [`${limiter}:${key}`]);
+
+      await client.query(
+            `DELETE FROM rate_limit_hits
+             WHERE limiter = $1 AND hit_at <= NOW() - make_interval(secs => $2)`,
+          [limiter, windowSeconds]);
+
+      const result = await client.query(
+            `SELECT COUNT(*)::integer AS hits,
+                    CEIL(EXTRACT(EPOCH FROM
+                      MIN(hit_at) + make_interval(secs => $3) - NOW()))::integer AS "retryAfter"
+             FROM rate_limit_hits
+             WHERE limiter = $1 AND key = $2`,
+          [limiter, key, windowSeconds]);
+      const { hits, retryAfter } = result.rows[0];
+
+      if (hits >= limit) return { allowed: false, retryAfter: Math.max(retryAfter, 1) };
+
+      await client.query(
+            `INSERT INTO rate_limit_hits (limiter, key)
+             VALUES ($1, $2)`,
+          [limiter, key]);
+
+      return { allowed: true, remaining: limit - hits - 1 };
+    });
+  }
+}
+
+
+module.exports = RateLimit;
@@ -0,0 +1,50 @@
+"use strict";
+
+const db = require("../db.js");
+const RateLimit = require("./rateLimit.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const limit = { limit: 2, windowSeconds: 60 };
+
+/************************************** hit */
+
+describe("hit", function () {
+  test("allows up to the limit in the window", async function () {
+    expect(await RateLimit.hit("test", "a", limit)).toEqual({ allowed: true, remaining: 1 });
+    expect(await RateLimit.hit("test", "a", limit)).toEqual({ allowed: true, remaining: 0 });
+    expect(await RateLimit.hit("test", "a", limit)).toEqual({ allowed: false, retryAfter: 60 });
+
+    const saved = await db.query(`SELECT COUNT(*)::integer AS n FROM rate_limit_hits WHERE key = 'a'`);
+    expect(saved.rows[0].n).toEqual(2);
+  });
+
+  test("keys and limiters are counted apart", async function () {
+    await RateLimit.hit("test", "a", limit);
+    await RateLimit.hit("test", "a", limit);
+    expect((await RateLimit.hit("test", "b", limit)).allowed).toBe(true);
+    expect((await RateLimit.hit("other", "a", limit)).allowed).toBe(true);
+  });
+
+  test("hits leave the window", async function () {
+    await db.query(
+          `INSERT INTO rate_limit_hits (limiter, key, hit_at)
+           VALUES ('test', 'a', NOW() - INTERVAL '61 seconds'),
+                  ('test', 'a', NOW() - INTERVAL '30 seconds')`);
+
+    expect(await RateLimit.hit("test", "a", limit)).toEqual({ allowed: true, remaining: 0 });
+    expect(await RateLimit.hit("test", "a", limit)).toEqual({ allowed: false, retryAfter: 30 });
+
+    const saved = await db.query(`SELECT COUNT(*)::integer AS n FROM rate_limit_hits WHERE key = 'a'`);
+    expect(saved.rows[0].n).toEqual(2);
+  });
+});
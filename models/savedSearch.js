@@ -0,0 +1,180 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const Job = require("./job");
+const Notification = require("./notification");
+const events = require("../helpers/events");
+
+/** Related functions for saved job searches.
+ *
+ * A saved search is a name and a set of GET /jobs filters (see
+ * Job.createFilterSql). Whenever a job is posted, users whose saved filters
+ * match it get a notification (see notifyMatches, and the handler at the
+ * bottom of this file).
+ */
+
+class SavedSearch {
+  /** Save a search for username.
+   *
+   * data should be { name, filters }
+   *
+   * Returns { id, name, filters, createdAt }
+   *
+   * Throws NotFoundError if the user doesn't exist, BadRequestError if the
+   * filters couldn't be searched with (like minSalary > maxSalary).
+   **/
+
+  static async create(username, { name, filters = {} }) {
+    Job.createFilterSql(filters);
+
+    const userCheck = await db.query(
+          `SELECT username FROM users WHERE username = $1`,
+        [username],
+    );
+
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+          `INSERT INTO saved_searches (username, name, filters)
+           VALUES ($1, $2, $3)
+           RETURNING id, name, filters, created_at AS "createdAt"`,
+        [username, name, filters],
+    );
+
+    return result.rows[0];
+  }
+
+  /** Given a username, return their saved searches, oldest first.
+   *
+   * Returns [{ id, name, filters, createdAt }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+          `SELECT id, name, filters, created_at AS "createdAt"
+           FROM saved_searches
+           WHERE username = $1
+           ORDER BY id`,
+        [username],
+    );
+
+    return result.rows;
+  }
+
+  /** Given a username and search id, return the saved search.
+   *
+   * Returns { id, name, filters, createdAt }
+   *
+   * Throws NotFoundError if the user has no such search.
+   **/
+
+  static async get(username, id) {
+    const result = await db.query(
+          `SELECT id, name, filters, created_at AS "createdAt"
+           FROM saved_searches
+           WHERE username = $1 AND id = $2`,
+        [username, id],
+    );
+    const search = result.rows[0];
+
+    if (!search) throw new NotFoundError(`No saved search: ${id}`);
+
+    return search;
+  }
+
+  /** Rename a saved search and/or replace its filters.
+   *
+   * data can include { name, filters }; filters replaces the old filters
+   * entirely.
+   *
+   * Returns { id, name, filters, createdAt }
+   *
+   * Throws NotFoundError if the user has no such search, BadRequestError for
+   * no data or filters that couldn't be searched with.
+   **/
+
+  static async update(username, id, { name, filters }) {
+    if (name === undefined && filters === undefined) throw new BadRequestError("No data");
+    if (filters !== undefined) Job.createFilterSql(filters);
+
+    const result = await db.query(
+          `UPDATE saved_searches
+           SET name = COALESCE($3, name),
+               filters = COALESCE($4, filters)
+           WHERE username = $1 AND id = $2
+           RETURNING id, name, filters, created_at AS "createdAt"`,
+        [username, id, name, filters],
+    );
+    const search = result.rows[0];
+
+    if (!search) throw new NotFoundError(`No saved search: ${id}`);
+
+    return search;
+  }
+
+  /** Delete a saved search; returns undefined.
+   *
+   * Throws NotFoundError if the user has no such search.
+   **/
+
+  static async remove(username, id) {
+    const result = await db.query(
+          `DELETE
+           FROM saved_searches
+           WHERE username = $1 AND id = $2
+           RETURNING id`,
+        [username, id],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No saved search: ${id}`);
+  }
+
+  /** Tell users whose saved searches match newly posted jobs about them.
+   *
+   * jobs is [{ id, title, companyHandle }, ...]. Every saved search is checked
+   * against them in one query (see Job.filtersMatchSql). A user gets one
+   * "job.matched" notification per job, however many of their searches
+   * matched it.
+   *
+   * Returns [{ jobId, username, searches: [{ id, name }, ...] }, ...] for the
+   * notifications made.
+   **/
+
+  static async notifyMatches(jobs) {
+    const result = await db.query(
+          `SELECT j.id AS "jobId", s.username, s.id, s.name
+           FROM saved_searches AS s
+             JOIN jobs AS j ON j.id = ANY($1)
+             JOIN companies AS c ON c.handle = j.company_handle
+           WHERE ${Job.filtersMatchSql("s.filters")}
+           ORDER BY j.id, s.username, s.id`,
+        [jobs.map(j => j.id)],
+    );
+
+    const matches = new Map();
+    for (let { jobId, username, id, name } of result.rows) {
+      const key = `${jobId} ${username}`;
+      if (!matches.has(key)) matches.set(key, { jobId, username, searches: [] });
+      matches.get(key).searches.push({ id, name });
+    }
+
+    const jobsById = new Map(jobs.map(j => [j.id, j]));
+    for (let { jobId, username, searches } of matches.values()) {
+      const { title, companyHandle } = jobsById.get(jobId);
+      await Notification.create(username, "job.matched", { jobId, title, companyHandle, searches });
+    }
+
+    return [...matches.values()];
+  }
+}
+
+
+/* Telling users about new jobs matching their saved searches */
+
+events.subscribe("job.created", async function ({ job }) {
+  await SavedSearch.notifyMatches([job]);
+});
+
+
+module.exports = SavedSearch;
@@ -0,0 +1,202 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const SavedSearch = require("./savedSearch.js");
+const Job = require("./job.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create("u1", { name: "Rich", filters: { minSalary: 100000 } });
+    expect(search).toEqual({
+      id: expect.any(Number),
+      name: "Rich",
+      filters: { minSalary: 100000 },
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("not found for unknown user", async function () {
+    expect.assertions(1);
+    try {
+      await SavedSearch.create("nope", { name: "x", filters: {} });
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request for filters that can't be searched", async function () {
+    expect.assertions(1);
+    try {
+      await SavedSearch.create("u1", { name: "x", filters: { minSalary: 10, maxSalary: 1 } });
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll / get */
+
+describe("findAll and get", function () {
+  test("works, and only for the owner", async function () {
+    const s1 = await SavedSearch.create("u1", { name: "One", filters: {} });
+    await SavedSearch.create("u2", { name: "Theirs", filters: {} });
+
+    const searches = await SavedSearch.findAll("u1");
+    expect(searches.map(s => s.name)).toEqual(["One"]);
+    expect(await SavedSearch.get("u1", s1.id)).toEqual(searches[0]);
+  });
+
+  test("not found for someone else's search", async function () {
+    expect.assertions(1);
+    const s1 = await SavedSearch.create("u1", { name: "One", filters: {} });
+    try {
+      await SavedSearch.get("u2", s1.id);
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works: name only keeps filters", async function () {
+    const s1 = await SavedSearch.create("u1", { name: "One", filters: { title: "test" } });
+    const search = await SavedSearch.update("u1", s1.id, { name: "Renamed" });
+    expect(search).toEqual({ ...s1, name: "Renamed" });
+  });
+
+  test("works: filters are replaced", async function () {
+    const s1 = await SavedSearch.create("u1", { name: "One", filters: { title: "test" } });
+    const search = await SavedSearch.update("u1", s1.id, { filters: { hasEquity: true } });
+    expect(search.filters).toEqual({ hasEquity: true });
+  });
+
+  test("bad request with no data", async function () {
+    expect.assertions(1);
+    const s1 = await SavedSearch.create("u1", { name: "One", filters: {} });
+    try {
+      await SavedSearch.update("u1", s1.id, {});
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such search", async function () {
+    expect.assertions(1);
+    try {
+      await SavedSearch.update("u1", 0, { name: "x" });
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const s1 = await SavedSearch.create("u1", { name: "One", filters: {} });
+    await SavedSearch.remove("u1", s1.id);
+    expect(await SavedSearch.findAll("u1")).toEqual([]);
+  });
+
+  test("not found if no such search", async function () {
+    expect.assertions(1);
+    try {
+      await SavedSearch.remove("u1", 0);
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** matching new jobs */
+
+describe("new job alerts", function () {
+  async function notifications() {
+    const result = await db.query(
+        `SELECT username, type, data FROM notifications ORDER BY username`);
+    return result.rows;
+  }
+
+  test("users with a matching search are notified once", async function () {
+    const s1 = await SavedSearch.create("u1", { name: "Eng", filters: { title: "eng" } });
+    const s2 = await SavedSearch.create("u1", { name: "C1", filters: { companyHandle: ["c1"] } });
+    await SavedSearch.create("u2", { name: "Rich", filters: { minSalary: 500000 } });
+
+    const job = await Job.create({ title: "Engineer", salary: 90000, equity: null, company_handle: "c1" });
+
+    expect(await notifications()).toEqual([
+      {
+        username: "u1",
+        type: "job.matched",
+        data: {
+          jobId: job.id,
+          title: "Engineer",
+          companyHandle: "c1",
+          searches: [{ id: s1.id, name: "Eng" }, { id: s2.id, name: "C1" }],
+        },
+      },
+    ]);
+  });
+
+  test("full-text and company size filters match too", async function () {
+    await SavedSearch.create("u2", { name: "Big", filters: { q: "desc2", minEmployees: 1 } });
+
+    await Job.create({ title: "Other", salary: 1, equity: null, company_handle: "c1" });
+    expect(await notifications()).toEqual([]);
+
+    await Job.create({ title: "Other", salary: 1, equity: null, company_handle: "c2" });
+    expect((await notifications()).map(n => n.username)).toEqual(["u2"]);
+  });
+});
+
+describe("Job.filtersMatchSql", function () {
+  const cases = [
+    {},
+    { title: "test" },
+    { title: "TEST2" },
+    { minSalary: 60000 },
+    { maxSalary: 110000 },
+    { minSalary: 60000, maxSalary: 110000 },
+    { hasEquity: true },
+    { hasEquity: false },
+    { minEquity: 0.5 },
+    { maxEquity: 2 },
+    { companyHandle: "c2" },
+    { companyHandle: ["c1", "c3"] },
+    { minEmployees: 1 },
+    { maxEmployees: 3 },
+    { q: "desc3" },
+    { q: "test1 OR desc2" },
+    { title: "test", companyHandle: ["c1", "c2"], minEmployees: 1 },
+  ];
+
+  test.each(cases)("matches the same jobs as Job.findAll: %j", async function (filters) {
+    const { jobs } = await Job.findAll(filters, { sort: "id" });
+    const result = await db.query(
+          `SELECT j.id
+           FROM (SELECT $1::jsonb AS filters) AS s
+             CROSS JOIN jobs AS j
+             JOIN companies AS c ON c.handle = j.company_handle
+           WHERE ${Job.filtersMatchSql("s.filters")}
+           ORDER BY j.id`,
+        [filters]);
+    expect(result.rows.map(r => r.id)).toEqual(jobs.map(j => j.id));
+  });
+});
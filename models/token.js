@@ -0,0 +1,149 @@
+"use strict";
+
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { generateOpaqueToken, hashToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL_DAYS } = require("../config");
+
+/** Related functions for refresh tokens and revoked access tokens.
+ *
+ * Refresh tokens are opaque random strings; only their hash is stored. Each
+ * one can be used once: refreshing revokes it and hands out a replacement.
+ *
+ * Access tokens are JWTs and are checked without the database, except for the
+ * revoked_tokens list, which holds the ids (jti) of access tokens that were
+ * logged out before they expired.
+ */
+
+class Token {
+  /** Create a new refresh token for username.
+   *
+   * Returns the token itself; this is the only time it is available, since
+   * only its hash is saved.
+   **/
+
+  static async issueRefreshToken(username) {
+    const refreshToken = generateOpaqueToken();
+
+    await db.query(
+          `INSERT INTO refresh_tokens (username, token_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+        [username, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS],
+    );
+
+    return refreshToken;
+  }
+
+  /** Trade a refresh token in for a new one.
+   *
+   * The old token is revoked and points at its replacement. If a token that
+   * was already revoked is presented again, it has probably been stolen, so
+   * every refresh token of that user is revoked.
+   *
+   * Returns { username, refreshToken }
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or revoked.
+   **/
+
+  static async rotateRefreshToken(refreshToken) {
+    const result = await db.query(
+          `SELECT id,
+                  username,
+                  expires_at < NOW() AS "isExpired",
+                  revoked_at IS NOT NULL AS "isRevoked"
+           FROM refresh_tokens
+           WHERE token_hash = $1`,
+        [hashToken(refreshToken)],
+    );
+    const stored = result.rows[0];
+
+    if (!stored) throw new UnauthorizedError("Invalid refresh token");
+
+    if (stored.isRevoked) {
+      await this.revokeAllRefreshTokens(stored.username);
+      throw new UnauthorizedError("Refresh token was already used");
+    }
+
+    if (stored.isExpired) throw new UnauthorizedError("Refresh token expired");
+
+    const newToken = await this.issueRefreshToken(stored.username);
+
+    /* Revoking only if still unrevoked means two concurrent refreshes can't both win */
+    const revokeRes = await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW(),
+               replaced_by = (SELECT id FROM refresh_tokens WHERE token_hash = $2)
+           WHERE id = $1 AND revoked_at IS NULL
+           RETURNING id`,
+        [stored.id, hashToken(newToken)],
+    );
+
+    if (!revokeRes.rows[0]) {
+      await this.revokeAllRefreshTokens(stored.username);
+      throw new UnauthorizedError("Refresh token was already used");
+    }
+
+    return { username: stored.username, refreshToken: newToken };
+  }
+
+  /** Revoke a refresh token; returns undefined.
+   *
+   * Unknown or already revoked tokens are ignored, so logging out twice is fine.
+   **/
+
+  static async revokeRefreshToken(refreshToken) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE token_hash = $1 AND revoked_at IS NULL`,
+        [hashToken(refreshToken)],
+    );
+  }
+
+  /** Revoke every refresh token username holds; returns undefined. */
+
+  static async revokeAllRefreshTokens(username) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL`,
+        [username],
+    );
+  }
+
+  /** Revoke an access token by its id (jti) until it would have expired
+   * anyway; exp is the token's exp claim, in seconds. Returns undefined.
+   *
+   * Revocations for tokens that have since expired are cleaned up here too.
+   **/
+
+  static async revokeAccessToken(jti, exp) {
+    await db.query(
+          `DELETE FROM revoked_tokens
+           WHERE expires_at < NOW()`,
+    );
+
+    await db.query(
+          `INSERT INTO revoked_tokens (jti, expires_at)
+           VALUES ($1, to_timestamp($2))
+           ON CONFLICT DO NOTHING`,
+        [jti, exp],
+    );
+  }
+
+  /** Has the access token with this id (jti) been revoked? Returns true/false. */
+
+  static async isAccessTokenRevoked(jti) {
+    const result = await db.query(
+          `SELECT jti
+           FROM revoked_tokens
+           WHERE jti = $1`,
+        [jti],
+    );
+
+    return result.rows.length > 0;
+  }
+}
+
+
+module.exports = Token;
@@ -0,0 +1,123 @@
+"use strict";
+
+const db = require("../db.js");
+const { UnauthorizedError } = require("../expressError");
+const { hashToken } = require("../helpers/tokens");
+const Token = require("./token.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** issueRefreshToken */
+
+describe("issueRefreshToken", function () {
+  test("works: stores only the hash", async function () {
+    const refreshToken = await Token.issueRefreshToken("u1");
+    const found = await db.query(
+        "SELECT token_hash, expires_at > NOW() AS live FROM refresh_tokens WHERE username = 'u1'");
+    expect(found.rows).toEqual([{ token_hash: hashToken(refreshToken), live: true }]);
+  });
+});
+
+/************************************** rotateRefreshToken */
+
+describe("rotateRefreshToken", function () {
+  test("works: returns a new token and revokes the old one", async function () {
+    const oldToken = await Token.issueRefreshToken("u1");
+    const { username, refreshToken } = await Token.rotateRefreshToken(oldToken);
+    expect(username).toEqual("u1");
+    expect(refreshToken).not.toEqual(oldToken);
+
+    const old = await db.query(
+        "SELECT revoked_at, replaced_by FROM refresh_tokens WHERE token_hash = $1",
+        [hashToken(oldToken)]);
+    expect(old.rows[0].revoked_at).toBeTruthy();
+    expect(old.rows[0].replaced_by).toEqual(expect.any(Number));
+  });
+
+  test("unauth for unknown token", async function () {
+    expect.assertions(1);
+    try {
+      await Token.rotateRefreshToken("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth for expired token", async function () {
+    expect.assertions(1);
+    const refreshToken = await Token.issueRefreshToken("u1");
+    await db.query(
+        "UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 day' WHERE token_hash = $1",
+        [hashToken(refreshToken)]);
+    try {
+      await Token.rotateRefreshToken(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("reusing a rotated token revokes the whole family", async function () {
+    expect.assertions(2);
+    const oldToken = await Token.issueRefreshToken("u1");
+    const { refreshToken } = await Token.rotateRefreshToken(oldToken);
+    try {
+      await Token.rotateRefreshToken(oldToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    const live = await db.query(
+        "SELECT id FROM refresh_tokens WHERE token_hash = $1 AND revoked_at IS NULL",
+        [hashToken(refreshToken)]);
+    expect(live.rows.length).toEqual(0);
+  });
+});
+
+/************************************** revokeRefreshToken */
+
+describe("revokeRefreshToken", function () {
+  test("works", async function () {
+    expect.assertions(1);
+    const refreshToken = await Token.issueRefreshToken("u1");
+    await Token.revokeRefreshToken(refreshToken);
+    try {
+      await Token.rotateRefreshToken(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unknown tokens are ignored", async function () {
+    await Token.revokeRefreshToken("nope");
+  });
+});
+
+/************************************** access token revocation */
+
+describe("revokeAccessToken", function () {
+  test("works", async function () {
+    const exp = Math.floor(Date.now() / 1000) + 60;
+    expect(await Token.isAccessTokenRevoked("jti-1")).toEqual(false);
+    await Token.revokeAccessToken("jti-1", exp);
+    expect(await Token.isAccessTokenRevoked("jti-1")).toEqual(true);
+  });
+
+  test("cleans up revocations of expired tokens", async function () {
+    const past = Math.floor(Date.now() / 1000) - 60;
+    await Token.revokeAccessToken("jti-old", past);
+    await Token.revokeAccessToken("jti-new", past + 120);
+    expect(await Token.isAccessTokenRevoked("jti-old")).toEqual(false);
+  });
+});
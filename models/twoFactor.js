@@ -0,0 +1,308 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { generateOpaqueToken, hashToken } = require("../helpers/tokens");
+const { generateSecret, verifyTotp, provisioningUri } = require("../helpers/totp");
+const logger = require("../helpers/logger");
+const Audit = require("./audit");
+const {
+  TWO_FACTOR_CHALLENGE_TTL_MINUTES,
+  TWO_FACTOR_MAX_ATTEMPTS,
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_ENCRYPTION_KEY,
+} = require("../config");
+
+/** How many recovery codes a user gets when they turn on 2FA. */
+
+const RECOVERY_CODE_COUNT = 10;
+
+/** A new recovery code, like "3f9a1-07c2e". */
+
+function generateRecoveryCode() {
+  const hex = generateOpaqueToken(5);
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+/** The hash a recovery code is stored as; case, spaces and dashes don't
+ * matter, since people type these in. */
+
+function hashRecoveryCode(code) {
+  return hashToken(code.toLowerCase().replace(/[\s-]/g, ""));
+}
+
+/* TOTP secrets are stored encrypted with AES-256-GCM, as
+  "iv.authTag.ciphertext" (each base64), under a key derived from
+  TWO_FACTOR_ENCRYPTION_KEY. */
+
+const ENCRYPTION_KEY = crypto.createHash("sha256").update(TWO_FACTOR_ENCRYPTION_KEY).digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString("base64")).join(".");
+}
+
+function decryptSecret(stored) {
+  const [iv, authTag, ciphertext] = stored.split(".").map(part => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+}
+
+/** Related functions for two-factor authentication (TOTP).
+ *
+ * A user turns on 2FA in two steps: enroll gives them a secret to add to
+ * their authenticator app, and enable, given a code from the app, turns it
+ * on and gives them single-use recovery codes for when the app is lost.
+ *
+ * With 2FA on, logging in takes a code too: once the password checks out, a
+ * challenge token is handed out (startChallenge), which completeChallenge
+ * trades for the username given a code. A challenge is good for
+ * TWO_FACTOR_CHALLENGE_TTL_MINUTES and TWO_FACTOR_MAX_ATTEMPTS wrong codes.
+ *
+ * Secrets are stored encrypted (see TWO_FACTOR_ENCRYPTION_KEY in config.js),
+ * and only hashes of recovery codes and challenge tokens are stored.
+ */
+
+class TwoFactor {
+  /** Given a username, return whether 2FA is on for them, and how many
+   * unused recovery codes they have.
+   *
+   * Returns { enabled, recoveryCodesLeft }
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async status(username) {
+    const result = await db.query(
+          `SELECT tf.enabled_at IS NOT NULL AS "enabled",
+                  (SELECT COUNT(*)::integer
+                   FROM two_factor_recovery_codes AS rc
+                   WHERE rc.username = u.username AND rc.used_at IS NULL) AS "recoveryCodesLeft"
+           FROM users AS u
+             LEFT JOIN user_two_factor AS tf ON tf.username = u.username
+           WHERE u.username = $1`,
+        [username],
+    );
+    const status = result.rows[0];
+
+    if (!status) throw new NotFoundError(`No user: ${username}`);
+
+    return { enabled: status.enabled === true, recoveryCodesLeft: status.recoveryCodesLeft };
+  }
+
+  /** Start turning on 2FA for username: make them a new secret, replacing
+   * any from an earlier enrolment they didn't finish.
+   *
+   * Returns { secret, uri }, where uri is the otpauth:// URI for
+   * authenticator apps.
+   *
+   * Throws NotFoundError if user not found, BadRequestError if 2FA is already
+   * on.
+   **/
+
+  static async enroll(username) {
+    const { enabled } = await this.status(username);
+    if (enabled) throw new BadRequestError("Two-factor authentication is already enabled");
+
+    const secret = generateSecret();
+    await db.query(
+          `INSERT INTO user_two_factor (username, secret)
+           VALUES ($1, $2)
+           ON CONFLICT (username) DO UPDATE
+             SET secret = EXCLUDED.secret, last_step = NULL, created_at = NOW()`,
+        [username, encryptSecret(secret)],
+    );
+
+    const uri = provisioningUri({ secret, account: username, issuer: TWO_FACTOR_ISSUER });
+    return { secret, uri };
+  }
+
+  /** Finish turning on 2FA for username, given a code from their
+   * authenticator app.
+   *
+   * Returns { recoveryCodes }; they're only ever shown this once.
+   *
+   * Throws BadRequestError if they haven't enrolled, 2FA is already on, or
+   * the code is wrong.
+   **/
+
+  static async enable(username, code) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `SELECT secret, enabled_at AS "enabledAt"
+             FROM user_two_factor
+             WHERE username = $1
+             FOR UPDATE`,
+          [username],
+      );
+      const twoFactor = result.rows[0];
+
+      if (!twoFactor) throw new BadRequestError("Enroll in two-factor authentication first");
+      if (twoFactor.enabledAt) throw new BadRequestError("Two-factor authentication is already enabled");
+
+      const step = verifyTotp(decryptSecret(twoFactor.secret), code);
+      if (step === null) throw new BadRequestError("Invalid code");
+
+      await client.query(
+            `UPDATE user_two_factor
+             SET enabled_at = NOW(), last_step = $2
+             WHERE username = $1`,
+          [username, step],
+      );
+
+      const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+      await client.query(`DELETE FROM two_factor_recovery_codes WHERE username = $1`, [username]);
+      await client.query(
+            `INSERT INTO two_factor_recovery_codes (username, code_hash)
+             SELECT $1, UNNEST($2::text[])`,
+          [username, recoveryCodes.map(hashRecoveryCode)],
+      );
+
+      await Audit.record("user.twoFactorEnabled", "user", username);
+
+      return { recoveryCodes };
+    });
+  }
+
+  /** Turn off 2FA for username, forgetting their secret, recovery codes and
+   * any challenges in progress.
+   *
+   * Throws BadRequestError if they haven't enrolled.
+   **/
+
+  static async disable(username) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `DELETE FROM user_two_factor
+             WHERE username = $1
+             RETURNING username`,
+          [username],
+      );
+
+      if (!result.rows[0]) throw new BadRequestError("Two-factor authentication isn't enabled");
+
+      await client.query(`DELETE FROM two_factor_recovery_codes WHERE username = $1`, [username]);
+      await client.query(`DELETE FROM two_factor_challenges WHERE username = $1`, [username]);
+
+      await Audit.record("user.twoFactorDisabled", "user", username);
+    });
+  }
+
+  /** Check a code for username, who has 2FA on: either a code from their
+   * authenticator app, or one of their recovery codes. Either way, the code
+   * can't be used again.
+   *
+   * Returns true if it's good, false if not (or if 2FA isn't on).
+   **/
+
+  static async checkCode(username, code) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `SELECT secret, last_step AS "lastStep"
+             FROM user_two_factor
+             WHERE username = $1 AND enabled_at IS NOT NULL
+             FOR UPDATE`,
+          [username],
+      );
+      const twoFactor = result.rows[0];
+
+      if (!twoFactor) return false;
+
+      // a secret that won't decrypt (TWO_FACTOR_ENCRYPTION_KEY changed) leaves
+      // the recovery codes, to log in and set up 2FA again with
+      let step = null;
+      try {
+        step = verifyTotp(decryptSecret(twoFactor.secret), code);
+      } catch (err) {
+        logger.error("Can't decrypt two-factor secret", { err, username });
+      }
+      if (step !== null) {
+        // pg gives BIGINT back as a string
+        if (twoFactor.lastStep !== null && step <= +twoFactor.lastStep) return false;
+        await client.query(
+              `UPDATE user_two_factor SET last_step = $2 WHERE username = $1`,
+            [username, step],
+        );
+        return true;
+      }
+
+      const recoveryRes = await client.query(
+            `UPDATE two_factor_recovery_codes
+             SET used_at = NOW()
+             WHERE id = (SELECT id
+                         FROM two_factor_recovery_codes
+                         WHERE username = $1 AND code_hash = $2 AND used_at IS NULL
+                         LIMIT 1)
+             RETURNING id`,
+          [username, hashRecoveryCode(code)],
+      );
+      return recoveryRes.rows.length > 0;
+    });
+  }
+
+  /** Start the second step of logging in for username, whose password has
+   * checked out.
+   *
+   * Returns the challenge token.
+   **/
+
+  static async startChallenge(username) {
+    const token = generateOpaqueToken();
+    await db.query(
+          `INSERT INTO two_factor_challenges (username, token_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+        [username, hashToken(token), TWO_FACTOR_CHALLENGE_TTL_MINUTES],
+    );
+    return token;
+  }
+
+  /** Finish logging in with a challenge token and a code (see checkCode).
+   *
+   * Returns { username } if the code is good; the challenge can't be used
+   * again. A wrong code counts against the challenge, which stops working
+   * after TWO_FACTOR_MAX_ATTEMPTS of them.
+   *
+   * Returns null if the challenge is unknown, used or expired, or the code is
+   * wrong.
+   **/
+
+  static async completeChallenge(token, code) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `SELECT id, username
+             FROM two_factor_challenges
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND expires_at > NOW()
+             FOR UPDATE`,
+          [hashToken(token)],
+      );
+      const challenge = result.rows[0];
+
+      if (!challenge) return null;
+
+      if (await this.checkCode(challenge.username, code)) {
+        await client.query(
+              `UPDATE two_factor_challenges SET used_at = NOW() WHERE id = $1`,
+            [challenge.id]);
+        return { username: challenge.username };
+      }
+
+      await client.query(
+            `UPDATE two_factor_challenges
+             SET attempts = attempts + 1,
+                 used_at = CASE WHEN attempts + 1 >= $2 THEN NOW() END
+             WHERE id = $1`,
+          [challenge.id, TWO_FACTOR_MAX_ATTEMPTS],
+      );
+      return null;
+    });
+  }
+}
+
+
+module.exports = TwoFactor;
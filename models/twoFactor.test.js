@@ -0,0 +1,220 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { hashToken } = require("../helpers/tokens");
+const { totp, STEP_SECONDS } = require("../helpers/totp");
+const TwoFactor = require("./twoFactor.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** The code for secret a step from now, so it's still good but isn't the
+ * one just used. */
+
+function nextCode(secret) {
+  return totp(secret, Date.now() + STEP_SECONDS * 1000);
+}
+
+/** Turn on 2FA for u1; returns { secret, recoveryCodes }. */
+
+async function enableForU1() {
+  const { secret } = await TwoFactor.enroll("u1");
+  const { recoveryCodes } = await TwoFactor.enable("u1", totp(secret));
+  return { secret, recoveryCodes };
+}
+
+/************************************** status */
+
+describe("status", function () {
+  test("works: off", async function () {
+    expect(await TwoFactor.status("u1")).toEqual({ enabled: false, recoveryCodesLeft: 0 });
+  });
+
+  test("works: on", async function () {
+    await enableForU1();
+    expect(await TwoFactor.status("u1")).toEqual({ enabled: true, recoveryCodesLeft: 10 });
+  });
+
+  test("not found if no such user", async function () {
+    await expect(TwoFactor.status("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** enroll */
+
+describe("enroll", function () {
+  test("works", async function () {
+    const { secret, uri } = await TwoFactor.enroll("u1");
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(uri).toEqual(
+        `otpauth://totp/Jobly%3Au1?secret=${secret}&issuer=Jobly&algorithm=SHA1&digits=6&period=30`);
+    expect((await TwoFactor.status("u1")).enabled).toBe(false);
+  });
+
+  test("stores the secret encrypted", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    const result = await db.query(`SELECT secret FROM user_two_factor WHERE username = 'u1'`);
+    const stored = result.rows[0].secret;
+    expect(stored).not.toContain(secret);
+
+    // it's checked on the way out, so it can't be changed in the database
+    const [iv, authTag, ciphertext] = stored.split(".");
+    const changed = Buffer.from(ciphertext, "base64").map(b => b ^ 1).toString("base64");
+    await db.query(`UPDATE user_two_factor SET secret = $1 WHERE username = 'u1'`,
+        [[iv, authTag, changed].join(".")]);
+    await expect(TwoFactor.enable("u1", totp(secret))).rejects.toThrow();
+
+    await db.query(`UPDATE user_two_factor SET secret = $1 WHERE username = 'u1'`, [stored]);
+    await TwoFactor.enable("u1", totp(secret));
+    expect((await TwoFactor.status("u1")).enabled).toBe(true);
+  });
+
+  test("again replaces the secret", async function () {
+    const first = await TwoFactor.enroll("u1");
+    const second = await TwoFactor.enroll("u1");
+    expect(second.secret).not.toEqual(first.secret);
+    await expect(TwoFactor.enable("u1", totp(first.secret))).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if already on", async function () {
+    await enableForU1();
+    await expect(TwoFactor.enroll("u1")).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(TwoFactor.enroll("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** enable */
+
+describe("enable", function () {
+  test("works: stores only hashes of recovery codes", async function () {
+    const { recoveryCodes } = await enableForU1();
+    expect(recoveryCodes.length).toEqual(10);
+    expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+
+    const found = await db.query(
+        `SELECT code_hash FROM two_factor_recovery_codes WHERE username = 'u1'`);
+    expect(found.rows.map(r => r.code_hash).sort())
+        .toEqual(recoveryCodes.map(c => hashToken(c.replace("-", ""))).sort());
+  });
+
+  test("bad request with a wrong code", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    const code = totp(secret) === "000000" ? "111111" : "000000";
+    await expect(TwoFactor.enable("u1", code)).rejects.toThrow(BadRequestError);
+    expect((await TwoFactor.status("u1")).enabled).toBe(false);
+  });
+
+  test("bad request if not enrolled", async function () {
+    await expect(TwoFactor.enable("u1", "123456")).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** disable */
+
+describe("disable", function () {
+  test("works", async function () {
+    await enableForU1();
+    await TwoFactor.startChallenge("u1");
+    await TwoFactor.disable("u1");
+
+    expect(await TwoFactor.status("u1")).toEqual({ enabled: false, recoveryCodesLeft: 0 });
+    const challenges = await db.query(`SELECT id FROM two_factor_challenges`);
+    expect(challenges.rows).toEqual([]);
+  });
+
+  test("bad request if not enrolled", async function () {
+    await expect(TwoFactor.disable("u1")).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** checkCode */
+
+describe("checkCode", function () {
+  test("works with a code from the app, once", async function () {
+    const { secret } = await enableForU1();
+    const code = nextCode(secret);
+    expect(await TwoFactor.checkCode("u1", code)).toBe(true);
+    expect(await TwoFactor.checkCode("u1", code)).toBe(false);
+  });
+
+  test("refuses the code used to enable", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    const code = totp(secret);
+    await TwoFactor.enable("u1", code);
+    expect(await TwoFactor.checkCode("u1", code)).toBe(false);
+  });
+
+  test("works with a recovery code, once", async function () {
+    const { recoveryCodes } = await enableForU1();
+    expect(await TwoFactor.checkCode("u1", recoveryCodes[0].toUpperCase())).toBe(true);
+    expect(await TwoFactor.checkCode("u1", recoveryCodes[0])).toBe(false);
+    expect((await TwoFactor.status("u1")).recoveryCodesLeft).toEqual(9);
+  });
+
+  test("only recovery codes work if the secret won't decrypt", async function () {
+    const { secret, recoveryCodes } = await enableForU1();
+    await db.query(`UPDATE user_two_factor SET secret = 'AAAA.AAAA.AAAA' WHERE username = 'u1'`);
+    expect(await TwoFactor.checkCode("u1", nextCode(secret))).toBe(false);
+    expect(await TwoFactor.checkCode("u1", recoveryCodes[0])).toBe(true);
+  });
+
+  test("false if 2FA isn't on", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    expect(await TwoFactor.checkCode("u1", totp(secret))).toBe(false);
+  });
+});
+
+/************************************** challenges */
+
+describe("startChallenge and completeChallenge", function () {
+  test("works, once", async function () {
+    const { secret } = await enableForU1();
+    const token = await TwoFactor.startChallenge("u1");
+
+    expect(await TwoFactor.completeChallenge(token, nextCode(secret))).toEqual({ username: "u1" });
+    expect(await TwoFactor.completeChallenge(token, nextCode(secret))).toBeNull();
+  });
+
+  test("stores only the hash", async function () {
+    await enableForU1();
+    const token = await TwoFactor.startChallenge("u1");
+    const found = await db.query(`SELECT token_hash FROM two_factor_challenges`);
+    expect(found.rows).toEqual([{ token_hash: hashToken(token) }]);
+  });
+
+  test("null if expired", async function () {
+    const { secret } = await enableForU1();
+    const token = await TwoFactor.startChallenge("u1");
+    await db.query(`UPDATE two_factor_challenges SET expires_at = NOW() - INTERVAL '1 minute'`);
+    expect(await TwoFactor.completeChallenge(token, nextCode(secret))).toBeNull();
+  });
+
+  test("stops working after too many wrong codes", async function () {
+    const { recoveryCodes } = await enableForU1();
+    const token = await TwoFactor.startChallenge("u1");
+
+    for (let i = 0; i < 5; i++) {
+      expect(await TwoFactor.completeChallenge(token, "nope")).toBeNull();
+    }
+    expect(await TwoFactor.completeChallenge(token, recoveryCodes[0])).toBeNull();
+
+    const found = await db.query(`SELECT attempts FROM two_factor_challenges`);
+    expect(found.rows).toEqual([{ attempts: 5 }]);
+  });
+
+  test("null for an unknown token", async function () {
+    expect(await TwoFactor.completeChallenge("nope", "123456")).toBeNull();
+  });
+});
@@ -3,22 +3,109 @@
 const db = require("../db");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { paginationSql, pageOf } = require("../helpers/pagination");
+const events = require("../helpers/events");
+const metrics = require("../helpers/metrics");
+/* Loaded for its event handlers, which notify users about their applications */
+require("./notification");
+const Audit = require("./audit");
+const EventLog = require("./eventLog");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
+  AccountLockedError,
 } = require("../expressError");
 
-const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const {
+  BCRYPT_WORK_FACTOR,
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_MINUTES,
+  REQUIRE_VERIFIED_EMAIL_TO_APPLY,
+} = require("../config.js");
+
+/** Application state machine.
+ *
+ * Each state maps to the states an application in it may move to next.
+ * "rejected" and "withdrawn" are final, so nothing leaves them.
+ */
+
+const APPLICATION_TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["rejected", "withdrawn"],
+  rejected: [],
+  withdrawn: [],
+};
+
+/** States a brand new application may start in. */
+
+const INITIAL_APPLICATION_STATES = ["interested", "applied"];
+
+/** States the applicant moves their own application to; the others
+ *  (interviewing, offered, rejected) are for the job's company to decide. */
+
+const APPLICANT_STATES = ["interested", "applied", "withdrawn"];
+
+/** isAdmin is no longer a column; it is true when the user holds the admin role.
+ *  Used in the SELECT list of queries on the users table. */
+
+const IS_ADMIN_SQL = `EXISTS (SELECT 1
+                              FROM user_roles ur
+                              WHERE ur.username = users.username
+                                AND ur.role = 'admin')`;
+
+/** A user's row as the audit log sees it, locked until the transaction ends.
+ *  The password hash is in it so a new password shows up as a change; the
+ *  audit log never stores the value. */
+
+async function auditedUser(username) {
+  const result = await db.query(
+        `SELECT username,
+                password,
+                first_name AS "firstName",
+                last_name AS "lastName",
+                email,
+                email_verified AS "emailVerified",
+                ${IS_ADMIN_SQL} AS "isAdmin"
+         FROM users
+         WHERE username = $1
+         FOR UPDATE`,
+      [username],
+  );
+  return result.rows[0];
+}
+
+/** How users may be sorted and paged through (see helpers/pagination.js). */
 
-/** Related functions for users. */
+const PAGING = {
+  sortable: {
+    username: "username",
+    firstName: "first_name",
+    lastName: "last_name",
+    email: "email",
+  },
+  defaultSort: "username",
+  tiebreaker: "username",
+};
+
+/** Related functions for users.
+ *
+ * Changes are recorded in the audit log (see models/audit.js).
+ */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, firstName, lastName, email, isAdmin }
    *
    * Throws UnauthorizedError is user not found or wrong password.
+   *
+   * LOGIN_LOCKOUT_THRESHOLD wrong passwords in a row lock the account for
+   * LOGIN_LOCKOUT_MINUTES (see unlock); meanwhile this throws
+   * AccountLockedError, even for the right password.
    **/
 
   static async authenticate(username, password) {
@@ -29,7 +116,8 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  ${IS_ADMIN_SQL} AS "isAdmin",
+                  CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::integer AS "lockedFor"
            FROM users
            WHERE username = $1`,
         [username],
@@ -37,19 +125,68 @@ class User {
 
     const user = result.rows[0];
 
+    if (user && user.lockedFor > 0) {
+      metrics.logins.inc({ outcome: "locked" });
+      throw new AccountLockedError(user.lockedFor);
+    }
+
     if (user) {
       // compare hashed password to a new hash from password
       const isValid = await bcrypt.compare(password, user.password);
       if (isValid === true) {
+        await db.query(
+              `UPDATE users
+               SET failed_logins = 0, locked_until = NULL
+               WHERE username = $1 AND (failed_logins > 0 OR locked_until IS NOT NULL)`,
+            [username]);
+
         delete user.password;
+        delete user.lockedFor;
+        metrics.logins.inc({ outcome: "succeeded" });
         return user;
       }
+
+      // the count starts again once it has locked the account
+      await db.query(
+            `UPDATE users
+             SET failed_logins = CASE WHEN failed_logins + 1 >= $2 THEN 0
+                                      ELSE failed_logins + 1 END,
+                 locked_until = CASE WHEN failed_logins + 1 >= $2
+                                     THEN NOW() + make_interval(mins => $3)
+                                     ELSE locked_until END
+             WHERE username = $1`,
+          [username, LOGIN_LOCKOUT_THRESHOLD, LOGIN_LOCKOUT_MINUTES]);
     }
 
+    metrics.logins.inc({ outcome: "failed" });
     throw new UnauthorizedError("Invalid username/password");
   }
 
+  /** Let a user locked out by too many wrong passwords log in again, and
+   * start their count of wrong passwords over; returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async unlock(username) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `UPDATE users
+             SET failed_logins = 0, locked_until = NULL
+             WHERE username = $1
+             RETURNING username`,
+          [username],
+      );
+
+      if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+      await Audit.record("user.unlocked", "user", username);
+    });
+  }
+
   /** Register user with data.
+   *
+   * Every new user gets the candidate role; isAdmin also grants the admin role.
    *
    * Returns { username, firstName, lastName, email, isAdmin }
    *
@@ -58,66 +195,93 @@ class User {
 
   static async register(
       { username, password, firstName, lastName, email, isAdmin }) {
-    const duplicateCheck = await db.query(
-          `SELECT username
-           FROM users
-           WHERE username = $1`,
-        [username],
-    );
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
-    if (duplicateCheck.rows[0]) {
-      throw new BadRequestError(`Duplicate username: ${username}`);
-    }
+    return db.withTransaction(async client => {
+      // two registrations for the same username wait for each other here, so
+      // the second sees the first's user
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('users'), hashtext($1))`, [username]);
 
-    const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
+      const duplicateCheck = await client.query(
+            `SELECT username
+             FROM users
+             WHERE username = $1`,
+          [username],
+      );
 
-    const result = await db.query(
-          `INSERT INTO users
-           (username,
-            password,
-            first_name,
-            last_name,
+      if (duplicateCheck.rows[0]) {
+        throw new BadRequestError(`Duplicate username: ${username}`);
+      }
+
+      const result = await client.query(
+            `INSERT INTO users
+             (username,
+              password,
+              first_name,
+              last_name,
+              email)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING username, first_name AS "firstName", last_name AS "lastName", email`,
+          [
+            username,
+            hashedPassword,
+            firstName,
+            lastName,
             email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
-        [
-          username,
-          hashedPassword,
-          firstName,
-          lastName,
-          email,
-          isAdmin,
-        ],
-    );
+          ],
+      );
 
-    const user = result.rows[0];
+      const user = { ...result.rows[0], isAdmin: !!isAdmin };
+      await Audit.record("user.created", "user", username, { after: user });
+
+      await this.grantRole(username, "candidate");
+      if (isAdmin) await this.grantRole(username, "admin");
 
-    return user;
+      return user;
+    });
   }
 
-  /** Find all users.
+  /** Find all users, a page at a time.
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * page is { limit, offset, cursor, sort } from the query string; sort is a
+   * comma separated list of username, firstName, lastName and email, each
+   * optionally prefixed with "-" for descending (default: username).
+   *
+   * Returns {
+   *   users: [{ username, firstName, lastName, email, isAdmin }, ...],
+   *   total, -> how many users there are, across all pages
+   *   nextCursor -> pass as cursor to get the next page; null on the last page
+   * }
    **/
 
-  static async findAll() {
+  static async findAll(page = {}) {
+    const paging = paginationSql(page, PAGING);
+
     const result = await db.query(
           `SELECT username,
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  ${IS_ADMIN_SQL} AS "isAdmin"
            FROM users
-           ORDER BY username`,
+           ${paging.cursorSql ? `WHERE ${paging.cursorSql}` : ""}
+           ${paging.orderBySql}
+           ${paging.limitSql}`,
+        paging.values,
+    );
+
+    const countRes = await db.query(
+          `SELECT COUNT(*)::integer AS total
+           FROM users`,
     );
 
-    return result.rows;
+    const { rows, nextCursor } = pageOf(result.rows, paging);
+    return { users: rows, total: countRes.rows[0].total, nextCursor };
   }
 
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
+   * Returns { username, firstName, lastName, email, isAdmin, jobs }
    *   where jobs is { id, title, company_handle, company_name, state }
    * 
    * It will also show any applications that this user has applied for
@@ -145,7 +309,7 @@ class User {
               first_name AS "firstName",
               last_name AS "lastName",
               email,
-              is_admin AS "isAdmin"
+              ${IS_ADMIN_SQL} AS "isAdmin"
        FROM users
        WHERE username = $1`,
     [username]
@@ -171,114 +335,341 @@ class User {
    *
    * Throws NotFoundError if not found.
    *
+   * Changing email means the new address has to be verified (see
+   * models/emailVerification.js).
+   *
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
    */
 
   static async update(username, data) {
+    /* isAdmin is a role rather than a column, so it is handled separately below */
+    const { isAdmin, ...fields } = data;
+
     /* If the information that came from the user to update contains that PW then we first hash it and set the PW to now be the hased PW in data */
-    if (data.password) {
-      data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
+    if (fields.password) {
+      fields.password = await bcrypt.hash(fields.password, BCRYPT_WORK_FACTOR);
     }
 
-    const { setCols, values } = sqlForPartialUpdate(
-        data,
-        {
-          firstName: "first_name",
-          lastName: "last_name",
-          isAdmin: "is_admin",
-        });
-    const usernameVarIdx = "$" + (values.length + 1);
-
-    const querySql = `UPDATE users 
-                      SET ${setCols} 
-                      WHERE username = ${usernameVarIdx} 
-                      RETURNING username,
-                                first_name AS "firstName",
-                                last_name AS "lastName",
-                                email,
-                                is_admin AS "isAdmin"`;
-    const result = await db.query(querySql, [...values, username]);
-    const user = result.rows[0];
+    return db.withTransaction(async client => {
+      const before = await auditedUser(username);
+
+      if (isAdmin === undefined || Object.keys(fields).length > 0) {
+        let { setCols, values } = sqlForPartialUpdate(
+            fields,
+            {
+              firstName: "first_name",
+              lastName: "last_name",
+            });
+        /* A new email address has to be verified again (email here is the old one) */
+        if (fields.email !== undefined) {
+          values.push(fields.email);
+          setCols += `, email_verified = email_verified AND email = $${values.length}`;
+        }
+        const usernameVarIdx = "$" + (values.length + 1);
+
+        const querySql = `UPDATE users 
+                          SET ${setCols} 
+                          WHERE username = ${usernameVarIdx} 
+                          RETURNING username`;
+        const result = await client.query(querySql, [...values, username]);
+
+        if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+      }
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+      if (isAdmin === true) await this.grantRole(username, "admin");
+      if (isAdmin === false) await this.revokeRole(username, "admin");
 
-    delete user.password;
-    return user;
+      await Audit.record("user.updated", "user", username, { before, after: await auditedUser(username) });
+
+      return this.get(username);
+    });
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Given a username, return the names of the roles they hold, sorted.
+   *
+   * Returns [ role, ... ] e.g. ["admin", "candidate"]
+   *
+   * Throws NotFoundError if user not found.
+   **/
 
-  static async remove(username) {
-    let result = await db.query(
-          `DELETE
-           FROM users
-           WHERE username = $1
-           RETURNING username`,
+  static async getRoles(username) {
+    const result = await db.query(
+          `SELECT u.username, ur.role
+           FROM users u
+           LEFT JOIN user_roles ur ON ur.username = u.username
+           WHERE u.username = $1
+           ORDER BY ur.role`,
         [username],
     );
-    const user = result.rows[0];
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    return result.rows.filter(r => r.role !== null).map(r => r.role);
+  }
+
+  /** Give a user a role; granting a role they already hold is a no-op.
+   *
+   * Returns { username, role }
+   *
+   * Throws NotFoundError if the user or role doesn't exist.
+   **/
+
+  static async grantRole(username, role) {
+    const check = await db.query(
+          `SELECT (SELECT username FROM users WHERE username = $1) AS username,
+                  (SELECT name FROM roles WHERE name = $2) AS role`,
+        [username, role],
+    );
+    const found = check.rows[0];
+
+    if (!found.username) throw new NotFoundError(`No user: ${username}`);
+    if (!found.role) throw new NotFoundError(`No role: ${role}`);
+
+    await db.withTransaction(async client => {
+      const result = await client.query(
+            `INSERT INTO user_roles (username, role)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING`,
+          [username, role],
+      );
+
+      if (result.rowCount) await Audit.record("user.roleGranted", "user", username, { after: { role } });
+    });
+
+    return { username, role };
+  }
+
+  /** Take a role away from a user; returns undefined.
+   *
+   * Throws NotFoundError if the user doesn't exist.
+   **/
+
+  static async revokeRole(username, role) {
+    const userCheck = await db.query(
+          `SELECT username FROM users WHERE username = $1`,
+        [username],
+    );
+
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    await db.withTransaction(async client => {
+      const result = await client.query(
+            `DELETE FROM user_roles
+             WHERE username = $1 AND role = $2`,
+          [username, role],
+      );
+
+      if (result.rowCount) await Audit.record("user.roleRevoked", "user", username, { before: { role } });
+    });
+  }
+
+  /** Delete given user from database; returns undefined. */
+
+  static async remove(username) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `DELETE
+             FROM users
+             WHERE username = $1
+             RETURNING username, first_name AS "firstName", last_name AS "lastName", email`,
+          [username],
+      );
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+
+      await Audit.record("user.removed", "user", username, { before: user });
+    });
   }
 
   /** Creates a SQL query to insert the a job application into the applications table 
-   * Take 2 params {username, jobId}
+   * Take params {username, jobId, state}
+   * 
+   * state is optional and defaults to "applied"; a new application can only
+   * start out as "interested" or "applied".
    * 
    * If there is already an application for a job linked to a user an error will be thrown
+   * (NotFoundError if there's no such user, and ForbiddenError if they haven't
+   * verified their email address and REQUIRE_VERIFIED_EMAIL_TO_APPLY is on)
    * 
    * If not it will insert into the table and return:
    * 
    * {
    * applied : jobId
    * }
+   *
+   * The job's company's webhooks are sent an "application.created" delivery
+   * (see models/webhook.js), queued along with the application.
   */
 
-  static async applyToJob({username, jobId}){
+  static async applyToJob({username, jobId, state = "applied"}){
+    // required here, not at the top, since webhook.js needs company.js, which
+    // needs this file
+    const Webhook = require("./webhook");
 
-    const duplicateCheck = await db.query(
-        `SELECT username
-        FROM applications
-        WHERE job_id = $1 AND username = $2`,
-      [jobId, username],
+    if (!INITIAL_APPLICATION_STATES.includes(state)) {
+      throw new BadRequestError(`Invalid initial application state: ${state}`);
+    }
+
+    const application = await db.withTransaction(async client => {
+      // locking the user's row makes two applications by them take turns, so
+      // the second sees the first
+      const userCheck = await client.query(
+          `SELECT username,
+                  first_name AS "firstName",
+                  last_name AS "lastName",
+                  email,
+                  email_verified AS "emailVerified"
+          FROM users
+          WHERE username = $1
+          FOR UPDATE`,
+        [username],
+      );
+      const user = userCheck.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+      if (REQUIRE_VERIFIED_EMAIL_TO_APPLY && !user.emailVerified) {
+        throw new ForbiddenError("Verify your email address before applying to jobs");
+      }
+
+      const duplicateCheck = await client.query(
+          `SELECT username
+          FROM applications
+          WHERE job_id = $1 AND username = $2`,
+        [jobId, username],
+      );
+
+      if (duplicateCheck.rows[0]) {
+        throw new BadRequestError(`Duplicate application: ${username, jobId}`);
+      }
+
+
+      let result = await client.query(
+        `INSERT INTO applications
+        (username,
+          job_id,
+          state)
+        VALUES ($1, $2, $3)
+        RETURNING username, job_id AS "jobId", state`,
+      [
+        username,
+        jobId,
+        state
+      ])
+      const application = result.rows[0];
+
+      await Audit.record("application.created", "application", `${username}/${jobId}`, { after: application });
+
+      // queued in the same transaction, so the company's webhooks get every
+      // application that's saved, and none that isn't
+      const jobRes = await client.query(
+          `SELECT id, title, company_handle AS "companyHandle"
+          FROM jobs
+          WHERE id = $1`,
+        [jobId],
+      );
+      const job = jobRes.rows[0];
+      const { firstName, lastName, email } = user;
+      await Webhook.enqueue(job.companyHandle, "application.created", {
+        application,
+        job,
+        applicant: { username, firstName, lastName, email },
+      });
+
+      return application;
+    });
+
+    const jobApplication = {applied :application.jobId};
+
+    // once it's committed, so handlers (and other connections) can see it
+    await events.publish("application.created", application);
+
+    return jobApplication;
+  }
+
+  /** Move the application of username for jobId to a new state.
+   *
+   * Only the moves listed in APPLICATION_TRANSITIONS are allowed, so e.g. a
+   * rejected application can't go back to interviewing. Who may make the
+   * move is up to the caller (see isApplicantState).
+   *
+   * Returns { username, jobId, state }
+   *
+   * The applicant gets a notification about the change.
+   *
+   * Throws NotFoundError if there is no such application, and
+   * BadRequestError if the transition is not allowed.
+   */
+
+  static async updateApplicationState(username, jobId, state) {
+    const currentRes = await db.query(
+        `SELECT state
+         FROM applications
+         WHERE username = $1 AND job_id = $2`,
+      [username, jobId],
     );
+    const current = currentRes.rows[0];
 
-    if (duplicateCheck.rows[0]) {
-      throw new BadRequestError(`Duplicate application: ${username, jobId}`);
+    if (!current) {
+      throw new NotFoundError(`No application: ${username}, ${jobId}`);
     }
 
+    const allowed = APPLICATION_TRANSITIONS[current.state] || [];
+    if (!allowed.includes(state)) {
+      throw new BadRequestError(
+          `Cannot move application from ${current.state} to ${state}`);
+    }
 
-    let result = await db.query(
-      `INSERT INTO applications
-      (username,
-        job_id)
-      VALUES ($1, $2)
-      RETURNING username, job_id AS "jobId"`,
-    [
-      username,
-      jobId
-    ])
+    const { application, change } = await db.withTransaction(async client => {
+      /* Matching on the old state too means a concurrent change can't be overwritten */
+      const result = await client.query(
+          `UPDATE applications
+           SET state = $1
+           WHERE username = $2 AND job_id = $3 AND state = $4
+           RETURNING username, job_id AS "jobId", state`,
+        [state, username, jobId, current.state],
+      );
+      const application = result.rows[0];
+
+      if (!application) {
+        throw new BadRequestError(`Application changed concurrently: ${username}, ${jobId}`);
+      }
 
-    const jobApplication = {applied :result.rows[0].jobId};
+      await Audit.record("application.updated", "application", `${username}/${jobId}`,
+          { before: { ...application, state: current.state }, after: application });
+      const change = { username, jobId: application.jobId, from: current.state, to: state };
+      await EventLog.append("application.updated", change, username);
 
-    return jobApplication;
+      return { application, change };
+    });
+
+    await events.publish("application.updated", change);
+
+    return application;
   }
 
 
 
 
+  /** Whether state is one the applicant sets themselves (like withdrawn),
+   * rather than one for the job's company to decide. */
+
+  static isApplicantState(state) {
+    return APPLICANT_STATES.includes(state);
+  }
+
   static async getJobApplications(username){
 
     const result = await db.query(
-        `SELECT job_id
+        `SELECT job_id,
+                state
         FROM applications
         WHERE username = $1`,
       [username],
     );
 
-    console.log(result)
-
     const jobs = result.rows
 
     if(!jobs) throw new NotFoundError(`No job applications for: ${username}`);
@@ -286,6 +677,37 @@ class User {
     return jobs
   }
 
+  /** The query for exporting a user's applications, with their jobs, by job
+   * id (see helpers/export.js).
+   *
+   * Returns { text, values }; its rows are { jobId, state, title, salary,
+   * equity, companyHandle }.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async applicationsExportQuery(username) {
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1`,
+        [username]);
+
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    return {
+      text: `SELECT a.job_id AS "jobId",
+                    a.state,
+                    j.title,
+                    j.salary,
+                    j.equity,
+                    j.company_handle AS "companyHandle"
+             FROM applications a
+             JOIN jobs j ON j.id = a.job_id
+             WHERE a.username = $1
+             ORDER BY a.job_id`,
+      values: [username],
+    };
+  }
+
 }
 
 
@@ -6,7 +6,10 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
+  AccountLockedError,
 } = require("../expressError");
+const { LOGIN_LOCKOUT_THRESHOLD, LOGIN_LOCKOUT_MINUTES } = require("../config");
 const db = require("../db.js");
 const User = require("./user.js");
 const {
@@ -54,6 +57,63 @@ describe("authenticate", function () {
   });
 });
 
+/************************************** lockout */
+
+describe("lockout", function () {
+  async function failLogins(n) {
+    for (let i = 0; i < n; i++) {
+      await expect(User.authenticate("u1", "wrong")).rejects.toThrow(UnauthorizedError);
+    }
+  }
+
+  test("too many wrong passwords lock the account", async function () {
+    await failLogins(LOGIN_LOCKOUT_THRESHOLD);
+
+    try {
+      await User.authenticate("u1", "password1");
+      fail();
+    } catch (err) {
+      expect(err instanceof AccountLockedError).toBeTruthy();
+      expect(err.status).toEqual(429);
+      expect(err.retryAfter).toEqual(LOGIN_LOCKOUT_MINUTES * 60);
+    }
+  });
+
+  test("a right password starts the count over", async function () {
+    await failLogins(LOGIN_LOCKOUT_THRESHOLD - 1);
+    await User.authenticate("u1", "password1");
+    await failLogins(LOGIN_LOCKOUT_THRESHOLD - 1);
+    expect((await User.authenticate("u1", "password1")).username).toEqual("u1");
+  });
+
+  test("the lock runs out", async function () {
+    await failLogins(LOGIN_LOCKOUT_THRESHOLD);
+    await db.query(`UPDATE users SET locked_until = NOW() - INTERVAL '1 second' WHERE username = 'u1'`);
+    expect((await User.authenticate("u1", "password1")).username).toEqual("u1");
+  });
+});
+
+/************************************** unlock */
+
+describe("unlock", function () {
+  test("works", async function () {
+    for (let i = 0; i < LOGIN_LOCKOUT_THRESHOLD; i++) {
+      await expect(User.authenticate("u1", "wrong")).rejects.toThrow();
+    }
+    await User.unlock("u1");
+    expect((await User.authenticate("u1", "password1")).username).toEqual("u1");
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.unlock("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** register */
 
 describe("register", function () {
@@ -73,7 +133,7 @@ describe("register", function () {
     expect(user).toEqual(newUser);
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(false);
+    expect(await User.getRoles("new")).toEqual(["candidate"]);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
@@ -86,7 +146,7 @@ describe("register", function () {
     expect(user).toEqual({ ...newUser, isAdmin: true });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(true);
+    expect(await User.getRoles("new")).toEqual(["admin", "candidate"]);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
@@ -111,7 +171,9 @@ describe("register", function () {
 
 describe("findAll", function () {
   test("works", async function () {
-    const users = await User.findAll();
+    const { users, total, nextCursor } = await User.findAll();
+    expect(total).toEqual(2);
+    expect(nextCursor).toBeNull();
     expect(users).toEqual([
       {
         username: "u1",
@@ -129,6 +191,13 @@ describe("findAll", function () {
       },
     ]);
   });
+
+  test("works: limit and sort", async function () {
+    const { users, nextCursor } = await User.findAll({ sort: "-username", limit: 1 });
+    expect(users.map(u => u.username)).toEqual(["u2"]);
+    const next = await User.findAll({ sort: "-username", limit: 1, cursor: nextCursor });
+    expect(next.users.map(u => u.username)).toEqual(["u1"]);
+  });
 });
 
 /************************************** get */
@@ -189,6 +258,16 @@ describe("update", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("a new email address has to be verified again", async function () {
+    const verified = async () => (await db.query(
+        "SELECT email_verified FROM users WHERE username = 'u1'")).rows[0].email_verified;
+
+    await User.update("u1", { email: "u1@email.com", firstName: "Same" });
+    expect(await verified()).toBe(true);
+    await User.update("u1", { email: "new@email.com" });
+    expect(await verified()).toBe(false);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -211,6 +290,58 @@ describe("update", function () {
   });
 });
 
+/************************************** roles */
+
+describe("roles", function () {
+  test("getRoles works", async function () {
+    expect(await User.getRoles("u1")).toEqual(["admin", "candidate"]);
+    expect(await User.getRoles("u2")).toEqual(["candidate"]);
+  });
+
+  test("getRoles not found if no such user", async function () {
+    expect.assertions(1);
+    try {
+      await User.getRoles("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("grantRole works, and twice is a no-op", async function () {
+    expect(await User.grantRole("u2", "recruiter")).toEqual({ username: "u2", role: "recruiter" });
+    await User.grantRole("u2", "recruiter");
+    expect(await User.getRoles("u2")).toEqual(["candidate", "recruiter"]);
+  });
+
+  test("grantRole not found if no such role", async function () {
+    expect.assertions(1);
+    try {
+      await User.grantRole("u2", "superuser");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("revokeRole works", async function () {
+    await User.revokeRole("u1", "admin");
+    expect(await User.getRoles("u1")).toEqual(["candidate"]);
+    const user = await User.get("u1");
+    expect(user.isAdmin).toEqual(false);
+  });
+
+  test("update isAdmin grants and revokes the admin role", async function () {
+    let user = await User.update("u2", { isAdmin: true });
+    expect(user.isAdmin).toEqual(true);
+    expect(await User.getRoles("u2")).toEqual(["admin", "candidate"]);
+
+    user = await User.update("u2", { isAdmin: false });
+    expect(user.isAdmin).toEqual(false);
+    expect(await User.getRoles("u2")).toEqual(["candidate"]);
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
@@ -236,7 +367,7 @@ describe("remove", function () {
 describe("apply to job", () => {
 
   test("add job application to db", async () => {
-    const job = await Job.findAll();
+    const { jobs: job } = await Job.findAll();
     const {id} = job[0] 
     const jobApp = {
       username: "u1", 
@@ -248,7 +379,7 @@ describe("apply to job", () => {
   })
 
   test("test reject double entry", async () => {
-    const job = await Job.findAll();
+    const { jobs: job } = await Job.findAll();
     const {id} = job[0] 
     const jobApp = {
       username: "u1", 
@@ -267,4 +398,91 @@ describe("apply to job", () => {
 
   })
 
-})
\ No newline at end of file
+  test("not found if no such user", async () => {
+    const { jobs: job } = await Job.findAll();
+    try {
+      await User.applyToJob({username: "nope", jobId: job[0].id});
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  })
+
+  test("forbidden until their email address is verified", async () => {
+    const { jobs: job } = await Job.findAll();
+    await db.query(`UPDATE users SET email_verified = false WHERE username = 'u2'`);
+    try {
+      await User.applyToJob({username: "u2", jobId: job[0].id});
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  })
+
+})
+
+/**************************************** updateApplicationState */
+
+describe("updateApplicationState", () => {
+
+  test("works: legal transition", async () => {
+    const { jobs: job } = await Job.findAll();
+    const {id} = job[0]
+
+    await User.applyToJob({username: "u1", jobId: id})
+    const application = await User.updateApplicationState("u1", id, "interviewing")
+    expect(application).toEqual({username: "u1", jobId: id, state: "interviewing"})
+
+    const found = await db.query(
+        `SELECT state FROM applications WHERE username = 'u1' AND job_id = $1`, [id]);
+    expect(found.rows[0].state).toEqual("interviewing");
+  })
+
+  test("new applications can start as interested", async () => {
+    const { jobs: job } = await Job.findAll();
+    const {id} = job[0]
+
+    await User.applyToJob({username: "u1", jobId: id, state: "interested"})
+    const application = await User.updateApplicationState("u1", id, "applied")
+    expect(application.state).toEqual("applied")
+  })
+
+  test("bad request for illegal initial state", async () => {
+    expect.assertions(1);
+    const { jobs: job } = await Job.findAll();
+    const {id} = job[0]
+
+    try {
+      await User.applyToJob({username: "u1", jobId: id, state: "offered"})
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  })
+
+  test("bad request for illegal transition", async () => {
+    expect.assertions(1);
+    const { jobs: job } = await Job.findAll();
+    const {id} = job[0]
+
+    await User.applyToJob({username: "u1", jobId: id})
+    await User.updateApplicationState("u1", id, "rejected")
+    try {
+      await User.updateApplicationState("u1", id, "interviewing")
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  })
+
+  test("not found if no such application", async () => {
+    expect.assertions(1);
+    try {
+      await User.updateApplicationState("u1", 0, "interviewing")
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  })
+
+})
@@ -0,0 +1,413 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const { paginationSql, combineWhere, pageOf } = require("../helpers/pagination");
+const { generateOpaqueToken } = require("../helpers/tokens");
+const webhooks = require("../helpers/webhooks");
+const logger = require("../helpers/logger");
+const Company = require("./company");
+const Audit = require("./audit");
+const {
+  WEBHOOK_POLL_SECONDS,
+  WEBHOOK_TIMEOUT_SECONDS,
+  WEBHOOK_RETRY_BASE_SECONDS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_ALLOWED_HOSTS,
+} = require("../config");
+
+/** The events a webhook can subscribe to. */
+
+const WEBHOOK_EVENTS = ["application.created"];
+
+/** How many due deliveries the worker sends per pass. */
+
+const DELIVERY_BATCH_SIZE = 20;
+
+/** How delivery logs may be sorted and paged through (see helpers/pagination.js). */
+
+const DELIVERY_PAGING = {
+  sortable: {
+    id: "d.id",
+    createdAt: "d.created_at",
+  },
+  defaultSort: "-id",
+  tiebreaker: "id",
+  types: { id: "integer", createdAt: "timestamp" },
+};
+
+const WEBHOOK_COLUMNS = `id,
+                         url,
+                         events,
+                         active,
+                         created_at AS "createdAt"`;
+
+const DELIVERY_COLUMNS = `d.id,
+                          d.event,
+                          d.payload,
+                          d.status,
+                          d.attempts,
+                          d.next_attempt_at AS "nextAttemptAt",
+                          d.last_attempt_at AS "lastAttemptAt",
+                          d.response_status AS "responseStatus",
+                          d.last_error AS "lastError",
+                          d.created_at AS "createdAt"`;
+
+/** Throw BadRequestError if url's host isn't a public address (see
+ * helpers/webhooks.js). It's checked again on every delivery. */
+
+async function checkUrl(url) {
+  try {
+    await webhooks.checkUrl(url, WEBHOOK_ALLOWED_HOSTS);
+  } catch (err) {
+    throw new BadRequestError(`Can't send webhooks to ${url}: ${err.message}`);
+  }
+}
+
+/** Related functions for companies' outgoing webhooks.
+ *
+ * A webhook is { id, url, events, active, createdAt }: a URL of the company's
+ * (like their applicant tracking system) that is POSTed a signed JSON
+ * payload whenever one of events happens to the company -- for now, someone
+ * applying to one of its jobs (see helpers/webhooks.js for the signature).
+ *
+ * Sending goes through a queue in Postgres rather than happening inline, so
+ * a slow or broken receiver never holds up the request that caused the
+ * event, and nothing is lost on a restart. Deliveries are queued (enqueue) in
+ * the same transaction as the change they're about, like an application in
+ * User.applyToJob, so they're committed or rolled back together. Each delivery is
+ * { id, event, payload, status, attempts, nextAttemptAt, lastAttemptAt,
+ *   responseStatus, lastError, createdAt }, where status is "pending" until
+ * the receiver answers 2xx ("succeeded"), or it has been tried
+ * WEBHOOK_MAX_ATTEMPTS times ("failed"). Retries back off exponentially.
+ *
+ * The worker that sends them is started by server.js (see startWorker).
+ */
+
+class Webhook {
+  /** Add a webhook for a company.
+   *
+   * data should be { url, events }; events defaults to all of WEBHOOK_EVENTS.
+   *
+   * Returns { id, url, events, active, createdAt, secret } -- the secret
+   * receivers check signatures with. This is the only time it's returned.
+   *
+   * Throws NotFoundError if the company doesn't exist, BadRequestError if
+   * url's host isn't a public address.
+   **/
+
+  static async create(handle, { url, events = WEBHOOK_EVENTS }) {
+    await Company.checkExists(handle);
+    await checkUrl(url);
+
+    const secret = generateOpaqueToken(32);
+
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `INSERT INTO webhooks (company_handle, url, secret, events)
+             VALUES ($1, $2, $3, $4)
+             RETURNING ${WEBHOOK_COLUMNS}`,
+          [handle, url, secret, events],
+      );
+      const webhook = result.rows[0];
+
+      await Audit.record("webhook.created", "webhook", webhook.id,
+          { after: { ...webhook, companyHandle: handle } });
+
+      return { ...webhook, secret };
+    });
+  }
+
+  /** Given a company handle, return its webhooks, oldest first.
+   *
+   * Returns [{ id, url, events, active, createdAt }, ...]
+   *
+   * Throws NotFoundError if the company doesn't exist.
+   **/
+
+  static async findAll(handle) {
+    await Company.checkExists(handle);
+
+    const result = await db.query(
+          `SELECT ${WEBHOOK_COLUMNS}
+           FROM webhooks
+           WHERE company_handle = $1
+           ORDER BY id`,
+        [handle],
+    );
+
+    return result.rows;
+  }
+
+  /** Given a company handle and webhook id, return the webhook.
+   *
+   * Returns { id, url, events, active, createdAt }
+   *
+   * Throws NotFoundError if the company has no such webhook.
+   **/
+
+  static async get(handle, id) {
+    const result = await db.query(
+          `SELECT ${WEBHOOK_COLUMNS}
+           FROM webhooks
+           WHERE company_handle = $1 AND id = $2`,
+        [handle, id],
+    );
+    const webhook = result.rows[0];
+
+    if (!webhook) throw new NotFoundError(`No webhook: ${id}`);
+
+    return webhook;
+  }
+
+  /** Change a webhook's url, events, or whether it's active.
+   *
+   * Deliveries for an inactive webhook wait in the queue until it is made
+   * active again.
+   *
+   * Returns { id, url, events, active, createdAt }
+   *
+   * Throws NotFoundError if the company has no such webhook, BadRequestError
+   * for no data or if url's host isn't a public address.
+   **/
+
+  static async update(handle, id, { url, events, active }) {
+    if (url === undefined && events === undefined && active === undefined) {
+      throw new BadRequestError("No data");
+    }
+    if (url !== undefined) await checkUrl(url);
+
+    return db.withTransaction(async client => {
+      const beforeRes = await client.query(
+            `SELECT ${WEBHOOK_COLUMNS}
+             FROM webhooks
+             WHERE company_handle = $1 AND id = $2
+             FOR UPDATE`,
+          [handle, id],
+      );
+      const before = beforeRes.rows[0];
+
+      if (!before) throw new NotFoundError(`No webhook: ${id}`);
+
+      const result = await client.query(
+            `UPDATE webhooks
+             SET url = COALESCE($3, url),
+                 events = COALESCE($4, events),
+                 active = COALESCE($5, active)
+             WHERE company_handle = $1 AND id = $2
+             RETURNING ${WEBHOOK_COLUMNS}`,
+          [handle, id, url, events, active],
+      );
+      const webhook = result.rows[0];
+
+      await Audit.record("webhook.updated", "webhook", id, { before, after: webhook });
+
+      return webhook;
+    });
+  }
+
+  /** Delete a webhook, and its deliveries; returns undefined.
+   *
+   * Throws NotFoundError if the company has no such webhook.
+   **/
+
+  static async remove(handle, id) {
+    return db.withTransaction(async client => {
+      const result = await client.query(
+            `DELETE
+             FROM webhooks
+             WHERE company_handle = $1 AND id = $2
+             RETURNING ${WEBHOOK_COLUMNS}`,
+          [handle, id],
+      );
+      const webhook = result.rows[0];
+
+      if (!webhook) throw new NotFoundError(`No webhook: ${id}`);
+
+      await Audit.record("webhook.removed", "webhook", id,
+          { before: { ...webhook, companyHandle: handle } });
+    });
+  }
+
+  /** Find a webhook's deliveries, newest first, a page at a time.
+   *
+   * filters can include { status } ("pending", "succeeded" or "failed").
+   *
+   * page is { limit, offset, cursor, sort } (sort: id or createdAt).
+   *
+   * Returns {
+   *   deliveries: [{ id, event, payload, status, attempts, nextAttemptAt,
+   *                  lastAttemptAt, responseStatus, lastError, createdAt }, ...],
+   *   total, -> how many match the filters, across all pages
+   *   nextCursor -> pass as cursor to get the next page; null on the last page
+   * }
+   *
+   * Throws NotFoundError if the company has no such webhook.
+   **/
+
+  static async findDeliveries(handle, id, { status } = {}, page = {}) {
+    await this.get(handle, id);
+
+    const values = [id];
+    let whereSql = "WHERE d.webhook_id = $1";
+    if (status !== undefined) {
+      values.push(status);
+      whereSql += ` AND d.status = $${values.length}`;
+    }
+
+    const paging = paginationSql(page, DELIVERY_PAGING, values.length);
+
+    const result = await db.query(
+          `SELECT ${DELIVERY_COLUMNS}
+           FROM webhook_deliveries d
+           ${combineWhere(whereSql, paging.cursorSql)}
+           ${paging.orderBySql}
+           ${paging.limitSql}`,
+        [...values, ...paging.values],
+    );
+
+    const countRes = await db.query(
+          `SELECT COUNT(*)::integer AS total
+           FROM webhook_deliveries d
+           ${whereSql}`,
+        values,
+    );
+
+    const { rows, nextCursor } = pageOf(result.rows, paging);
+    return { deliveries: rows, total: countRes.rows[0].total, nextCursor };
+  }
+
+  /** Queue an event for each of a company's active webhooks subscribed to it.
+   *
+   * data is what receivers are sent (as the body's data).
+   *
+   * Returns [{ id, webhookId }, ...] for the queued deliveries.
+   **/
+
+  static async enqueue(handle, event, data) {
+    const result = await db.query(
+          `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+           SELECT id, $2, $3
+           FROM webhooks
+           WHERE company_handle = $1 AND active AND $2 = ANY(events)
+           RETURNING id, webhook_id AS "webhookId"`,
+        [handle, event, data],
+    );
+
+    return result.rows;
+  }
+
+  /** Send up to limit deliveries that are due, and record how each went.
+   *
+   * A delivery is claimed before it's sent, by pushing its next attempt past
+   * the send timeout, so two workers never send it at once.
+   *
+   * Returns [{ id, status, attempts, responseStatus, lastError }, ...]
+   **/
+
+  static async deliverDue(limit = DELIVERY_BATCH_SIZE) {
+    const claimed = await db.query(
+          `UPDATE webhook_deliveries d
+           SET attempts = d.attempts + 1,
+               last_attempt_at = NOW(),
+               next_attempt_at = NOW() + make_interval(secs => $2)
+           FROM webhooks w
+           WHERE w.id = d.webhook_id
+             AND d.id IN (SELECT d.id
+                          FROM webhook_deliveries d
+                          JOIN webhooks w ON w.id = d.webhook_id
+                          WHERE d.status = 'pending'
+                            AND d.next_attempt_at <= NOW()
+                            AND w.active
+                          ORDER BY d.next_attempt_at, d.id
+                          LIMIT $1
+                          FOR UPDATE OF d SKIP LOCKED)
+           RETURNING d.id,
+                     d.event,
+                     d.payload,
+                     d.attempts,
+                     d.created_at AS "createdAt",
+                     w.url,
+                     w.secret`,
+        [limit, WEBHOOK_TIMEOUT_SECONDS * 2],
+    );
+
+    const results = [];
+    for (let delivery of claimed.rows) {
+      results.push(await this.attempt(delivery));
+    }
+    return results;
+  }
+
+  /** Send one claimed delivery and save the outcome (see deliverDue). */
+
+  static async attempt({ id, event, payload, attempts, createdAt, url, secret }) {
+    let responseStatus = null;
+    let lastError = null;
+
+    try {
+      responseStatus = await webhooks.send(url, {
+        id,
+        event,
+        secret,
+        body: { id, event, createdAt, data: payload },
+      }, { timeoutSeconds: WEBHOOK_TIMEOUT_SECONDS, allowedHosts: WEBHOOK_ALLOWED_HOSTS });
+      if (responseStatus < 200 || responseStatus >= 300) {
+        lastError = `Receiver responded ${responseStatus}`;
+      }
+    } catch (err) {
+      lastError = err.message;
+    }
+
+    const status = lastError === null
+        ? "succeeded"
+        : attempts >= WEBHOOK_MAX_ATTEMPTS ? "failed" : "pending";
+
+    const result = await db.query(
+          `UPDATE webhook_deliveries
+           SET status = $2,
+               response_status = $3,
+               last_error = $4,
+               next_attempt_at = NOW() + make_interval(secs => $5)
+           WHERE id = $1
+           RETURNING id,
+                     status,
+                     attempts,
+                     response_status AS "responseStatus",
+                     last_error AS "lastError"`,
+        [id, status, responseStatus, lastError, this.retryDelay(attempts)],
+    );
+
+    return result.rows[0];
+  }
+
+  /** Seconds to wait before trying again after the attempts-th failed try. */
+
+  static retryDelay(attempts) {
+    return WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+  }
+
+  /** Send due deliveries every WEBHOOK_POLL_SECONDS, until the returned
+   * function is called. */
+
+  static startWorker() {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        while ((await this.deliverDue()).length === DELIVERY_BATCH_SIZE);
+      } catch (err) {
+        logger.error("Webhook worker failed", { err });
+      } finally {
+        running = false;
+      }
+    }, WEBHOOK_POLL_SECONDS * 1000);
+
+    return () => clearInterval(timer);
+  }
+}
+
+
+module.exports = Webhook;
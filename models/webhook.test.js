@@ -0,0 +1,319 @@
+"use strict";
+
+const http = require("http");
+const db = require("../db.js");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const Webhook = require("./webhook.js");
+const User = require("./user.js");
+const { verify } = require("../helpers/webhooks");
+const { WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_SECONDS } = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/* A local stand-in for a company's receiver: records what it's sent and
+   answers with statusCode. */
+
+let receiver;
+let receiverUrl;
+let received;
+let statusCode;
+
+beforeAll(function (done) {
+  receiver = http.createServer(function (req, res) {
+    let body = "";
+    req.on("data", chunk => body += chunk);
+    req.on("end", function () {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statusCode).end();
+    });
+  });
+  receiver.listen(0, function () {
+    receiverUrl = `http://localhost:${receiver.address().port}/hook`;
+    done();
+  });
+});
+
+beforeEach(function () {
+  received = [];
+  statusCode = 200;
+});
+
+afterAll(function (done) {
+  receiver.close(done);
+});
+
+async function jobIdFor(title) {
+  const result = await db.query(`SELECT id FROM jobs WHERE title = $1`, [title]);
+  return result.rows[0].id;
+}
+
+/************************************** create / findAll / get */
+
+describe("create", function () {
+  test("works", async function () {
+    const webhook = await Webhook.create("c1", { url: receiverUrl });
+    expect(webhook).toEqual({
+      id: expect.any(Number),
+      url: receiverUrl,
+      events: ["application.created"],
+      active: true,
+      createdAt: expect.any(Date),
+      secret: expect.stringMatching(/^[0-9a-f]{64}$/),
+    });
+
+    expect(await Webhook.findAll("c1")).toEqual([
+      { id: webhook.id, url: receiverUrl, events: ["application.created"], active: true, createdAt: expect.any(Date) },
+    ]);
+    expect(await Webhook.findAll("c2")).toEqual([]);
+  });
+
+  test("not found if no such company", async function () {
+    await expect(Webhook.create("nope", { url: receiverUrl })).rejects.toThrow(NotFoundError);
+  });
+
+  test("bad request for hosts that aren't public", async function () {
+    for (let url of [
+      receiverUrl.replace("localhost", "127.0.0.1"),
+      "http://169.254.169.254/latest/meta-data",
+      "http://10.1.2.3/hook",
+      "http://[::1]/hook",
+    ]) {
+      await expect(Webhook.create("c1", { url })).rejects.toThrow(BadRequestError);
+    }
+    expect(await Webhook.findAll("c1")).toEqual([]);
+  });
+});
+
+describe("get", function () {
+  test("not found for another company's webhook", async function () {
+    const webhook = await Webhook.create("c1", { url: receiverUrl });
+    expect((await Webhook.get("c1", webhook.id)).url).toEqual(receiverUrl);
+    await expect(Webhook.get("c2", webhook.id)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** update / remove */
+
+describe("update", function () {
+  test("works", async function () {
+    const webhook = await Webhook.create("c1", { url: receiverUrl });
+    const updated = await Webhook.update("c1", webhook.id, { active: false });
+    expect(updated).toEqual({
+      id: webhook.id, url: receiverUrl, events: ["application.created"], active: false, createdAt: expect.any(Date),
+    });
+  });
+
+  test("bad request with no data", async function () {
+    const webhook = await Webhook.create("c1", { url: receiverUrl });
+    await expect(Webhook.update("c1", webhook.id, {})).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request for a host that isn't public", async function () {
+    const webhook = await Webhook.create("c1", { url: receiverUrl });
+    await expect(Webhook.update("c1", webhook.id, { url: "http://192.168.0.1/hook" }))
+        .rejects.toThrow(BadRequestError);
+    expect((await Webhook.get("c1", webhook.id)).url).toEqual(receiverUrl);
+  });
+
+  test("not found if no such webhook", async function () {
+    await expect(Webhook.update("c1", 0, { active: false })).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("remove", function () {
+  test("works", async function () {
+    const webhook = await Webhook.create("c1", { url: receiverUrl });
+    await Webhook.remove("c1", webhook.id);
+    expect(await Webhook.findAll("c1")).toEqual([]);
+    await expect(Webhook.remove("c1", webhook.id)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** enqueue */
+
+describe("enqueue", function () {
+  test("only active webhooks subscribed to the event", async function () {
+    const active = await Webhook.create("c1", { url: receiverUrl });
+    const inactive = await Webhook.create("c1", { url: receiverUrl });
+    await Webhook.update("c1", inactive.id, { active: false });
+    await Webhook.create("c2", { url: receiverUrl });
+
+    expect(await Webhook.enqueue("c1", "application.created", { n: 1 }))
+        .toEqual([{ id: expect.any(Number), webhookId: active.id }]);
+    expect(await Webhook.enqueue("c1", "something.else", { n: 1 })).toEqual([]);
+  });
+
+  test("applying to a job queues a delivery for its company", async function () {
+    const webhook = await Webhook.create("c1", { url: receiverUrl });
+    const jobId = await jobIdFor("test1");
+
+    await User.applyToJob({ username: "u2", jobId });
+
+    const { deliveries } = await Webhook.findDeliveries("c1", webhook.id);
+    expect(deliveries).toEqual([expect.objectContaining({
+      event: "application.created",
+      status: "pending",
+      attempts: 0,
+      payload: {
+        application: { username: "u2", jobId, state: "applied" },
+        job: { id: jobId, title: "test1", companyHandle: "c1" },
+        applicant: { username: "u2", firstName: "U2F", lastName: "U2L", email: "u2@email.com" },
+      },
+    })]);
+  });
+
+  test("an application isn't saved if its delivery can't be queued", async function () {
+    await Webhook.create("c1", { url: receiverUrl });
+    const jobId = await jobIdFor("test1");
+    const enqueue = jest.spyOn(Webhook, "enqueue").mockRejectedValueOnce(new Error("queue down"));
+
+    try {
+      await expect(User.applyToJob({ username: "u2", jobId })).rejects.toThrow("queue down");
+    } finally {
+      enqueue.mockRestore();
+    }
+
+    const applications = await db.query(`SELECT * FROM applications WHERE username = 'u2'`);
+    expect(applications.rows).toEqual([]);
+  });
+});
+
+/************************************** deliverDue */
+
+describe("deliverDue", function () {
+  test("sends signed deliveries", async function () {
+    const webhook = await Webhook.create("c1", { url: receiverUrl });
+    const [queued] = await Webhook.enqueue("c1", "application.created", { n: 1 });
+
+    expect(await Webhook.deliverDue()).toEqual([
+      { id: queued.id, status: "succeeded", attempts: 1, responseStatus: 200, lastError: null },
+    ]);
+
+    const [{ headers, body }] = received;
+    expect(JSON.parse(body)).toEqual({
+      id: queued.id,
+      event: "application.created",
+      createdAt: expect.any(String),
+      data: { n: 1 },
+    });
+    expect(headers["x-jobly-delivery"]).toEqual(String(queued.id));
+    expect(verify(webhook.secret, headers["x-jobly-timestamp"], body, headers["x-jobly-signature"]))
+        .toBe(true);
+
+    // nothing left to send
+    expect(await Webhook.deliverDue()).toEqual([]);
+  });
+
+  test("failures are retried later, with backoff", async function () {
+    statusCode = 500;
+    const webhook = await Webhook.create("c1", { url: receiverUrl });
+    const [queued] = await Webhook.enqueue("c1", "application.created", { n: 1 });
+
+    expect(await Webhook.deliverDue()).toEqual([
+      { id: queued.id, status: "pending", attempts: 1, responseStatus: 500, lastError: "Receiver responded 500" },
+    ]);
+    // not due again yet
+    expect(await Webhook.deliverDue()).toEqual([]);
+
+    const { deliveries: [delivery] } = await Webhook.findDeliveries("c1", webhook.id);
+    expect(delivery.nextAttemptAt - delivery.lastAttemptAt).toEqual(WEBHOOK_RETRY_BASE_SECONDS * 1000);
+  });
+
+  test("gives up after the last attempt", async function () {
+    statusCode = 500;
+    await Webhook.create("c1", { url: receiverUrl });
+    const [queued] = await Webhook.enqueue("c1", "application.created", { n: 1 });
+    await db.query(`UPDATE webhook_deliveries SET attempts = $1 WHERE id = $2`,
+        [WEBHOOK_MAX_ATTEMPTS - 1, queued.id]);
+
+    expect(await Webhook.deliverDue()).toEqual([
+      expect.objectContaining({ id: queued.id, status: "failed", attempts: WEBHOOK_MAX_ATTEMPTS }),
+    ]);
+  });
+
+  test("unreachable receivers count as failures", async function () {
+    await Webhook.create("c1", { url: "http://localhost:1/hook" });
+    const [queued] = await Webhook.enqueue("c1", "application.created", { n: 1 });
+
+    expect(await Webhook.deliverDue()).toEqual([
+      { id: queued.id, status: "pending", attempts: 1, responseStatus: null, lastError: expect.any(String) },
+    ]);
+  });
+
+  test("refuses to send to hosts that aren't public", async function () {
+    const webhook = await Webhook.create("c1", { url: receiverUrl });
+    await db.query(`UPDATE webhooks SET url = $1 WHERE id = $2`,
+        [receiverUrl.replace("localhost", "127.0.0.1"), webhook.id]);
+    const [queued] = await Webhook.enqueue("c1", "application.created", { n: 1 });
+
+    expect(await Webhook.deliverDue()).toEqual([
+      {
+        id: queued.id,
+        status: "pending",
+        attempts: 1,
+        responseStatus: null,
+        lastError: "127.0.0.1 is not a public address",
+      },
+    ]);
+    expect(received).toEqual([]);
+  });
+
+  test("holds deliveries for inactive webhooks", async function () {
+    const webhook = await Webhook.create("c1", { url: receiverUrl });
+    await Webhook.enqueue("c1", "application.created", { n: 1 });
+    await Webhook.update("c1", webhook.id, { active: false });
+
+    expect(await Webhook.deliverDue()).toEqual([]);
+
+    await Webhook.update("c1", webhook.id, { active: true });
+    expect(await Webhook.deliverDue()).toEqual([expect.objectContaining({ status: "succeeded" })]);
+  });
+});
+
+describe("retryDelay", function () {
+  test("doubles each attempt", function () {
+    expect(Webhook.retryDelay(1)).toEqual(WEBHOOK_RETRY_BASE_SECONDS);
+    expect(Webhook.retryDelay(2)).toEqual(WEBHOOK_RETRY_BASE_SECONDS * 2);
+    expect(Webhook.retryDelay(4)).toEqual(WEBHOOK_RETRY_BASE_SECONDS * 8);
+  });
+});
+
+/************************************** findDeliveries */
+
+describe("findDeliveries", function () {
+  test("filters on status, newest first", async function () {
+    const webhook = await Webhook.create("c1", { url: receiverUrl });
+    const [first] = await Webhook.enqueue("c1", "application.created", { n: 1 });
+    await Webhook.deliverDue();
+    const [second] = await Webhook.enqueue("c1", "application.created", { n: 2 });
+
+    const all = await Webhook.findDeliveries("c1", webhook.id);
+    expect(all.total).toEqual(2);
+    expect(all.deliveries.map(d => d.id)).toEqual([second.id, first.id]);
+
+    const pending = await Webhook.findDeliveries("c1", webhook.id, { status: "pending" });
+    expect(pending).toEqual({
+      deliveries: [expect.objectContaining({ id: second.id, payload: { n: 2 } })],
+      total: 1,
+      nextCursor: null,
+    });
+
+    const firstPage = await Webhook.findDeliveries("c1", webhook.id, {}, { limit: 1 });
+    expect(firstPage.deliveries.map(d => d.id)).toEqual([second.id]);
+    expect(firstPage.nextCursor).toEqual(expect.any(String));
+  });
+
+  test("not found for another company's webhook", async function () {
+    const webhook = await Webhook.create("c1", { url: receiverUrl });
+    await expect(Webhook.findDeliveries("c2", webhook.id)).rejects.toThrow(NotFoundError);
+  });
+});
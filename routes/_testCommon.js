@@ -14,6 +14,10 @@ async function commonBeforeAll() {
   await db.query("DELETE FROM companies"); /* This deletes everything in the "companies" table */
  
   await db.query("DELETE FROM jobs")
+
+  await db.query("DELETE FROM event_log"); /* Public events aren't deleted along with the users */
+  await db.query("TRUNCATE audit_log"); /* It's append-only, so DELETE isn't allowed */
+
   /* Then 3 companies and 3 users are created to insert into thier respective tables */
   await Company.create(
       {
@@ -64,6 +68,10 @@ async function commonBeforeAll() {
     password: "password3",
     isAdmin: false,
   });
+  /* The users have all verified their email addresses */
+  await db.query("UPDATE users SET email_verified = true");
+  /* u3 recruits for c3 only */
+  await Company.addMember("c3", "u3");
   await Job.create({
     title: "test1",
     salary: 126000,
@@ -99,7 +107,9 @@ async function commonAfterAll() {
 }
 
 
-const u1Token = createToken({ username: "u1", isAdmin: true });
+const u1Token = createToken({ username: "u1", roles: ["admin", "candidate"] });
+const u2Token = createToken({ username: "u2", roles: ["candidate"] });
+const u3Token = createToken({ username: "u3", roles: ["candidate", "recruiter"] });
 
 
 module.exports = {
@@ -108,4 +118,6 @@ module.exports = {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
+  u3Token,
 };
@@ -0,0 +1,41 @@
+"use strict";
+
+/** Route for the audit log. */
+
+const express = require("express");
+const { ensureAdmin } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const Audit = require("../models/audit");
+const { pageLinks } = require("../helpers/pagination");
+const auditSearchSchema = require("../schemas/auditSearch.json");
+
+const router = new express.Router();
+
+/** GET / =>
+ *   { entries: [ { id, createdAt, actor, apiKeyId, action, entityType,
+ *                  entityId, before, after, ip, requestId }, ...],
+ *     total, nextCursor, links: { self, next } }
+ *
+ * Who changed what, newest first (see models/audit.js).
+ *
+ * Can filter on ?actor=, ?action= (like company.removed), ?entityType= (like
+ * company) and ?entityId= (like c1), and on ?since= and ?until= (ISO
+ * date-times). Takes ?limit=, ?offset=, ?cursor= and ?sort= (id or
+ * createdAt) like GET /companies.
+ *
+ * Authorization required: admin
+ */
+
+router.get("/", ensureAdmin, validate({ query: auditSearchSchema }), async function (req, res, next) {
+  try {
+    const { actor, action, entityType, entityId, since, until, limit, offset, cursor, sort } = req.query;
+    const { entries, total, nextCursor } = await Audit.findAll(
+        { actor, action, entityType, entityId, since, until }, { limit, offset, cursor, sort });
+    return res.json({ entries, total, nextCursor, links: pageLinks(req, nextCursor) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
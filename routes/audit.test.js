@@ -0,0 +1,88 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u2Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /audit */
+
+describe("GET /audit", function () {
+  test("records who made a change", async function () {
+    const deleteResp = await request(app)
+        .delete("/companies/c1")
+        .set("X-Request-Id", "req-audit-1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(deleteResp.statusCode).toEqual(200);
+
+    const resp = await request(app)
+        .get("/audit?entityType=company&entityId=c1&action=company.removed")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      entries: [{
+        id: expect.any(Number),
+        createdAt: expect.any(String),
+        actor: "u1",
+        apiKeyId: null,
+        action: "company.removed",
+        entityType: "company",
+        entityId: "c1",
+        before: expect.objectContaining({ handle: "c1", name: "C1" }),
+        after: null,
+        ip: expect.any(String),
+        requestId: "req-audit-1",
+      }],
+      total: 1,
+      nextCursor: null,
+      links: { self: expect.any(String), next: null },
+    });
+  });
+
+  test("works: filters by actor", async function () {
+    const resp = await request(app)
+        .get("/audit?actor=nope")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.entries).toEqual([]);
+    expect(resp.body.total).toEqual(0);
+  });
+
+  test("bad request with a bad date", async function () {
+    const resp = await request(app)
+        .get("/audit?since=yesterday")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with an unknown filter", async function () {
+    const resp = await request(app)
+        .get("/audit?nope=1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for non-admins", async function () {
+    const resp = await request(app)
+        .get("/audit")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/audit");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
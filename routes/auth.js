@@ -2,61 +2,300 @@
 
 /** Routes for authentication. */
 
-const jsonschema = require("jsonschema");
-
 const User = require("../models/user");
 const express = require("express");
 const router = new express.Router();
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const { ensureLoggedIn } = require("../middleware/auth");
+const Token = require("../models/token");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
+const TwoFactor = require("../models/twoFactor");
+const { sendMail } = require("../helpers/mail");
 const { createToken } = require("../helpers/tokens");
+const { UnauthorizedError } = require("../expressError");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const tokenRefreshSchema = require("../schemas/tokenRefresh.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const emailVerifySchema = require("../schemas/emailVerify.json");
+const twoFactorLoginSchema = require("../schemas/twoFactorLogin.json");
+const {
+  PASSWORD_RESET_TTL_MINUTES,
+  PUBLIC_URL,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  AUTH_RATE_LIMIT,
+  AUTH_RATE_WINDOW_SECONDS,
+} = require("../config");
+
+/** Middleware: limits password guessing at POST /auth/token, both from any
+ * one IP address and against any one username. */
+
+const tokenRateLimit = rateLimit("auth-token", {
+  limit: AUTH_RATE_LIMIT,
+  windowSeconds: AUTH_RATE_WINDOW_SECONDS,
+  keys: req => [`ip:${req.ip}`, `username:${req.body.username}`],
+});
+
+/** Middleware: limits code guessing at POST /auth/token/2fa from any one IP
+ * address (each challenge also only allows a few wrong codes). */
+
+const twoFactorRateLimit = rateLimit("auth-two-factor", {
+  limit: AUTH_RATE_LIMIT,
+  windowSeconds: AUTH_RATE_WINDOW_SECONDS,
+  keys: req => [`ip:${req.ip}`],
+});
+
+/** Middleware: a few verification emails an hour per user is plenty. */
+
+const resendRateLimit = rateLimit("verify-email-resend", {
+  limit: 3,
+  windowSeconds: 60 * 60,
+  keys: (req, res) => [`username:${res.locals.user.username}`],
+});
+
+/** Email username a link to verify their email address with. */
+
+async function sendVerificationEmail(username) {
+  const { email, token } = await EmailVerification.issue(username);
+  await sendMail({
+    to: email,
+    subject: "Verify your Jobly email address",
+    text: `Welcome to Jobly, ${username}! To verify this email address, open this link `
+        + `within ${EMAIL_VERIFICATION_TTL_HOURS} hours:\n\n`
+        + `${PUBLIC_URL}/auth/verify-email?token=${encodeURIComponent(token)}\n\n`
+        + `If you didn't sign up, you can ignore this email.`,
+  });
+}
+
+/** Make a fresh access token for username, with their current roles. */
+
+async function accessTokenFor(username) {
+  const roles = await User.getRoles(username);
+  return createToken({ username, roles });
+}
 
-/** POST /auth/token:  { username, password } => { token }
+/** Make a fresh access token and refresh token for username.
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns { token, refreshToken }
+ */
+
+async function issueTokens(username) {
+  const token = await accessTokenFor(username);
+  const refreshToken = await Token.issueRefreshToken(username);
+  return { token, refreshToken };
+}
+
+/** POST /auth/token:  { username, password } => { token, refreshToken }
+ *
+ * Returns JWT token which can be used to authenticate further requests, and a
+ * refresh token to get a new one with (see POST /auth/refresh).
+ *
+ * If the user has two-factor authentication on, returns
+ * { twoFactorRequired: true, challengeToken } instead: trade the challenge
+ * token and a code for the tokens at POST /auth/token/2fa.
+ *
+ * Too many tries, from one IP address or for one username, get a 429 error
+ * with a Retry-After header; so does an account locked by too many wrong
+ * passwords (see User.authenticate).
  *
  * Authorization required: none
  */
 
-router.post("/token", async function (req, res, next) {
+router.post("/token", validate({ body: userAuthSchema }), tokenRateLimit, async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userAuthSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const { username, password } = req.body;
     const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+
+    const { enabled } = await TwoFactor.status(user.username);
+    if (enabled) {
+      const challengeToken = await TwoFactor.startChallenge(user.username);
+      return res.json({ twoFactorRequired: true, challengeToken });
+    }
+
+    const tokens = await issueTokens(user.username);
+    return res.json(tokens);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/token/2fa:  { challengeToken, code } => { token, refreshToken }
+ *
+ * The second step of logging in with two-factor authentication. code is from
+ * the user's authenticator app, or one of their recovery codes; either can
+ * only be used once.
+ *
+ * The challenge token expires after TWO_FACTOR_CHALLENGE_TTL_MINUTES, and
+ * stops working after TWO_FACTOR_MAX_ATTEMPTS wrong codes; then it's back to
+ * POST /auth/token.
+ *
+ * Authorization required: none (the challenge token is the credential)
+ */
+
+router.post("/token/2fa", validate({ body: twoFactorLoginSchema }), twoFactorRateLimit, async function (req, res, next) {
+  try {
+    const result = await TwoFactor.completeChallenge(req.body.challengeToken, req.body.code);
+    if (!result) throw new UnauthorizedError("Invalid code, or the challenge has expired");
+
+    const tokens = await issueTokens(result.username);
+    return res.json(tokens);
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, and a
+ * refresh token.
+ *
+ * The new user is emailed a link to verify their address with (see GET
+ * /auth/verify-email); until they do, they can't apply to jobs, if
+ * REQUIRE_VERIFIED_EMAIL_TO_APPLY is on.
  *
  * Authorization required: none
  */
 
-router.post("/register", async function (req, res, next) {
+router.post("/register", validate({ body: userRegisterSchema }), async function (req, res, next) {
+  try {
+    const newUser = await User.register({ ...req.body, isAdmin: false });
+    await sendVerificationEmail(newUser.username);
+    const tokens = await issueTokens(newUser.username);
+    return res.status(201).json(tokens);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:  { refreshToken } => { token, refreshToken }
+ *
+ * Trades a refresh token for a new access token and a new refresh token; the
+ * old refresh token stops working.
+ *
+ * Authorization required: none (the refresh token is the credential)
+ */
+
+router.post("/refresh", validate({ body: tokenRefreshSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userRegisterSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
+    const { username, refreshToken } =
+        await Token.rotateRefreshToken(req.body.refreshToken);
+    const token = await accessTokenFor(username);
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:  { refreshToken } => { loggedOut: true }
+ *
+ * Revokes the refresh token, and the access token sent with the request (if
+ * any), so neither can be used again.
+ *
+ * Authorization required: none
+ */
+
+router.post("/logout", validate({ body: tokenRefreshSchema }), async function (req, res, next) {
+  try {
+    await Token.revokeRefreshToken(req.body.refreshToken);
+
+    const user = res.locals.user;
+    if (user && user.jti) await Token.revokeAccessToken(user.jti, user.exp);
+
+    return res.json({ loggedOut: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/request:  { username } or { email } => { message }
+ *
+ * Emails a single-use reset token to the matching account(s). The response is
+ * the same whether or not anything matched, so it can't be used to find out
+ * who has an account.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", validate({ body: passwordResetRequestSchema }), async function (req, res, next) {
+  try {
+    const resets = await PasswordReset.request(req.body);
+    for (let { username, email, token } of resets) {
+      await sendMail({
+        to: email,
+        subject: "Reset your Jobly password",
+        text: `Someone asked to reset the password for ${username}. If that was you, `
+            + `use this code within ${PASSWORD_RESET_TTL_MINUTES} minutes:\n\n${token}\n\n`
+            + `If it wasn't, you can ignore this email.`,
+      });
     }
 
-    const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
+    return res.status(202).json({
+      message: "If that account exists, a reset email is on its way",
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/confirm:  { token, password } => { reset: username }
+ *
+ * Sets a new password using a token from the reset email. The token can only
+ * be used once, and the user's refresh tokens are revoked.
+ *
+ * Authorization required: none (the reset token is the credential)
+ */
+
+router.post("/password-reset/confirm", validate({ body: passwordResetConfirmSchema }), async function (req, res, next) {
+  try {
+    const { username } = await PasswordReset.confirm(req.body.token, req.body.password);
+    return res.json({ reset: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /auth/verify-email?token=...  => { verified: username }
+ *
+ * Marks the user's email address verified, using the token from the link
+ * they were emailed. The token can only be used once.
+ *
+ * Authorization required: none (the token is the credential)
+ */
+
+router.get("/verify-email", validate({ query: emailVerifySchema }), async function (req, res, next) {
+  try {
+    const { username } = await EmailVerification.confirm(req.query.token);
+    return res.json({ verified: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify-email/resend  => { message }
+ *
+ * Emails the logged in user a new verification link; earlier ones stop
+ * working. A 400 error if their address is already verified.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/verify-email/resend", ensureLoggedIn, resendRateLimit, async function (req, res, next) {
+  try {
+    await sendVerificationEmail(res.locals.user.username);
+    return res.status(202).json({ message: "A verification email is on its way" });
   } catch (err) {
     return next(err);
   }
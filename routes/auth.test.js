@@ -1,15 +1,29 @@
 "use strict";
 
 const request = require("supertest");
+const jwt = require("jsonwebtoken");
 
 const app = require("../app");
+const {
+  SECRET_KEY,
+  AUTH_RATE_LIMIT,
+  AUTH_RATE_WINDOW_SECONDS,
+  LOGIN_LOCKOUT_THRESHOLD,
+} = require("../config");
+const { outbox } = require("../helpers/mail");
 
 const {
   commonBeforeAll, /* This will delete all users from the DB and then create new ones */
   commonBeforeEach, /* This will run BEGIN, an SQL keyword used to indicate the beginning of a sequence of SQL commands that must be interpreted by the current data source of the process */
   commonAfterEach, /* This will run the ROLLBACK statement which lets a user undo all the alterations and changes that occurred on the current transaction after the last COMMIT. */
   commonAfterAll,/* This will end the connection to the database */
+  u1Token,
+  u2Token,
 } = require("./_testCommon");
+const db = require("../db.js");
+const User = require("../models/user");
+const TwoFactor = require("../models/twoFactor");
+const { totp, STEP_SECONDS } = require("../helpers/totp");
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
@@ -28,7 +42,11 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
+    const payload = jwt.verify(resp.body.token, SECRET_KEY);
+    expect(payload.roles).toEqual(["admin", "candidate"]);
+    expect(payload.isAdmin).toEqual(true);
   });
 
   test("unauth with non-existent user", async function () {
@@ -69,6 +87,205 @@ describe("POST /auth/token", function () {
         });
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("too many tries for a username, from any IP addresses", async function () {
+    app.set("trust proxy", 1);
+    try {
+      for (let i = 0; i < AUTH_RATE_LIMIT; i++) {
+        await request(app)
+            .post("/auth/token")
+            .set("X-Forwarded-For", `10.0.0.${i}`)
+            .send({ username: "no-such-user", password: "guess" });
+      }
+      const resp = await request(app)
+          .post("/auth/token")
+          .set("X-Forwarded-For", "10.0.1.1")
+          .send({ username: "no-such-user", password: "guess" });
+      expect(resp.statusCode).toEqual(429);
+      expect(resp.body.error.code).toEqual("too_many_requests");
+      expect(resp.headers["retry-after"]).toEqual(String(AUTH_RATE_WINDOW_SECONDS));
+    } finally {
+      app.set("trust proxy", 0);
+    }
+  });
+
+  test("too many tries from an IP address", async function () {
+    for (let i = 0; i < AUTH_RATE_LIMIT; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({ username: `guess${i}`, password: "guess" });
+    }
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+  });
+
+  test("locked after too many wrong passwords", async function () {
+    for (let i = 0; i < LOGIN_LOCKOUT_THRESHOLD; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({ username: "u1", password: "wrong" });
+    }
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.body.error.code).toEqual("account_locked");
+    expect(Number(resp.headers["retry-after"])).toBeGreaterThan(0);
+  });
+});
+
+/************************************** verify-email */
+
+describe("GET /auth/verify-email", function () {
+  test("bad request with an unknown token", async function () {
+    const resp = await request(app).get("/auth/verify-email?token=nope");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request without a token", async function () {
+    const resp = await request(app).get("/auth/verify-email");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("POST /auth/verify-email/resend", function () {
+  beforeEach(async function () {
+    outbox.length = 0;
+    await db.query(`UPDATE users SET email_verified = false WHERE username = 'u2'`);
+  });
+
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(202);
+    expect(outbox.length).toEqual(1);
+    expect(outbox[0].to).toEqual("user2@user.com");
+  });
+
+  test("unverified users can't apply to jobs until they verify", async function () {
+    const jobs = await db.query(`SELECT id FROM jobs ORDER BY id LIMIT 1`);
+    await expect(User.applyToJob({ username: "u2", jobId: jobs.rows[0].id }))
+        .rejects.toThrow("Verify your email address");
+
+    await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u2Token}`);
+    const token = outbox[0].text.match(/token=([0-9a-f]+)/)[1];
+    await request(app).get(`/auth/verify-email?token=${token}`);
+
+    expect(await User.applyToJob({ username: "u2", jobId: jobs.rows[0].id }))
+        .toEqual({ applied: jobs.rows[0].id });
+  });
+
+  test("bad request if already verified", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/verify-email/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("too many resends", async function () {
+    for (let i = 0; i < 3; i++) {
+      await request(app)
+          .post("/auth/verify-email/resend")
+          .set("authorization", `Bearer ${u2Token}`);
+    }
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(429);
+  });
+});
+
+/************************************** POST /auth/token/2fa */
+
+describe("POST /auth/token/2fa", function () {
+  let secret;
+  let recoveryCodes;
+
+  beforeEach(async function () {
+    ({ secret } = await TwoFactor.enroll("u1"));
+    ({ recoveryCodes } = await TwoFactor.enable("u1", totp(secret)));
+  });
+
+  /** A good code that isn't the one used to enable 2FA. */
+
+  function nextCode() {
+    return totp(secret, Date.now() + STEP_SECONDS * 1000);
+  }
+
+  async function challenge() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    return resp.body.challengeToken;
+  }
+
+  test("POST /auth/token asks for a code", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String) });
+  });
+
+  test("works with a code from the app", async function () {
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challengeToken: await challenge(), code: nextCode() });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(jwt.verify(resp.body.token, SECRET_KEY).username).toEqual("u1");
+  });
+
+  test("works with a recovery code", async function () {
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challengeToken: await challenge(), code: recoveryCodes[0] });
+    expect(resp.body.token).toEqual(expect.any(String));
+  });
+
+  test("unauth with a wrong code", async function () {
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challengeToken: await challenge(), code: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with a challenge already used", async function () {
+    const challengeToken = await challenge();
+    await request(app)
+        .post("/auth/token/2fa")
+        .send({ challengeToken, code: nextCode() });
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challengeToken, code: recoveryCodes[0] });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("the challenge token isn't an access token", async function () {
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${await challenge()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challengeToken: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
 });
 
 /************************************** POST /auth/register */
@@ -87,9 +304,34 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
+  test("emails a link that verifies the address", async function () {
+    outbox.length = 0;
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+
+    expect(outbox.length).toEqual(1);
+    expect(outbox[0].to).toEqual("new@email.com");
+
+    const link = outbox[0].text.match(/https?:\/\/\S+\/auth\/verify-email\?token=\S+/)[0];
+    const { pathname, search } = new URL(link);
+    const resp = await request(app).get(pathname + search);
+    expect(resp.body).toEqual({ verified: "new" });
+
+    const again = await request(app).get(pathname + search);
+    expect(again.statusCode).toEqual(400);
+  });
+
   test("bad request with missing fields", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -112,3 +354,133 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+    return resp.body;
+  }
+
+  test("works: rotates the refresh token", async function () {
+    const { refreshToken } = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+    expect(jwt.verify(resp.body.token, SECRET_KEY).username).toEqual("u2");
+  });
+
+  test("unauth when reusing an old refresh token", async function () {
+    const { refreshToken } = await login();
+    await request(app).post("/auth/refresh").send({ refreshToken });
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for bogus refresh token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works: revokes refresh and access tokens", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+    const { token, refreshToken } = login.body;
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+
+    const userResp = await request(app)
+        .get("/users/u2")
+        .set("authorization", `Bearer ${token}`);
+    expect(userResp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/password-reset/* */
+
+describe("password reset", function () {
+  beforeEach(function () {
+    outbox.length = 0;
+  });
+
+  test("works: request emails a token that confirm accepts", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u2" });
+    expect(resp.statusCode).toEqual(202);
+    expect(outbox.length).toEqual(1);
+    expect(outbox[0].to).toEqual("user2@user.com");
+
+    const token = outbox[0].text.match(/\b[0-9a-f]{96}\b/)[0];
+    const confirmResp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "brand-new" });
+    expect(confirmResp.body).toEqual({ reset: "u2" });
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "brand-new" });
+    expect(loginResp.statusCode).toEqual(200);
+
+    const reuseResp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "again-new" });
+    expect(reuseResp.statusCode).toEqual(400);
+  });
+
+  test("same response for unknown account, and no email", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "no-such-user" });
+    expect(resp.statusCode).toEqual(202);
+    expect(outbox.length).toEqual(0);
+  });
+
+  test("bad request with neither username nor email", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for bogus token", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "nope", password: "brand-new" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -2,15 +2,27 @@
 
 /** Routes for companies. */
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn } = require("../middleware/auth");
+const { ensureAdmin, ensureLoggedIn, ensurePermission } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { PERMISSIONS } = require("../helpers/roles");
+const { pageLinks } = require("../helpers/pagination");
+const { importBody, readImport, runImport } = require("../helpers/import");
+const { exportFormat, streamExport } = require("../helpers/export");
 const Company = require("../models/company");
+const Webhook = require("../models/webhook");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
+const companyMemberNewSchema = require("../schemas/companyMemberNew.json");
+const companySearchSchema = require("../schemas/companySearch.json");
+const importQuerySchema = require("../schemas/importQuery.json");
+const companyExportSchema = require("../schemas/companyExport.json");
+const webhookNewSchema = require("../schemas/webhookNew.json");
+const webhookUpdateSchema = require("../schemas/webhookUpdate.json");
+const webhookIdParamsSchema = require("../schemas/webhookIdParams.json");
+const webhookDeliverySearchSchema = require("../schemas/webhookDeliverySearch.json");
 
 const router = new express.Router();
 
@@ -21,17 +33,11 @@ const router = new express.Router();
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required: login
+ * Authorization required: companies:write permission (admin)
  */
 
-router.post("/", ensureLoggedIn, async function (req, res, next) {
+router.post("/", ensurePermission(PERMISSIONS.COMPANIES_WRITE), validate({ body: companyNewSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, companyNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const company = await Company.create(req.body);
     return res.status(201).json({ company });
   } catch (err) {
@@ -39,24 +45,87 @@ router.post("/", ensureLoggedIn, async function (req, res, next) {
   }
 });
 
+/** POST /import [CSV or JSON lines]  =>  { dryRun, total, valid, invalid, imported, rows }
+ *
+ * Adds many companies at once: every record must be valid for POST /, and
+ * then all are added together, or none are. With ?dryRun=true nothing is
+ * added; the report just says what would happen.
+ *
+ * The body is CSV (Content-Type: text/csv) with a header row of field names
+ * (handle,name,description,numEmployees,logoUrl), or JSON lines
+ * (application/x-ndjson), one company per line. See helpers/import.js for
+ * the report.
+ *
+ * If any record is invalid (and it isn't a dry run), that's a 400 listing
+ * each problem as { line, path, message }.
+ *
+ * Authorization required: admin
+ */
+
+router.post("/import", ensureAdmin, importBody, validate({ query: importQuerySchema }), async function (req, res, next) {
+  try {
+    const { dryRun } = req.query;
+    const report = await runImport(readImport(req, companyNewSchema), {
+      dryRun,
+      check: companies => Company.checkImport(companies),
+      insert: companies => Company.insertMany(companies),
+    });
+    return res.status(dryRun ? 200 : 201).json(report);
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     total, nextCursor, links: { self, next } }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
- * - nameLike (will find case-insensitive, partial matches)
+ * - name (will find case-insensitive, partial matches)
+ *
+ * Paging: limit, and either offset or cursor (nextCursor from the previous
+ * page); sort, e.g. sort=-numEmployees,name
+ *
+ * Any other parameter, or a value of the wrong type, is a 400 listing each
+ * bad parameter (see middleware/validate.js).
  *
  * Authorization required: none
  */
 
-router.get("/", async function (req, res, next) {
+router.get("/", validate({ query: companySearchSchema }), async function (req, res, next) {
   try {
 
-    const {name, minEmployees, maxEmployees} = req.query;
+    const {name, minEmployees, maxEmployees, limit, offset, cursor, sort} = req.query;
 
-    const companies = await Company.findAll(name, minEmployees, maxEmployees);
-    return res.json({ companies });
+    const { companies, total, nextCursor } = await Company.findAll(
+        name, minEmployees, maxEmployees, { limit, offset, cursor, sort });
+    return res.json({ companies, total, nextCursor, links: pageLinks(req, nextCursor) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /export  =>  every matching company, as CSV or JSON lines
+ *
+ * Takes the same filters and sort as GET /, but no paging: all the companies
+ * are streamed, as handle, name, description, numEmployees, logoUrl.
+ *
+ * The format is ?format=csv or ?format=ndjson, or else from the Accept header
+ * (text/csv or application/x-ndjson); CSV if either will do.
+ *
+ * Authorization required: logged in
+ */
+
+router.get("/export", ensureLoggedIn, validate({ query: companyExportSchema }), async function (req, res, next) {
+  try {
+    const { name, minEmployees, maxEmployees, sort, format } = req.query;
+    return await streamExport(res, {
+      format: exportFormat(format, req),
+      filename: "companies",
+      query: await Company.exportQuery(name, minEmployees, maxEmployees, sort),
+    });
   } catch (err) {
     return next(err);
   }
@@ -87,17 +156,11 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required: login
+ * Authorization required: companies:write permission (admin)
  */
 
-router.patch("/:handle", ensureLoggedIn, async function (req, res, next) {
+router.patch("/:handle", ensurePermission(PERMISSIONS.COMPANIES_WRITE), validate({ body: companyUpdateSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, companyUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const company = await Company.update(req.params.handle, req.body);
     return res.json({ company });
   } catch (err) {
@@ -107,10 +170,10 @@ router.patch("/:handle", ensureLoggedIn, async function (req, res, next) {
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization: login
+ * Authorization: companies:write permission (admin)
  */
 
-router.delete("/:handle", ensureLoggedIn, async function (req, res, next) {
+router.delete("/:handle", ensurePermission(PERMISSIONS.COMPANIES_WRITE), async function (req, res, next) {
   try {
     await Company.remove(req.params.handle);
     return res.json({ deleted: req.params.handle });
@@ -120,4 +183,147 @@ router.delete("/:handle", ensureLoggedIn, async function (req, res, next) {
 });
 
 
+/** GET /[handle]/members  =>  { members: [ { username, firstName, lastName, email }, ...] }
+ *
+ * Authorization required: admin, or a member of the company
+ */
+
+router.get("/:handle/members", ensureLoggedIn, async function (req, res, next) {
+  try {
+    await Company.checkMemberOrAdmin(req.params.handle, res.locals.user);
+    const members = await Company.getMembers(req.params.handle);
+    return res.json({ members });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[handle]/members { username }  =>  { member: { username, companyHandle } }
+ *
+ * Adds a recruiter to the company; they are given the recruiter role.
+ *
+ * Authorization required: admin
+ */
+
+router.post("/:handle/members", ensureAdmin, validate({ body: companyMemberNewSchema }), async function (req, res, next) {
+  try {
+    const member = await Company.addMember(req.params.handle, req.body.username);
+    return res.status(201).json({ member });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: admin
+ */
+
+router.delete("/:handle/members/:username", ensureAdmin, async function (req, res, next) {
+  try {
+    await Company.removeMember(req.params.handle, req.params.username);
+    return res.json({ removed: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[handle]/webhooks  =>  { webhooks: [ { id, url, events, active, createdAt }, ...] }
+ *
+ * Authorization required: admin, or a member of the company
+ */
+
+router.get("/:handle/webhooks", ensureLoggedIn, async function (req, res, next) {
+  try {
+    await Company.checkMemberOrAdmin(req.params.handle, res.locals.user);
+    const webhooks = await Webhook.findAll(req.params.handle);
+    return res.json({ webhooks });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[handle]/webhooks { url, events }  =>  { webhook }
+ *
+ * Adds a URL to be POSTed signed JSON when events happen to the company (so
+ * far just "application.created", the default). See models/webhook.js. The
+ * URL's host must be a public address, not localhost or a private network.
+ *
+ * Returns { id, url, events, active, createdAt, secret }; the secret is only
+ * shown here, so it should be saved by the receiver.
+ *
+ * Authorization required: admin, or a member of the company
+ */
+
+router.post("/:handle/webhooks", ensureLoggedIn, validate({ body: webhookNewSchema }), async function (req, res, next) {
+  try {
+    await Company.checkMemberOrAdmin(req.params.handle, res.locals.user);
+    const webhook = await Webhook.create(req.params.handle, req.body);
+    return res.status(201).json({ webhook });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[handle]/webhooks/[id] { url, events, active }  =>  { webhook }
+ *
+ * Returns { id, url, events, active, createdAt }
+ *
+ * Authorization required: admin, or a member of the company
+ */
+
+router.patch("/:handle/webhooks/:id", ensureLoggedIn,
+    validate({ params: webhookIdParamsSchema, body: webhookUpdateSchema }), async function (req, res, next) {
+  try {
+    await Company.checkMemberOrAdmin(req.params.handle, res.locals.user);
+    const webhook = await Webhook.update(req.params.handle, req.params.id, req.body);
+    return res.json({ webhook });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]/webhooks/[id]  =>  { deleted: id }
+ *
+ * Authorization required: admin, or a member of the company
+ */
+
+router.delete("/:handle/webhooks/:id", ensureLoggedIn, validate({ params: webhookIdParamsSchema }), async function (req, res, next) {
+  try {
+    await Company.checkMemberOrAdmin(req.params.handle, res.locals.user);
+    await Webhook.remove(req.params.handle, req.params.id);
+    return res.json({ deleted: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[handle]/webhooks/[id]/deliveries  =>
+ *   { deliveries: [ { id, event, payload, status, attempts, nextAttemptAt,
+ *                     lastAttemptAt, responseStatus, lastError, createdAt }, ...],
+ *     total, nextCursor, links: { self, next } }
+ *
+ * The webhook's delivery log, newest first, to see what failed and why.
+ *
+ * Can filter on ?status= (pending, succeeded or failed), and takes ?limit=,
+ * ?offset=, ?cursor= and ?sort= (id or createdAt) like GET /companies.
+ *
+ * Authorization required: admin, or a member of the company
+ */
+
+router.get("/:handle/webhooks/:id/deliveries", ensureLoggedIn,
+    validate({ params: webhookIdParamsSchema, query: webhookDeliverySearchSchema }), async function (req, res, next) {
+  try {
+    await Company.checkMemberOrAdmin(req.params.handle, res.locals.user);
+    const { status, limit, offset, cursor, sort } = req.query;
+    const { deliveries, total, nextCursor } = await Webhook.findDeliveries(
+        req.params.handle, req.params.id, { status }, { limit, offset, cursor, sort });
+    return res.json({ deliveries, total, nextCursor, links: pageLinks(req, nextCursor) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 module.exports = router;
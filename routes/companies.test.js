@@ -1,9 +1,12 @@
 "use strict";
 
+const http = require("http");
 const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const Webhook = require("../models/webhook");
+const { verify } = require("../helpers/webhooks");
 
 const {
   commonBeforeAll, /* This will delete all users from the DB and then create new ones */
@@ -11,6 +14,8 @@ const {
   commonAfterEach, /* This will run the ROLLBACK statement which lets a user undo all the alterations and changes that occurred on the current transaction after the last COMMIT. */
   commonAfterAll,/* This will end the connection to the database */
   u1Token,
+  u2Token,
+  u3Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -40,6 +45,19 @@ describe("POST /companies", function () {
     });
   });
 
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .post("/companies")
+        .send(newCompany)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/companies")
+        .send(newCompany);
+    expect(resp.statusCode).toEqual(401);
+  });
   test("bad request with missing data", async function () {
     const resp = await request(app)
         .post("/companies")
@@ -63,6 +81,119 @@ describe("POST /companies", function () {
   });
 });
 
+/************************************** POST /companies/import */
+
+describe("POST /companies/import", function () {
+  const csv = [
+    "handle,name,description,numEmployees,logoUrl",
+    "n1,N1,Desc N1,5,http://n1.img",
+    '"n2","N2, Inc.","Says ""hi""",,',
+  ].join("\n");
+
+  test("imports CSV for admin", async function () {
+    const resp = await request(app)
+        .post("/companies/import")
+        .set("Content-Type", "text/csv")
+        .send(csv)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      dryRun: false,
+      total: 2,
+      valid: 2,
+      invalid: 0,
+      imported: 2,
+      rows: [{ line: 2, status: "imported" }, { line: 3, status: "imported" }],
+    });
+
+    const n2 = await db.query(
+        `SELECT name, description, num_employees, logo_url FROM companies WHERE handle = 'n2'`);
+    expect(n2.rows).toEqual([
+      { name: "N2, Inc.", description: 'Says "hi"', num_employees: null, logo_url: null },
+    ]);
+  });
+
+  test("imports JSON lines", async function () {
+    const resp = await request(app)
+        .post("/companies/import")
+        .set("Content-Type", "application/x-ndjson")
+        .send('{"handle":"n1","name":"N1","description":"D","numEmployees":5}\n\n'
+            + '{"handle":"n2","name":"N2","description":"D"}\n')
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.rows).toEqual([{ line: 1, status: "imported" }, { line: 3, status: "imported" }]);
+  });
+
+  test("dry run reports every row and adds nothing", async function () {
+    const resp = await request(app)
+        .post("/companies/import?dryRun=true")
+        .set("Content-Type", "text/csv")
+        .send(csv + "\nc1,C1 again,Desc,lots,\nn3,N3\n")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      dryRun: true,
+      total: 4,
+      valid: 2,
+      invalid: 2,
+      imported: 0,
+      rows: [
+        { line: 2, status: "valid" },
+        { line: 3, status: "valid" },
+        { line: 4, status: "invalid", errors: [{ path: "numEmployees", message: "is not of a type(s) integer" }] },
+        { line: 5, status: "invalid", errors: [{ path: "", message: "has 2 fields; the header has 5" }] },
+      ],
+    });
+
+    const n1 = await db.query(`SELECT handle FROM companies WHERE handle = 'n1'`);
+    expect(n1.rows).toEqual([]);
+  });
+
+  test("any invalid row imports nothing", async function () {
+    const resp = await request(app)
+        .post("/companies/import")
+        .set("Content-Type", "text/csv")
+        .send(csv + "\nc1,New name,Desc,,\n")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual({
+      status: 400,
+      code: "validation_failed",
+      message: "1 of 3 records are invalid; nothing was imported",
+      details: [{ line: 4, path: "handle", message: "is taken: c1" }],
+    });
+
+    const n1 = await db.query(`SELECT handle FROM companies WHERE handle = 'n1'`);
+    expect(n1.rows).toEqual([]);
+  });
+
+  test("unsupported media type for JSON", async function () {
+    const resp = await request(app)
+        .post("/companies/import")
+        .send([{ handle: "n1" }])
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(415);
+  });
+
+  test("bad request for nothing to import", async function () {
+    const resp = await request(app)
+        .post("/companies/import")
+        .set("Content-Type", "text/csv")
+        .send("handle,name,description\n")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .post("/companies/import")
+        .set("Content-Type", "text/csv")
+        .send(csv)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
 /************************************** GET /companies */
 
 describe("GET /companies", function () {
@@ -93,8 +224,35 @@ describe("GET /companies", function () {
               logoUrl: "http://c3.img",
             },
           ],
+      total: 3,
+      nextCursor: null,
+      links: { self: "/companies", next: null },
     });
   });
+  test("paging: limit, cursor and links", async function () {
+    const resp = await request(app).get("/companies?limit=2&sort=-name");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+    expect(resp.body.total).toEqual(3);
+    expect(resp.body.links.next).toEqual(
+        `/companies?limit=2&sort=-name&cursor=${encodeURIComponent(resp.body.nextCursor)}`);
+
+    const resp2 = await request(app).get(resp.body.links.next);
+    expect(resp2.body.companies.map(c => c.handle)).toEqual(["c1"]);
+    expect(resp2.body.nextCursor).toBeNull();
+  });
+  test("bad request for unknown sort field", async function () {
+    const resp = await request(app).get("/companies?sort=logoUrl");
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("bad request for out of range limit", async function () {
+    const resp = await request(app).get("/companies?limit=1000");
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("bad request for a cursor with the wrong types", async function () {
+    const cursor = Buffer.from(JSON.stringify(["c1", { handle: "c1" }])).toString("base64");
+    const resp = await request(app).get(`/companies?cursor=${encodeURIComponent(cursor)}`);
+    expect(resp.statusCode).toEqual(400);
+  });
 
   /** This should only bring back 1 entry */
   test("test filter", async function () {
@@ -110,9 +268,37 @@ describe("GET /companies", function () {
               logoUrl: "http://c2.img",
             }
           ],
+      total: 1,
+      nextCursor: null,
+      links: { self: "/companies?name=c2", next: null },
     });
   });
 
+  test("employee counts are compared as numbers", async function () {
+    await db.query(`UPDATE companies SET num_employees = 10 WHERE handle = 'c3'`);
+    const resp = await request(app).get("/companies?minEmployees=9");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3"]);
+  });
+
+  test("bad request listing each bad parameter", async function () {
+    const resp = await request(app).get("/companies?minEmployees=few&maxEmployees=-1&color=red");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual("validation_failed");
+    expect(resp.body.error.details).toEqual(expect.arrayContaining([
+      { path: "query.minEmployees", message: "is not of a type(s) integer" },
+      { path: "query.maxEmployees", message: "must have a minimum value of 0" },
+      { path: "query.color", message: "is not allowed" },
+    ]));
+    expect(resp.body.error.details.length).toEqual(3);
+  });
+
+  test("bad request when minEmployees > maxEmployees", async function () {
+    const resp = await request(app).get("/companies?minEmployees=9&maxEmployees=10");
+    expect(resp.statusCode).toEqual(200);
+    const bad = await request(app).get("/companies?minEmployees=10&maxEmployees=9");
+    expect(bad.statusCode).toEqual(400);
+  });
+
 
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
@@ -126,6 +312,27 @@ describe("GET /companies", function () {
   });
 });
 
+/************************************** GET /companies/export */
+
+describe("GET /companies/export", function () {
+  test("streams CSV, honouring filters", async function () {
+    const resp = await request(app)
+        .get("/companies/export?minEmployees=1&sort=-numEmployees")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-disposition"]).toEqual('attachment; filename="companies.csv"');
+    expect(resp.text).toEqual(
+        "handle,name,description,numEmployees,logoUrl\r\n" +
+        "c3,C3,Desc3,3,http://c3.img\r\n" +
+        "c2,C2,Desc2,2,http://c2.img\r\n");
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/companies/export");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
 /************************************** GET /companies/:handle */
 
 describe("GET /companies/:handle", function () {
@@ -237,6 +444,12 @@ describe("DELETE /companies/:handle", function () {
         .delete(`/companies/c1`);
     expect(resp.statusCode).toEqual(401);
   });
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
 
   test("not found for no such company", async function () {
     const resp = await request(app)
@@ -245,3 +458,259 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+/************************************** /companies/:handle/members */
+describe("/companies/:handle/members", function () {
+  test("GET works for admin", async function () {
+    const resp = await request(app)
+        .get(`/companies/c3/members`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      members: [
+        { username: "u3", firstName: "U3F", lastName: "U3L", email: "user3@user.com" },
+      ],
+    });
+  });
+  test("GET works for member", async function () {
+    const resp = await request(app)
+        .get(`/companies/c3/members`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+  test("GET forbidden for non-member", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+  test("POST works for admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ member: { username: "u2", companyHandle: "c1" } });
+  });
+  test("POST bad request for duplicate member", async function () {
+    const resp = await request(app)
+        .post(`/companies/c3/members`)
+        .send({ username: "u3" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("POST forbidden for members", async function () {
+    const resp = await request(app)
+        .post(`/companies/c3/members`)
+        .send({ username: "u2" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+  test("DELETE works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c3/members/u3`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ removed: "u3" });
+  });
+  test("DELETE not found for non-member", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u3`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /companies/:handle/webhooks */
+
+describe("/companies/:handle/webhooks", function () {
+  /* A local stand-in for the company's receiver */
+  let receiver;
+  let receiverUrl;
+  let received;
+  let statusCode;
+
+  beforeAll(function (done) {
+    receiver = http.createServer(function (req, res) {
+      let body = "";
+      req.on("data", chunk => body += chunk);
+      req.on("end", function () {
+        received.push({ headers: req.headers, body });
+        res.writeHead(statusCode).end();
+      });
+    });
+    receiver.listen(0, function () {
+      receiverUrl = `http://localhost:${receiver.address().port}/hook`;
+      done();
+    });
+  });
+
+  beforeEach(function () {
+    received = [];
+    statusCode = 200;
+  });
+
+  afterAll(function (done) {
+    receiver.close(done);
+  });
+
+  async function addWebhook(handle = "c3") {
+    const resp = await request(app)
+        .post(`/companies/${handle}/webhooks`)
+        .send({ url: receiverUrl })
+        .set("authorization", `Bearer ${u3Token}`);
+    return resp.body.webhook;
+  }
+
+  async function applyToC3Job() {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE company_handle = 'c3'`);
+    const jobId = jobRes.rows[0].id;
+    const resp = await request(app)
+        .post(`/users/u2/jobs/${jobId}`)
+        .send({ username: "u2", jobId })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ applied: jobId });
+    return jobId;
+  }
+
+  test("POST works for member", async function () {
+    const resp = await request(app)
+        .post(`/companies/c3/webhooks`)
+        .send({ url: receiverUrl })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      webhook: {
+        id: expect.any(Number),
+        url: receiverUrl,
+        events: ["application.created"],
+        active: true,
+        createdAt: expect.any(String),
+        secret: expect.any(String),
+      },
+    });
+  });
+
+  test("POST forbidden for non-member", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/webhooks`)
+        .send({ url: receiverUrl })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("POST bad request with invalid url or events", async function () {
+    const resp = await request(app)
+        .post(`/companies/c3/webhooks`)
+        .send({ url: "ftp://example.com", events: ["job.created"] })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.details.map(d => d.path)).toEqual(
+        expect.arrayContaining(["body.url", "body.events[0]"]));
+  });
+
+  test("POST bad request for the cloud metadata address", async function () {
+    const resp = await request(app)
+        .post(`/companies/c3/webhooks`)
+        .send({ url: "http://169.254.169.254/latest/meta-data" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("GET lists webhooks without their secrets", async function () {
+    const webhook = await addWebhook();
+    const resp = await request(app)
+        .get(`/companies/c3/webhooks`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      webhooks: [{ id: webhook.id, url: receiverUrl, events: ["application.created"], active: true, createdAt: expect.any(String) }],
+    });
+  });
+
+  test("GET forbidden for non-member", async function () {
+    const resp = await request(app)
+        .get(`/companies/c3/webhooks`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("PATCH works", async function () {
+    const webhook = await addWebhook();
+    const resp = await request(app)
+        .patch(`/companies/c3/webhooks/${webhook.id}`)
+        .send({ active: false })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.webhook).toEqual(expect.objectContaining({ id: webhook.id, active: false }));
+  });
+
+  test("PATCH not found for another company's webhook", async function () {
+    const webhook = await addWebhook();
+    const resp = await request(app)
+        .patch(`/companies/c1/webhooks/${webhook.id}`)
+        .send({ active: false })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("DELETE works", async function () {
+    const webhook = await addWebhook();
+    const resp = await request(app)
+        .delete(`/companies/c3/webhooks/${webhook.id}`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({ deleted: webhook.id });
+  });
+
+  test("applying to a job sends the company a signed delivery", async function () {
+    const webhook = await addWebhook();
+    const jobId = await applyToC3Job();
+
+    await Webhook.deliverDue();
+
+    expect(received.length).toEqual(1);
+    const [{ headers, body }] = received;
+    expect(headers["x-jobly-event"]).toEqual("application.created");
+    expect(verify(webhook.secret, headers["x-jobly-timestamp"], body, headers["x-jobly-signature"]))
+        .toBe(true);
+    expect(JSON.parse(body).data).toEqual({
+      application: { username: "u2", jobId, state: "applied" },
+      job: { id: jobId, title: expect.any(String), companyHandle: "c3" },
+      applicant: { username: "u2", firstName: "U2F", lastName: "U2L", email: "user2@user.com" },
+    });
+  });
+
+  test("GET deliveries shows failures", async function () {
+    statusCode = 500;
+    const webhook = await addWebhook();
+    await applyToC3Job();
+    await Webhook.deliverDue();
+
+    const resp = await request(app)
+        .get(`/companies/c3/webhooks/${webhook.id}/deliveries?status=pending`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      deliveries: [expect.objectContaining({
+        event: "application.created",
+        status: "pending",
+        attempts: 1,
+        responseStatus: 500,
+        lastError: "Receiver responded 500",
+      })],
+      total: 1,
+      nextCursor: null,
+      links: { self: expect.any(String), next: null },
+    });
+  });
+
+  test("GET deliveries bad request for unknown status", async function () {
+    const webhook = await addWebhook();
+    const resp = await request(app)
+        .get(`/companies/c3/webhooks/${webhook.id}/deliveries?status=lost`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("GET deliveries forbidden for non-member", async function () {
+    const webhook = await addWebhook();
+    const resp = await request(app)
+        .get(`/companies/c3/webhooks/${webhook.id}/deliveries`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
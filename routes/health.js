@@ -0,0 +1,81 @@
+"use strict";
+
+/** Routes for health checks, e.g. container liveness and readiness probes.
+ *
+ * These need no login, and app.js mounts them ahead of the request log, since
+ * probes call them every few seconds.
+ */
+
+const express = require("express");
+const db = require("../db");
+const { readMigrationStatus } = require("../helpers/migrations");
+
+const router = new express.Router();
+
+/** How long the database may take to answer before it counts as down. */
+
+const READY_TIMEOUT_MS = 2000;
+
+/** Resolve to what promise does, or reject if it takes more than ms. */
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer in ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/** GET /health => { status: "ok", uptime }
+ *
+ * The process is up and serving requests; doesn't touch the database.
+ * uptime is in seconds.
+ */
+
+router.get("/health", function (req, res) {
+  return res.json({ status: "ok", uptime: Math.round(process.uptime()) });
+});
+
+/** GET /ready => { status, checks: { database, migrations }, pool }
+ *
+ * Whether the app can do its job: the database answers and has every
+ * migration applied. status is "ready" (200) or "not ready" (503).
+ *
+ * checks.database is { ok, latencyMs, error }; checks.migrations is
+ * { ok, pending, changed, missing } (lists of "version_name"; ok unless some
+ * are pending). pool is db.stats().
+ */
+
+router.get("/ready", async function (req, res) {
+  const database = { ok: false, latencyMs: null };
+  let migrations = { ok: false };
+
+  const start = Date.now();
+  try {
+    const statuses = await withTimeout(readMigrationStatus(db), READY_TIMEOUT_MS);
+    database.ok = true;
+    database.latencyMs = Date.now() - start;
+
+    const named = state => statuses
+        .filter(m => m.state === state)
+        .map(m => `${m.version}_${m.name}`);
+    migrations = {
+      ok: named("pending").length === 0,
+      pending: named("pending"),
+      changed: named("changed"),
+      missing: named("missing"),
+    };
+  } catch (err) {
+    database.error = err.message;
+  }
+
+  const ready = database.ok && migrations.ok;
+
+  return res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "not ready",
+    checks: { database, migrations },
+    pool: db.stats(),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db");
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /health */
+
+describe("GET /health", function () {
+  test("works", async function () {
+    const resp = await request(app).get("/health");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ status: "ok", uptime: expect.any(Number) });
+  });
+});
+
+/************************************** GET /ready */
+
+describe("GET /ready", function () {
+  test("ready", async function () {
+    const resp = await request(app).get("/ready");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      status: "ready",
+      checks: {
+        database: { ok: true, latencyMs: expect.any(Number) },
+        migrations: { ok: true, pending: [], changed: [], missing: [] },
+      },
+      pool: { total: 1, idle: 1, waiting: 0, max: 1 },
+    });
+  });
+
+  test("not ready with a pending migration", async function () {
+    await db.query(`DELETE FROM schema_migrations WHERE version = '0001'`);
+
+    const resp = await request(app).get("/ready");
+    expect(resp.statusCode).toEqual(503);
+    expect(resp.body.status).toEqual("not ready");
+    expect(resp.body.checks.migrations).toEqual({
+      ok: false, pending: ["0001_initial"], changed: [], missing: [],
+    });
+  });
+
+  test("not ready if the database is down", async function () {
+    const spy = jest.spyOn(db, "query").mockRejectedValue(new Error("connection refused"));
+    try {
+      const resp = await request(app).get("/ready");
+      expect(resp.statusCode).toEqual(503);
+      expect(resp.body.checks).toEqual({
+        database: { ok: false, latencyMs: null, error: "connection refused" },
+        migrations: { ok: false },
+      });
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
@@ -2,15 +2,22 @@
 
 /** Routes for companies. */
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn } = require("../middleware/auth");
+const { ensureAdmin, ensureLoggedIn, ensurePermission } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { PERMISSIONS } = require("../helpers/roles");
+const { pageLinks } = require("../helpers/pagination");
+const { importBody, readImport, runImport } = require("../helpers/import");
+const { exportFormat, streamExport } = require("../helpers/export");
 const Job = require("../models/job");
 
 const jobNewSchema = require("../schemas/jobNew");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
+const jobSearchSchema = require("../schemas/jobSearch.json");
+const jobIdParamsSchema = require("../schemas/jobIdParams.json");
+const importQuerySchema = require("../schemas/importQuery.json");
+const jobExportSchema = require("../schemas/jobExport.json");
 
 const router = new express.Router();
 
@@ -21,19 +28,12 @@ const router = new express.Router();
  *
  * Returns { title, salary, equity, companyHandle }
  *
- * Authorization required: login and Admin
+ * Authorization required: jobs:write permission (admin, or recruiter of the job's company)
  */
 
-router.post("/", ensureLoggedIn, async function (req, res, next) {
+router.post("/", ensurePermission(PERMISSIONS.JOBS_WRITE), validate({ body: jobNewSchema }), async function (req, res, next) {
     try {
-      const validator = jsonschema.validate(req.body, jobNewSchema);
-
-      if (!validator.valid) {
-        const errs = validator.errors.map(e => e.stack);
-        throw new BadRequestError(errs);
-      }
-  
-      const job = await Job.create(req.body);
+      const job = await Job.create(req.body, res.locals.user);
       return res.status(201).json({ job });
     } catch (err) {
       return next(err);
@@ -41,23 +41,89 @@ router.post("/", ensureLoggedIn, async function (req, res, next) {
   });
 
 
+/** POST /import [CSV or JSON lines]  =>  { dryRun, total, valid, invalid, imported, rows }
+ *
+ * Adds many jobs at once: every record must be valid for POST /, and then
+ * all are added together, or none are. With ?dryRun=true nothing is added;
+ * the report just says what would happen.
+ *
+ * The body is CSV (Content-Type: text/csv) with a header row of field names
+ * (title,salary,equity,company_handle), or JSON lines (application/x-ndjson),
+ * one job per line. See helpers/import.js for the report.
+ *
+ * If any record is invalid (and it isn't a dry run), that's a 400 listing
+ * each problem as { line, path, message }.
+ *
+ * Authorization required: admin
+ */
+
+router.post("/import", ensureAdmin, importBody, validate({ query: importQuerySchema }), async function (req, res, next) {
+    try {
+      const { dryRun } = req.query;
+      const report = await runImport(readImport(req, jobNewSchema), {
+        dryRun,
+        check: jobs => Job.checkImport(jobs),
+        insert: jobs => Job.insertMany(jobs),
+      });
+      return res.status(dryRun ? 200 : 201).json(report);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+
 /** GET /  =>
- *   { jobs: [ { title, salary, equity, companyHandle }, ...] }
+ *   { jobs: [ { id, title, salary, equity, companyHandle }, ...],
+ *     total, nextCursor, links: { self, next } }
+ *
+ * Can filter on title, minSalary, maxSalary, hasEquity, minEquity, maxEquity,
+ * companyHandle (repeat it for several companies), minEmployees and
+ * maxEmployees (the company's size), and q (full-text search over the title
+ * and the company's description; jobs then also have a relevance score).
+ *
+ * Paging: limit, and either offset or cursor (nextCursor from the previous
+ * page); sort, e.g. sort=-salary,title
+ *
+ * Any other parameter, or a value of the wrong type, is a 400 listing each
+ * bad parameter (see middleware/validate.js).
  *
  * Authorization required: none
  */
-router.get("/", async function (req, res, next) {
+router.get("/", validate({ query: jobSearchSchema }), async function (req, res, next) {
     try {
-    
-        const {title, minSalary, hasEquity} = req.query;
+        const {limit, offset, cursor, sort, ...filters} = req.query;
         
-        const jobs = await Job.findAll(title, minSalary, hasEquity);
-        return res.json({ jobs });
+        const { jobs, total, nextCursor } = await Job.findAll(filters, { limit, offset, cursor, sort });
+        return res.json({ jobs, total, nextCursor, links: pageLinks(req, nextCursor) });
     } catch (err) {
         return next(err);
     }
   });
 
+/** GET /export  =>  every matching job, as CSV or JSON lines
+ *
+ * Takes the same filters and sort as GET /, but no paging: all the jobs are
+ * streamed, as id, title, salary, equity, companyHandle (and relevance, with q).
+ *
+ * The format is ?format=csv or ?format=ndjson, or else from the Accept header
+ * (text/csv or application/x-ndjson); CSV if either will do.
+ *
+ * Authorization required: logged in
+ */
+
+router.get("/export", ensureLoggedIn, validate({ query: jobExportSchema }), async function (req, res, next) {
+    try {
+      const { format, sort, ...filters } = req.query;
+      return await streamExport(res, {
+        format: exportFormat(format, req),
+        filename: "jobs",
+        query: Job.exportQuery(filters, sort),
+      });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
 
 
  /** PATCH /[handle] { fld1, fld2, ... } => { company }
@@ -68,19 +134,13 @@ router.get("/", async function (req, res, next) {
  *
  * Returns { title, salary, equity }
  *
- * Authorization required: login
+ * Authorization required: jobs:write permission (admin, or recruiter of the job's company)
  */
 
-router.patch("/:id", ensureLoggedIn, async function (req, res, next) {
+router.patch("/:id", ensurePermission(PERMISSIONS.JOBS_WRITE), validate({ params: jobIdParamsSchema, body: jobUpdateSchema }), async function (req, res, next) {
     try {
-      const validator = jsonschema.validate(req.body, jobUpdateSchema);
-      if (!validator.valid) {
-        const errs = validator.errors.map(e => e.stack);
-        throw new BadRequestError(errs);
-      }
-  
       /** Check to see what params I need to pass in to do the patch */
-      const job = await Job.update(req.params.id, req.body);
+      const job = await Job.update(req.params.id, req.body, res.locals.user);
       return res.json({ job });
     } catch (err) {
       return next(err);
@@ -90,14 +150,14 @@ router.patch("/:id", ensureLoggedIn, async function (req, res, next) {
 
   /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization: login
+ * Authorization: jobs:write permission (admin, or recruiter of the job's company)
  * 
  * If deletion is successful it will be returned to the user 
  */
 
-router.delete("/:id", ensureLoggedIn, async function (req, res, next) {
+router.delete("/:id", ensurePermission(PERMISSIONS.JOBS_WRITE), validate({ params: jobIdParamsSchema }), async function (req, res, next) {
     try {
-      await Job.remove(req.params.id);
+      await Job.remove(req.params.id, res.locals.user);
       return res.json({ deleted: req.params.id });
     } catch (err) {
       return next(err);
@@ -105,4 +165,19 @@ router.delete("/:id", ensureLoggedIn, async function (req, res, next) {
   });
 
 
+/** GET /[id]/applicants  =>  { applicants: [ { username, firstName, lastName, email, state }, ...] }
+ *
+ * Authorization required: applications:review permission (admin, or recruiter of the job's company)
+ */
+
+router.get("/:id/applicants", ensurePermission(PERMISSIONS.APPLICATIONS_REVIEW), validate({ params: jobIdParamsSchema }), async function (req, res, next) {
+    try {
+      const applicants = await Job.getApplicants(req.params.id, res.locals.user);
+      return res.json({ applicants });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+
 module.exports = router
\ No newline at end of file
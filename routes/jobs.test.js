@@ -10,8 +10,11 @@ const {
   commonBeforeEach, /* This will run BEGIN, an SQL keyword used to indicate the beginning of a sequence of SQL commands that must be interpreted by the current data source of the process */
   commonAfterEach, /* This will run the ROLLBACK statement which lets a user undo all the alterations and changes that occurred on the current transaction after the last COMMIT. */
   commonAfterAll,/* This will end the connection to the database */
-  u1Token
+  u1Token,
+  u2Token,
+  u3Token
 } = require("./_testCommon");
+const User = require("../models/user");
 const { response } = require("../app");
 
 beforeAll(commonBeforeAll);
@@ -45,6 +48,30 @@ describe("POST /jobs", function () {
     });
 
 
+    test("works for recruiter of the company", async function () {
+      const resp = await request(app)
+          .post("/jobs")
+          .send({ ...newJob, company_handle: "c3" })
+          .set("authorization", `Bearer ${u3Token}`);
+      expect(resp.statusCode).toEqual(201);
+    });
+
+    test("forbidden for recruiter of another company", async function () {
+      const resp = await request(app)
+          .post("/jobs")
+          .send(newJob)
+          .set("authorization", `Bearer ${u3Token}`);
+      expect(resp.statusCode).toEqual(403);
+    });
+
+    test("forbidden for users without jobs:write", async function () {
+      const resp = await request(app)
+          .post("/jobs")
+          .send(newJob)
+          .set("authorization", `Bearer ${u2Token}`);
+      expect(resp.statusCode).toEqual(403);
+    });
+
   
     test("bad request with missing data (missing title)", async function () {
       const resp = await request(app)
@@ -74,6 +101,62 @@ describe("POST /jobs", function () {
   
 
 
+/************************************** POST /jobs/import */
+
+describe("POST /jobs/import", function () {
+  test("imports CSV for admin", async function () {
+    const resp = await request(app)
+        .post("/jobs/import")
+        .set("Content-Type", "text/csv")
+        .send("title,salary,company_handle\nImported 1,1000,c1\nImported 2,2000,c2\n")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual(expect.objectContaining({ total: 2, imported: 2 }));
+
+    const jobs = await request(app).get("/jobs?title=Imported&sort=title");
+    expect(jobs.body.jobs.map(j => [j.title, j.salary, j.companyHandle])).toEqual([
+      ["Imported 1", 1000, "c1"],
+      ["Imported 2", 2000, "c2"],
+    ]);
+  });
+
+  test("dry run reports unknown companies and bad values", async function () {
+    const resp = await request(app)
+        .post("/jobs/import?dryRun=true")
+        .set("Content-Type", "application/x-ndjson")
+        .send('{"title":"ok","salary":1,"company_handle":"c1"}\n'
+            + '{"title":"no company","salary":1,"company_handle":"nope"}\n'
+            + '{"title":"no salary","company_handle":"c1"}\n'
+            + "not json\n")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.rows).toEqual([
+      { line: 1, status: "valid" },
+      { line: 2, status: "invalid", errors: [{ path: "company_handle", message: "No company: nope" }] },
+      { line: 3, status: "invalid", errors: [{ path: "salary", message: "is required" }] },
+      { line: 4, status: "invalid", errors: [{ path: "", message: "is not valid JSON" }] },
+    ]);
+  });
+
+  test("bad request for an invalid query", async function () {
+    const resp = await request(app)
+        .post("/jobs/import?dryRun=maybe")
+        .set("Content-Type", "text/csv")
+        .send("title,salary,company_handle\nx,1,c1\n")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .post("/jobs/import")
+        .set("Content-Type", "text/csv")
+        .send("title,salary,company_handle\nx,1,c3\n")
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
 /************************************** GET /jobs */
 
 describe("GET /jobs", function () {
@@ -104,8 +187,18 @@ describe("GET /jobs", function () {
                 companyHandle: "c3"
               },
             ],
+        total: 3,
+        nextCursor: null,
+        links: { self: "/jobs", next: null },
       });
     });
+
+    test("paging: sort by salary descending with limit", async function () {
+      const resp = await request(app).get("/jobs?sort=-salary&limit=2");
+      expect(resp.body.jobs.map(j => j.salary)).toEqual([126000, 100000]);
+      expect(resp.body.total).toEqual(3);
+      expect(resp.body.nextCursor).toEqual(expect.any(String));
+    });
   
     /** This should only bring back 1 entry */
     test("test filter (also checks if case insensitive)", async function () {
@@ -135,10 +228,68 @@ describe("GET /jobs", function () {
             companyHandle: "c3"
           },
         ],
+        total: 3,
+        nextCursor: null,
+        links: { self: "/jobs?title=Test", next: null },
       });
     });
   
   
+    test("rich filters", async function () {
+      const resp = await request(app)
+          .get("/jobs?companyHandle=c1&companyHandle=c2&maxSalary=110000&hasEquity=true&minEmployees=1");
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.body.jobs.map(j => j.title)).toEqual(["test2"]);
+      expect(resp.body.total).toEqual(1);
+    });
+
+    test("hasEquity=false doesn't filter", async function () {
+      const resp = await request(app).get("/jobs?hasEquity=false");
+      expect(resp.body.total).toEqual(3);
+    });
+
+    test("full-text search", async function () {
+      await db.query(`UPDATE companies SET description = 'Remote friendly' WHERE handle = 'c3'`);
+      const resp = await request(app).get("/jobs?q=remote");
+      expect(resp.body.jobs).toEqual([
+        {
+          id: expect.any(Number),
+          title: "test3",
+          salary: 50000,
+          equity: null,
+          companyHandle: "c3",
+          relevance: expect.any(Number),
+        },
+      ]);
+    });
+
+    test("bad request for invalid filters", async function () {
+      let resp = await request(app).get("/jobs?minSalary=lots");
+      expect(resp.statusCode).toEqual(400);
+      resp = await request(app).get("/jobs?minEquity=2");
+      expect(resp.statusCode).toEqual(400);
+      resp = await request(app).get("/jobs?hasEquity=yes");
+      expect(resp.statusCode).toEqual(400);
+      resp = await request(app).get("/jobs?minSalary=100&maxSalary=10");
+      expect(resp.statusCode).toEqual(400);
+    });
+
+    test("bad request for unknown parameters", async function () {
+      const resp = await request(app).get("/jobs?titel=test");
+      expect(resp.statusCode).toEqual(400);
+      expect(resp.body.error.details).toEqual([
+        { path: "query.titel", message: "is not allowed" },
+      ]);
+    });
+
+    test("bad companyHandle in a repeated parameter", async function () {
+      const resp = await request(app).get("/jobs?companyHandle=c1&companyHandle=");
+      expect(resp.statusCode).toEqual(400);
+      expect(resp.body.error.details).toEqual([
+        { path: "query.companyHandle[1]", message: "does not meet minimum length of 1" },
+      ]);
+    });
+
     test("fails: test next() handler", async function () {
       // there's no normal failure event which will cause this route to fail ---
       // thus making it hard to test that the error-handler works with it. This
@@ -155,6 +306,71 @@ describe("GET /jobs", function () {
 
   /************************************** PATCH /companies/:handle */
 
+/************************************** GET /jobs/export */
+
+describe("GET /jobs/export", function () {
+  test("streams CSV, honouring filters and sort", async function () {
+    const resp = await request(app)
+        .get("/jobs/export?minSalary=1&sort=-salary")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(resp.headers["content-disposition"]).toEqual('attachment; filename="jobs.csv"');
+
+    const [header, ...lines] = resp.text.trim().split("\r\n");
+    expect(header).toEqual("id,title,salary,equity,companyHandle");
+    const salaries = lines.map(l => Number(l.split(",")[2]));
+    expect(salaries.length).toBeGreaterThan(1);
+    expect(salaries).toEqual([...salaries].sort((a, b) => b - a));
+  });
+
+  test("streams JSON lines by Accept header", async function () {
+    const resp = await request(app)
+        .get("/jobs/export?companyHandle=c1")
+        .set("Accept", "application/x-ndjson")
+        .set("authorization", `Bearer ${u2Token}`)
+        .buffer(true)
+        .parse((res, cb) => {
+          let text = "";
+          res.on("data", chunk => text += chunk);
+          res.on("end", () => cb(null, text));
+        });
+    expect(resp.headers["content-type"]).toMatch(/^application\/x-ndjson/);
+
+    const jobs = resp.body.trim().split("\n").map(l => JSON.parse(l));
+    expect(jobs.length).toBeGreaterThan(0);
+    expect(jobs.every(j => j.companyHandle === "c1")).toBe(true);
+    expect(Object.keys(jobs[0])).toEqual(["id", "title", "salary", "equity", "companyHandle"]);
+  });
+
+  test("header only when nothing matches", async function () {
+    const resp = await request(app)
+        .get("/jobs/export?title=nothing-like-this&format=csv")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.text).toEqual("id,title,salary,equity,companyHandle\r\n");
+  });
+
+  test("bad request for a list-only param", async function () {
+    const resp = await request(app)
+        .get("/jobs/export?limit=5")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not acceptable for other types", async function () {
+    const resp = await request(app)
+        .get("/jobs/export")
+        .set("Accept", "text/html")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(406);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/jobs/export");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
 describe("PATCH /jobs/:id", function () {
 
     test("tests updating a job", async function () {
@@ -191,14 +407,33 @@ describe("PATCH /jobs/:id", function () {
         expect(resp.statusCode).toEqual(401);
     });
   
-    test("not found job exists", async function () {
+    test("forbidden for recruiter of another company", async function () {
+      const jobsReq = await request(app).get("/jobs");
+      const job = jobsReq.body.jobs.find(j => j.companyHandle === "c1");
+
+      const resp = await request(app)
+          .patch(`/jobs/${job.id}`)
+          .send({
+            title: "TESTTEST",
+          })
+          .set("authorization", `Bearer ${u3Token}`);
+      expect(resp.statusCode).toEqual(403);
+    });
+
+    test("bad request for an id that isn't a number", async function () {
       const resp = await request(app)
           .patch(`/jobs/nope`)
           .send({
             title: "nope",
           })
           .set("authorization", `Bearer ${u1Token}`);
-      expect(resp.statusCode).toEqual(500);
+      expect(resp.statusCode).toEqual(400);
+      expect(resp.body.error).toEqual({
+        status: 400,
+        code: "validation_failed",
+        message: "Request is invalid",
+        details: [{ path: "params.id", message: "is not of a type(s) integer" }],
+      });
     });
 
   });
@@ -215,8 +450,71 @@ describe("DELETE /jobs/:id", function () {
         const resp = await request(app)
             .delete(`/jobs/${job.id}`)
             .set("authorization", `Bearer ${u1Token}`);
-        expect(resp.body).toEqual({ deleted: `${job.id}` });
+        expect(resp.body).toEqual({ deleted: job.id });
     });
 
+    test("works for recruiter of the job's company", async function () {
+        const jobsReq = await request(app).get("/jobs");
+        const job = jobsReq.body.jobs.find(j => j.companyHandle === "c3");
+
+        const resp = await request(app)
+            .delete(`/jobs/${job.id}`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.body).toEqual({ deleted: job.id });
+    });
+
+    test("forbidden for recruiter of another company", async function () {
+        const jobsReq = await request(app).get("/jobs");
+        const job = jobsReq.body.jobs.find(j => j.companyHandle === "c1");
+
+        const resp = await request(app)
+            .delete(`/jobs/${job.id}`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(403);
+    });
+
+  });
+  
+
+/************************************** GET /jobs/:id/applicants */
+
+describe("GET /jobs/:id/applicants", function () {
+    test("works for recruiter of the job's company", async function () {
+        const jobsReq = await request(app).get("/jobs");
+        const job = jobsReq.body.jobs.find(j => j.companyHandle === "c3");
+        await User.applyToJob({ username: "u2", jobId: job.id });
+
+        const resp = await request(app)
+            .get(`/jobs/${job.id}/applicants`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.body).toEqual({
+          applicants: [{
+            username: "u2",
+            firstName: "U2F",
+            lastName: "U2L",
+            email: "user2@user.com",
+            state: "applied",
+          }],
+        });
+    });
+
+    test("forbidden for recruiter of another company", async function () {
+        const jobsReq = await request(app).get("/jobs");
+        const job = jobsReq.body.jobs.find(j => j.companyHandle === "c1");
+
+        const resp = await request(app)
+            .get(`/jobs/${job.id}/applicants`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(403);
+    });
+
+    test("forbidden for candidates", async function () {
+        const jobsReq = await request(app).get("/jobs");
+        const job = jobsReq.body.jobs[0];
+
+        const resp = await request(app)
+            .get(`/jobs/${job.id}/applicants`)
+            .set("authorization", `Bearer ${u2Token}`);
+        expect(resp.statusCode).toEqual(403);
+    });
   });
-  
\ No newline at end of file
@@ -0,0 +1,43 @@
+"use strict";
+
+/** Route for Prometheus metrics. */
+
+const crypto = require("crypto");
+const express = require("express");
+const db = require("../db");
+const metrics = require("../helpers/metrics");
+const { ensureAdmin } = require("../middleware/auth");
+const { METRICS_TOKEN } = require("../config");
+
+const router = new express.Router();
+
+/** Middleware: let in requests with the METRICS_TOKEN bearer token, if one
+ * is set; anyone else must be an admin. */
+
+function ensureMetricsAccess(req, res, next) {
+  const given = Buffer.from(req.get("Authorization") || "");
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+
+  if (METRICS_TOKEN && given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+    return next();
+  }
+  return ensureAdmin(req, res, next);
+}
+
+/** GET / => every metric, in Prometheus's text format
+ *
+ * Authorization required: admin, or METRICS_TOKEN
+ */
+
+router.get("/", ensureMetricsAccess, function (req, res) {
+  const { total, idle, waiting, max } = db.stats();
+  metrics.dbPoolConnections.set({ state: "total" }, total);
+  metrics.dbPoolConnections.set({ state: "idle" }, idle);
+  metrics.dbPoolConnections.set({ state: "waiting" }, waiting);
+  metrics.dbPoolMax.set({}, max);
+
+  res.set("Content-Type", "text/plain; version=0.0.4");
+  return res.send(metrics.render());
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+"use strict";
+
+// read by config.js, so set before anything requires it
+process.env.METRICS_TOKEN = "scrape-token";
+
+const request = require("supertest");
+
+const app = require("../app");
+const User = require("../models/user");
+const Job = require("../models/job");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u2Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function scrape() {
+  const resp = await request(app)
+      .get("/metrics")
+      .set("authorization", `Bearer ${u1Token}`);
+  return resp.text;
+}
+
+/** The value of the series named exactly line (name and labels) in text. */
+
+function valueOf(text, line) {
+  const found = text.split("\n").find(l => l.startsWith(`${line} `));
+  return found ? Number(found.slice(line.length + 1)) : 0;
+}
+
+/************************************** GET /metrics */
+
+describe("GET /metrics", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get("/metrics")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.type).toEqual("text/plain");
+    expect(resp.headers["content-type"]).toContain("version=0.0.4");
+    expect(resp.text).toContain("# TYPE http_requests_total counter");
+    expect(resp.text).toContain('db_pool_connections{state="total"} 1');
+    expect(resp.text).toContain("db_pool_max_connections 1");
+  });
+
+  test("works with the metrics token", async function () {
+    const resp = await request(app)
+        .get("/metrics")
+        .set("authorization", "Bearer scrape-token");
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/metrics");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .get("/metrics")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("counts requests by route and status", async function () {
+    const line = 'http_requests_total{method="GET",route="/companies/:handle",status="404"}';
+    const before = valueOf(await scrape(), line);
+
+    await request(app).get("/companies/nope");
+    await request(app).get("/companies/nor-this");
+
+    const text = await scrape();
+    expect(valueOf(text, line)).toEqual(before + 2);
+    expect(text).toContain(
+        'http_request_duration_seconds_count{method="GET",route="/companies/:handle",status="404"}');
+  });
+
+  test("times database queries", async function () {
+    const before = valueOf(await scrape(), 'db_query_duration_seconds_count{outcome="ok"}');
+    expect(valueOf(await scrape(), 'db_query_duration_seconds_count{outcome="ok"}'))
+        .toBeGreaterThan(before);
+  });
+
+  test("counts jobs, applications and logins", async function () {
+    const lines = [
+      "jobly_jobs_created_total",
+      "jobly_applications_submitted_total",
+      'jobly_logins_total{outcome="succeeded"}',
+      'jobly_logins_total{outcome="failed"}',
+    ];
+    const before = await scrape();
+
+    const job = await Job.create({ title: "new", salary: 1, equity: "0", company_handle: "c1" });
+    await User.applyToJob({ username: "u2", jobId: job.id });
+    await User.authenticate("u1", "password1");
+    await expect(User.authenticate("u1", "wrong")).rejects.toThrow();
+
+    const after = await scrape();
+    for (let line of lines) {
+      expect(valueOf(after, line)).toEqual(valueOf(before, line) + 1);
+    }
+  });
+});
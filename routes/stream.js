@@ -0,0 +1,118 @@
+"use strict";
+
+/** Route for the live event stream (server-sent events). */
+
+const express = require("express");
+const { authenticateJWT, ensureLoggedIn } = require("../middleware/auth");
+const { BadRequestError } = require("../expressError");
+const EventLog = require("../models/eventLog");
+const events = require("../helpers/events");
+const { STREAM_HEARTBEAT_SECONDS } = require("../config");
+
+const router = new express.Router();
+
+/** The open streams, each { username, send(entry) }. */
+
+const clients = new Set();
+
+events.subscribe("eventLog.appended", function (entry) {
+  for (let client of clients) client.send(entry);
+});
+
+/** An event log entry as a server-sent event. */
+
+function formatEvent(entry) {
+  return `id: ${entry.id}\nevent: ${entry.type}\ndata: ${JSON.stringify(entry.payload)}\n\n`;
+}
+
+/** Middleware: EventSource can't send headers, so browsers may pass the
+ * access token as ?token= instead; it is then checked by authenticateJWT
+ * like any other. */
+
+function tokenFromQuery(req, res, next) {
+  if (!res.locals.user && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+    return authenticateJWT(req, res, next);
+  }
+  return next();
+}
+
+
+/** GET /stream  =>  text/event-stream
+ *
+ * Streams events as they happen:
+ *   job.created, job.updated -> to everyone
+ *   application.updated, notification.created -> to that user only
+ *
+ * Each event's data is its JSON payload, and its id can be sent back as the
+ * Last-Event-ID header (or ?lastEventId=) when reconnecting, to be sent the
+ * events missed in between first. A ": heartbeat" comment is sent every
+ * STREAM_HEARTBEAT_SECONDS so idle connections aren't dropped.
+ *
+ * Live events come from this process only ("eventLog.appended" on the
+ * in-process bus): with several processes behind a load balancer, a stream
+ * isn't sent changes made on the others until it reconnects and is sent them
+ * from the event log by Last-Event-ID.
+ *
+ * Authorization required: logged in (Authorization header or ?token=)
+ */
+
+router.get("/", tokenFromQuery, ensureLoggedIn, async function (req, res, next) {
+  const { username } = res.locals.user;
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+
+  /* Live events that arrive while the missed ones are being looked up wait
+     here, so nothing is lost or sent out of order */
+  let lastSentId = 0;
+  let pending = [];
+
+  function write(entry) {
+    if (Number(entry.id) <= lastSentId) return;
+    res.write(formatEvent(entry));
+    lastSentId = Number(entry.id);
+  }
+
+  const client = {
+    username,
+    send(entry) {
+      if (!EventLog.isVisibleTo(entry, username)) return;
+      if (pending) pending.push(entry);
+      else write(entry);
+    },
+  };
+
+  try {
+    if (lastEventId !== undefined && !/^\d+$/.test(lastEventId)) {
+      throw new BadRequestError("Last-Event-ID must be an event id");
+    }
+
+    let heartbeat;
+    res.on("close", function () {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+
+    clients.add(client);
+    const missed = lastEventId ? await EventLog.since(lastEventId, username) : [];
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(": connected\n\n");
+
+    for (let entry of [...missed, ...pending]) write(entry);
+    pending = null;
+
+    heartbeat = setInterval(() => res.write(": heartbeat\n\n"), STREAM_HEARTBEAT_SECONDS * 1000);
+  } catch (err) {
+    clients.delete(client);
+    return next(err);
+  }
+});
+
+
+module.exports = router;
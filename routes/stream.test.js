@@ -0,0 +1,155 @@
+"use strict";
+
+const http = require("http");
+const request = require("supertest");
+
+const db = require("../db");
+const app = require("../app");
+const Job = require("../models/job");
+const Notification = require("../models/notification");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u2Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let server;
+let port;
+
+beforeAll(function (done) {
+  server = app.listen(0, function () {
+    port = server.address().port;
+    done();
+  });
+});
+
+afterAll(function (done) {
+  server.close(done);
+});
+
+/** Open GET /stream; resolves once it is connected.
+ *
+ * Returns { statusCode, body(), waitFor(text), close() }, where body() is
+ * everything received so far.
+ */
+
+function openStream(path, headers = {}) {
+  return new Promise(function (resolve, reject) {
+    const req = http.get({ port, path, headers }, function (res) {
+      let body = "";
+      const waiters = [];
+
+      res.setEncoding("utf8");
+      res.on("data", function (chunk) {
+        body += chunk;
+        for (let w of [...waiters]) {
+          if (body.includes(w.text)) {
+            waiters.splice(waiters.indexOf(w), 1);
+            w.resolve(body);
+          }
+        }
+      });
+
+      const stream = {
+        statusCode: res.statusCode,
+        body: () => body,
+        waitFor(text) {
+          if (body.includes(text)) return Promise.resolve(body);
+          return new Promise(resolve => waiters.push({ text, resolve }));
+        },
+        close() {
+          req.destroy();
+        },
+      };
+
+      if (res.statusCode !== 200) {
+        res.on("end", () => resolve(stream));
+      } else {
+        stream.waitFor(": connected").then(() => resolve(stream));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function loggedIds() {
+  const result = await db.query(`SELECT id FROM event_log ORDER BY id`);
+  return result.rows.map(r => r.id);
+}
+
+/************************************** GET /stream */
+
+describe("GET /stream", function () {
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/stream");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request for a bad Last-Event-ID", async function () {
+    const resp = await request(app)
+        .get("/stream")
+        .set("Last-Event-ID", "yesterday")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("streams new jobs to everyone", async function () {
+    const stream = await openStream("/stream", { authorization: `Bearer ${u2Token}` });
+    expect(stream.statusCode).toEqual(200);
+
+    const job = await Job.create({ title: "Live", salary: 1, equity: null, company_handle: "c1" });
+    const body = await stream.waitFor("Live");
+    stream.close();
+
+    const [id] = (await loggedIds()).slice(-1);
+    const [, data] = body.match(new RegExp(`id: ${id}\nevent: job\\.created\ndata: (.*)\n\n`));
+    expect(JSON.parse(data)).toEqual({ job });
+  });
+
+  test("accepts the token in the query string", async function () {
+    const stream = await openStream(`/stream?token=${u2Token}`);
+    expect(stream.statusCode).toEqual(200);
+    stream.close();
+  });
+
+  test("only sends users their own notifications", async function () {
+    const stream = await openStream("/stream", { authorization: `Bearer ${u2Token}` });
+
+    await Notification.create("u1", "test.private", {});
+    await Notification.create("u2", "test.mine", {});
+    const body = await stream.waitFor("test.mine");
+    stream.close();
+
+    expect(body).toContain("event: notification.created");
+    expect(body).not.toContain("test.private");
+  });
+
+  test("replays what was missed after Last-Event-ID", async function () {
+    await Notification.create("u2", "test.seen", {});
+    await Notification.create("u1", "test.private", {});
+    await Notification.create("u2", "test.missed", {});
+    const [seenId, , missedId] = (await loggedIds()).slice(-3);
+
+    const stream = await openStream("/stream", {
+      authorization: `Bearer ${u2Token}`,
+      "Last-Event-ID": seenId,
+    });
+    await Notification.create("u2", "test.live", {});
+    const body = await stream.waitFor("test.live");
+    stream.close();
+
+    expect(body).not.toContain("test.seen");
+    expect(body).not.toContain("test.private");
+    expect(body.indexOf(`id: ${missedId}\n`)).toBeGreaterThan(-1);
+    expect(body.indexOf("test.missed")).toBeLessThan(body.indexOf("test.live"));
+  });
+});
@@ -2,19 +2,61 @@
 
 /** Routes for users. */
 
-const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureLoggedIn } = require("../middleware/auth");
-const { BadRequestError } = require("../expressError");
+const {
+  ensureLoggedIn,
+  ensureCorrectUserOrAdmin,
+  ensureCorrectUser,
+  ensureNotApiKey,
+  ensureScope,
+  ensurePermission,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const { BadRequestError, ForbiddenError } = require("../expressError");
+const { PERMISSIONS, hasRole, hasPermission } = require("../helpers/roles");
 const User = require("../models/user");
+const Company = require("../models/company");
+const Job = require("../models/job");
+const TwoFactor = require("../models/twoFactor");
+const ApiKey = require("../models/apiKey");
+const SavedSearch = require("../models/savedSearch");
+const Notification = require("../models/notification");
 const { createToken } = require("../helpers/tokens");
+const { pageLinks } = require("../helpers/pagination");
+const { exportFormat, streamExport } = require("../helpers/export");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const userSearchSchema = require("../schemas/userSearch.json");
 const newJobApplicationSchema = require("../schemas/newJobApplication.json")
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const jobIdParamsSchema = require("../schemas/jobIdParams.json");
+const savedSearchNewSchema = require("../schemas/savedSearchNew.json");
+const savedSearchUpdateSchema = require("../schemas/savedSearchUpdate.json");
+const searchIdParamsSchema = require("../schemas/searchIdParams.json");
+const notificationSearchSchema = require("../schemas/notificationSearch.json");
+const notificationUpdateSchema = require("../schemas/notificationUpdate.json");
+const notificationIdParamsSchema = require("../schemas/notificationIdParams.json");
+const applicationExportSchema = require("../schemas/applicationExport.json");
+const twoFactorCodeSchema = require("../schemas/twoFactorCode.json");
+const twoFactorDisableSchema = require("../schemas/twoFactorDisable.json");
+const apiKeyNewSchema = require("../schemas/apiKeyNew.json");
+const apiKeyUpdateSchema = require("../schemas/apiKeyUpdate.json");
+const apiKeyIdParamsSchema = require("../schemas/apiKeyIdParams.json");
+const { AUTH_RATE_LIMIT, AUTH_RATE_WINDOW_SECONDS } = require("../config");
 
 const router = express.Router();
 
+/** Middleware: limits code guessing at the 2FA routes that take a code, for
+ * any one user. */
+
+const twoFactorCodeRateLimit = rateLimit("two-factor-code", {
+  limit: AUTH_RATE_LIMIT,
+  windowSeconds: AUTH_RATE_WINDOW_SECONDS,
+  keys: req => [`username:${req.params.username}`],
+});
+
 
 /** POST / { user }  => { user, token }
  *
@@ -25,19 +67,14 @@ const router = express.Router();
  * This returns the newly created user and an authentication token for them:
  *  {user: { username, firstName, lastName, email, isAdmin }, token }
  *
- * Authorization required: login
+ * Authorization required: users:manage permission (admin)
  **/
 
-router.post("/", ensureLoggedIn, async function (req, res, next) {
+router.post("/", ensurePermission(PERMISSIONS.USERS_MANAGE), validate({ body: userNewSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const user = await User.register(req.body);
-    const token = createToken(user);
+    const roles = await User.getRoles(user.username);
+    const token = createToken({ ...user, roles });
     return res.status(201).json({ user, token });
   } catch (err) {
     return next(err);
@@ -49,35 +86,88 @@ router.post("/", ensureLoggedIn, async function (req, res, next) {
  * Adds a creates a job application for this user. The user can apply and
  * admins can apply in behalf of users.
  *
- * Authorization required: login
+ * The application is always made for the user in the URL, whatever username
+ * the body names.
+ *
+ * Authorization required: same user-as-:username, or admin; jobs:apply
+ * permission
  **/
 
-router.post("/:username/jobs/:id", ensureLoggedIn, async function (req, res, next) {
+router.post("/:username/jobs/:id", ensureCorrectUserOrAdmin, ensurePermission(PERMISSIONS.JOBS_APPLY), validate({ body: newJobApplicationSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, newJobApplicationSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
+    const application = await User.applyToJob(
+        { ...req.body, username: req.params.username });
+
+    return res.status(201).json(application);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** Check that user may move username's application for job jobId to state:
+ * the applicant applies and withdraws (see User.isApplicantState), and the
+ * job's company reviews. Throws ForbiddenError if not. */
+
+async function checkCanMoveApplication(user, username, jobId, state) {
+  if (User.isApplicantState(state)) {
+    if (user.username !== username && !hasRole(user, "admin")) {
+      throw new ForbiddenError(`Only the applicant can move an application to ${state}`);
+    }
+    if (!hasPermission(user, PERMISSIONS.JOBS_APPLY)) {
+      throw new ForbiddenError(`Missing permission: ${PERMISSIONS.JOBS_APPLY}`);
+    }
+  } else {
+    if (!hasPermission(user, PERMISSIONS.APPLICATIONS_REVIEW)) {
+      throw new ForbiddenError(`Missing permission: ${PERMISSIONS.APPLICATIONS_REVIEW}`);
+    }
+    if (user.username === username) {
+      throw new ForbiddenError("You can't review your own application");
     }
+    await Company.checkMemberOrAdmin(await Job.getCompanyHandle(jobId), user);
+  }
+}
 
-    const application = await User.applyToJob(req.body);
+/** PATCH /[username]/jobs/[id] { state } => { application }
+ *
+ * Moves this user's application for the job to a new state. Only legal
+ * transitions are allowed (see User.updateApplicationState).
+ *
+ * Returns { username, jobId, state }
+ *
+ * Authorization required: to interested, applied or withdrawn, same
+ * user-as-:username with the jobs:apply permission, or admin; to interviewing, offered or
+ * rejected, the applications:review permission and membership of the job's
+ * company (or admin), and not for their own application
+ **/
 
-    return res.status(201).json(application);
+router.patch("/:username/jobs/:id", ensureLoggedIn, validate({ params: jobIdParamsSchema, body: applicationUpdateSchema }), async function (req, res, next) {
+  try {
+    await checkCanMoveApplication(res.locals.user, req.params.username, req.params.id, req.body.state);
+    const application = await User.updateApplicationState(
+        req.params.username, req.params.id, req.body.state);
+    return res.json({ application });
   } catch (err) {
     return next(err);
   }
 });
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+
+
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ],
+ *             total, nextCursor, links: { self, next } }
  *
- * Returns list of all users.
+ * Returns list of all users, a page at a time.
  *
- * Authorization required: login
+ * Paging: limit, and either offset or cursor (nextCursor from the previous
+ * page); sort, e.g. sort=lastName,firstName
+ *
+ * Authorization required: users:manage permission (admin)
  **/
 
-router.get("/", ensureLoggedIn, async function (req, res, next) {
+router.get("/", ensurePermission(PERMISSIONS.USERS_MANAGE), validate({ query: userSearchSchema }), async function (req, res, next) {
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const { limit, offset, cursor, sort } = req.query;
+    const { users, total, nextCursor } = await User.findAll({ limit, offset, cursor, sort });
+    return res.json({ users, total, nextCursor, links: pageLinks(req, nextCursor) });
   } catch (err) {
     return next(err);
   }
@@ -88,10 +178,10 @@ router.get("/", ensureLoggedIn, async function (req, res, next) {
  *
  * Returns { username, firstName, lastName, isAdmin }
  *
- * Authorization required: login
+ * Authorization required: same user-as-:username, or admin
  **/
 
-router.get("/:username", ensureLoggedIn, async function (req, res, next) {
+router.get("/:username", ensureCorrectUserOrAdmin, async function (req, res, next) {
   try {
     const user = await User.get(req.params.username);
     return res.json({ user });
@@ -100,7 +190,15 @@ router.get("/:username", ensureLoggedIn, async function (req, res, next) {
   }
 });
 
-router.get("/:username/applications", ensureLoggedIn, async function (req, res, next) {
+/** GET /[username]/applications => { applications }
+ *
+ * Returns [{ job_id, state }, ...]
+ *
+ * Authorization required: same user-as-:username, or admin; with an API key,
+ * its scopes must include jobs:apply
+ **/
+
+router.get("/:username/applications", ensureCorrectUserOrAdmin, ensureScope(PERMISSIONS.JOBS_APPLY), async function (req, res, next) {
   try {
     const applications = await User.getJobApplications(req.params.username);
     return res.json({ applications });
@@ -109,6 +207,30 @@ router.get("/:username/applications", ensureLoggedIn, async function (req, res,
   }
 });
 
+/** GET /[username]/applications/export  =>  the user's applications, as CSV
+ * or JSON lines
+ *
+ * Each is jobId, state, title, salary, equity, companyHandle, by job id.
+ *
+ * The format is ?format=csv or ?format=ndjson, or else from the Accept header
+ * (text/csv or application/x-ndjson); CSV if either will do.
+ *
+ * Authorization required: same user-as-:username, or admin; with an API key,
+ * its scopes must include jobs:apply
+ **/
+
+router.get("/:username/applications/export", ensureCorrectUserOrAdmin, ensureScope(PERMISSIONS.JOBS_APPLY), validate({ query: applicationExportSchema }), async function (req, res, next) {
+  try {
+    return await streamExport(res, {
+      format: exportFormat(req.query.format, req),
+      filename: `${req.params.username}-applications`,
+      query: await User.applicationsExportQuery(req.params.username),
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** PATCH /[username] { user } => { user }
  *
  * Data can include:
@@ -116,17 +238,11 @@ router.get("/:username/applications", ensureLoggedIn, async function (req, res,
  *
  * Returns { username, firstName, lastName, email, isAdmin }
  *
- * Authorization required: login
+ * Authorization required: same user-as-:username, or admin; not with an API key
  **/
 
-router.patch("/:username", ensureLoggedIn, async function (req, res, next) {
+router.patch("/:username", ensureCorrectUserOrAdmin, ensureNotApiKey, validate({ body: userUpdateSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const user = await User.update(req.params.username, req.body);
     return res.json({ user });
   } catch (err) {
@@ -137,10 +253,10 @@ router.patch("/:username", ensureLoggedIn, async function (req, res, next) {
 
 /** DELETE /[username]  =>  { deleted: username }
  *
- * Authorization required: login
+ * Authorization required: same user-as-:username, or admin; not with an API key
  **/
 
-router.delete("/:username", ensureLoggedIn, async function (req, res, next) {
+router.delete("/:username", ensureCorrectUserOrAdmin, ensureNotApiKey, async function (req, res, next) {
   try {
     await User.remove(req.params.username);
     return res.json({ deleted: req.params.username });
@@ -150,4 +266,377 @@ router.delete("/:username", ensureLoggedIn, async function (req, res, next) {
 });
 
 
+/** GET /[username]/roles => { roles: [ role, ... ] }
+ *
+ * Authorization required: same user-as-:username, or admin
+ **/
+
+router.get("/:username/roles", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const roles = await User.getRoles(req.params.username);
+    return res.json({ roles });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/roles/[role] => { granted: { username, role } }
+ *
+ * Gives the user a role (admin, recruiter or candidate). The new role shows
+ * up in their token the next time they log in.
+ *
+ * Authorization required: users:manage permission (admin)
+ **/
+
+router.post("/:username/roles/:role", ensurePermission(PERMISSIONS.USERS_MANAGE), async function (req, res, next) {
+  try {
+    const granted = await User.grantRole(req.params.username, req.params.role);
+    return res.status(201).json({ granted });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/roles/[role] => { revoked: role }
+ *
+ * Authorization required: users:manage permission (admin)
+ **/
+
+router.delete("/:username/roles/:role", ensurePermission(PERMISSIONS.USERS_MANAGE), async function (req, res, next) {
+  try {
+    await User.revokeRole(req.params.username, req.params.role);
+    return res.json({ revoked: req.params.role });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/unlock => { unlocked: username }
+ *
+ * Lets a user locked out by too many wrong passwords log in again.
+ *
+ * Authorization required: users:manage permission (admin)
+ **/
+
+router.post("/:username/unlock", ensurePermission(PERMISSIONS.USERS_MANAGE), async function (req, res, next) {
+  try {
+    await User.unlock(req.params.username);
+    return res.json({ unlocked: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/2fa => { twoFactor: { enabled, recoveryCodesLeft } }
+ *
+ * Authorization required: same user-as-:username, or admin; not with an API key
+ **/
+
+router.get("/:username/2fa", ensureCorrectUserOrAdmin, ensureNotApiKey, async function (req, res, next) {
+  try {
+    const twoFactor = await TwoFactor.status(req.params.username);
+    return res.json({ twoFactor });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa => { secret, uri }
+ *
+ * Starts turning on two-factor authentication: returns a new secret, and the
+ * otpauth:// provisioning URI to add it to an authenticator app with (often
+ * shown as a QR code). 2FA isn't on until confirmed with a code from the app
+ * at POST /[username]/2fa/confirm.
+ *
+ * Authorization required: same user-as-:username; not with an API key
+ **/
+
+router.post("/:username/2fa", ensureCorrectUser, ensureNotApiKey, async function (req, res, next) {
+  try {
+    const { secret, uri } = await TwoFactor.enroll(req.params.username);
+    return res.status(201).json({ secret, uri });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa/confirm { code } => { enabled: true, recoveryCodes: [ code, ... ] }
+ *
+ * Turns on two-factor authentication, given a code from the authenticator
+ * app. The recovery codes returned can each be used once instead of a code,
+ * if the app is lost; they're never shown again.
+ *
+ * Authorization required: same user-as-:username; not with an API key
+ **/
+
+router.post("/:username/2fa/confirm", ensureCorrectUser, ensureNotApiKey, validate({ body: twoFactorCodeSchema }), twoFactorCodeRateLimit, async function (req, res, next) {
+  try {
+    const { recoveryCodes } = await TwoFactor.enable(req.params.username, req.body.code);
+    return res.json({ enabled: true, recoveryCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/2fa { code } => { disabled: username }
+ *
+ * Turns off two-factor authentication (or cancels an enrolment not yet
+ * confirmed). Users turning off their own need a code (from the app, or a recovery code), so a stolen access token can't;
+ * admins can turn it off for others without one, for users who've lost both.
+ *
+ * Authorization required: same user-as-:username, or admin; not with an API key
+ **/
+
+router.delete("/:username/2fa", ensureCorrectUserOrAdmin, ensureNotApiKey, validate({ body: twoFactorDisableSchema }), twoFactorCodeRateLimit, async function (req, res, next) {
+  try {
+    const { username } = req.params;
+    const { enabled } = await TwoFactor.status(username);
+    if (enabled && res.locals.user.username === username) {
+      const { code } = req.body;
+      if (!code || !await TwoFactor.checkCode(username, code)) {
+        throw new BadRequestError("Invalid code");
+      }
+    }
+
+    await TwoFactor.disable(username);
+    return res.json({ disabled: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/api-keys => { apiKeys: [ { id, name, prefix, scopes, companyHandle, expiresAt, lastUsedAt, createdAt }, ...] }
+ *
+ * Authorization required: same user-as-:username, or admin; not with an API key
+ **/
+
+router.get("/:username/api-keys", ensureCorrectUserOrAdmin, ensureNotApiKey, async function (req, res, next) {
+  try {
+    const apiKeys = await ApiKey.findAll(req.params.username);
+    return res.json({ apiKeys });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/api-keys { name, scopes, companyHandle, expiresAt } => { apiKey, key }
+ *
+ * Makes an API key, for integrations to authenticate as the user with, in an
+ * X-Api-Key header. scopes are the permissions the key may use, e.g.
+ * ["jobs:write"], and must be ones the user has. With companyHandle (of a
+ * company the user is a member of), the key only acts for that company; with
+ * expiresAt (an ISO date-time), it stops working then.
+ *
+ * key is only ever shown this once.
+ *
+ * Authorization required: same user-as-:username; not with an API key
+ **/
+
+router.post("/:username/api-keys", ensureCorrectUser, ensureNotApiKey, validate({ body: apiKeyNewSchema }), async function (req, res, next) {
+  try {
+    const { apiKey, key } = await ApiKey.create(req.params.username, req.body);
+    return res.status(201).json({ apiKey, key });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/api-keys/[id] => { apiKey }
+ *
+ * Authorization required: same user-as-:username, or admin; not with an API key
+ **/
+
+router.get("/:username/api-keys/:id", ensureCorrectUserOrAdmin, ensureNotApiKey, validate({ params: apiKeyIdParamsSchema }), async function (req, res, next) {
+  try {
+    const apiKey = await ApiKey.get(req.params.username, req.params.id);
+    return res.json({ apiKey });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PATCH /[username]/api-keys/[id] { name, scopes } => { apiKey }
+ *
+ * Either field may be left out; scopes replaces the old scopes entirely.
+ *
+ * Authorization required: same user-as-:username; not with an API key
+ **/
+
+router.patch("/:username/api-keys/:id", ensureCorrectUser, ensureNotApiKey,
+    validate({ params: apiKeyIdParamsSchema, body: apiKeyUpdateSchema }), async function (req, res, next) {
+  try {
+    const apiKey = await ApiKey.update(req.params.username, req.params.id, req.body);
+    return res.json({ apiKey });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/api-keys/[id] => { deleted: id }
+ *
+ * The key stops working straight away.
+ *
+ * Authorization required: same user-as-:username, or admin; not with an API key
+ **/
+
+router.delete("/:username/api-keys/:id", ensureCorrectUserOrAdmin, ensureNotApiKey, validate({ params: apiKeyIdParamsSchema }), async function (req, res, next) {
+  try {
+    await ApiKey.remove(req.params.username, req.params.id);
+    return res.json({ deleted: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/searches => { searches: [ { id, name, filters, createdAt }, ...] }
+ *
+ * Authorization required: same user-as-:username, or admin; not with an API key
+ **/
+
+router.get("/:username/searches", ensureCorrectUserOrAdmin, ensureNotApiKey, async function (req, res, next) {
+  try {
+    const searches = await SavedSearch.findAll(req.params.username);
+    return res.json({ searches });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/searches { name, filters } => { search }
+ *
+ * filters takes the same filters as GET /jobs, e.g.
+ *   { title: "engineer", minSalary: 100000, companyHandle: ["c1", "c2"] }
+ * When a new job matching them is posted, the user gets a notification.
+ *
+ * Returns { id, name, filters, createdAt }
+ *
+ * Authorization required: same user-as-:username, or admin; not with an API key
+ **/
+
+router.post("/:username/searches", ensureCorrectUserOrAdmin, ensureNotApiKey, validate({ body: savedSearchNewSchema }), async function (req, res, next) {
+  try {
+    const search = await SavedSearch.create(req.params.username, req.body);
+    return res.status(201).json({ search });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/searches/[id] => { search }
+ *
+ * Authorization required: same user-as-:username, or admin; not with an API key
+ **/
+
+router.get("/:username/searches/:id", ensureCorrectUserOrAdmin, ensureNotApiKey, validate({ params: searchIdParamsSchema }), async function (req, res, next) {
+  try {
+    const search = await SavedSearch.get(req.params.username, req.params.id);
+    return res.json({ search });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PATCH /[username]/searches/[id] { name, filters } => { search }
+ *
+ * Either field may be left out; filters replaces the old filters entirely.
+ *
+ * Authorization required: same user-as-:username, or admin; not with an API key
+ **/
+
+router.patch("/:username/searches/:id", ensureCorrectUserOrAdmin, ensureNotApiKey,
+    validate({ params: searchIdParamsSchema, body: savedSearchUpdateSchema }), async function (req, res, next) {
+  try {
+    const search = await SavedSearch.update(req.params.username, req.params.id, req.body);
+    return res.json({ search });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/searches/[id] => { deleted: id }
+ *
+ * Authorization required: same user-as-:username, or admin; not with an API key
+ **/
+
+router.delete("/:username/searches/:id", ensureCorrectUserOrAdmin, ensureNotApiKey, validate({ params: searchIdParamsSchema }), async function (req, res, next) {
+  try {
+    await SavedSearch.remove(req.params.username, req.params.id);
+    return res.json({ deleted: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/notifications => { notifications, total, unreadCount, nextCursor, links }
+ *
+ * notifications is [ { id, type, data, createdAt, readAt }, ... ], newest
+ * first. Pass unread=true for only unread ones.
+ *
+ * Paging: limit, and either offset or cursor; sort (id or createdAt).
+ *
+ * Authorization required: same user-as-:username, or admin; not with an API key
+ **/
+
+router.get("/:username/notifications", ensureCorrectUserOrAdmin, ensureNotApiKey, validate({ query: notificationSearchSchema }), async function (req, res, next) {
+  try {
+    const { unread, limit, offset, cursor, sort } = req.query;
+    const { notifications, total, unreadCount, nextCursor } = await Notification.findAll(
+        req.params.username, { unread }, { limit, offset, cursor, sort });
+    return res.json({ notifications, total, unreadCount, nextCursor, links: pageLinks(req, nextCursor) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/notifications/read-all => { marked, unreadCount }
+ *
+ * Marks every unread notification read; marked is how many that was.
+ *
+ * Authorization required: same user-as-:username, or admin; not with an API key
+ **/
+
+router.post("/:username/notifications/read-all", ensureCorrectUserOrAdmin, ensureNotApiKey, async function (req, res, next) {
+  try {
+    const { marked } = await Notification.markAllRead(req.params.username);
+    return res.json({ marked, unreadCount: 0 });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PATCH /[username]/notifications/[id] { read } => { notification }
+ *
+ * Marks a notification read (or unread again, with read: false).
+ *
+ * Authorization required: same user-as-:username, or admin; not with an API key
+ **/
+
+router.patch("/:username/notifications/:id", ensureCorrectUserOrAdmin, ensureNotApiKey,
+    validate({ params: notificationIdParamsSchema, body: notificationUpdateSchema }), async function (req, res, next) {
+  try {
+    const notification = await Notification.markRead(req.params.username, req.params.id, req.body.read);
+    return res.json({ notification });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 module.exports = router;
@@ -6,6 +6,10 @@ const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
 const Job = require("../models/job");
+const TwoFactor = require("../models/twoFactor");
+const ApiKey = require("../models/apiKey");
+const { totp, STEP_SECONDS } = require("../helpers/totp");
+const { createToken } = require("../helpers/tokens");
 
 const {
   commonBeforeAll, /* This will delete all users from the DB and then create new ones */
@@ -13,6 +17,8 @@ const {
   commonAfterEach, /* This will run the ROLLBACK statement which lets a user undo all the alterations and changes that occurred on the current transaction after the last COMMIT. */
   commonAfterAll,/* This will end the connection to the database */
   u1Token,
+  u2Token,
+  u3Token,
 } = require("./_testCommon");
 const { ExpressError, BadRequestError } = require("../expressError.js");
 
@@ -118,7 +124,7 @@ describe("POST /users/:username/jobs/:id", () => {
 
   test("test created job application submission", async () => {
 
-    const job = await Job.findAll();
+    const { jobs: job } = await Job.findAll();
     const {id} = job[0] 
 
     const resp = await request(app)
@@ -132,8 +138,23 @@ describe("POST /users/:username/jobs/:id", () => {
     expect(resp.statusCode).toEqual(201)
   })
 
+  test("test that users can't apply on behalf of other users", async () => {
+    const { jobs: job } = await Job.findAll();
+    const {id} = job[0];
+
+    const resp = await request(app)
+    .post(`/users/u1/jobs/${id}`)
+    .send({
+      username : "u1", 
+      jobId : id
+    })
+    .set("authorization", `Bearer ${u2Token}`);
+
+    expect(resp.statusCode).toEqual(403)
+  })
+
   test("test that Admin can create job application for other users", async () => {
-    const job = await Job.findAll();
+    const { jobs: job } = await Job.findAll();
     const {id} = job[0];
 
     const resp = await request(app)
@@ -148,8 +169,20 @@ describe("POST /users/:username/jobs/:id", () => {
 
   })
 
+  test("forbidden without the jobs:apply permission", async () => {
+    const { jobs: job } = await Job.findAll();
+    const {id} = job[0];
+    const recruiterToken = createToken({ username: "u3", roles: ["recruiter"] });
+
+    const resp = await request(app)
+    .post(`/users/u3/jobs/${id}`)
+    .set("authorization", `Bearer ${recruiterToken}`);
+
+    expect(resp.statusCode).toEqual(403)
+  })
+
   test("test that duplicate entries can't happen", async () => {
-    const job = await Job.findAll();
+    const { jobs: job } = await Job.findAll();
     const {id} = job[0];
 
     const resp1 = await request(app)
@@ -178,7 +211,7 @@ describe("POST /users/:username/jobs/:id", () => {
   test("test that invalid data throws error", async () => {
 
     try {
-      const job = await Job.findAll();
+      const { jobs: job } = await Job.findAll();
       const {id} = job[0] 
   
       const resp = await request(app)
@@ -196,6 +229,145 @@ describe("POST /users/:username/jobs/:id", () => {
 
 })
 
+/**************************************PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", () => {
+
+  test("works: moves application to a new state", async () => {
+    const { jobs: job } = await Job.findAll();
+    const {id} = job[0]
+    await User.applyToJob({username: "u2", jobId: id})
+
+    const resp = await request(app)
+    .patch(`/users/u2/jobs/${id}`)
+    .send({ state: "interviewing" })
+    .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(200)
+    expect(resp.body).toEqual({
+      application: { username: "u2", jobId: id, state: "interviewing" }
+    })
+  })
+
+  test("bad request for illegal transition", async () => {
+    const { jobs: job } = await Job.findAll();
+    const {id} = job[0]
+    await User.applyToJob({username: "u2", jobId: id})
+    await User.updateApplicationState("u2", id, "rejected")
+
+    const resp = await request(app)
+    .patch(`/users/u2/jobs/${id}`)
+    .send({ state: "interviewing" })
+    .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400)
+  })
+
+  test("bad request for unknown state", async () => {
+    const { jobs: job } = await Job.findAll();
+    const {id} = job[0]
+    await User.applyToJob({username: "u2", jobId: id})
+
+    const resp = await request(app)
+    .patch(`/users/u2/jobs/${id}`)
+    .send({ state: "hired" })
+    .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400)
+  })
+
+  test("not found if no application", async () => {
+    const { jobs: job } = await Job.findAll();
+    const {id} = job[0]
+
+    const resp = await request(app)
+    .patch(`/users/u2/jobs/${id}`)
+    .send({ state: "interviewing" })
+    .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(404)
+  })
+
+  test("unauth for anon", async () => {
+    const { jobs: job } = await Job.findAll();
+    const {id} = job[0]
+
+    const resp = await request(app)
+    .patch(`/users/u2/jobs/${id}`)
+    .send({ state: "interviewing" });
+
+    expect(resp.statusCode).toEqual(401)
+  })
+
+  test("works: applicant can withdraw", async () => {
+    const { jobs: job } = await Job.findAll();
+    const {id} = job[0]
+    await User.applyToJob({username: "u2", jobId: id})
+
+    const resp = await request(app)
+    .patch(`/users/u2/jobs/${id}`)
+    .send({ state: "withdrawn" })
+    .set("authorization", `Bearer ${u2Token}`);
+
+    expect(resp.statusCode).toEqual(200)
+    expect(resp.body.application.state).toEqual("withdrawn")
+  })
+
+  test("forbidden for applicant moving their own application on", async () => {
+    const { jobs: job } = await Job.findAll();
+    const {id} = job[0]
+    await User.applyToJob({username: "u2", jobId: id})
+
+    const resp = await request(app)
+    .patch(`/users/u2/jobs/${id}`)
+    .send({ state: "interviewing" })
+    .set("authorization", `Bearer ${u2Token}`);
+
+    expect(resp.statusCode).toEqual(403)
+  })
+
+  test("works: recruiter of the job's company", async () => {
+    const { jobs: job } = await Job.findAll({ companyHandle: "c3" });
+    const {id} = job[0]
+    await User.applyToJob({username: "u2", jobId: id})
+
+    const resp = await request(app)
+    .patch(`/users/u2/jobs/${id}`)
+    .send({ state: "interviewing" })
+    .set("authorization", `Bearer ${u3Token}`);
+
+    expect(resp.statusCode).toEqual(200)
+    expect(resp.body.application.state).toEqual("interviewing")
+  })
+
+  test("forbidden for recruiter of another company", async () => {
+    const { jobs: job } = await Job.findAll({ companyHandle: "c1" });
+    const {id} = job[0]
+    await User.applyToJob({username: "u2", jobId: id})
+
+    const resp = await request(app)
+    .patch(`/users/u2/jobs/${id}`)
+    .send({ state: "rejected" })
+    .set("authorization", `Bearer ${u3Token}`);
+
+    expect(resp.statusCode).toEqual(403)
+  })
+
+  test("forbidden for recruiter withdrawing for the applicant", async () => {
+    const { jobs: job } = await Job.findAll({ companyHandle: "c3" });
+    const {id} = job[0]
+    await User.applyToJob({username: "u2", jobId: id})
+
+    const resp = await request(app)
+    .patch(`/users/u2/jobs/${id}`)
+    .send({ state: "withdrawn" })
+    .set("authorization", `Bearer ${u3Token}`);
+
+    expect(resp.statusCode).toEqual(403)
+  })
+
+})
+
 /************************************** GET /users */
 
 describe("GET /users", function () {
@@ -227,6 +399,9 @@ describe("GET /users", function () {
           isAdmin: false,
         },
       ],
+      total: 3,
+      nextCursor: null,
+      links: { self: "/users", next: null },
     });
   });
 
@@ -236,6 +411,38 @@ describe("GET /users", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("works with an admin's API key for managing users", async function () {
+    const { key } = await ApiKey.create("u1", { name: "HR", scopes: ["users:manage"] });
+    const resp = await request(app)
+        .get("/users")
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("bad request for a repeated sort", async function () {
+    const resp = await request(app)
+        .get("/users?sort=email&sort=username")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.details).toEqual([
+      { path: "query.sort", message: "is not of a type(s) string" },
+    ]);
+  });
+
+  test("bad request for an unknown query parameter", async function () {
+    const resp = await request(app)
+        .get("/users?admin=true")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -272,6 +479,21 @@ describe("GET /users/:username", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .get(`/users/u2`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.user.username).toEqual("u2");
+  });
+
+  test("forbidden for other non-admin user", async function () {
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("not found if user not found", async function () {
     const resp = await request(app)
         .get(`/users/nope`)
@@ -280,6 +502,38 @@ describe("GET /users/:username", function () {
   });
 });
 
+/************************************** GET /users/:username/applications/export */
+
+describe("GET /users/:username/applications/export", function () {
+  test("streams the user's applications", async function () {
+    const { jobs } = await Job.findAll({ companyHandle: ["c1"] });
+    await User.applyToJob({ username: "u2", jobId: jobs[0].id, state: "interested" });
+
+    const resp = await request(app)
+        .get("/users/u2/applications/export?format=csv")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-disposition"]).toEqual('attachment; filename="u2-applications.csv"');
+    expect(resp.text).toEqual(
+        "jobId,state,title,salary,equity,companyHandle\r\n" +
+        `${jobs[0].id},interested,${jobs[0].title},${jobs[0].salary},${jobs[0].equity || ""},c1\r\n`);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+        .get("/users/nope/applications/export")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("forbidden for other users", async function () {
+    const resp = await request(app)
+        .get("/users/u1/applications/export")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
 /************************************** PATCH /users/:username */
 
 describe("PATCH /users/:username", () => {
@@ -374,3 +628,608 @@ describe("DELETE /users/:username", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** /users/:username/roles */
+
+describe("/users/:username/roles", function () {
+  test("GET works for same user", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/roles`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ roles: ["candidate"] });
+  });
+
+  test("POST works for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/roles/recruiter`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ granted: { username: "u2", role: "recruiter" } });
+    expect(await User.getRoles("u2")).toEqual(["candidate", "recruiter"]);
+  });
+
+  test("POST forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/roles/admin`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("POST not found for unknown role", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/roles/superuser`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("DELETE works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/roles/admin`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ revoked: "admin" });
+    expect(await User.getRoles("u1")).toEqual(["candidate"]);
+  });
+});
+
+/************************************** POST /users/:username/unlock */
+
+describe("POST /users/:username/unlock", function () {
+  test("works for admin", async function () {
+    await db.query(`UPDATE users SET locked_until = NOW() + INTERVAL '1 hour' WHERE username = 'u2'`);
+    const resp = await request(app)
+        .post(`/users/u2/unlock`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ unlocked: "u2" });
+    expect((await User.authenticate("u2", "password2")).username).toEqual("u2");
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/unlock`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/unlock`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/2fa */
+
+describe("/users/:username/2fa", function () {
+  /** Turn on 2FA for u2; returns a code that's good to use next. */
+
+  async function enableForU2() {
+    const { secret } = await TwoFactor.enroll("u2");
+    await TwoFactor.enable("u2", totp(secret));
+    return totp(secret, Date.now() + STEP_SECONDS * 1000);
+  }
+
+  test("enrolling and confirming works for same user", async function () {
+    const enrollResp = await request(app)
+        .post(`/users/u2/2fa`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(enrollResp.statusCode).toEqual(201);
+    expect(enrollResp.body).toEqual({
+      secret: expect.any(String),
+      uri: expect.stringMatching(/^otpauth:\/\/totp\/Jobly%3Au2\?secret=/),
+    });
+
+    const resp = await request(app)
+        .post(`/users/u2/2fa/confirm`)
+        .send({ code: totp(enrollResp.body.secret) })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ enabled: true, recoveryCodes: expect.any(Array) });
+    expect(resp.body.recoveryCodes.length).toEqual(10);
+
+    const statusResp = await request(app)
+        .get(`/users/u2/2fa`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(statusResp.body).toEqual({ twoFactor: { enabled: true, recoveryCodesLeft: 10 } });
+  });
+
+  test("confirming: bad request with a wrong code", async function () {
+    await TwoFactor.enroll("u2");
+    const resp = await request(app)
+        .post(`/users/u2/2fa/confirm`)
+        .send({ code: "nope" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("enrolling: forbidden for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/2fa`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("GET works for admin", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/2fa`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ twoFactor: { enabled: false, recoveryCodesLeft: 0 } });
+  });
+
+  test("GET forbidden for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/2fa`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("DELETE works for same user with a code", async function () {
+    const code = await enableForU2();
+    const resp = await request(app)
+        .delete(`/users/u2/2fa`)
+        .send({ code })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ disabled: "u2" });
+    expect((await TwoFactor.status("u2")).enabled).toBe(false);
+  });
+
+  test("DELETE: bad request for same user without a good code", async function () {
+    await enableForU2();
+    const resp = await request(app)
+        .delete(`/users/u2/2fa`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect((await TwoFactor.status("u2")).enabled).toBe(true);
+  });
+
+  test("DELETE works for admin without a code", async function () {
+    await enableForU2();
+    const resp = await request(app)
+        .delete(`/users/u2/2fa`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ disabled: "u2" });
+  });
+
+  test("DELETE cancels an unconfirmed enrolment", async function () {
+    await TwoFactor.enroll("u2");
+    const resp = await request(app)
+        .delete(`/users/u2/2fa`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ disabled: "u2" });
+  });
+});
+
+/************************************** /users/:username/api-keys */
+
+describe("/users/:username/api-keys", function () {
+  const newJob = { title: "Integrated", salary: 100000, equity: null };
+
+  /** Make u3 (who recruits for c3) a key for c3 that can post jobs. */
+
+  function makeKey() {
+    return ApiKey.create("u3", { name: "ATS", scopes: ["jobs:write"], companyHandle: "c3" });
+  }
+
+  test("POST works for same user", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/api-keys`)
+        .send({ name: "ATS", scopes: ["jobs:write"], companyHandle: "c3" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      apiKey: {
+        id: expect.any(Number),
+        name: "ATS",
+        prefix: resp.body.key.slice(0, 14),
+        scopes: ["jobs:write"],
+        companyHandle: "c3",
+        expiresAt: null,
+        lastUsedAt: null,
+        createdAt: expect.any(String),
+      },
+      key: expect.stringMatching(/^jobly_/),
+    });
+  });
+
+  test("POST: bad request for a scope the user doesn't have", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/api-keys`)
+        .send({ name: "ATS", scopes: ["companies:write"] })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("POST: bad request for an unknown scope", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/api-keys`)
+        .send({ name: "ATS", scopes: ["everything"] })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("POST: forbidden for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/api-keys`)
+        .send({ name: "ATS", scopes: [] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("GET, PATCH and DELETE work", async function () {
+    const { apiKey, key } = await makeKey();
+
+    const listResp = await request(app)
+        .get(`/users/u3/api-keys`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(listResp.body.apiKeys.map(k => k.id)).toEqual([apiKey.id]);
+
+    const patchResp = await request(app)
+        .patch(`/users/u3/api-keys/${apiKey.id}`)
+        .send({ name: "Renamed" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(patchResp.body.apiKey.name).toEqual("Renamed");
+
+    const deleteResp = await request(app)
+        .delete(`/users/u3/api-keys/${apiKey.id}`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(deleteResp.body).toEqual({ deleted: apiKey.id });
+
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, company_handle: "c3" })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("GET forbidden for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u3/api-keys`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("the key authenticates, for its company", async function () {
+    const { key } = await makeKey();
+
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, company_handle: "c3" })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(201);
+
+    const otherResp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, company_handle: "c1" })
+        .set("x-api-key", key);
+    expect(otherResp.statusCode).toEqual(403);
+  });
+
+  test("the key only has its scopes", async function () {
+    const { key } = await ApiKey.create("u1", { name: "ATS", scopes: ["jobs:write"] });
+
+    const resp = await request(app)
+        .post("/companies")
+        .send({ handle: "new", name: "New", description: "New", numEmployees: 1 })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+
+    const adminResp = await request(app)
+        .get("/users")
+        .set("x-api-key", key);
+    expect(adminResp.statusCode).toEqual(403);
+  });
+
+  test("the key can't manage the account", async function () {
+    const { key } = await makeKey();
+
+    const resp = await request(app)
+        .get(`/users/u3/api-keys`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+
+    const patchResp = await request(app)
+        .patch(`/users/u3`)
+        .send({ password: "new-password" })
+        .set("x-api-key", key);
+    expect(patchResp.statusCode).toEqual(403);
+  });
+
+  test("unauth with an unknown key", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, company_handle: "c3" })
+        .set("x-api-key", "jobly_nope");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** self-service routes with an API key */
+
+describe("self-service routes with an API key", function () {
+  let key;
+  let jobId;
+
+  /** u2's key for an integration that posts jobs: it can't apply, or act
+   * as u2 otherwise. */
+
+  beforeEach(async function () {
+    await User.grantRole("u2", "recruiter");
+    ({ key } = await ApiKey.create("u2", { name: "ATS", scopes: ["jobs:write"] }));
+    const { jobs } = await Job.findAll();
+    jobId = jobs[0].id;
+  });
+
+  test("POST /users/:username/jobs/:id needs jobs:apply", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/jobs/${jobId}`)
+        .send({ username: "u2", jobId })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("POST /users/:username/jobs/:id works with jobs:apply", async function () {
+    const { key: applyKey } = await ApiKey.create("u2", { name: "Apply", scopes: ["jobs:apply"] });
+    const resp = await request(app)
+        .post(`/users/u2/jobs/${jobId}`)
+        .send({ username: "u2", jobId })
+        .set("x-api-key", applyKey);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("PATCH /users/:username/jobs/:id needs jobs:apply", async function () {
+    await User.applyToJob({ username: "u2", jobId });
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${jobId}`)
+        .send({ state: "withdrawn" })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("GET /users/:username/applications needs jobs:apply", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/applications`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("GET /users/:username/applications/export needs jobs:apply", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/applications/export`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("GET /users/:username/2fa is forbidden", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/2fa`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("GET /users/:username/searches is forbidden", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/searches`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("POST /users/:username/searches is forbidden", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/searches`)
+        .send({ name: "Mine", filters: { title: "test" } })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("GET /users/:username/searches/:id is forbidden", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/searches/1`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("PATCH /users/:username/searches/:id is forbidden", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/searches/1`)
+        .send({ name: "Renamed" })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("DELETE /users/:username/searches/:id is forbidden", async function () {
+    const resp = await request(app)
+        .delete(`/users/u2/searches/1`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("GET /users/:username/notifications is forbidden", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/notifications`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("POST /users/:username/notifications/read-all is forbidden", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/notifications/read-all`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("PATCH /users/:username/notifications/:id is forbidden", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/notifications/1`)
+        .send({ read: true })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** /users/:username/searches */
+
+describe("/users/:username/searches", function () {
+  async function saveSearch(token = u2Token) {
+    const resp = await request(app)
+        .post(`/users/u2/searches`)
+        .send({ name: "Equity", filters: { hasEquity: true, companyHandle: ["c1", "c2"] } })
+        .set("authorization", `Bearer ${token}`);
+    return resp;
+  }
+
+  test("POST works for same user", async function () {
+    const resp = await saveSearch();
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      search: {
+        id: expect.any(Number),
+        name: "Equity",
+        filters: { hasEquity: true, companyHandle: ["c1", "c2"] },
+        createdAt: expect.any(String),
+      },
+    });
+  });
+
+  test("POST bad request for filters GET /jobs doesn't take", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/searches`)
+        .send({ name: "Bad", filters: { salary: 5, minSalary: "lots" } })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.details).toEqual([
+      { path: "body.filters.minSalary", message: "is not of a type(s) integer" },
+      { path: "body.filters.salary", message: "is not allowed" },
+    ]);
+  });
+
+  test("GET list and one", async function () {
+    const { body: { search } } = await saveSearch();
+
+    const list = await request(app)
+        .get(`/users/u2/searches`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(list.body).toEqual({ searches: [search] });
+
+    const one = await request(app)
+        .get(`/users/u2/searches/${search.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(one.body).toEqual({ search });
+  });
+
+  test("unauth for other users", async function () {
+    const { body: { search } } = await saveSearch();
+    const resp = await request(app)
+        .get(`/users/u2/searches/${search.id}`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("PATCH and DELETE", async function () {
+    const { body: { search } } = await saveSearch();
+
+    const patched = await request(app)
+        .patch(`/users/u2/searches/${search.id}`)
+        .send({ name: "Renamed" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(patched.body.search).toEqual({ ...search, name: "Renamed" });
+
+    const deleted = await request(app)
+        .delete(`/users/u2/searches/${search.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(deleted.body).toEqual({ deleted: search.id });
+
+    const gone = await request(app)
+        .get(`/users/u2/searches/${search.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(gone.statusCode).toEqual(404);
+  });
+
+  test("new matching jobs notify the user", async function () {
+    await saveSearch();
+    await Job.create({ title: "Equity job", salary: 1, equity: 0.1, company_handle: "c2" });
+
+    const result = await db.query(
+        `SELECT username, type, data->>'title' AS title FROM notifications`);
+    expect(result.rows).toEqual([{ username: "u2", type: "job.matched", title: "Equity job" }]);
+  });
+});
+
+/************************************** /users/:username/notifications */
+
+describe("/users/:username/notifications", function () {
+  async function notifyU2() {
+    const { jobs } = await Job.findAll();
+    await User.applyToJob({ username: "u2", jobId: jobs[0].id });
+    await User.updateApplicationState("u2", jobs[0].id, "interviewing");
+    await User.updateApplicationState("u2", jobs[0].id, "offered");
+  }
+
+  test("GET works for same user", async function () {
+    await notifyU2();
+    const resp = await request(app)
+        .get(`/users/u2/notifications`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.notifications.map(n => n.data.to)).toEqual(["offered", "interviewing"]);
+    expect(resp.body.notifications[0]).toEqual({
+      id: expect.any(Number),
+      type: "application.updated",
+      data: expect.any(Object),
+      createdAt: expect.any(String),
+      readAt: null,
+    });
+    expect(resp.body.total).toEqual(2);
+    expect(resp.body.unreadCount).toEqual(2);
+    expect(resp.body.links).toEqual({ self: "/users/u2/notifications", next: null });
+  });
+
+  test("GET unauth for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/notifications`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("PATCH marks one read, and unread filter skips it", async function () {
+    await notifyU2();
+    const list = await request(app)
+        .get(`/users/u2/notifications`)
+        .set("authorization", `Bearer ${u2Token}`);
+    const newest = list.body.notifications[0];
+
+    const resp = await request(app)
+        .patch(`/users/u2/notifications/${newest.id}`)
+        .send({ read: true })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.notification.readAt).toEqual(expect.any(String));
+
+    const unread = await request(app)
+        .get(`/users/u2/notifications?unread=true`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(unread.body.notifications.map(n => n.data.to)).toEqual(["interviewing"]);
+    expect(unread.body.unreadCount).toEqual(1);
+  });
+
+  test("PATCH bad request without read", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/notifications/1`)
+        .send({})
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("PATCH not found for no such notification", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/notifications/999999`)
+        .send({ read: true })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("POST read-all", async function () {
+    await notifyU2();
+    const resp = await request(app)
+        .post(`/users/u2/notifications/read-all`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ marked: 2, unreadCount: 0 });
+  });
+});
@@ -1,8 +1,69 @@
 "use strict";
 
 const app = require("./app");
-const { PORT } = require("./config");
+const db = require("./db");
+const logger = require("./helpers/logger");
+const Webhook = require("./models/webhook");
+const {
+  PORT,
+  SHUTDOWN_TIMEOUT_SECONDS,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  BCRYPT_WORK_FACTOR,
+  MAIL_TRANSPORT,
+  LOG_LEVEL,
+  DB_POOL_SIZE,
+  getDatabaseUri,
+} = require("./config");
 
-app.listen(PORT, function () {
-  console.log(`Started on http://localhost:${PORT}`);
+/** The database URI with any password in it masked, for the logs. */
+
+function databaseForLog() {
+  const uri = getDatabaseUri();
+  if (!URL.canParse(uri)) return uri;
+
+  const url = new URL(uri);
+  if (url.password) url.password = "***";
+  return url.toString();
+}
+
+// The settings worth knowing when reading the logs (never secrets)
+const server = app.listen(PORT, function () {
+  logger.info("Started", {
+    port: PORT,
+    accessTokenTtl: ACCESS_TOKEN_TTL,
+    refreshTokenTtlDays: REFRESH_TOKEN_TTL_DAYS,
+    bcryptWorkFactor: BCRYPT_WORK_FACTOR,
+    mailTransport: MAIL_TRANSPORT,
+    logLevel: LOG_LEVEL,
+    database: databaseForLog(),
+    dbPoolSize: DB_POOL_SIZE,
+  });
 });
+
+// Sends queued webhook deliveries; not started by app.js, so tests can drive
+// Webhook.deliverDue themselves.
+const stopWebhookWorker = Webhook.startWorker();
+
+/** Stop taking requests, let the ones in progress finish, then close the
+ * database connections and exit. Gives up after SHUTDOWN_TIMEOUT_SECONDS,
+ * since event streams (GET /stream) stay open until the client leaves. */
+
+function shutdown(signal) {
+  logger.info("Shutting down", { signal });
+
+  setTimeout(function () {
+    logger.error("Requests still open; exiting anyway");
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_SECONDS * 1000).unref();
+
+  stopWebhookWorker();
+  server.close(async function () {
+    await db.end();
+    process.exit(0);
+  });
+  server.closeIdleConnections();
+}
+
+process.once("SIGTERM", shutdown);
+process.once("SIGINT", shutdown);